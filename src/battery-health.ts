@@ -0,0 +1,224 @@
+import { median, round } from './stats.js';
+import { TessieBatteryHealth, TessieBatteryHealthMeasurement } from './tessie-client.js';
+
+// Battery degradation from Tessie's capacity measurements. Odometers and ranges are in miles.
+
+/**
+ * Measurements are compared in usable kWh when the car reports it, else in rated range
+ */
+export type HealthMetric = 'capacity_kwh' | 'max_range';
+
+export type BaselineSource = 'original_capacity' | 'peak_measurement';
+
+export interface HealthPoint {
+  timestamp: number;
+  odometer: number;
+  value: number;
+  health_percent: number;
+}
+
+export interface LinearFit {
+  slope: number;
+  intercept: number;
+  r_squared: number;
+}
+
+export interface DegradationTrend {
+  // Share of the baseline lost, in percentage points
+  percent_per_1000_miles: number;
+  percent_per_year: number;
+  by_odometer: LinearFit;
+  by_age: LinearFit; // x is years since the first measurement
+}
+
+export interface CapacityDrop {
+  timestamp: number;
+  odometer: number;
+  previous_value: number; // Median of the preceding measurements
+  value: number;
+  drop_percent: number;
+}
+
+export interface FleetComparison {
+  vehicles: number; // Other vehicles in the account with a known health
+  vehicle_health_percent: number;
+  fleet_average_health_percent: number | null;
+  difference_percent: number | null;
+}
+
+export interface CapacityProjection {
+  odometer: number;
+  value: number;
+  health_percent: number;
+}
+
+export interface BatteryHealthReport {
+  metric: HealthMetric;
+  baseline: number;
+  baseline_source: BaselineSource;
+  latest: HealthPoint;
+  trend: DegradationTrend | null;
+  drops: CapacityDrop[];
+  fleet: FleetComparison | null;
+  projection: CapacityProjection | null;
+  series: HealthPoint[];
+}
+
+export interface BatteryHealthOptions {
+  fleet?: TessieBatteryHealth[];
+  dropThresholdPercent?: number;
+  projectToOdometer?: number;
+}
+
+export const DEFAULT_DROP_THRESHOLD_PERCENT = 3;
+
+// A trend needs a few readings spread over some distance to mean anything
+const MIN_TREND_POINTS = 3;
+const MIN_TREND_MILES = 500;
+const DROP_WINDOW = 3;
+const YEAR_SECONDS = 365.25 * 24 * 3600;
+
+/**
+ * Least-squares line through the points; null when x does not vary
+ */
+export function fitLine(points: Array<{ x: number; y: number }>): LinearFit | null {
+  const n = points.length;
+  if (n < 2) return null;
+
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  for (const { x, y } of points) {
+    sxx += (x - meanX) ** 2;
+    sxy += (x - meanX) * (y - meanY);
+    syy += (y - meanY) ** 2;
+  }
+  if (sxx === 0) return null;
+
+  const slope = sxy / sxx;
+  return {
+    slope,
+    intercept: meanY - slope * meanX,
+    r_squared: syy === 0 ? 1 : (sxy * sxy) / (sxx * syy)
+  };
+}
+
+function healthOf(entry: TessieBatteryHealth): number | undefined {
+  if (typeof entry.health_percent === 'number') return entry.health_percent;
+  if (typeof entry.degradation_percent === 'number') return 100 - entry.degradation_percent;
+  if (entry.capacity && entry.original_capacity) return (entry.capacity / entry.original_capacity) * 100;
+  return undefined;
+}
+
+/**
+ * Flags readings that fall more than the threshold (as a share of the baseline) below the
+ * median of the readings since the last drop. The next reading has to stay down as well, so
+ * one noisy measurement is not a drop and the newest reading cannot be one yet.
+ */
+export function detectDrops(points: HealthPoint[], baseline: number, thresholdPercent = DEFAULT_DROP_THRESHOLD_PERCENT): CapacityDrop[] {
+  const drops: CapacityDrop[] = [];
+  let windowStart = 0;
+  for (let i = 1; i < points.length - 1; i++) {
+    const previous = median(points.slice(Math.max(windowStart, i - DROP_WINDOW), i).map(p => p.value));
+    const confirmed = Math.max(points[i].value, points[i + 1].value);
+    if (((previous - confirmed) / baseline) * 100 > thresholdPercent) {
+      drops.push({
+        timestamp: points[i].timestamp,
+        odometer: points[i].odometer,
+        previous_value: round(previous),
+        value: points[i].value,
+        drop_percent: round(((previous - points[i].value) / baseline) * 100, 1)
+      });
+      windowStart = i;
+    }
+  }
+  return drops;
+}
+
+/**
+ * Summarizes a vehicle's measurements: degradation trend, sudden drops, how it compares with
+ * the other vehicles in the account and, optionally, its projected capacity at a future mileage.
+ * Returns null when there are no usable measurements.
+ */
+export function analyzeBatteryHealth(
+  vin: string,
+  measurements: TessieBatteryHealthMeasurement[],
+  options: BatteryHealthOptions = {}
+): BatteryHealthReport | null {
+  const metric: HealthMetric = measurements.some(m => typeof m.capacity === 'number') ? 'capacity_kwh' : 'max_range';
+  const readings = measurements
+    .map(m => ({ timestamp: m.timestamp, odometer: m.odometer, value: metric === 'capacity_kwh' ? m.capacity : m.max_range }))
+    .filter((m): m is { timestamp: number; odometer: number; value: number } => typeof m.value === 'number' && m.value > 0)
+    .sort((a, b) => a.timestamp - b.timestamp);
+  if (readings.length === 0) return null;
+
+  const own = options.fleet?.find(entry => entry.vin === vin);
+  const original = metric === 'capacity_kwh' ? own?.original_capacity : undefined;
+  const baseline = original || Math.max(...readings.map(r => r.value));
+  const baselineSource: BaselineSource = original ? 'original_capacity' : 'peak_measurement';
+
+  const series: HealthPoint[] = readings.map(r => ({
+    ...r,
+    health_percent: round((r.value / baseline) * 100, 1)
+  }));
+  const latest = series[series.length - 1];
+
+  const trend = fitTrend(series, baseline);
+  const projection = trend && options.projectToOdometer !== undefined
+    ? project(trend.by_odometer, options.projectToOdometer, baseline)
+    : null;
+
+  return {
+    metric,
+    baseline: round(baseline),
+    baseline_source: baselineSource,
+    latest,
+    trend,
+    drops: detectDrops(series, baseline, options.dropThresholdPercent),
+    fleet: options.fleet ? compareWithFleet(vin, options.fleet, latest.health_percent) : null,
+    projection,
+    series
+  };
+}
+
+function fitTrend(series: HealthPoint[], baseline: number): DegradationTrend | null {
+  const first = series[0];
+  const last = series[series.length - 1];
+  if (series.length < MIN_TREND_POINTS || last.odometer - first.odometer < MIN_TREND_MILES) return null;
+
+  const byOdometer = fitLine(series.map(p => ({ x: p.odometer, y: p.value })));
+  const byAge = fitLine(series.map(p => ({ x: (p.timestamp - first.timestamp) / YEAR_SECONDS, y: p.value })));
+  if (!byOdometer || !byAge) return null;
+
+  return {
+    percent_per_1000_miles: round((-byOdometer.slope * 1000 / baseline) * 100, 2),
+    percent_per_year: round((-byAge.slope / baseline) * 100, 2),
+    by_odometer: { slope: byOdometer.slope, intercept: byOdometer.intercept, r_squared: round(byOdometer.r_squared, 3) },
+    by_age: { slope: byAge.slope, intercept: byAge.intercept, r_squared: round(byAge.r_squared, 3) }
+  };
+}
+
+function project(fit: LinearFit, odometer: number, baseline: number): CapacityProjection {
+  // A linear fit over a short history can slope upwards; capacity never grows back past new
+  const value = Math.min(baseline, Math.max(0, fit.intercept + fit.slope * odometer));
+  return { odometer, value: round(value), health_percent: round((value / baseline) * 100, 1) };
+}
+
+function compareWithFleet(vin: string, fleet: TessieBatteryHealth[], measuredHealth: number): FleetComparison {
+  const ownEntry = fleet.find(entry => entry.vin === vin);
+  const vehicleHealth = (ownEntry && healthOf(ownEntry)) ?? measuredHealth;
+  const others = fleet
+    .filter(entry => entry.vin !== vin)
+    .map(healthOf)
+    .filter((health): health is number => health !== undefined);
+  const average = others.length > 0 ? others.reduce((sum, health) => sum + health, 0) / others.length : null;
+
+  return {
+    vehicles: others.length,
+    vehicle_health_percent: round(vehicleHealth, 1),
+    fleet_average_health_percent: average === null ? null : round(average, 1),
+    difference_percent: average === null ? null : round(vehicleHealth - average, 1)
+  };
+}
@@ -0,0 +1,102 @@
+import { round } from './stats.js';
+import { TariffCost } from './tariffs.js';
+import { TessieCharge } from './tessie-client.js';
+
+// Charging session classification and cost totals. Costs are in the Tessie account's currency.
+
+export type ChargeLocationType = 'home' | 'supercharger' | 'public';
+export type ChargeCostSource = 'recorded' | 'tariff' | 'estimated' | 'unknown';
+
+export const CHARGE_LOCATION_TYPES: ChargeLocationType[] = ['home', 'supercharger', 'public'];
+export const DEFAULT_HOME_LOCATIONS = ['Home'];
+
+export interface ChargingTotals {
+  sessions: number;
+  energy_added_kwh: number;
+  cost: number; // Sum of known costs only
+  sessions_without_cost: number;
+  cost_per_kwh: number | null; // Over sessions with a known cost
+}
+
+export interface ChargingSummary {
+  total: ChargingTotals;
+  by_location_type: Record<ChargeLocationType, ChargingTotals>;
+}
+
+/**
+ * Superchargers are flagged by Tessie; home is a saved location or address matching one of
+ * the home labels; anything else is public charging
+ */
+export function classifyCharge(charge: TessieCharge, homeLocations: string[] = DEFAULT_HOME_LOCATIONS): ChargeLocationType {
+  if (charge.is_supercharger) return 'supercharger';
+  return atLocation(charge, homeLocations) ? 'home' : 'public';
+}
+
+/**
+ * Whether a session's saved location or address contains one of the labels, ignoring case
+ */
+export function atLocation(charge: TessieCharge, labels: string[]): boolean {
+  const names = [charge.saved_location, charge.location]
+    .filter((name): name is string => !!name)
+    .map(name => name.toLowerCase());
+  return labels.some(label => names.some(name => name.includes(label.trim().toLowerCase())));
+}
+
+/**
+ * Cost of a session: Tessie's recorded cost, else its cost under the matching tariff, else the
+ * grid energy at the given price
+ */
+export function chargeCost(
+  charge: TessieCharge,
+  pricePerKwh?: number,
+  tariffCost?: TariffCost
+): { cost: number | null; source: ChargeCostSource } {
+  if (typeof charge.cost === 'number') {
+    return { cost: charge.cost, source: 'recorded' };
+  }
+  if (tariffCost) {
+    return { cost: tariffCost.cost, source: 'tariff' };
+  }
+  if (pricePerKwh !== undefined) {
+    return { cost: round((charge.energy_used ?? charge.energy_added) * pricePerKwh), source: 'estimated' };
+  }
+  return { cost: null, source: 'unknown' };
+}
+
+function totalsOf(charges: TessieCharge[], pricePerKwh?: number, tariffCosts?: Map<number, TariffCost>): ChargingTotals {
+  let energy = 0;
+  let cost = 0;
+  let costedEnergy = 0;
+  let withoutCost = 0;
+
+  for (const charge of charges) {
+    const { cost: sessionCost } = chargeCost(charge, pricePerKwh, tariffCosts?.get(charge.id));
+    energy += charge.energy_added;
+    if (sessionCost === null) {
+      withoutCost++;
+    } else {
+      cost += sessionCost;
+      costedEnergy += charge.energy_added;
+    }
+  }
+
+  return {
+    sessions: charges.length,
+    energy_added_kwh: round(energy),
+    cost: round(cost),
+    sessions_without_cost: withoutCost,
+    cost_per_kwh: costedEnergy > 0 ? round(cost / costedEnergy, 3) : null
+  };
+}
+
+export function summarizeCharges(
+  charges: TessieCharge[],
+  options: { pricePerKwh?: number; homeLocations?: string[]; tariffCosts?: Map<number, TariffCost> } = {}
+): ChargingSummary {
+  const byType = Object.fromEntries(CHARGE_LOCATION_TYPES.map(type => [
+    type,
+    totalsOf(charges.filter(charge => classifyCharge(charge, options.homeLocations) === type), options.pricePerKwh, options.tariffCosts)
+  ])) as Record<ChargeLocationType, ChargingTotals>;
+
+  return { total: totalsOf(charges, options.pricePerKwh, options.tariffCosts), by_location_type: byType };
+}
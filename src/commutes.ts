@@ -0,0 +1,345 @@
+import { MergedDrive } from './drive-analyzer.js';
+import { GENERIC_PACK_KWH } from './pack-capacity.js';
+import { findPlace, haversineMeters, Place, placeAt } from './places.js';
+import { median, round } from './stats.js';
+import { TessieDrive } from './tessie-client.js';
+import { zonedParts } from './time-zones.js';
+
+// Recurring journeys between the same two spots at about the same time of day, and how long,
+// how efficient and how predictable each one is. Distances are in miles, Tessie's native unit.
+
+/**
+ * A commute named by its two ends: place names, or text found in the saved location or address
+ */
+export interface CommuteDeclaration {
+  name?: string;
+  from: string;
+  to: string;
+}
+
+export interface CommuteOptions {
+  timeZone: string;
+  places?: Place[]; // Ends inside a place take its name
+  declared?: CommuteDeclaration[];
+  minTrips?: number;
+  packKwh?: number;
+}
+
+export interface DurationStats {
+  median_minutes: number;
+  mean_minutes: number;
+  std_dev_minutes: number;
+  p90_minutes: number;
+}
+
+export interface DepartureWindow {
+  window: string; // Local start of the window, HH:mm
+  trips: number;
+  median_duration_minutes: number;
+}
+
+export interface BestDepartureWindow extends DepartureWindow {
+  minutes_saved: number; // Against the leg's median duration
+}
+
+export interface CommuteMonth {
+  month: string; // YYYY-MM
+  trips: number;
+  median_duration_minutes: number;
+  miles: number;
+  energy_kwh: number;
+}
+
+export interface CommuteLeg {
+  direction: 'outbound' | 'return';
+  from: string;
+  to: string;
+  trips: number;
+  days: number;
+  typical_departure: string; // Median local departure, HH:mm
+  duration: DurationStats;
+  median_miles: number;
+  miles: number;
+  energy_kwh: number;
+  departures: DepartureWindow[];
+  best_departure_window: BestDepartureWindow | null;
+  by_month: CommuteMonth[];
+}
+
+export interface Commute {
+  name: string;
+  declared: boolean;
+  legs: CommuteLeg[];
+}
+
+export const DEFAULT_MIN_COMMUTE_TRIPS = 5;
+// Unnamed ends within this of each other count as the same spot
+const ENDPOINT_RADIUS_METERS = 300;
+// Departures on one route further apart than this are different journeys, e.g. a school run and the drive to work
+const DEPARTURE_GAP_MINUTES = 60;
+const DEPARTURE_WINDOW_MINUTES = 30;
+
+interface Journey {
+  trip: MergedDrive;
+  from: string; // Endpoint keys
+  to: string;
+  labels: { from: Array<string | undefined>; to: Array<string | undefined> }; // Saved location and address of each end
+  departure: number; // Local minutes after midnight
+  day: string; // Local YYYY-MM-DD
+  month: string;
+}
+
+const clock = (minutes: number) => {
+  const rounded = Math.round(minutes) % (24 * 60);
+  return `${String(Math.floor(rounded / 60)).padStart(2, '0')}:${String(rounded % 60).padStart(2, '0')}`;
+};
+
+const validCoordinate = (latitude?: number, longitude?: number) =>
+  typeof latitude === 'number' && typeof longitude === 'number' && !(latitude === 0 && longitude === 0);
+
+/**
+ * Names ends of journeys: the nearest containing place, else a spot grouped by coordinates and
+ * named after the address seen there most, else the address text itself
+ */
+class EndpointIndex {
+  private spots: Array<{ latitude: number; longitude: number; count: number; names: Map<string, number> }> = [];
+
+  constructor(private places: Place[]) {}
+
+  keyFor(latitude: number | undefined, longitude: number | undefined, label: string): string {
+    if (!validCoordinate(latitude, longitude)) return `name:${label.trim().toLowerCase()}`;
+
+    const place = placeAt(this.places, latitude, longitude);
+    if (place) return `place:${place.name.toLowerCase()}`;
+
+    let index = this.spots.findIndex(spot => haversineMeters(spot.latitude, spot.longitude, latitude!, longitude!) <= ENDPOINT_RADIUS_METERS);
+    if (index < 0) {
+      index = this.spots.push({ latitude: latitude!, longitude: longitude!, count: 0, names: new Map() }) - 1;
+    }
+    const spot = this.spots[index];
+    // Running mean, so the spot settles on the middle of where the car parks
+    spot.latitude += (latitude! - spot.latitude) / (spot.count + 1);
+    spot.longitude += (longitude! - spot.longitude) / (spot.count + 1);
+    spot.count++;
+    spot.names.set(label, (spot.names.get(label) || 0) + 1);
+    return `spot:${index}`;
+  }
+
+  nameOf(key: string, labels: Map<string, string>): string {
+    if (key.startsWith('place:')) {
+      return this.places.find(place => `place:${place.name.toLowerCase()}` === key)?.name ?? key.slice(6);
+    }
+    if (key.startsWith('spot:')) {
+      const names = [...this.spots[Number(key.slice(5))].names.entries()];
+      return names.sort((a, b) => b[1] - a[1])[0]?.[0] || 'Unknown location';
+    }
+    return labels.get(key) ?? key.slice(5);
+  }
+}
+
+function durationStats(minutes: number[]): DurationStats {
+  const mean = minutes.reduce((sum, m) => sum + m, 0) / minutes.length;
+  const variance = minutes.length > 1
+    ? minutes.reduce((sum, m) => sum + (m - mean) ** 2, 0) / (minutes.length - 1)
+    : 0;
+  const sorted = [...minutes].sort((a, b) => a - b);
+  return {
+    median_minutes: round(median(minutes), 1),
+    mean_minutes: round(mean, 1),
+    std_dev_minutes: round(Math.sqrt(variance), 1),
+    p90_minutes: round(sorted[Math.ceil(sorted.length * 0.9) - 1], 1)
+  };
+}
+
+function legStats(
+  journeys: Journey[],
+  direction: CommuteLeg['direction'],
+  from: string,
+  to: string,
+  packKwh: number,
+  minTrips: number
+): CommuteLeg {
+  const sorted = [...journeys].sort((a, b) => a.trip.started_at - b.trip.started_at);
+  const durations = sorted.map(journey => journey.trip.total_duration_minutes);
+  const overallMedian = median(durations);
+  const energy = (trip: MergedDrive) => Math.max(0, trip.energy_used_kwh ?? (trip.energy_consumed / 100) * packKwh);
+
+  const byWindow = new Map<number, Journey[]>();
+  for (const journey of sorted) {
+    const window = Math.floor(journey.departure / DEPARTURE_WINDOW_MINUTES) * DEPARTURE_WINDOW_MINUTES;
+    byWindow.set(window, [...(byWindow.get(window) || []), journey]);
+  }
+  const departures = [...byWindow.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([window, inWindow]) => ({
+      window: clock(window),
+      trips: inWindow.length,
+      median_duration_minutes: round(median(inWindow.map(journey => journey.trip.total_duration_minutes)), 1)
+    }));
+
+  // A window needs a few trips of its own before its median says anything
+  const minWindowTrips = Math.max(2, Math.ceil(minTrips / 2));
+  const best = departures
+    .filter(window => window.trips >= minWindowTrips)
+    .sort((a, b) => a.median_duration_minutes - b.median_duration_minutes)[0];
+
+  const byMonth = new Map<string, Journey[]>();
+  for (const journey of sorted) {
+    byMonth.set(journey.month, [...(byMonth.get(journey.month) || []), journey]);
+  }
+
+  return {
+    direction,
+    from,
+    to,
+    trips: sorted.length,
+    days: new Set(sorted.map(journey => journey.day)).size,
+    typical_departure: clock(median(sorted.map(journey => journey.departure))),
+    duration: durationStats(durations),
+    median_miles: round(median(sorted.map(journey => journey.trip.total_distance))),
+    miles: round(sorted.reduce((sum, journey) => sum + journey.trip.total_distance, 0)),
+    energy_kwh: round(sorted.reduce((sum, journey) => sum + energy(journey.trip), 0)),
+    departures,
+    best_departure_window: best
+      ? { ...best, minutes_saved: round(Math.max(0, overallMedian - best.median_duration_minutes), 1) }
+      : null,
+    by_month: [...byMonth.entries()].map(([month, inMonth]) => ({
+      month,
+      trips: inMonth.length,
+      median_duration_minutes: round(median(inMonth.map(journey => journey.trip.total_duration_minutes)), 1),
+      miles: round(inMonth.reduce((sum, journey) => sum + journey.trip.total_distance, 0)),
+      energy_kwh: round(inMonth.reduce((sum, journey) => sum + energy(journey.trip), 0))
+    }))
+  };
+}
+
+// Splits a route's journeys into groups whose departures are within the gap of the next
+function departureClusters(journeys: Journey[]): Journey[][] {
+  const sorted = [...journeys].sort((a, b) => a.departure - b.departure);
+  const clusters: Journey[][] = [];
+  for (const journey of sorted) {
+    const current = clusters[clusters.length - 1];
+    if (current && journey.departure - current[current.length - 1].departure <= DEPARTURE_GAP_MINUTES) {
+      current.push(journey);
+    } else {
+      clusters.push([journey]);
+    }
+  }
+  return clusters;
+}
+
+const distinctDays = (journeys: Journey[]) => new Set(journeys.map(journey => journey.day)).size;
+
+/**
+ * Finds commutes in merged trips: routes between two spots driven on at least minTrips different
+ * days at about the same time, paired with the reverse route when there is one. Declared commutes
+ * are always reported, with every trip between their ends in either direction.
+ */
+export function detectCommutes(trips: MergedDrive[], drives: TessieDrive[], options: CommuteOptions): Commute[] {
+  const { timeZone, places = [], declared = [], minTrips = DEFAULT_MIN_COMMUTE_TRIPS, packKwh = GENERIC_PACK_KWH } = options;
+  const drivesById = new Map(drives.map(drive => [drive.id, drive]));
+  const endpoints = new EndpointIndex(places);
+  const labels = new Map<string, string>();
+
+  const journeys: Journey[] = [];
+  for (const trip of trips) {
+    const first = drivesById.get(trip.originalDriveIds[0]);
+    const last = drivesById.get(trip.originalDriveIds[trip.originalDriveIds.length - 1]);
+    if (!first || !last) continue;
+
+    const startLabel = first.starting_saved_location || first.starting_location || 'Unknown location';
+    const endLabel = last.ending_saved_location || last.ending_location || 'Unknown location';
+    const from = endpoints.keyFor(first.starting_latitude, first.starting_longitude, startLabel);
+    const to = endpoints.keyFor(last.ending_latitude, last.ending_longitude, endLabel);
+    labels.set(`name:${startLabel.trim().toLowerCase()}`, startLabel);
+    labels.set(`name:${endLabel.trim().toLowerCase()}`, endLabel);
+    if (from === to) continue;
+
+    const local = zonedParts(new Date(trip.started_at * 1000), timeZone);
+    const day = `${local.year}-${String(local.month).padStart(2, '0')}-${String(local.day).padStart(2, '0')}`;
+    journeys.push({
+      trip,
+      from,
+      to,
+      labels: {
+        from: [first.starting_saved_location, first.starting_location],
+        to: [last.ending_saved_location, last.ending_location]
+      },
+      departure: local.hour * 60 + local.minute,
+      day,
+      month: day.slice(0, 7)
+    });
+  }
+  const nameOf = (key: string) => endpoints.nameOf(key, labels);
+
+  const commutes: Commute[] = [];
+  const claimed = new Set<Journey>();
+
+  // Declared commutes: ends are places when one has the name, else text in the trip's addresses
+  const matcher = (search: string) => {
+    const place = findPlace(places, search);
+    const text = search.trim().toLowerCase();
+    return (journey: Journey, end: 'from' | 'to') => {
+      if (place) return journey[end] === `place:${place.name.toLowerCase()}`;
+      return journey.labels[end].some(name => (name || '').toLowerCase().includes(text));
+    };
+  };
+  for (const declaration of declared) {
+    const atFrom = matcher(declaration.from);
+    const atTo = matcher(declaration.to);
+    const outbound = journeys.filter(journey => atFrom(journey, 'from') && atTo(journey, 'to'));
+    const inbound = journeys.filter(journey => atTo(journey, 'from') && atFrom(journey, 'to'));
+    [...outbound, ...inbound].forEach(journey => claimed.add(journey));
+
+    const from = outbound[0] ? nameOf(outbound[0].from) : inbound[0] ? nameOf(inbound[0].to) : declaration.from;
+    const to = outbound[0] ? nameOf(outbound[0].to) : inbound[0] ? nameOf(inbound[0].from) : declaration.to;
+    commutes.push({
+      name: declaration.name || `${from} ⇄ ${to}`,
+      declared: true,
+      legs: [
+        ...(outbound.length > 0 ? [legStats(outbound, 'outbound', from, to, packKwh, minTrips)] : []),
+        ...(inbound.length > 0 ? [legStats(inbound, 'return', to, from, packKwh, minTrips)] : [])
+      ]
+    });
+  }
+
+  // Detected legs: one per route and time of day with enough days behind it
+  const routes = new Map<string, Journey[]>();
+  for (const journey of journeys.filter(journey => !claimed.has(journey))) {
+    const route = `${journey.from}→${journey.to}`;
+    routes.set(route, [...(routes.get(route) || []), journey]);
+  }
+  const candidates = [...routes.values()]
+    .flatMap(departureClusters)
+    .filter(cluster => distinctDays(cluster) >= minTrips)
+    .map(cluster => ({ from: cluster[0].from, to: cluster[0].to, journeys: cluster, departure: median(cluster.map(j => j.departure)) }))
+    .sort((a, b) => b.journeys.length - a.journeys.length);
+
+  const paired = new Set<typeof candidates[number]>();
+  for (const candidate of candidates) {
+    if (paired.has(candidate)) continue;
+    paired.add(candidate);
+    const reverse = candidates.find(other => !paired.has(other) && other.from === candidate.to && other.to === candidate.from);
+    if (reverse) paired.add(reverse);
+
+    // The leg that leaves earlier in the day is the way out
+    let outbound = candidate;
+    let inbound = reverse;
+    if (reverse && reverse.departure < candidate.departure) {
+      outbound = reverse;
+      inbound = candidate;
+    }
+    const from = nameOf(outbound.from);
+    const to = nameOf(outbound.to);
+    commutes.push({
+      name: reverse ? `${from} ⇄ ${to}` : `${from} → ${to}`,
+      declared: false,
+      legs: [
+        legStats(outbound.journeys, 'outbound', from, to, packKwh, minTrips),
+        ...(inbound ? [legStats(inbound.journeys, 'return', to, from, packKwh, minTrips)] : [])
+      ]
+    });
+  }
+
+  return commutes;
+}
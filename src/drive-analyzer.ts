@@ -1,4 +1,6 @@
 import { TessieDrive } from './tessie-client.js';
+import { UnitConverter } from './units.js';
+import { CapacitySource, capacityConfidence, EnergyConfidence, PackCapacity, UNKNOWN_PACK_CAPACITY } from './pack-capacity.js';
 
 export interface MergedDrive {
   id: string; // Composite ID of merged drives
@@ -15,9 +17,11 @@ export interface MergedDrive {
   stops: DriveStop[];
   autopilot_distance: number;
   autopilot_percentage: number;
-  energy_consumed: number;
+  energy_consumed: number; // Battery percentage points
+  energy_used_kwh: number | null; // Measured by Tessie, when every merged drive reports it
   average_speed: number;
   max_speed: number;
+  tags: string[]; // Distinct Tessie tags of the merged drives
 }
 
 export interface DriveStop {
@@ -28,12 +32,21 @@ export interface DriveStop {
   ended_at: number;
 }
 
+/**
+ * measured: Tessie's energy_used; pack_capacity: battery percentage × usable capacity
+ */
+export type EnergyMethod = 'measured' | 'pack_capacity';
+
 export interface DriveAnalysis {
   mergedDrive: MergedDrive;
   batteryConsumption: {
     percentage_used: number;
     estimated_kwh_used: number;
     efficiency_miles_per_kwh?: number;
+    method: EnergyMethod;
+    confidence: EnergyConfidence;
+    pack_capacity_kwh?: number;
+    pack_capacity_source?: CapacitySource;
   };
   fsdAnalysis: {
     total_autopilot_miles: number;
@@ -44,12 +57,61 @@ export interface DriveAnalysis {
   summary: string;
 }
 
+/**
+ * When consecutive drives count as one journey
+ */
+export interface MergePolicy {
+  max_gap_minutes: number; // stops shorter than this are merged
+  charging_threshold_percent: number; // battery gained during a stop that marks it as charging (merged)
+  max_stop_minutes: number | null; // no stop longer than this is merged, charging or not
+  boundary_locations: string[]; // saved locations (e.g. "Home") a journey never continues through
+}
+
+export const DEFAULT_MERGE_POLICY: MergePolicy = {
+  max_gap_minutes: 7,
+  charging_threshold_percent: 5,
+  max_stop_minutes: null,
+  boundary_locations: []
+};
+
+/**
+ * Fills unset fields of a partial policy from the given base policy
+ */
+export function resolveMergePolicy(overrides: Partial<MergePolicy> = {}, base: MergePolicy = DEFAULT_MERGE_POLICY): MergePolicy {
+  return {
+    max_gap_minutes: overrides.max_gap_minutes ?? base.max_gap_minutes,
+    charging_threshold_percent: overrides.charging_threshold_percent ?? base.charging_threshold_percent,
+    max_stop_minutes: overrides.max_stop_minutes !== undefined ? overrides.max_stop_minutes : base.max_stop_minutes,
+    boundary_locations: overrides.boundary_locations ?? base.boundary_locations
+  };
+}
+
+/**
+ * Identifies the trip to analyze: one that contains a drive, or the one at (or nearest to) a time
+ */
+export type DriveTarget = { driveId: number } | { timestamp: number };
+
+/**
+ * Reads a Tessie drive ID ("123") or a merged ID ("merged_12_13_14") as its drive IDs,
+ * or null when the value is neither
+ */
+export function parseDriveId(id: string): number[] | null {
+  const match = /^(?:(\d+)|merged_(\d+(?:_\d+)*))$/.exec(id.trim());
+  if (!match) return null;
+  return (match[1] ?? match[2]).split('_').map(Number);
+}
+
 export class DriveAnalyzer {
+  constructor(
+    private units: UnitConverter = new UnitConverter(),
+    readonly mergePolicy: MergePolicy = DEFAULT_MERGE_POLICY
+  ) {}
+
   /**
-   * Merges consecutive drives that are separated by stops less than 7 minutes
-   * or charging stops, treating them as a single continuous journey
+   * Merges consecutive drives that are separated by short stops or charging stops,
+   * as defined by the merge policy, treating them as a single continuous journey
    */
-  mergeDrives(drives: TessieDrive[]): MergedDrive[] {
+  mergeDrives(drives: TessieDrive[], policy: MergePolicy = this.mergePolicy): MergedDrive[] {
     if (drives.length === 0) return [];
 
     // Sort drives by start time
@@ -65,41 +127,60 @@ export class DriveAnalyzer {
       const gapMinutes = (currentDrive.started_at - prevDrive.ended_at) / 60;
 
       // Check if this should be merged with the previous group
-      if (this.shouldMergeDrives(prevDrive, currentDrive, gapMinutes)) {
+      if (this.shouldMergeDrives(prevDrive, currentDrive, gapMinutes, policy)) {
         currentGroup.push(currentDrive);
       } else {
         // Process the current group and start a new one
-        mergedDrives.push(this.createMergedDrive(currentGroup));
+        mergedDrives.push(this.createMergedDrive(currentGroup, policy));
         currentGroup = [currentDrive];
       }
     }
 
     // Process the final group
     if (currentGroup.length > 0) {
-      mergedDrives.push(this.createMergedDrive(currentGroup));
+      mergedDrives.push(this.createMergedDrive(currentGroup, policy));
     }
 
     return mergedDrives;
   }
 
-  private shouldMergeDrives(prevDrive: TessieDrive, currentDrive: TessieDrive, gapMinutes: number): boolean {
-    // Merge if gap is less than 7 minutes
-    if (gapMinutes < 7) {
-      return true;
+  private shouldMergeDrives(
+    prevDrive: TessieDrive,
+    currentDrive: TessieDrive,
+    gapMinutes: number,
+    policy: MergePolicy
+  ): boolean {
+    if (policy.max_stop_minutes !== null && gapMinutes > policy.max_stop_minutes) {
+      return false;
     }
 
-    // TODO: Add charging detection logic
-    // This would require checking if the gap includes charging based on battery level changes
-    // For now, we'll use a simple heuristic: if battery level increased significantly during the gap
-    const batteryIncrease = currentDrive.starting_battery - prevDrive.ending_battery;
-    if (batteryIncrease > 5) { // More than 5% battery increase suggests charging
-      return true;
+    if (this.isBoundary(prevDrive, policy)) {
+      return false;
     }
 
-    return false;
+    return this.classifyStop(prevDrive, currentDrive, gapMinutes, policy) !== 'excluded';
+  }
+
+  private isBoundary(drive: TessieDrive, policy: MergePolicy): boolean {
+    const stopNames = [drive.ending_saved_location, drive.ending_location]
+      .filter((name): name is string => !!name)
+      .map(name => name.trim().toLowerCase());
+    return policy.boundary_locations.some(location => stopNames.includes(location.trim().toLowerCase()));
+  }
+
+  // A battery gain during the stop suggests charging; this is a heuristic, not charging data
+  private classifyStop(
+    prevDrive: TessieDrive,
+    nextDrive: TessieDrive,
+    gapMinutes: number,
+    policy: MergePolicy
+  ): DriveStop['stop_type'] {
+    const batteryIncrease = nextDrive.starting_battery - prevDrive.ending_battery;
+    if (batteryIncrease > policy.charging_threshold_percent) return 'charging';
+    return gapMinutes < policy.max_gap_minutes ? 'short' : 'excluded';
   }
 
-  private createMergedDrive(drives: TessieDrive[]): MergedDrive {
+  private createMergedDrive(drives: TessieDrive[], policy: MergePolicy): MergedDrive {
     if (drives.length === 0) {
       throw new Error('Cannot create merged drive from empty array');
     }
@@ -115,13 +196,10 @@ export class DriveAnalyzer {
       const gapMinutes = (next.started_at - current.ended_at) / 60;
 
       if (gapMinutes > 0) {
-        const batteryChange = next.starting_battery - current.ending_battery;
-        const stopType = batteryChange > 5 ? 'charging' : gapMinutes < 7 ? 'short' : 'excluded';
-
         stops.push({
           location: current.ending_location,
           duration_minutes: Math.round(gapMinutes * 100) / 100,
-          stop_type: stopType,
+          stop_type: this.classifyStop(current, next, gapMinutes, policy),
           started_at: current.ended_at,
           ended_at: next.started_at
         });
@@ -156,47 +234,94 @@ export class DriveAnalyzer {
       autopilot_distance: Math.round(totalAutopilotDistance * 100) / 100,
       autopilot_percentage: totalDistance > 0 ? Math.round((totalAutopilotDistance / totalDistance) * 10000) / 100 : 0,
       energy_consumed: firstDrive.starting_battery - lastDrive.ending_battery,
+      energy_used_kwh: drives.every(d => typeof d.energy_used === 'number')
+        ? Math.round(drives.reduce((sum, d) => sum + d.energy_used!, 0) * 100) / 100
+        : null,
       average_speed: Math.round(averageSpeed * 100) / 100,
-      max_speed: Math.round(maxSpeed * 100) / 100
+      max_speed: Math.round(maxSpeed * 100) / 100,
+      tags: [...new Set(drives.map(d => d.tag).filter((tag): tag is string => !!tag))]
     };
   }
 
   /**
-   * Analyzes the most recent merged drive with comprehensive metrics
+   * Analyzes the most recent merged drive with comprehensive metrics. The summary is
+   * written in the given units, and drives are merged with the given policy; both
+   * default to the analyzer's settings. The pack capacity converts battery percentages
+   * to kWh for drives without measured energy.
    */
-  analyzeLatestDrive(drives: TessieDrive[]): DriveAnalysis | null {
+  analyzeLatestDrive(
+    drives: TessieDrive[],
+    units: UnitConverter = this.units,
+    policy: MergePolicy = this.mergePolicy,
+    capacity: PackCapacity = UNKNOWN_PACK_CAPACITY
+  ): DriveAnalysis | null {
     if (drives.length === 0) return null;
 
-    const mergedDrives = this.mergeDrives(drives);
+    const mergedDrives = this.mergeDrives(drives, policy);
     if (mergedDrives.length === 0) return null;
 
     // Get the most recent merged drive
-    const latestMerged = mergedDrives[mergedDrives.length - 1];
+    return this.analyzeMergedDrive(mergedDrives[mergedDrives.length - 1], units, capacity);
+  }
+
+  /**
+   * Merges the drives and analyzes the trip matching the target: the one containing the
+   * drive ID, or the one in progress at the timestamp, else the one starting nearest to it.
+   * Returns null when no trip matches.
+   */
+  analyzeDrive(
+    drives: TessieDrive[],
+    target: DriveTarget,
+    units: UnitConverter = this.units,
+    policy: MergePolicy = this.mergePolicy,
+    capacity: PackCapacity = UNKNOWN_PACK_CAPACITY
+  ): DriveAnalysis | null {
+    const mergedDrives = this.mergeDrives(drives, policy);
+
+    let match: MergedDrive | undefined;
+    if ('driveId' in target) {
+      match = mergedDrives.find(drive => drive.originalDriveIds.includes(target.driveId));
+    } else {
+      const distance = (drive: MergedDrive) => Math.abs(drive.started_at - target.timestamp);
+      match = mergedDrives.find(drive => drive.started_at <= target.timestamp && target.timestamp <= drive.ended_at) ||
+        [...mergedDrives].sort((a, b) => distance(a) - distance(b))[0];
+    }
+
+    return match ? this.analyzeMergedDrive(match, units, capacity) : null;
+  }
 
+  private analyzeMergedDrive(drive: MergedDrive, units: UnitConverter, capacity: PackCapacity): DriveAnalysis {
     // Calculate battery consumption analysis
-    const batteryConsumption = this.analyzeBatteryConsumption(latestMerged);
+    const batteryConsumption = this.analyzeBatteryConsumption(drive, capacity);
 
     // Calculate FSD analysis
-    const fsdAnalysis = this.analyzeFSDUsage(latestMerged);
+    const fsdAnalysis = this.analyzeFSDUsage(drive);
 
     // Generate summary
-    const summary = this.generateDriveSummary(latestMerged, batteryConsumption, fsdAnalysis);
+    const summary = this.generateDriveSummary(drive, batteryConsumption, fsdAnalysis, units);
 
     return {
-      mergedDrive: latestMerged,
+      mergedDrive: drive,
       batteryConsumption,
       fsdAnalysis,
       summary
     };
   }
 
-  private analyzeBatteryConsumption(drive: MergedDrive) {
+  /**
+   * Battery percentage used by a merged drive and the energy it took: Tessie's measured
+   * energy_used when available, otherwise the percentage of the given pack capacity
+   */
+  analyzeBatteryConsumption(
+    drive: MergedDrive,
+    capacity: PackCapacity = UNKNOWN_PACK_CAPACITY
+  ): DriveAnalysis['batteryConsumption'] {
     const percentageUsed = Math.round((drive.energy_consumed) * 100) / 100;
+    const measured = drive.energy_used_kwh !== null;
 
-    // Estimate kWh usage (rough Tesla Model 3/Y approximation: ~75-100kWh total capacity)
-    // This is an approximation - actual capacity varies by model and year
-    const estimatedTotalCapacity = 75; // kWh - conservative estimate
-    const estimatedKwhUsed = Math.round((percentageUsed / 100) * estimatedTotalCapacity * 100) / 100;
+    const estimatedKwhUsed = measured
+      ? drive.energy_used_kwh!
+      : Math.round((percentageUsed / 100) * capacity.kwh * 100) / 100;
 
     const efficiency = drive.total_distance > 0 && estimatedKwhUsed > 0
       ? Math.round((drive.total_distance / estimatedKwhUsed) * 100) / 100
@@ -205,7 +330,11 @@ export class DriveAnalyzer {
     return {
       percentage_used: percentageUsed,
       estimated_kwh_used: estimatedKwhUsed,
-      efficiency_miles_per_kwh: efficiency
+      efficiency_miles_per_kwh: efficiency,
+      method: measured ? 'measured' : 'pack_capacity',
+      confidence: measured ? 'high' : capacityConfidence(capacity),
+      pack_capacity_kwh: measured ? undefined : capacity.kwh,
+      pack_capacity_source: measured ? undefined : capacity.source
     };
   }
 
@@ -225,9 +354,11 @@ export class DriveAnalyzer {
 
   private generateDriveSummary(
     drive: MergedDrive,
-    battery: { percentage_used: number; estimated_kwh_used: number; efficiency_miles_per_kwh?: number },
-    fsd: { total_autopilot_miles: number; fsd_percentage: number; autopilot_available: boolean; note?: string }
+    battery: DriveAnalysis['batteryConsumption'],
+    fsd: { total_autopilot_miles: number; fsd_percentage: number; autopilot_available: boolean; note?: string },
+    units: UnitConverter
   ): string {
+    const { labels } = units;
     const duration = drive.total_duration_minutes;
     const drivingTime = drive.driving_duration_minutes;
     const stopTime = duration - drivingTime;
@@ -247,16 +378,19 @@ export class DriveAnalyzer {
       summary += `\n`;
     }
 
-    summary += `• Distance: ${drive.total_distance} miles\n`;
-    summary += `• Average speed: ${drive.average_speed} mph (max: ${drive.max_speed} mph)\n`;
-    summary += `• Battery used: ${battery.percentage_used}% (≈${battery.estimated_kwh_used} kWh)\n`;
+    summary += `• Distance: ${units.distance(drive.total_distance)} ${labels.distance}\n`;
+    summary += `• Average speed: ${units.speed(drive.average_speed)} ${labels.speed} (max: ${units.speed(drive.max_speed)} ${labels.speed})\n`;
+    summary += battery.method === 'measured'
+      ? `• Battery used: ${battery.percentage_used}% (${battery.estimated_kwh_used} kWh measured)\n`
+      : `• Battery used: ${battery.percentage_used}% (≈${battery.estimated_kwh_used} kWh)\n`;
 
-    if (battery.efficiency_miles_per_kwh) {
-      summary += `• Efficiency: ${battery.efficiency_miles_per_kwh} mi/kWh\n`;
+    const efficiency = units.efficiency(drive.total_distance, battery.estimated_kwh_used);
+    if (efficiency) {
+      summary += `• Efficiency: ${efficiency} ${labels.efficiency}\n`;
     }
 
     if (fsd.autopilot_available && fsd.total_autopilot_miles > 0) {
-      summary += `• FSD/Autopilot: ${fsd.total_autopilot_miles} miles (${fsd.fsd_percentage}% of drive)`;
+      summary += `• FSD/Autopilot: ${units.distance(fsd.total_autopilot_miles)} ${labels.distance} (${fsd.fsd_percentage}% of drive)`;
     } else {
       summary += `• FSD/Autopilot: ${fsd.note || 'Data not available'}`;
     }
@@ -0,0 +1,140 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { isMissing, vehicleDataDir, writeJsonFile } from './history-store.js';
+import { TessieDrive } from './tessie-client.js';
+
+// What the user has said about individual drives, kept per VIN in
+// <dataDir>/<vin>/annotations.json. Without a data directory annotations last until restart.
+
+export type TripPurpose = 'business' | 'personal';
+
+export const TRIP_PURPOSES: [TripPurpose, ...TripPurpose[]] = ['business', 'personal'];
+
+export interface DriveAnnotation {
+  purpose?: TripPurpose; // Overrides the mileage classification rules
+  purpose_note?: string; // Business purpose for the mileage log, e.g. "Client meeting"
+  tags?: string[]; // Local tags, alongside the one Tessie keeps
+  note?: string; // Free text, e.g. "Client visit – Acme"
+  updated_at: number; // Unix seconds
+}
+
+// null clears a field
+export type DriveAnnotationChanges = { [K in Exclude<keyof DriveAnnotation, 'updated_at'>]?: DriveAnnotation[K] | null };
+
+type VehicleAnnotations = Record<string, DriveAnnotation>;
+
+const sameTag = (a: string, b: string) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+export const hasTag = (tags: string[], tag: string) => tags.some(t => sameTag(t, tag));
+
+/**
+ * Trimmed tags without blanks or duplicates that differ only in case; the first spelling wins
+ */
+export function uniqueTags(tags: Array<string | undefined>): string[] {
+  return tags.reduce<string[]>((unique, tag) => {
+    const trimmed = tag?.trim();
+    return trimmed && !hasTag(unique, trimmed) ? [...unique, trimmed] : unique;
+  }, []);
+}
+
+/**
+ * Tessie's tag and the local tags of a drive
+ */
+export function driveTags(drive: Pick<TessieDrive, 'tag'>, annotation?: DriveAnnotation): string[] {
+  return uniqueTags([drive.tag, ...(annotation?.tags ?? [])]);
+}
+
+export class DriveAnnotationStore {
+  private annotations = new Map<string, Promise<VehicleAnnotations>>();
+  private writes = new Map<string, Promise<void>>();
+
+  constructor(private dataDir: string | null, private now: () => number = Date.now) {}
+
+  get persistent(): boolean {
+    return this.dataDir !== null;
+  }
+
+  /**
+   * Annotations for every drive of the vehicle, keyed by drive ID
+   */
+  async forVehicle(vin: string): Promise<Map<number, DriveAnnotation>> {
+    const annotations = await this.load(vin);
+    return new Map(Object.entries(annotations).map(([id, annotation]) => [Number(id), annotation]));
+  }
+
+  update(vin: string, driveId: number, changes: DriveAnnotationChanges): Promise<DriveAnnotation> {
+    return this.modify(vin, driveId, () => changes);
+  }
+
+  /**
+   * Adds and removes local tags, matching case-insensitively. Tessie's own tag is left alone.
+   */
+  tag(vin: string, driveId: number, add: string[], remove: string[] = []): Promise<DriveAnnotation> {
+    return this.modify(vin, driveId, current => {
+      const tags = uniqueTags([...(current?.tags ?? []), ...add]).filter(tag => !hasTag(remove, tag));
+      return { tags: tags.length > 0 ? tags : null };
+    });
+  }
+
+  // Changes are worked out from the loaded annotation in the same tick they are applied, so
+  // concurrent calls for one drive never overwrite each other
+  private async modify(
+    vin: string,
+    driveId: number,
+    changesFor: (current: DriveAnnotation | undefined) => DriveAnnotationChanges
+  ): Promise<DriveAnnotation> {
+    const annotations = await this.load(vin);
+    const changes = changesFor(annotations[driveId]);
+    const updated: Record<string, unknown> = { ...annotations[driveId] };
+    for (const [field, value] of Object.entries(changes)) {
+      if (value === null) {
+        delete updated[field];
+      } else if (value !== undefined) {
+        updated[field] = value;
+      }
+    }
+    updated.updated_at = Math.floor(this.now() / 1000);
+    annotations[driveId] = updated as unknown as DriveAnnotation;
+
+    await this.save(vin, annotations);
+    return annotations[driveId];
+  }
+
+  private load(vin: string): Promise<VehicleAnnotations> {
+    // The promise is cached, so calls racing the first read share one object
+    let loading = this.annotations.get(vin);
+    if (!loading) {
+      loading = this.read(vin).catch(error => {
+        this.annotations.delete(vin);
+        throw error;
+      });
+      this.annotations.set(vin, loading);
+    }
+    return loading;
+  }
+
+  private async read(vin: string): Promise<VehicleAnnotations> {
+    if (!this.dataDir) return {};
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(vin), 'utf8'));
+    } catch (error) {
+      if (isMissing(error)) return {};
+      throw error;
+    }
+  }
+
+  private save(vin: string, annotations: VehicleAnnotations): Promise<void> {
+    if (!this.dataDir) return Promise.resolve();
+
+    // Chain writes per vehicle so an older snapshot never lands after a newer one
+    const write = (this.writes.get(vin) || Promise.resolve())
+      .catch(() => undefined)
+      .then(() => writeJsonFile(this.filePath(vin), annotations));
+    this.writes.set(vin, write);
+    return write;
+  }
+
+  private filePath(vin: string): string {
+    return path.join(vehicleDataDir(this.dataDir!, vin), 'annotations.json');
+  }
+}
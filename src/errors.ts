@@ -0,0 +1,265 @@
+import axios from 'axios';
+
+export type TessieErrorCode =
+  | 'AUTH_INVALID'
+  | 'VEHICLE_NOT_FOUND'
+  | 'DRIVE_NOT_FOUND'
+  | 'VEHICLE_ASLEEP'
+  | 'RATE_LIMITED'
+  | 'UPSTREAM_TIMEOUT'
+  | 'MALFORMED_RESPONSE'
+  | 'UPSTREAM_ERROR'
+  | 'COMMANDS_DISABLED'
+  | 'HISTORY_DISABLED'
+  | 'CONFIRMATION_REQUIRED'
+  | 'NO_DATA'
+  | 'INVALID_ARGUMENT'
+  | 'INTERNAL_ERROR';
+
+/**
+ * Base class for every failure surfaced by TessieClient. The code is stable and
+ * safe to branch on; the hint tells the assistant what to do next.
+ */
+export class TessieError extends Error {
+  readonly code: TessieErrorCode;
+  readonly hint: string;
+  readonly status?: number;
+
+  constructor(code: TessieErrorCode, message: string, hint: string, status?: number) {
+    super(message);
+    this.name = new.target.name;
+    this.code = code;
+    this.hint = hint;
+    this.status = status;
+  }
+}
+
+export class TessieAuthError extends TessieError {
+  constructor(message: string, status?: number) {
+    super(
+      'AUTH_INVALID',
+      message,
+      'The Tessie API token is missing, invalid or revoked. Ask the user to generate a new token at https://dash.tessie.com/settings/api and update the server configuration.',
+      status
+    );
+  }
+}
+
+export class VehicleNotFoundError extends TessieError {
+  readonly vin?: string;
+
+  constructor(message: string, vin?: string, status?: number) {
+    super(
+      'VEHICLE_NOT_FOUND',
+      message,
+      'The VIN is not on this Tessie account. Call get_vehicles to list the available VINs and ask the user which vehicle they mean.',
+      status
+    );
+    this.vin = vin;
+  }
+}
+
+export class DriveNotFoundError extends TessieError {
+  constructor(message: string) {
+    super(
+      'DRIVE_NOT_FOUND',
+      message,
+      'No drive with that ID was found in the searched history. Call get_driving_history to find a valid drive ID.'
+    );
+  }
+}
+
+export class VehicleAsleepError extends TessieError {
+  constructor(message: string, status?: number) {
+    super(
+      'VEHICLE_ASLEEP',
+      message,
+      'The vehicle is asleep or offline. Retry with use_cache enabled to read the last known state without waking it.',
+      status
+    );
+  }
+}
+
+export class RateLimitError extends TessieError {
+  readonly retryAfterSeconds?: number;
+
+  constructor(message: string, retryAfterSeconds?: number) {
+    super(
+      'RATE_LIMITED',
+      message,
+      retryAfterSeconds !== undefined
+        ? `Tessie is rate limiting requests. Wait ${retryAfterSeconds} seconds before retrying, or narrow the date range.`
+        : 'Tessie is rate limiting requests. Wait a minute before retrying, or narrow the date range.',
+      429
+    );
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+export class UpstreamTimeoutError extends TessieError {
+  constructor(message: string, status?: number) {
+    super(
+      'UPSTREAM_TIMEOUT',
+      message,
+      'Tessie did not respond in time. Retry shortly, or request a smaller date range.',
+      status
+    );
+  }
+}
+
+export class MalformedResponseError extends TessieError {
+  constructor(message: string) {
+    super(
+      'MALFORMED_RESPONSE',
+      message,
+      'Tessie returned data in an unexpected format. Retry later; if it persists the Tessie API may have changed.'
+    );
+  }
+}
+
+export class UpstreamError extends TessieError {
+  constructor(message: string, status?: number) {
+    super(
+      'UPSTREAM_ERROR',
+      message,
+      'The Tessie API reported an error. Retry later or check https://status.tessie.com.',
+      status
+    );
+  }
+}
+
+export class CommandsDisabledError extends TessieError {
+  constructor(message: string) {
+    super(
+      'COMMANDS_DISABLED',
+      message,
+      'This command is disabled in the server configuration. Tell the user it must be enabled by whoever configures this MCP server; do not retry.'
+    );
+  }
+}
+
+export class HistoryDisabledError extends TessieError {
+  constructor(message: string) {
+    super(
+      'HISTORY_DISABLED',
+      message,
+      'The local history store is not configured. Tell the user it is enabled by setting dataDir in the server configuration; the other tools still work against Tessie directly.'
+    );
+  }
+}
+
+export class ConfirmationRequiredError extends TessieError {
+  constructor(message: string) {
+    super(
+      'CONFIRMATION_REQUIRED',
+      message,
+      'Describe the action to the user and ask them to confirm, then call the tool again with confirm set to true or with the confirmation_token from a dry run.'
+    );
+  }
+}
+
+export class NoDataError extends TessieError {
+  constructor(message: string) {
+    super(
+      'NO_DATA',
+      message,
+      'Nothing was recorded in the searched period. Widen the range (for example increase days_back) or check that the vehicle has been driven recently.'
+    );
+  }
+}
+
+export class InvalidArgumentError extends TessieError {
+  constructor(message: string) {
+    super(
+      'INVALID_ARGUMENT',
+      message,
+      'The tool arguments are inconsistent or malformed. Correct them as described in the message and call the tool again.'
+    );
+  }
+}
+
+const ASLEEP_PATTERN = /asleep|offline|unavailable|not online/i;
+const TIMEOUT_CODES = new Set(['ECONNABORTED', 'ETIMEDOUT']);
+
+/**
+ * Maps any error thrown while calling Tessie to the matching TessieError subclass
+ */
+export function toTessieError(error: unknown, action: string, vin?: string): TessieError {
+  if (error instanceof TessieError) return error;
+
+  if (!axios.isAxiosError(error)) {
+    const detail = error instanceof Error ? error.message : String(error);
+    return new UpstreamError(`Failed to ${action}: ${detail}`);
+  }
+
+  const status = error.response?.status;
+  const body = error.response?.data;
+  const upstreamMessage = typeof body === 'string'
+    ? body
+    : body && typeof body === 'object' && 'error' in body
+      ? String((body as { error: unknown }).error)
+      : error.message;
+  const message = `Failed to ${action}: ${upstreamMessage}`;
+
+  if (!error.response) {
+    if (error.code && TIMEOUT_CODES.has(error.code)) {
+      return new UpstreamTimeoutError(message);
+    }
+    return new UpstreamError(message);
+  }
+
+  if (status === 401 || status === 403) {
+    return new TessieAuthError(message, status);
+  }
+
+  if (status === 404) {
+    return vin
+      ? new VehicleNotFoundError(`Vehicle ${vin} was not found on this account`, vin, status)
+      : new UpstreamError(message, status);
+  }
+
+  if (status === 429) {
+    const retryAfter = Number(error.response.headers?.['retry-after']);
+    return new RateLimitError(message, Number.isFinite(retryAfter) ? retryAfter : undefined);
+  }
+
+  if (ASLEEP_PATTERN.test(upstreamMessage)) {
+    return new VehicleAsleepError(message, status);
+  }
+
+  if (status === 408 || status === 504) {
+    return new UpstreamTimeoutError(message, status);
+  }
+
+  return new UpstreamError(message, status);
+}
+
+/**
+ * Converts a failure into an MCP tool result flagged with isError, so the model
+ * sees the error code and hint instead of an opaque exception
+ */
+export function toToolError(error: unknown, action: string) {
+  const tessieError = error instanceof TessieError
+    ? error
+    : new TessieError(
+      'INTERNAL_ERROR',
+      `Failed to ${action}: ${error instanceof Error ? error.message : String(error)}`,
+      'An unexpected error occurred inside the MCP server. Retry the request; if it persists, report it.'
+    );
+
+  return {
+    isError: true,
+    content: [
+      {
+        type: 'text' as const,
+        text: JSON.stringify({
+          error: {
+            code: tessieError.code,
+            message: tessieError.message,
+            hint: tessieError.hint,
+          },
+        }),
+      },
+    ],
+  };
+}
@@ -0,0 +1,236 @@
+import { TessieCharge, TessieDrive, TessiePathPoint } from './tessie-client.js';
+import { chargeCost, classifyCharge } from './charging.js';
+import { formatZonedIso, localDateKey } from './time-zones.js';
+import { UnitConverter } from './units.js';
+import { MileageLogEntry } from './mileage-log.js';
+import { DriveAnnotation, driveTags } from './drive-annotations.js';
+import { TariffCost } from './tariffs.js';
+
+// File-format exports: drives and charges as CSV, driving paths as GPX tracks or KML placemarks.
+// Column names and order are a stable spec; units follow the converter and are reported alongside.
+
+export type ExportFormat = 'csv' | 'gpx' | 'kml';
+
+export const EXPORT_MIME_TYPES: Record<ExportFormat, string> = {
+  csv: 'text/csv',
+  gpx: 'application/gpx+xml',
+  kml: 'application/vnd.google-earth.kml+xml'
+};
+
+export interface ExportContext {
+  units: UnitConverter;
+  timeZone: string;
+  homeLocations?: string[];
+  pricePerKwh?: number;
+  tariffCosts?: Map<number, TariffCost>; // Tariff prices by charge ID
+  annotations?: Map<number, DriveAnnotation>; // Local tags and notes by drive ID
+}
+
+/**
+ * File name for an exported document: the VIN, what it holds and the local days it covers.
+ * Anything but letters, digits, dashes and underscores is replaced, so the name stays a
+ * plain file name inside the export directory.
+ */
+export function exportFilename(
+  vin: string,
+  label: string,
+  startDate: string,
+  endDate: string,
+  timeZone: string,
+  extension: string
+): string {
+  const safe = (value: string) => value.replace(/[^A-Za-z0-9_-]/g, '_');
+  const day = (value: string) => localDateKey(new Date(value), timeZone);
+  return `${safe(vin)}-${safe(label)}-${day(startDate)}-${day(endDate)}.${safe(extension)}`;
+}
+
+type CsvValue = string | number | boolean | null | undefined;
+
+export interface CsvColumn<T> {
+  name: string;
+  value: (row: T, context: ExportContext) => CsvValue;
+}
+
+export interface PathTrack {
+  name: string;
+  description?: string;
+  points: TessiePathPoint[];
+}
+
+const time = (seconds: number, context: ExportContext) => formatZonedIso(new Date(seconds * 1000), context.timeZone);
+
+// Several tags share one cell
+const tagList = (tags: string[]) => tags.join('; ');
+
+export const DRIVE_CSV_COLUMNS: CsvColumn<TessieDrive>[] = [
+  { name: 'id', value: drive => drive.id },
+  { name: 'start_time', value: (drive, context) => time(drive.started_at, context) },
+  { name: 'end_time', value: (drive, context) => time(drive.ended_at, context) },
+  { name: 'starting_location', value: drive => drive.starting_saved_location || drive.starting_location },
+  { name: 'ending_location', value: drive => drive.ending_saved_location || drive.ending_location },
+  { name: 'starting_odometer', value: (drive, { units }) => units.distance(drive.starting_odometer) },
+  { name: 'ending_odometer', value: (drive, { units }) => units.distance(drive.ending_odometer) },
+  { name: 'distance', value: (drive, { units }) => units.distance(drive.odometer_distance) },
+  { name: 'duration_minutes', value: drive => Math.round((drive.ended_at - drive.started_at) / 60) },
+  { name: 'starting_battery', value: drive => drive.starting_battery },
+  { name: 'ending_battery', value: drive => drive.ending_battery },
+  { name: 'energy_used_kwh', value: drive => drive.energy_used },
+  { name: 'average_speed', value: (drive, { units }) => units.speed(drive.average_speed) },
+  { name: 'max_speed', value: (drive, { units }) => units.speed(drive.max_speed) },
+  { name: 'autopilot_distance', value: (drive, { units }) => units.distance(drive.autopilot_distance) },
+  { name: 'average_outside_temperature', value: (drive, { units }) => units.temperature(drive.average_outside_temperature) },
+  { name: 'tag', value: drive => drive.tag },
+  { name: 'tags', value: (drive, context) => tagList(driveTags(drive, context.annotations?.get(drive.id))) },
+  { name: 'note', value: (drive, context) => context.annotations?.get(drive.id)?.note }
+];
+
+export const CHARGE_CSV_COLUMNS: CsvColumn<TessieCharge>[] = [
+  { name: 'id', value: charge => charge.id },
+  { name: 'start_time', value: (charge, context) => time(charge.started_at, context) },
+  { name: 'end_time', value: (charge, context) => time(charge.ended_at, context) },
+  { name: 'location', value: charge => charge.saved_location || charge.location },
+  { name: 'location_type', value: (charge, context) => classifyCharge(charge, context.homeLocations) },
+  { name: 'odometer', value: (charge, { units }) => units.distance(charge.odometer) },
+  { name: 'starting_battery', value: charge => charge.starting_battery },
+  { name: 'ending_battery', value: charge => charge.ending_battery },
+  { name: 'energy_added_kwh', value: charge => charge.energy_added },
+  { name: 'energy_used_kwh', value: charge => charge.energy_used },
+  { name: 'range_added', value: (charge, { units }) => units.distance(charge.miles_added) },
+  { name: 'cost', value: (charge, context) => chargeCost(charge, context.pricePerKwh, context.tariffCosts?.get(charge.id)).cost },
+  { name: 'cost_source', value: (charge, context) => chargeCost(charge, context.pricePerKwh, context.tariffCosts?.get(charge.id)).source }
+];
+
+export const MILEAGE_LOG_CSV_COLUMNS: CsvColumn<MileageLogEntry>[] = [
+  { name: 'date', value: entry => entry.date },
+  { name: 'start_time', value: entry => entry.start_time },
+  { name: 'end_time', value: entry => entry.end_time },
+  { name: 'start_address', value: entry => entry.start_address },
+  { name: 'end_address', value: entry => entry.end_address },
+  { name: 'starting_odometer', value: (entry, { units }) => units.distance(entry.starting_odometer) },
+  { name: 'ending_odometer', value: (entry, { units }) => units.distance(entry.ending_odometer) },
+  { name: 'distance', value: (entry, { units }) => units.distance(entry.miles) },
+  { name: 'purpose', value: entry => entry.purpose },
+  { name: 'description', value: entry => entry.description },
+  { name: 'classified_by', value: entry => entry.rule ? `${entry.classified_by}: ${entry.rule}` : entry.classified_by },
+  { name: 'drive_id', value: entry => entry.drive_id },
+  { name: 'tags', value: entry => tagList(entry.tags) },
+  { name: 'note', value: entry => entry.note }
+];
+
+function csvCell(value: CsvValue): string {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * RFC 4180 CSV with a header row and CRLF line endings
+ */
+export function toCsv<T>(columns: CsvColumn<T>[], rows: T[], context: ExportContext): string {
+  const lines = [
+    columns.map(column => csvCell(column.name)).join(','),
+    ...rows.map(row => columns.map(column => csvCell(column.value(row, context))).join(','))
+  ];
+  return lines.join('\r\n') + '\r\n';
+}
+
+const xmlEscape = (text: string) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const pointTime = (point: TessiePathPoint) =>
+  new Date(typeof point.timestamp === 'number' ? point.timestamp * 1000 : Date.parse(point.timestamp));
+
+const pointsWithTime = (points: TessiePathPoint[]) =>
+  points.filter(point => !Number.isNaN(pointTime(point).getTime()));
+
+/**
+ * GPX 1.1 with one track per drive; speed, battery level and heading go in per-point extensions
+ */
+export function toGpx(tracks: PathTrack[], context: ExportContext, title: string): string {
+  const { speed } = context.units.labels;
+  const trackXml = tracks.map(track => {
+    const points = pointsWithTime(track.points).map(point => {
+      const extensions = [
+        point.speed !== undefined ? `<tessie:speed>${context.units.speed(point.speed)}</tessie:speed>` : '',
+        point.battery_level !== undefined ? `<tessie:battery_level>${point.battery_level}</tessie:battery_level>` : '',
+        point.heading !== undefined ? `<tessie:heading>${point.heading}</tessie:heading>` : ''
+      ].join('');
+      return `      <trkpt lat="${point.latitude}" lon="${point.longitude}">` +
+        `<time>${pointTime(point).toISOString()}</time>` +
+        (extensions ? `<extensions>${extensions}</extensions>` : '') +
+        '</trkpt>';
+    });
+    return [
+      '  <trk>',
+      `    <name>${xmlEscape(track.name)}</name>`,
+      ...(track.description ? [`    <desc>${xmlEscape(track.description)}</desc>`] : []),
+      '    <trkseg>',
+      ...points,
+      '    </trkseg>',
+      '  </trk>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="tessie-mcp-server" xmlns="http://www.topografix.com/GPX/1/1" xmlns:tessie="urn:tessie-mcp:gpx:1">',
+    `  <metadata><name>${xmlEscape(title)}</name><desc>Speeds in ${xmlEscape(speed)}, battery level in percent</desc></metadata>`,
+    ...trackXml,
+    '</gpx>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * KML 2.2 with one placemark per drive, each a gx:Track whose speed and battery level are
+ * per-point arrays in ExtendedData
+ */
+export function toKml(tracks: PathTrack[], context: ExportContext, title: string): string {
+  const { speed } = context.units.labels;
+  const placemarks = tracks.map(track => {
+    const points = pointsWithTime(track.points);
+    const arrays = [
+      { name: 'speed', values: points.map(point => context.units.speed(point.speed)) },
+      { name: 'battery_level', values: points.map(point => point.battery_level) }
+    ].map(({ name, values }) => [
+      `          <gx:SimpleArrayData name="${name}">`,
+      ...values.map(value => `            <gx:value>${value ?? ''}</gx:value>`),
+      '          </gx:SimpleArrayData>'
+    ].join('\n'));
+
+    return [
+      '    <Placemark>',
+      `      <name>${xmlEscape(track.name)}</name>`,
+      ...(track.description ? [`      <description>${xmlEscape(track.description)}</description>`] : []),
+      '      <gx:Track>',
+      ...points.map(point => `        <when>${pointTime(point).toISOString()}</when>`),
+      ...points.map(point => `        <gx:coord>${point.longitude} ${point.latitude} 0</gx:coord>`),
+      '        <ExtendedData>',
+      '          <SchemaData schemaUrl="#tessie_path">',
+      ...arrays,
+      '          </SchemaData>',
+      '        </ExtendedData>',
+      '      </gx:Track>',
+      '    </Placemark>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+    '  <Document>',
+    `    <name>${xmlEscape(title)}</name>`,
+    '    <Schema id="tessie_path">',
+    `      <gx:SimpleArrayField name="speed" type="float"><displayName>Speed (${xmlEscape(speed)})</displayName></gx:SimpleArrayField>`,
+    '      <gx:SimpleArrayField name="battery_level" type="int"><displayName>Battery (%)</displayName></gx:SimpleArrayField>',
+    '    </Schema>',
+    ...placemarks,
+    '  </Document>',
+    '</kml>',
+    ''
+  ].join('\n');
+}
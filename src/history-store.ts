@@ -0,0 +1,329 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { TessieCharge, TessieClient, TessieDrive, TessieIdle, TessieVehicleState } from './tessie-client.js';
+
+// Local copy of each vehicle's history, kept as append-only JSON Lines files under a data
+// directory so analytics over long ranges read from disk instead of re-downloading it.
+//
+//   <dataDir>/<vin>/drives.jsonl    one record per line; a later line with the same key wins
+//   <dataDir>/<vin>/sync.json       when each kind was last synced and the newest record seen
+
+export type HistoryKind = 'drives' | 'charges' | 'idles' | 'states';
+
+export const HISTORY_KINDS: [HistoryKind, ...HistoryKind[]] = ['drives', 'charges', 'idles', 'states'];
+
+interface HistoryRecords {
+  drives: TessieDrive;
+  charges: TessieCharge;
+  idles: TessieIdle;
+  states: TessieVehicleState;
+}
+
+/**
+ * The history reads analytics need; served by TessieClient directly or by a HistoryStore
+ */
+export type HistorySource = Pick<TessieClient, 'getAllDrives' | 'getAllCharges' | 'getIdles' | 'getVehicleStates'>;
+
+export interface SyncState {
+  synced_at: number; // Unix seconds
+  latest: number | null; // Start time of the newest record, unix seconds
+  earliest?: number | null; // Start of the synced range, unix seconds; null for the full history
+  records: number;
+}
+
+export interface SyncResult {
+  kind: HistoryKind;
+  from: string | null; // Start of the fetched range; null for the full history
+  fetched: number;
+  added: number;
+  updated: number;
+  total: number;
+  latest: number | null;
+}
+
+export interface HistoryStoreOptions {
+  maxAgeMinutes?: number;
+  initialStateDays?: number;
+  now?: () => number; // Milliseconds, for tests
+}
+
+// Reads sync first when the local copy is older than this
+export const DEFAULT_HISTORY_MAX_AGE_MINUTES = 15;
+// State history is dense, so a first sync only goes back this far
+export const DEFAULT_INITIAL_STATE_DAYS = 30;
+// Re-fetch a day before the newest record to pick up drives and charges that were still open
+const SYNC_OVERLAP_SECONDS = 24 * 3600;
+
+const keyOf = <K extends HistoryKind>(kind: K, record: HistoryRecords[K]): number =>
+  kind === 'states' ? (record as TessieVehicleState).timestamp ?? 0 : (record as { id: number }).id;
+
+const timeOf = <K extends HistoryKind>(kind: K, record: HistoryRecords[K]): number =>
+  kind === 'states' ? (record as TessieVehicleState).timestamp ?? 0 : (record as { started_at: number }).started_at;
+
+export const isMissing = (error: unknown) => (error as NodeJS.ErrnoException).code === 'ENOENT';
+
+/**
+ * A vehicle's folder under the data directory. VINs are alphanumeric; anything else is
+ * replaced so a VIN argument cannot escape the data directory.
+ */
+export function vehicleDataDir(dataDir: string, vin: string): string {
+  return path.join(dataDir, vin.replace(/[^A-Za-z0-9_-]/g, '_'));
+}
+
+/**
+ * Replaces a JSON file in one step, so readers never see it half written
+ */
+export async function writeJsonFile(file: string, data: unknown): Promise<void> {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(`${file}.tmp`, JSON.stringify(data, null, 2), 'utf8');
+  await fs.rename(`${file}.tmp`, file);
+}
+
+export class HistoryStore implements HistorySource {
+  private records = new Map<string, Map<number, unknown>>();
+  private syncStates = new Map<string, Partial<Record<HistoryKind, SyncState>>>();
+  private inFlight = new Map<string, Promise<SyncResult>>();
+  private maxAgeSeconds: number;
+  private initialStateDays: number;
+  private now: () => number;
+
+  constructor(
+    private client: TessieClient,
+    readonly dataDir: string,
+    options: HistoryStoreOptions = {}
+  ) {
+    this.maxAgeSeconds = (options.maxAgeMinutes ?? DEFAULT_HISTORY_MAX_AGE_MINUTES) * 60;
+    this.initialStateDays = options.initialStateDays ?? DEFAULT_INITIAL_STATE_DAYS;
+    this.now = options.now ?? Date.now;
+  }
+
+  /**
+   * Fetches what changed since the last sync of each kind, or everything with full.
+   * Kinds are synced one after another to stay within the request budget.
+   */
+  async sync(vin: string, kinds: HistoryKind[] = HISTORY_KINDS, full: boolean = false): Promise<SyncResult[]> {
+    const results: SyncResult[] = [];
+    for (const kind of kinds) {
+      results.push(await this.syncKind(vin, kind, full));
+    }
+    return results;
+  }
+
+  async status(vin: string): Promise<Partial<Record<HistoryKind, SyncState>>> {
+    return { ...(await this.loadSyncState(vin)) };
+  }
+
+  async getAllDrives(vin: string, startDate?: string, endDate?: string): Promise<TessieDrive[]> {
+    return (await this.read(vin, 'drives', startDate, endDate)).reverse();
+  }
+
+  async getAllCharges(vin: string, startDate?: string, endDate?: string): Promise<TessieCharge[]> {
+    return (await this.read(vin, 'charges', startDate, endDate)).reverse();
+  }
+
+  async getIdles(vin: string, startDate?: string, endDate?: string): Promise<TessieIdle[]> {
+    return this.read(vin, 'idles', startDate, endDate);
+  }
+
+  async getVehicleStates(vin: string, startDate?: string, endDate?: string): Promise<TessieVehicleState[]> {
+    return this.read(vin, 'states', startDate, endDate);
+  }
+
+  /**
+   * Records whose start falls in the range, oldest first, syncing first if the copy is stale.
+   * A failed sync falls back to the local copy when there is one. A range starting before the
+   * synced one (state history only goes back initialStateDays at first) is backfilled.
+   */
+  private async read<K extends HistoryKind>(vin: string, kind: K, startDate?: string, endDate?: string): Promise<HistoryRecords[K][]> {
+    const state = (await this.loadSyncState(vin))[kind];
+    if (!state || this.nowSeconds() - state.synced_at > this.maxAgeSeconds) {
+      try {
+        await this.syncKind(vin, kind, false);
+      } catch (error) {
+        if (!state) throw error;
+      }
+    }
+
+    const start = startDate ? Date.parse(startDate) / 1000 : -Infinity;
+    const earliest = (await this.loadSyncState(vin))[kind]?.earliest;
+    if (startDate && earliest !== undefined && earliest !== null && start < earliest) {
+      // The local copy has nothing to fall back on for this part of the range
+      await this.backfill(vin, kind, Math.floor(start));
+    }
+
+    const end = endDate ? Date.parse(endDate) / 1000 : Infinity;
+    const records = [...(await this.load(vin, kind)).values()] as HistoryRecords[K][];
+    return records
+      .filter(record => timeOf(kind, record) >= start && timeOf(kind, record) <= end)
+      .sort((a, b) => timeOf(kind, a) - timeOf(kind, b));
+  }
+
+  private syncKind(vin: string, kind: HistoryKind, full: boolean): Promise<SyncResult> {
+    // One sync per file at a time, so concurrent reads never append the same records twice
+    const key = `${vin}/${kind}`;
+    const pending = this.inFlight.get(key);
+    if (pending) return pending;
+
+    const run = this.fetchAndAppend(vin, kind, full).finally(() => this.inFlight.delete(key));
+    this.inFlight.set(key, run);
+    return run;
+  }
+
+  /**
+   * Fetches the records between fromSeconds and the start of the synced range
+   */
+  private backfill(vin: string, kind: HistoryKind, fromSeconds: number): Promise<SyncResult> {
+    const key = `${vin}/${kind}/backfill`;
+    const pending = this.inFlight.get(key);
+    if (pending) return pending;
+
+    const run = this.fetchAndAppend(vin, kind, false, fromSeconds).finally(() => this.inFlight.delete(key));
+    this.inFlight.set(key, run);
+    return run;
+  }
+
+  private async fetchAndAppend<K extends HistoryKind>(
+    vin: string,
+    kind: K,
+    full: boolean,
+    backfillFrom?: number
+  ): Promise<SyncResult> {
+    const syncState = await this.loadSyncState(vin);
+    const previous = full ? undefined : syncState[kind];
+    let fromSeconds: number | undefined;
+    let toSeconds: number | undefined;
+    let earliest: number | null;
+    if (backfillFrom !== undefined && previous) {
+      fromSeconds = backfillFrom;
+      toSeconds = (previous.earliest ?? previous.synced_at) + SYNC_OVERLAP_SECONDS;
+      earliest = backfillFrom;
+    } else if (previous) {
+      fromSeconds = (previous.latest ?? previous.synced_at) - SYNC_OVERLAP_SECONDS;
+      earliest = previous.earliest !== undefined ? previous.earliest : this.earliestStored(kind, await this.load(vin, kind));
+    } else {
+      fromSeconds = kind === 'states' ? this.nowSeconds() - this.initialStateDays * 24 * 3600 : undefined;
+      earliest = fromSeconds ?? null;
+    }
+    const from = fromSeconds === undefined ? null : new Date(fromSeconds * 1000).toISOString();
+    const syncedAt = backfillFrom !== undefined && previous ? previous.synced_at : this.nowSeconds();
+
+    const fetched = await this.fetch(
+      vin,
+      kind,
+      from ?? undefined,
+      toSeconds === undefined ? undefined : new Date(toSeconds * 1000).toISOString()
+    );
+    const records = await this.load(vin, kind);
+    let added = 0;
+    let updated = 0;
+    const lines: string[] = [];
+
+    for (const record of fetched) {
+      const key = keyOf(kind, record);
+      const existing = records.get(key);
+      const line = JSON.stringify(record);
+      if (existing !== undefined && JSON.stringify(existing) === line) continue;
+
+      if (existing === undefined) {
+        added++;
+      } else {
+        updated++;
+      }
+      records.set(key, record);
+      lines.push(line);
+    }
+
+    await fs.mkdir(this.vehicleDir(vin), { recursive: true });
+    if (lines.length > 0) {
+      await fs.appendFile(this.filePath(vin, kind), lines.join('\n') + '\n', 'utf8');
+    }
+
+    const latest = [...records.values()].reduce<number | null>(
+      (newest, record) => Math.max(newest ?? -Infinity, timeOf(kind, record as HistoryRecords[K])),
+      null
+    );
+    syncState[kind] = { synced_at: syncedAt, latest, earliest, records: records.size };
+    await this.saveSyncState(vin, syncState);
+
+    return { kind, from, fetched: fetched.length, added, updated, total: records.size, latest };
+  }
+
+  /**
+   * Where a sync file written before ranges were tracked starts: only state history was
+   * fetched from a cut-off, so its oldest record stands in for it
+   */
+  private earliestStored(kind: HistoryKind, records: Map<number, unknown>): number | null {
+    if (kind !== 'states' || records.size === 0) return null;
+    return [...records.values()].reduce<number>(
+      (oldest, record) => Math.min(oldest, timeOf(kind, record as TessieVehicleState)),
+      Infinity
+    );
+  }
+
+  private fetch<K extends HistoryKind>(vin: string, kind: K, from?: string, to?: string): Promise<HistoryRecords[K][]> {
+    const fetchers: { [T in HistoryKind]: () => Promise<HistoryRecords[T][]> } = {
+      drives: () => this.client.getAllDrives(vin, from, to),
+      charges: () => this.client.getAllCharges(vin, from, to),
+      idles: () => this.client.getIdles(vin, from, to),
+      states: () => this.client.getVehicleStates(vin, from, to)
+    };
+    return fetchers[kind]() as Promise<HistoryRecords[K][]>;
+  }
+
+  private async load(vin: string, kind: HistoryKind): Promise<Map<number, unknown>> {
+    const cacheKey = `${vin}/${kind}`;
+    const cached = this.records.get(cacheKey);
+    if (cached) return cached;
+
+    const records = new Map<number, unknown>();
+    try {
+      const content = await fs.readFile(this.filePath(vin, kind), 'utf8');
+      for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          const record = JSON.parse(line);
+          records.set(keyOf(kind, record), record);
+        } catch {
+          // A line cut short by an interrupted write; the next sync fetches the record again
+        }
+      }
+    } catch (error) {
+      if (!isMissing(error)) throw error;
+    }
+
+    this.records.set(cacheKey, records);
+    return records;
+  }
+
+  private async loadSyncState(vin: string): Promise<Partial<Record<HistoryKind, SyncState>>> {
+    const cached = this.syncStates.get(vin);
+    if (cached) return cached;
+
+    let state: Partial<Record<HistoryKind, SyncState>> = {};
+    try {
+      state = JSON.parse(await fs.readFile(path.join(this.vehicleDir(vin), 'sync.json'), 'utf8'));
+    } catch (error) {
+      // A missing or unreadable sync file only means the next read syncs again
+      if (!isMissing(error) && !(error instanceof SyntaxError)) throw error;
+    }
+
+    this.syncStates.set(vin, state);
+    return state;
+  }
+
+  private async saveSyncState(vin: string, state: Partial<Record<HistoryKind, SyncState>>): Promise<void> {
+    await writeJsonFile(path.join(this.vehicleDir(vin), 'sync.json'), state);
+  }
+
+  private vehicleDir(vin: string): string {
+    return vehicleDataDir(this.dataDir, vin);
+  }
+
+  private filePath(vin: string, kind: HistoryKind): string {
+    return path.join(this.vehicleDir(vin), `${kind}.jsonl`);
+  }
+
+  private nowSeconds(): number {
+    return Math.floor(this.now() / 1000);
+  }
+}
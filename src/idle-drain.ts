@@ -0,0 +1,180 @@
+import { TessieIdle, TessieVehicleState } from './tessie-client.js';
+import { GENERIC_PACK_KWH } from './pack-capacity.js';
+import { round } from './stats.js';
+
+// Battery lost while parked ("vampire drain"), per idle period, per cause and per location.
+// Temperatures are in °C, Tessie's native unit.
+
+export type DrainCause = 'sentry' | 'climate' | 'cold';
+
+export const DRAIN_CAUSES: DrainCause[] = ['sentry', 'climate', 'cold'];
+
+export interface IdleDrain {
+  id: number;
+  started_at: number;
+  ended_at: number;
+  location: string;
+  hours: number;
+  battery_lost_percent: number;
+  percent_per_day: number;
+  kwh_lost: number;
+  kwh_per_day: number;
+  // Null when neither the idle nor the state history says
+  sentry_fraction: number | null;
+  climate_fraction: number | null;
+  average_outside_temp: number | null;
+  causes: DrainCause[];
+}
+
+export interface DrainRate {
+  idles: number;
+  hours: number;
+  battery_lost_percent: number;
+  percent_per_day: number;
+  kwh_per_day: number;
+}
+
+export interface CauseAttribution extends DrainRate {
+  cause: DrainCause;
+  // Extra loss per day over idles with none of the causes
+  excess_percent_per_day: number | null;
+}
+
+export interface LocationDrain extends DrainRate {
+  location: string;
+  causes: DrainCause[]; // Causes seen in at least half of the location's idles
+}
+
+export interface IdleDrainReport {
+  idles: IdleDrain[];
+  skipped: number; // Too short, or the battery went up
+  total: DrainRate;
+  baseline: DrainRate | null;
+  attribution: CauseAttribution[];
+  locations: LocationDrain[];
+}
+
+export interface IdleDrainOptions {
+  packKwh?: number;
+  states?: TessieVehicleState[]; // State history covering the idles, for sentry, climate and temperature
+  minHours?: number;
+  coldBelow?: number; // °C
+}
+
+// Shorter idles turn rounding of the battery percentage into wild per-day rates
+export const DEFAULT_MIN_IDLE_HOURS = 2;
+export const DEFAULT_COLD_BELOW_C = 5;
+// Cabin Overheat Protection and Sentry Mode cycle, so a quarter of the time already costs energy
+const CAUSE_FRACTION = 0.25;
+
+const fraction = (states: TessieVehicleState[], on: (state: TessieVehicleState) => boolean) =>
+  states.length > 0 ? states.filter(on).length / states.length : null;
+
+function drainOf(idle: TessieIdle, packKwh: number, states: TessieVehicleState[], coldBelow: number): IdleDrain {
+  const hours = (idle.ended_at - idle.started_at) / 3600;
+  const lost = idle.starting_battery - idle.ending_battery;
+  const kwh = idle.energy_used ?? (lost / 100) * packKwh;
+  const during = states.filter(state =>
+    state.timestamp !== undefined && state.timestamp >= idle.started_at && state.timestamp <= idle.ended_at
+  );
+
+  const sentry = idle.sentry_fraction ?? fraction(during, state => !!state.sentry_mode);
+  const climate = idle.climate_fraction ?? fraction(during, state => !!state.climate_on || !!state.is_preconditioning);
+  const temps = during.map(state => state.outside_temp).filter((temp): temp is number => typeof temp === 'number');
+  const temp = temps.length > 0 ? temps.reduce((sum, t) => sum + t, 0) / temps.length : null;
+
+  const causes: DrainCause[] = [];
+  if (sentry !== null && sentry >= CAUSE_FRACTION) causes.push('sentry');
+  if (climate !== null && climate >= CAUSE_FRACTION) causes.push('climate');
+  if (temp !== null && temp < coldBelow) causes.push('cold');
+
+  return {
+    id: idle.id,
+    started_at: idle.started_at,
+    ended_at: idle.ended_at,
+    location: idle.saved_location || idle.location || 'Unknown location',
+    hours: round(hours, 1),
+    battery_lost_percent: lost,
+    percent_per_day: round((lost / hours) * 24),
+    kwh_lost: round(kwh),
+    kwh_per_day: round((kwh / hours) * 24),
+    sentry_fraction: sentry === null ? null : round(sentry),
+    climate_fraction: climate === null ? null : round(climate),
+    average_outside_temp: temp === null ? null : round(temp, 1),
+    causes
+  };
+}
+
+/**
+ * Loss per day over a set of idles, weighted by how long each lasted
+ */
+export function drainRate(idles: IdleDrain[]): DrainRate {
+  const hours = idles.reduce((sum, idle) => sum + (idle.ended_at - idle.started_at) / 3600, 0);
+  const lost = idles.reduce((sum, idle) => sum + idle.battery_lost_percent, 0);
+  const kwh = idles.reduce((sum, idle) => sum + idle.kwh_lost, 0);
+
+  return {
+    idles: idles.length,
+    hours: round(hours, 1),
+    battery_lost_percent: round(lost, 1),
+    percent_per_day: hours > 0 ? round((lost / hours) * 24) : 0,
+    kwh_per_day: hours > 0 ? round((kwh / hours) * 24) : 0
+  };
+}
+
+/**
+ * Drain for each idle long enough to measure, what sentry, climate and cold weather add over
+ * idles without them, and parking locations ranked from the worst rate down
+ */
+export function analyzeIdleDrain(idles: TessieIdle[], options: IdleDrainOptions = {}): IdleDrainReport {
+  const {
+    packKwh = GENERIC_PACK_KWH,
+    states = [],
+    minHours = DEFAULT_MIN_IDLE_HOURS,
+    coldBelow = DEFAULT_COLD_BELOW_C
+  } = options;
+
+  const measurable = idles.filter(idle =>
+    (idle.ended_at - idle.started_at) / 3600 >= minHours && idle.starting_battery >= idle.ending_battery
+  );
+  const drains = measurable.map(idle => drainOf(idle, packKwh, states, coldBelow));
+
+  const plain = drains.filter(idle => idle.causes.length === 0);
+  const baseline = plain.length > 0 ? drainRate(plain) : null;
+
+  const attribution = DRAIN_CAUSES
+    .map(cause => ({ cause, idles: drains.filter(idle => idle.causes.includes(cause)) }))
+    .filter(({ idles: withCause }) => withCause.length > 0)
+    .map(({ cause, idles: withCause }) => {
+      const rate = drainRate(withCause);
+      return {
+        cause,
+        ...rate,
+        excess_percent_per_day: baseline ? round(rate.percent_per_day - baseline.percent_per_day) : null
+      };
+    })
+    .sort((a, b) => b.percent_per_day - a.percent_per_day);
+
+  const byLocation = new Map<string, IdleDrain[]>();
+  for (const drain of drains) {
+    byLocation.set(drain.location, [...(byLocation.get(drain.location) || []), drain]);
+  }
+  const locations = [...byLocation.entries()]
+    .map(([location, atLocation]) => ({
+      location,
+      ...drainRate(atLocation),
+      causes: DRAIN_CAUSES.filter(cause =>
+        atLocation.filter(idle => idle.causes.includes(cause)).length * 2 >= atLocation.length
+      )
+    }))
+    .sort((a, b) => b.percent_per_day - a.percent_per_day);
+
+  return {
+    idles: drains,
+    skipped: idles.length - measurable.length,
+    total: drainRate(drains),
+    baseline,
+    attribution,
+    locations
+  };
+}
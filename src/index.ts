@@ -1,15 +1,347 @@
 #!/usr/bin/env node
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { promises as fs } from 'fs';
+import path from 'path';
+import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { z } from "zod";
-import { TessieClient } from './tessie-client.js';
+import { TessieCharge, TessieClient, TessieDrive, TessieVehicleState, VehicleCommand } from './tessie-client.js';
 import { TessieQueryOptimizer } from './query-optimizer.js';
-import { DriveAnalyzer } from './drive-analyzer.js';
+import { TessieQueryExecutor } from './query-executor.js';
+import { DriveAnalysis, DriveAnalyzer, DriveTarget, MergedDrive, parseDriveId, resolveMergePolicy } from './drive-analyzer.js';
+import { filterTrips, sortTrips, TRIP_SORT_KEYS } from './trips.js';
+import { lookupPackCapacity, PackCapacity } from './pack-capacity.js';
+import { chargeCost, classifyCharge, DEFAULT_HOME_LOCATIONS, summarizeCharges } from './charging.js';
+import { analyzeBatteryHealth, DEFAULT_DROP_THRESHOLD_PERCENT, HealthPoint } from './battery-health.js';
+import { analyzeIdleDrain, DEFAULT_MIN_IDLE_HOURS } from './idle-drain.js';
+import { HISTORY_KINDS, HistorySource, HistoryStore } from './history-store.js';
+import { DriveAnnotation, DriveAnnotationStore, driveTags, hasTag, TRIP_PURPOSES, uniqueTags } from './drive-annotations.js';
+import {
+  buildMileageLog,
+  ClassificationRule,
+  DEFAULT_TAX_YEAR_START,
+  IRS_BUSINESS_RATES,
+  mileageDeductions,
+  taxYearBefore,
+  WEEKDAYS
+} from './mileage-log.js';
+import { Commute, DEFAULT_MIN_COMMUTE_TRIPS, detectCommutes } from './commutes.js';
+import { DEFAULT_PLACE_RADIUS_METERS, findPlace, mergePlaces, Place, placeActivity, PlaceStore, seedPlaces } from './places.js';
+import { chargingStrategy, priceCharges, Tariff, TARIFF_TYPES, tierMonthBefore } from './tariffs.js';
+import { CostPeriod, FIXED_COST_PERIODS, FUEL_ECONOMY_UNITS, fuelCostPerMile, ownershipCosts } from './ownership-costs.js';
+import {
+  CHARGE_CSV_COLUMNS,
+  DRIVE_CSV_COLUMNS,
+  EXPORT_MIME_TYPES,
+  ExportContext,
+  ExportFormat,
+  exportFilename,
+  MILEAGE_LOG_CSV_COLUMNS,
+  PathTrack,
+  toCsv,
+  toGpx,
+  toKml
+} from './exports.js';
+import { HistoryDisabledError, InvalidArgumentError, NoDataError, toToolError, VehicleNotFoundError } from './errors.js';
+import { CommandOutcome, VehicleCommandService } from './vehicle-commands.js';
+import { VehicleWatcher } from './vehicle-watcher.js';
+import {
+  chargingCostsPrompt,
+  reviewLatestDrivePrompt,
+  roadTripPrepPrompt,
+  summarizeDrivingPrompt
+} from './prompts.js';
+import {
+  batteryHealthOutput,
+  chargingSessionsOutput,
+  chargingStrategyOutput,
+  chargingSummaryOutput,
+  commuteStatsOutput,
+  commandOutcomeOutput,
+  exportOutput,
+  historySyncOutput,
+  idleDrainOutput,
+  mileageLogOutput,
+  driveAnalysisOutput,
+  driveAnnotationOutput,
+  drivingHistoryOutput,
+  naturalLanguageQueryOutput,
+  ownershipCostsOutput,
+  placeActivityOutput,
+  placesOutput,
+  removedPlaceOutput,
+  savedPlaceOutput,
+  toolResult,
+  toolResultWithResource,
+  tripPurposeOutput,
+  tripsOutput,
+  vehicleStateOutput,
+  vehiclesOutput,
+  weeklyMileageOutput
+} from './output-schemas.js';
+import {
+  defaultTimeZone,
+  formatZonedIso,
+  formatZonedTime,
+  isValidTimeZone,
+  localDateKey,
+  parseZonedDate,
+  timeZoneForLocation
+} from './time-zones.js';
+import { EFFICIENCY_UNITS, EfficiencyUnit, KM_PER_MILE, UNIT_SYSTEMS, UnitConverter, UnitSystem, resolveUnits } from './units.js';
 
 // Configuration schema - automatically detected by Smithery
+// Drive-merging policy fields; unset fields fall back to the configured or built-in policy
+const mergePolicyShape = {
+  max_gap_minutes: z.number().nonnegative().optional().describe("Merge drives separated by stops shorter than this many minutes (default 7)"),
+  charging_threshold_percent: z.number().nonnegative().optional().describe("Battery gain (%) during a stop that marks it as a charging stop, which is merged (default 5)"),
+  max_stop_minutes: z.number().nonnegative().nullable().optional().describe("Never merge across stops longer than this many minutes, charging or not (default no limit)"),
+  boundary_locations: z.array(z.string()).optional().describe("Saved locations a journey never continues through, e.g. [\"Home\"]")
+};
+
+// A business/personal classification rule for the mileage log
+const classificationRuleShape = {
+  purpose: z.enum(TRIP_PURPOSES),
+  name: z.string().optional().describe("Label shown in the log for drives this rule classifies"),
+  from: z.string().optional().describe("Saved location or address fragment the drive starts at"),
+  to: z.string().optional().describe("Saved location or address fragment the drive ends at"),
+  either_direction: z.boolean().optional().describe("Also match drives from `to` back to `from`"),
+  days: z.array(z.enum(WEEKDAYS)).optional().describe("Local weekdays the drive starts on, e.g. [\"mon\", \"tue\"]"),
+  start_after: z.string().regex(/^\d{2}:\d{2}$/).optional().describe("Earliest local start time, HH:mm"),
+  start_before: z.string().regex(/^\d{2}:\d{2}$/).optional().describe("Local start time the drive must start before, HH:mm"),
+  tag: z.string().optional().describe("Drive tag, set in Tessie or with tag_drive")
+};
+
+const placeShape = {
+  name: z.string().trim().min(1).describe("Name of the place, e.g. \"Office\""),
+  latitude: z.number().min(-90).max(90).describe("Latitude of the centre"),
+  longitude: z.number().min(-180).max(180).describe("Longitude of the centre"),
+  radius_meters: z.number().positive().optional().describe(`Radius around the centre in meters (default ${DEFAULT_PLACE_RADIUS_METERS})`),
+  polygon: z.array(z.tuple([z.number().min(-90).max(90), z.number().min(-180).max(180)])).min(3).optional()
+    .describe("Outline as [latitude, longitude] vertices, used instead of the radius")
+};
+
+// A commute declared by its two ends
+const commuteShape = {
+  name: z.string().optional().describe("Label for the commute, e.g. \"Work\""),
+  from: z.string().describe("Place name, or saved location or address text, where the commute starts"),
+  to: z.string().describe("Place name, or saved location or address text, where the commute ends")
+};
+
+// Costs that don't depend on driving, for the cost of ownership
+const fixedCostShape = {
+  name: z.string().trim().min(1).describe("What the cost is for, e.g. \"Insurance\""),
+  amount: z.number().nonnegative().describe("Amount per period"),
+  period: z.enum(FIXED_COST_PERIODS).describe("month or year for recurring costs, spread evenly over their days; once for a one-off cost on start_date"),
+  start_date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional().describe("First day the cost applies (YYYY-MM-DD); the payment date for one-off costs"),
+  end_date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional().describe("Last day the cost applies (YYYY-MM-DD)")
+};
+
+// The gasoline car the cost of ownership is compared with
+const gasolineReferenceShape = {
+  name: z.string().optional().describe("Label for the reference car, e.g. \"2019 Camry\""),
+  fuel_economy: z.number().positive().describe("Fuel economy in fuel_economy_unit"),
+  fuel_economy_unit: z.enum(FUEL_ECONOMY_UNITS).optional().describe("mpg (US gallons) or L/100km (default mpg)"),
+  fuel_price: z.number().nonnegative().describe("Fuel price per gallon for mpg, per liter for L/100km")
+};
+
+// Electricity tariffs pricing charging sessions without a recorded cost
+const clockSchema = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/);
+
+// A calendar day or an ISO timestamp; export file names are built from these
+const isoDateSchema = z.string().regex(
+  /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/,
+  "Expected a date (YYYY-MM-DD) or an ISO timestamp"
+);
+const tariffBaseShape = {
+  name: z.string().trim().min(1).describe("Name of the tariff, e.g. \"Home TOU\""),
+  locations: z.array(z.string()).optional().describe("Saved location names or address fragments the tariff prices sessions at; without them it prices sessions no other tariff matches, except at Superchargers")
+};
+const tariffSchema = z.discriminatedUnion('type', [
+  z.object({
+    ...tariffBaseShape,
+    type: z.literal('flat'),
+    price_per_kwh: z.number().nonnegative().describe("Price per kWh")
+  }),
+  z.object({
+    ...tariffBaseShape,
+    type: z.literal('tiered'),
+    tiers: z.array(z.object({
+      up_to_kwh: z.number().positive().optional().describe("Energy charged in the calendar month this tier ends at; leave out for the last tier"),
+      price_per_kwh: z.number().nonnegative()
+    })).min(1).describe("Block rates, lowest block first")
+  }),
+  z.object({
+    ...tariffBaseShape,
+    type: z.literal('time_of_use'),
+    price_per_kwh: z.number().nonnegative().describe("Price per kWh outside the periods"),
+    seasons: z.array(z.object({
+      name: z.string().optional().describe("Label for the season, e.g. \"Summer\""),
+      start: z.string().regex(/^\d{2}-\d{2}$/).optional().describe("First day of the season, MM-DD; leave out start and end for all year"),
+      end: z.string().regex(/^\d{2}-\d{2}$/).optional().describe("Last day of the season, MM-DD; may wrap past the new year"),
+      price_per_kwh: z.number().nonnegative().optional().describe("Price outside the periods in this season, replacing the tariff's"),
+      periods: z.array(z.object({
+        name: z.string().describe("Label for the period, e.g. \"peak\" or \"off-peak\""),
+        start: clockSchema.describe("Local start time, HH:mm"),
+        end: clockSchema.describe("Local end time, HH:mm; at or before the start to run past midnight"),
+        days: z.array(z.enum(WEEKDAYS)).optional().describe("Weekdays the period applies on (default every day)"),
+        price_per_kwh: z.number().nonnegative()
+      }))
+    })).min(1).describe("Schedules checked in order; the first whose dates include the day applies")
+  })
+]);
+
+const mileageRateSchema = z.union([
+  z.number().nonnegative(),
+  z.object({ rate: z.number().nonnegative(), threshold: z.number().positive(), rate_after: z.number().nonnegative() })
+]);
+
 export const configSchema = z.object({
   apiKey: z.string().describe("Your API key"),
+  maxRequestsPerMinute: z.number().int().positive().optional().describe("Client-side cap on Tessie API requests per minute (default 60)"),
+  enableCommands: z.boolean().optional().describe("Allow tools that send commands to the vehicle, such as lock or start climate (default false)"),
+  allowSafetyCriticalCommands: z.boolean().optional().describe("Additionally allow unlock, trunk opening and remote start (default false)"),
+  vehiclePollMinutes: z.number().positive().optional().describe("Check the account for added or removed vehicles every N minutes and notify clients (default off)"),
+  units: z.enum(UNIT_SYSTEMS).optional().describe("Default unit system for distances, speeds and temperatures (default imperial)"),
+  efficiencyUnit: z.enum(EFFICIENCY_UNITS).optional().describe("Default energy efficiency unit (default mi/kWh for imperial, kWh/100km for metric)"),
+  packCapacityKwh: z.record(z.number().positive()).optional().describe("Usable battery capacity in kWh by VIN, overriding the built-in per-model table for drives without measured energy"),
+  timeZone: z.string().refine(isValidTimeZone, "Unknown IANA time zone").optional().describe("IANA time zone for day boundaries, date ranges and displayed times, e.g. America/Los_Angeles (default: the server's zone)"),
+  inferTimeZone: z.boolean().optional().describe("When no time zone is configured or given, infer it from the vehicle's location (default false)"),
+  mergePolicy: z.object(mergePolicyShape).optional().describe("Default policy for merging drives separated by short or charging stops"),
+  dataDir: z.string().optional().describe("Directory for a local copy of drive, charge, idle and state history that analytics read from (default off)"),
+  historyMaxAgeMinutes: z.number().positive().optional().describe("Sync the local history before reading it when it is older than this (default 15)"),
+  exportDir: z.string().optional().describe("Directory export_data writes files to; without it exports are returned as embedded resources"),
+  mileageRules: z.array(z.object(classificationRuleShape)).optional().describe("Rules classifying drives as business or personal in the mileage log, checked in order"),
+  mileageRates: z.record(mileageRateSchema).optional().describe("Business mileage rate by year, replacing the built-in IRS rates; a number or { rate, threshold, rate_after } for tiered rates"),
+  mileageRateUnit: z.enum(['mile', 'km']).optional().describe("Distance unit the mileage rates are per (default mile)"),
+  taxYearStart: z.string().regex(/^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/).optional().describe("First day of the tax year that business mileage is totalled by, MM-DD (default 01-01; 04-06 for the UK)"),
+  commutes: z.array(z.object(commuteShape)).optional().describe("Commutes to report in addition to the detected ones; trips between the two ends in either direction count"),
+  places: z.array(z.object(placeShape)).optional().describe("Named places matched by coordinates in place queries, in addition to Tessie's saved locations"),
+  tariffs: z.array(tariffSchema).optional().describe(`Electricity tariffs (${TARIFF_TYPES.join(', ')}) pricing charging sessions without a recorded cost, checked before electricityPricePerKwh`),
+  electricityPricePerKwh: z.number().nonnegative().optional().describe("Default electricity price per kWh for charging sessions without a recorded cost (default off)"),
+  fixedCosts: z.array(z.object(fixedCostShape)).optional().describe("Insurance, payments, tires, maintenance and other costs counted in the cost of ownership"),
+  gasolineReference: z.object(gasolineReferenceShape).optional().describe("Gasoline car to compare the cost of ownership with"),
 });
 
+// Per-call override of the configured units, accepted by every data tool
+const unitsShape = {
+  units: z.enum(UNIT_SYSTEMS).optional().describe("Unit system for distances, speeds and temperatures (defaults to the server setting)"),
+  efficiency_unit: z.enum(EFFICIENCY_UNITS).optional().describe("Unit for energy efficiency (defaults to the server setting)")
+};
+
+// Per-call override of the configured time zone
+const timeZoneShape = {
+  time_zone: z.string().refine(isValidTimeZone, "Unknown IANA time zone").optional()
+    .describe("IANA time zone for day boundaries, date-only ranges and displayed times, e.g. Europe/Berlin (defaults to the server setting)")
+};
+
+// Response shapes shared by tools and resources
+function formatVehicleState(state: TessieVehicleState, units: UnitConverter) {
+  return {
+    vehicle: state.display_name,
+    vin: state.vin,
+    current_location: {
+      latitude: state.latitude,
+      longitude: state.longitude,
+    },
+    battery: {
+      level: state.battery_level,
+      range: units.distance(state.est_battery_range),
+      charging_state: state.charging_state,
+      time_to_full_charge: state.time_to_full_charge,
+    },
+    vehicle_state: {
+      locked: state.locked,
+      sentry_mode: state.sentry_mode,
+      odometer: units.distance(state.odometer),
+    },
+    climate: {
+      inside_temp: units.temperature(state.inside_temp),
+      outside_temp: units.temperature(state.outside_temp),
+      climate_on: state.climate_on,
+    },
+    last_updated: state.since,
+    units: units.labels,
+  };
+}
+
+function formatDrive(drive: TessieDrive, units: UnitConverter, timeZone: string, annotation?: DriveAnnotation) {
+  return {
+    id: drive.id,
+    start_time: formatZonedIso(new Date(drive.started_at * 1000), timeZone),
+    end_time: formatZonedIso(new Date(drive.ended_at * 1000), timeZone),
+    starting_location: drive.starting_location,
+    ending_location: drive.ending_location,
+    distance: units.distance(drive.odometer_distance),
+    duration_minutes: Math.round(((drive.ended_at - drive.started_at) / 60) * 100) / 100,
+    starting_battery: drive.starting_battery,
+    ending_battery: drive.ending_battery,
+    battery_used: drive.starting_battery - drive.ending_battery,
+    average_speed: units.speed(drive.average_speed),
+    max_speed: units.speed(drive.max_speed),
+    autopilot_distance: units.distance(drive.autopilot_distance || 0),
+    tags: driveTags(drive, annotation),
+    note: annotation?.note ?? null,
+  };
+}
+
+function formatDriveAnalysis(analysis: DriveAnalysis, units: UnitConverter, timeZone: string) {
+  const drive = analysis.mergedDrive;
+  return {
+    drive_details: {
+      id: drive.id,
+      original_drives: drive.originalDriveIds.length,
+      start_time: formatZonedIso(new Date(drive.started_at * 1000), timeZone),
+      end_time: formatZonedIso(new Date(drive.ended_at * 1000), timeZone),
+      route: `${drive.starting_location} → ${drive.ending_location}`,
+      distance: units.distance(drive.total_distance),
+      total_duration_minutes: drive.total_duration_minutes,
+      driving_duration_minutes: drive.driving_duration_minutes,
+      average_speed: units.speed(drive.average_speed),
+      max_speed: units.speed(drive.max_speed)
+    },
+    stops: drive.stops.map(stop => ({
+      location: stop.location,
+      duration_minutes: stop.duration_minutes,
+      type: stop.stop_type,
+      time: `${formatZonedTime(new Date(stop.started_at * 1000), timeZone)} - ${formatZonedTime(new Date(stop.ended_at * 1000), timeZone)}`
+    })),
+    battery_analysis: {
+      starting_level: `${drive.starting_battery}%`,
+      ending_level: `${drive.ending_battery}%`,
+      percentage_consumed: `${analysis.batteryConsumption.percentage_used}%`,
+      estimated_kwh_used: analysis.batteryConsumption.estimated_kwh_used,
+      efficiency: units.efficiency(drive.total_distance, analysis.batteryConsumption.estimated_kwh_used),
+      energy_method: analysis.batteryConsumption.method,
+      energy_confidence: analysis.batteryConsumption.confidence,
+      pack_capacity_kwh: analysis.batteryConsumption.pack_capacity_kwh,
+      pack_capacity_source: analysis.batteryConsumption.pack_capacity_source
+    },
+    fsd_analysis: {
+      autopilot_distance: units.distance(analysis.fsdAnalysis.total_autopilot_miles),
+      fsd_percentage: `${analysis.fsdAnalysis.fsd_percentage}%`,
+      data_available: analysis.fsdAnalysis.autopilot_available,
+      note: analysis.fsdAnalysis.note
+    }
+  };
+}
+
+// One-line text renderings that accompany structuredContent
+const orUnknown = (value: unknown, suffix = '') =>
+  value === undefined || value === null ? 'unknown' : `${value}${suffix}`;
+
+function describeVehicleState(state: TessieVehicleState, units: UnitConverter): string {
+  const lockState = state.locked === undefined ? 'lock state unknown' : state.locked ? 'locked' : 'unlocked';
+  return `${state.display_name} (${state.vin}): battery ${orUnknown(state.battery_level, '%')}, ` +
+    `range ${orUnknown(units.distance(state.est_battery_range), ` ${units.labels.distance}`)}, ` +
+    `${state.charging_state || 'charging state unknown'}, ${lockState}`;
+}
+
+function describeCommandOutcome(outcome: CommandOutcome): string {
+  if (!outcome.executed) {
+    return `Dry run: ${outcome.description}. Nothing was sent; confirm with confirmation_token ${outcome.confirmation_token}.`;
+  }
+  return `${outcome.description}: ${outcome.success ? 'succeeded' : 'failed'}${outcome.woke_vehicle ? ' (vehicle was woken)' : ''}`;
+}
+
 export default function createServer({
   config
 }: {
@@ -22,122 +354,200 @@ export default function createServer({
       version: "1.1.1"
     });
 
-    // Use config values in your tools
-    console.log(`Using model: ${config.modelName}`);
-
     // Initialize clients
     const apiToken = config.apiKey;
 
     // Create clients with provided API token
-    const tessieClient = new TessieClient(apiToken);
+    const tessieClient = new TessieClient(apiToken, {
+      maxRequestsPerMinute: config.maxRequestsPerMinute,
+    });
+    const historyStore = config.dataDir
+      ? new HistoryStore(tessieClient, config.dataDir, { maxAgeMinutes: config.historyMaxAgeMinutes })
+      : null;
+    // Complete ranges for analytics come from the local store when one is configured
+    const history: HistorySource = historyStore ?? tessieClient;
+    const driveAnnotations = new DriveAnnotationStore(config.dataDir ?? null);
+    const placeStore = new PlaceStore(config.dataDir ?? null, config.places ?? []);
+    // Places for place and commute queries: configured and saved ones plus the Tessie saved
+    // locations in the drives
+    const formatPlace = (place: Place) => ({
+      name: place.name,
+      latitude: place.latitude,
+      longitude: place.longitude,
+      radius_meters: place.radius_meters,
+      ...(place.polygon ? { polygon: place.polygon } : {}),
+      source: place.source
+    });
+    const placesFor = async (drives: TessieDrive[]) => mergePlaces(await placeStore.list(), seedPlaces(drives));
+    const placeNotFound = (name: string, places: Place[]) => new InvalidArgumentError(
+      `No single place matches "${name}"` +
+      (places.length > 0 ? `; known places: ${places.map(place => place.name).join(', ')}` : '; save one with save_place')
+    );
+
     const queryOptimizer = new TessieQueryOptimizer();
-    const driveAnalyzer = new DriveAnalyzer();
+    const queryExecutor = new TessieQueryExecutor(tessieClient, queryOptimizer, { history });
+    const defaultUnits = resolveUnits(config.units, config.efficiencyUnit);
+    // The configured efficiency unit belongs to the configured system, so a per-call system uses its own default
+    const unitsFor = (units?: UnitSystem, efficiencyUnit?: EfficiencyUnit) =>
+      new UnitConverter(units ? resolveUnits(units, efficiencyUnit) : resolveUnits(defaultUnits.system, efficiencyUnit || defaultUnits.efficiency));
+    const defaultConverter = new UnitConverter(defaultUnits);
+    const configuredTimeZone = config.timeZone || defaultTimeZone();
+
+    // Zone precedence: per-call argument, configuration, the vehicle's location (if enabled), server zone
+    const timeZoneFor = async (vin: string | undefined, timeZone?: string): Promise<string> => {
+      if (timeZone) return timeZone;
+      if (!config.timeZone && config.inferTimeZone && vin) {
+        const state = await tessieClient.getVehicleState(vin, true).catch(() => null);
+        const inferred = timeZoneForLocation(state?.latitude, state?.longitude);
+        if (inferred) return inferred;
+      }
+      return configuredTimeZone;
+    };
+
+    // Pack capacity per VIN: the configured override, else the model table using the vehicle's config
+    const packCapacities = new Map<string, Promise<PackCapacity>>();
+    const packCapacityFor = (vin: string): Promise<PackCapacity> => {
+      let capacity = packCapacities.get(vin);
+      if (!capacity) {
+        const override = config.packCapacityKwh?.[vin];
+        capacity = override !== undefined
+          ? Promise.resolve(lookupPackCapacity(vin, {}, override))
+          : tessieClient.getVehicleState(vin, true).then(
+            state => lookupPackCapacity(vin, state.vehicle_config),
+            () => {
+              // Retry the lookup next time; the VIN alone still gives model and year
+              packCapacities.delete(vin);
+              return lookupPackCapacity(vin);
+            }
+          );
+        packCapacities.set(vin, capacity);
+      }
+      return capacity;
+    };
+    const driveAnalyzer = new DriveAnalyzer(defaultConverter, resolveMergePolicy(config.mergePolicy));
+    const commandService = new VehicleCommandService(tessieClient, {
+      enabled: config.enableCommands,
+      allowSafetyCritical: config.allowSafetyCriticalCommands,
+    });
+    const vehicleWatcher = new VehicleWatcher(tessieClient, () => server.sendResourceListChanged());
+    if (config.vehiclePollMinutes) {
+      vehicleWatcher.start(config.vehiclePollMinutes * 60 * 1000);
+      server.server.onclose = () => vehicleWatcher.stop();
+    }
 
     // Register get_vehicle_current_state tool
-    server.tool(
+    server.registerTool(
       "get_vehicle_current_state",
-      "Get the current state of a vehicle including location, battery level, odometer reading",
       {
-        vin: z.string().describe("Vehicle identification number (VIN)"),
-        use_cache: z.boolean().optional().default(true).describe("Whether to use cached data to avoid waking the vehicle")
+        description: "Get the current state of a vehicle including location, battery level, odometer reading",
+        inputSchema: {
+          vin: z.string().describe("Vehicle identification number (VIN)"),
+          use_cache: z.boolean().optional().default(true).describe("Whether to use cached data to avoid waking the vehicle"),
+          ...unitsShape
+        },
+        outputSchema: vehicleStateOutput
       },
-      async ({ vin, use_cache = true }) => {
+      async ({ vin, use_cache = true, units, efficiency_unit }) => {
         try {
+          const converter = unitsFor(units, efficiency_unit);
           const state = await tessieClient.getVehicleState(vin, use_cache);
-          return {
-            vehicle: state.display_name,
-            vin: state.vin,
-            current_location: {
-              latitude: state.latitude,
-              longitude: state.longitude,
-            },
-            battery: {
-              level: state.battery_level,
-              range: state.est_battery_range,
-              charging_state: state.charging_state,
-              time_to_full_charge: state.time_to_full_charge,
-            },
-            vehicle_state: {
-              locked: state.locked,
-              sentry_mode: state.sentry_mode,
-              odometer: state.odometer,
-            },
-            climate: {
-              inside_temp: state.inside_temp,
-              outside_temp: state.outside_temp,
-              climate_on: state.climate_on,
-            },
-            last_updated: state.since,
-          };
+          return toolResult(formatVehicleState(state, converter), describeVehicleState(state, converter));
         } catch (error) {
-          throw new Error(`Failed to get vehicle state: ${error}`);
+          return toToolError(error, 'get vehicle state');
         }
       }
     );
 
     // Register get_driving_history tool
-    server.tool(
+    server.registerTool(
       "get_driving_history",
-      "Get driving history for a vehicle within a date range",
       {
-        vin: z.string().describe("Vehicle identification number (VIN)"),
-        start_date: z.string().optional().describe("Start date in ISO format (YYYY-MM-DD or YYYY-MM-DDTHH:mm:ssZ)"),
-        end_date: z.string().optional().describe("End date in ISO format (YYYY-MM-DD or YYYY-MM-DDTHH:mm:ssZ)"),
-        limit: z.number().optional().default(50).describe("Maximum number of drives to return")
+        description: "Get driving history for a vehicle within a date range, newest first. Results are paginated: pass next_cursor back as cursor to fetch older drives",
+        inputSchema: {
+          vin: z.string().describe("Vehicle identification number (VIN)"),
+          start_date: z.string().optional().describe("Start date in ISO format (YYYY-MM-DD or YYYY-MM-DDTHH:mm:ssZ)"),
+          end_date: z.string().optional().describe("End date in ISO format (YYYY-MM-DD or YYYY-MM-DDTHH:mm:ssZ)"),
+          limit: z.number().optional().default(50).describe("Maximum number of drives to return per page"),
+          cursor: z.string().regex(/^\d+$/).optional().describe("next_cursor value from a previous response, to fetch the next page"),
+          ...unitsShape,
+          ...timeZoneShape
+        },
+        outputSchema: drivingHistoryOutput
       },
-      async ({ vin, start_date, end_date, limit = 50 }) => {
+      async ({ vin, start_date, end_date, limit = 50, cursor, units, efficiency_unit, time_zone }) => {
         try {
-          const drives = await tessieClient.getDrives(vin, start_date, end_date, limit);
-          return {
+          const converter = unitsFor(units, efficiency_unit);
+          const timeZone = await timeZoneFor(vin, time_zone);
+          const [page, annotations] = await Promise.all([
+            queryExecutor.fetchDrivePage(vin, "get_driving_history", {
+              start_date: start_date && parseZonedDate(start_date, timeZone),
+              end_date: end_date && parseZonedDate(end_date, timeZone, true),
+              limit,
+              cursor
+            }),
+            driveAnnotations.forVehicle(vin)
+          ]);
+          const drives = page.drives;
+          const totalMiles = drives.reduce((sum, drive) => sum + drive.odometer_distance, 0);
+          const text = `${drives.length} drives, ${converter.distance(totalMiles)} ${converter.labels.distance}` +
+            (page.next_cursor ? `; more available with cursor ${page.next_cursor}` : '');
+          return toolResult({
             vehicle_vin: vin,
             total_drives: drives.length,
             date_range: {
               start: start_date || 'Not specified',
               end: end_date || 'Not specified'
             },
-            drives: drives.map(drive => ({
-              id: drive.id,
-              start_time: new Date(drive.started_at * 1000).toISOString(),
-              end_time: new Date(drive.ended_at * 1000).toISOString(),
-              starting_location: drive.starting_location,
-              ending_location: drive.ending_location,
-              distance_miles: drive.odometer_distance,
-              duration_minutes: Math.round(((drive.ended_at - drive.started_at) / 60) * 100) / 100,
-              starting_battery: drive.starting_battery,
-              ending_battery: drive.ending_battery,
-              battery_used: drive.starting_battery - drive.ending_battery,
-              average_speed: drive.average_speed,
-              max_speed: drive.max_speed,
-              autopilot_distance: drive.autopilot_distance || 0,
-            }))
-          };
+            pagination: {
+              has_more: page.next_cursor !== null,
+              next_cursor: page.next_cursor
+            },
+            drives: drives.map(drive => formatDrive(drive, converter, timeZone, annotations.get(drive.id))),
+            units: converter.labels,
+            time_zone: timeZone,
+            metadata: {
+              execution_plan: page.plan,
+              duplicates_removed: page.duplicates_removed
+            }
+          }, text);
         } catch (error) {
-          throw new Error(`Failed to get driving history: ${error}`);
+          return toToolError(error, 'get driving history');
         }
       }
     );
 
     // Register get_weekly_mileage tool
-    server.tool(
+    server.registerTool(
       "get_weekly_mileage",
-      "Calculate total miles driven in a specific week or time period",
       {
-        vin: z.string().describe("Vehicle identification number (VIN)"),
-        start_date: z.string().describe("Start date of the period (ISO format)"),
-        end_date: z.string().describe("End date of the period (ISO format)")
+        description: "Calculate total distance driven in a specific week or time period",
+        inputSchema: {
+          vin: z.string().describe("Vehicle identification number (VIN)"),
+          start_date: z.string().describe("Start date of the period (ISO format)"),
+          end_date: z.string().describe("End date of the period (ISO format)"),
+          ...unitsShape,
+          ...timeZoneShape
+        },
+        outputSchema: weeklyMileageOutput
       },
-      async ({ vin, start_date, end_date }) => {
+      async ({ vin, start_date, end_date, units, efficiency_unit, time_zone }) => {
         try {
-          const drives = await tessieClient.getDrives(vin, start_date, end_date, 500);
+          const converter = unitsFor(units, efficiency_unit);
+          const timeZone = await timeZoneFor(vin, time_zone);
+          const result = await queryExecutor.fetchAllDrives(vin, "get_weekly_mileage", {
+            start_date: parseZonedDate(start_date, timeZone),
+            end_date: parseZonedDate(end_date, timeZone, true)
+          });
+          const drives = result.drives;
 
           const totalMiles = drives.reduce((sum, drive) => sum + drive.odometer_distance, 0);
           const totalAutopilotMiles = drives.reduce((sum, drive) => sum + (drive.autopilot_distance || 0), 0);
 
-          // Group drives by day for weekly breakdown
+          // Group drives by local day for weekly breakdown
           const dailyStats: { [key: string]: { miles: number; drives: number; autopilot_miles: number } } = {};
 
           drives.forEach(drive => {
-            const date = new Date(drive.started_at * 1000).toISOString().split('T')[0];
+            const date = localDateKey(new Date(drive.started_at * 1000), timeZone);
             if (!dailyStats[date]) {
               dailyStats[date] = { miles: 0, drives: 0, autopilot_miles: 0 };
             }
@@ -148,162 +558,1492 @@ export default function createServer({
 
           const breakdown = Object.entries(dailyStats).map(([date, stats]) => ({
             date,
-            miles: Math.round(stats.miles * 100) / 100,
+            distance: converter.distance(stats.miles),
             drives: stats.drives,
-            autopilot_miles: Math.round(stats.autopilot_miles * 100) / 100,
+            autopilot_distance: converter.distance(stats.autopilot_miles),
             fsd_percentage: stats.miles > 0 ? Math.round((stats.autopilot_miles / stats.miles) * 10000) / 100 : 0,
           }));
 
-          return {
+          const summary = {
+            total_distance: converter.distance(totalMiles),
+            total_drives: drives.length,
+            total_autopilot_distance: converter.distance(totalAutopilotMiles),
+            fsd_percentage: totalMiles > 0 ? Math.round((totalAutopilotMiles / totalMiles) * 10000) / 100 : 0,
+          };
+
+          return toolResult({
             vehicle_vin: vin,
             period: { start_date, end_date },
-            summary: {
-              total_miles: Math.round(totalMiles * 100) / 100,
-              total_drives: drives.length,
-              total_autopilot_miles: Math.round(totalAutopilotMiles * 100) / 100,
-              fsd_percentage: totalMiles > 0 ? Math.round((totalAutopilotMiles / totalMiles) * 10000) / 100 : 0,
-            },
-            daily_breakdown: breakdown.sort((a, b) => a.date.localeCompare(b.date))
-          };
+            summary,
+            daily_breakdown: breakdown.sort((a, b) => a.date.localeCompare(b.date)),
+            units: converter.labels,
+            time_zone: timeZone,
+            metadata: {
+              execution_plan: result.plan,
+              duplicates_removed: result.duplicates_removed
+            }
+          }, `${summary.total_distance} ${converter.labels.distance} over ${summary.total_drives} drives from ${start_date} to ${end_date} ` +
+            `(${summary.fsd_percentage}% on Autopilot/FSD)`);
         } catch (error) {
-          throw new Error(`Failed to get weekly mileage: ${error}`);
+          return toToolError(error, 'get weekly mileage');
         }
       }
     );
 
     // Register analyze_latest_drive tool
-    server.tool(
+    server.registerTool(
       "analyze_latest_drive",
-      "Analyze the most recent drive with comprehensive metrics including duration, battery consumption, FSD usage, and drive merging for stops <7 minutes",
       {
-        vin: z.string().describe("Vehicle identification number (VIN)"),
-        days_back: z.number().optional().default(7).describe("Number of days to look back for recent drives")
+        description: "Analyze the most recent drive with comprehensive metrics including duration, battery consumption, FSD usage, and drive merging across short (<7 minutes by default) and charging stops",
+        inputSchema: {
+          vin: z.string().describe("Vehicle identification number (VIN)"),
+          days_back: z.number().optional().default(7).describe("Number of days to look back for recent drives"),
+          ...mergePolicyShape,
+          ...unitsShape,
+          ...timeZoneShape
+        },
+        outputSchema: driveAnalysisOutput
       },
-      async ({ vin, days_back = 7 }) => {
+      async ({ vin, days_back = 7, units, efficiency_unit, time_zone, ...policyOverrides }) => {
         try {
+          const converter = unitsFor(units, efficiency_unit);
+          const timeZone = await timeZoneFor(vin, time_zone);
+          const mergePolicy = resolveMergePolicy(policyOverrides, driveAnalyzer.mergePolicy);
           // Calculate date range for recent drives
           const endDate = new Date();
           const startDate = new Date();
           startDate.setDate(startDate.getDate() - days_back);
 
-          // Get recent drives
-          const drives = await tessieClient.getDrives(
-            vin,
-            startDate.toISOString(),
-            endDate.toISOString(),
-            100
-          );
+          // Get every recent drive, not just the first page
+          const drives = await history.getAllDrives(vin, startDate.toISOString(), endDate.toISOString());
 
-          if (drives.length === 0) {
-            return {
-              error: 'No drives found in the specified time period',
-              period: `${startDate.toISOString().split('T')[0]} to ${endDate.toISOString().split('T')[0]}`,
-              suggestion: 'Try increasing days_back or check if the vehicle has been driven recently'
-            };
-          }
+          const periodSearched = `${localDateKey(startDate, timeZone)} to ${localDateKey(endDate, timeZone)}`;
 
           // Analyze the latest drive
-          const analysis = driveAnalyzer.analyzeLatestDrive(drives);
+          const analysis = driveAnalyzer.analyzeLatestDrive(drives, converter, mergePolicy, await packCapacityFor(vin));
 
           if (!analysis) {
-            return {
-              error: 'Could not analyze drives',
-              drives_found: drives.length,
-              suggestion: 'Drives may be incomplete or missing required data'
-            };
+            throw new NoDataError(`No drives found between ${periodSearched}`);
           }
 
-          return {
+          return toolResult({
             analysis_summary: analysis.summary,
-            detailed_analysis: {
-              drive_details: {
-                id: analysis.mergedDrive.id,
-                original_drives: analysis.mergedDrive.originalDriveIds.length,
-                start_time: new Date(analysis.mergedDrive.started_at * 1000).toISOString(),
-                end_time: new Date(analysis.mergedDrive.ended_at * 1000).toISOString(),
-                route: `${analysis.mergedDrive.starting_location} → ${analysis.mergedDrive.ending_location}`,
-                distance_miles: analysis.mergedDrive.total_distance,
-                total_duration_minutes: analysis.mergedDrive.total_duration_minutes,
-                driving_duration_minutes: analysis.mergedDrive.driving_duration_minutes,
-                average_speed_mph: analysis.mergedDrive.average_speed,
-                max_speed_mph: analysis.mergedDrive.max_speed
-              },
-              stops: analysis.mergedDrive.stops.map(stop => ({
+            detailed_analysis: formatDriveAnalysis(analysis, converter, timeZone),
+            merge_policy: mergePolicy,
+            units: converter.labels,
+            metadata: {
+              analysis_time: new Date().toISOString(),
+              drives_analyzed: drives.length,
+              period_searched: periodSearched,
+              time_zone: timeZone
+            }
+          }, analysis.summary);
+        } catch (error) {
+          return toToolError(error, 'analyze latest drive');
+        }
+      }
+    );
+
+    // Register analyze_drive tool
+    server.registerTool(
+      "analyze_drive",
+      {
+        description: "Analyze a specific drive or trip, found by Tessie drive ID, merged ID (e.g. merged_12_13_14) or start time, with the same metrics as analyze_latest_drive",
+        inputSchema: {
+          vin: z.string().describe("Vehicle identification number (VIN)"),
+          drive_id: z.string().optional().describe("Tessie drive ID, or a merged ID such as merged_12_13_14 from a previous analysis or get_trips"),
+          start_time: z.string().optional().describe("Alternative to drive_id: a time during or near the start of the trip (ISO format; a date-only value means the start of that day)"),
+          context_hours: z.number().positive().max(72).optional().default(12).describe("Hours of surrounding drives to fetch before and after, so the trip can be re-merged (default 12)"),
+          ...mergePolicyShape,
+          ...unitsShape,
+          ...timeZoneShape
+        },
+        outputSchema: driveAnalysisOutput
+      },
+      async ({ vin, drive_id, start_time, context_hours = 12, units, efficiency_unit, time_zone, ...policyOverrides }) => {
+        try {
+          if ((drive_id === undefined) === (start_time === undefined)) {
+            throw new InvalidArgumentError("Provide exactly one of drive_id or start_time");
+          }
+
+          const converter = unitsFor(units, efficiency_unit);
+          const timeZone = await timeZoneFor(vin, time_zone);
+          const mergePolicy = resolveMergePolicy(policyOverrides, driveAnalyzer.mergePolicy);
+
+          // Locate the target, then fetch the drives around it so merging sees the whole trip
+          let target: DriveTarget;
+          let anchorStart: number;
+          let anchorEnd: number;
+          // A merged ID names a whole trip, which a different merge policy may split or extend
+          let requestedIds: number[] | null = null;
+          if (drive_id !== undefined) {
+            const driveIds = parseDriveId(drive_id);
+            if (!driveIds) {
+              throw new InvalidArgumentError(`"${drive_id}" is neither a Tessie drive ID nor a merged ID such as merged_12_13_14`);
+            }
+            const anchor = await tessieClient.findDrive(vin, driveIds[0]);
+            const last = driveIds.length > 1 ? await tessieClient.findDrive(vin, driveIds[driveIds.length - 1]) : anchor;
+            target = { driveId: anchor.id };
+            anchorStart = anchor.started_at;
+            anchorEnd = last.ended_at;
+            if (drive_id.trim().startsWith('merged_')) {
+              requestedIds = driveIds;
+            }
+          } else {
+            const timestamp = Date.parse(parseZonedDate(start_time!, timeZone));
+            if (Number.isNaN(timestamp)) {
+              throw new InvalidArgumentError(`"${start_time}" is not a valid ISO date or timestamp`);
+            }
+            target = { timestamp: Math.floor(timestamp / 1000) };
+            anchorStart = anchorEnd = target.timestamp;
+          }
+
+          const startDate = new Date((anchorStart - context_hours * 3600) * 1000);
+          const endDate = new Date((anchorEnd + context_hours * 3600) * 1000);
+          const drives = await history.getAllDrives(vin, startDate.toISOString(), endDate.toISOString());
+          const periodSearched = `${formatZonedIso(startDate, timeZone)} to ${formatZonedIso(endDate, timeZone)}`;
+
+          const analysis = driveAnalyzer.analyzeDrive(drives, target, converter, mergePolicy, await packCapacityFor(vin));
+          if (!analysis) {
+            throw new NoDataError(`No drives found between ${periodSearched}`);
+          }
+
+          let summary = analysis.summary;
+          let requestedTrip;
+          if (requestedIds) {
+            const analyzedIds = analysis.mergedDrive.originalDriveIds;
+            const matched = requestedIds.length === analyzedIds.length && requestedIds.every(id => analyzedIds.includes(id));
+            const note = matched
+              ? null
+              : `${drive_id} does not match a single trip under this merge policy; analyzed ${analysis.mergedDrive.id} instead`;
+            if (note) {
+              summary = `${summary}\n\nNote: ${note}`;
+            }
+            requestedTrip = { drive_ids: requestedIds, analyzed_drive_ids: analyzedIds, matched, note };
+          }
+
+          return toolResult({
+            analysis_summary: summary,
+            detailed_analysis: formatDriveAnalysis(analysis, converter, timeZone),
+            merge_policy: mergePolicy,
+            units: converter.labels,
+            metadata: {
+              analysis_time: new Date().toISOString(),
+              drives_analyzed: drives.length,
+              period_searched: periodSearched,
+              time_zone: timeZone,
+              requested_trip: requestedTrip
+            }
+          }, summary);
+        } catch (error) {
+          return toToolError(error, 'analyze drive');
+        }
+      }
+    );
+
+    // Register get_trips tool
+    server.registerTool(
+      "get_trips",
+      {
+        description: "List trips in a date range: drives merged across short and charging stops into whole journeys, with distance, duration, stops, battery, efficiency and Autopilot share. Sortable and filterable.",
+        inputSchema: {
+          vin: z.string().describe("Vehicle identification number (VIN)"),
+          start_date: z.string().describe("Start date in ISO format (YYYY-MM-DD or YYYY-MM-DDTHH:mm:ssZ)"),
+          end_date: z.string().describe("End date in ISO format (YYYY-MM-DD or YYYY-MM-DDTHH:mm:ssZ)"),
+          min_distance: z.number().nonnegative().optional().describe("Only trips at least this long, in the selected distance unit"),
+          start_location: z.string().optional().describe("Only trips whose starting location contains this text"),
+          end_location: z.string().optional().describe("Only trips whose ending location contains this text"),
+          tag: z.string().optional().describe("Only trips that include a drive with this tag, Tessie's or one set with tag_drive"),
+          sort_by: z.enum(TRIP_SORT_KEYS).optional().default("start_time").describe("Field to sort trips by"),
+          order: z.enum(["asc", "desc"]).optional().default("desc").describe("Sort order (default newest or largest first)"),
+          limit: z.number().int().positive().optional().default(50).describe("Maximum number of trips to return"),
+          ...mergePolicyShape,
+          ...unitsShape,
+          ...timeZoneShape
+        },
+        outputSchema: tripsOutput
+      },
+      async ({
+        vin, start_date, end_date, min_distance, start_location, end_location, tag,
+        sort_by = "start_time", order = "desc", limit = 50, units, efficiency_unit, time_zone, ...policyOverrides
+      }) => {
+        try {
+          const converter = unitsFor(units, efficiency_unit);
+          const timeZone = await timeZoneFor(vin, time_zone);
+          const mergePolicy = resolveMergePolicy(policyOverrides, driveAnalyzer.mergePolicy);
+          const [result, annotations] = await Promise.all([
+            queryExecutor.fetchAllDrives(vin, "get_trips", {
+              start_date: parseZonedDate(start_date, timeZone),
+              end_date: parseZonedDate(end_date, timeZone, true)
+            }),
+            driveAnnotations.forVehicle(vin)
+          ]);
+
+          const capacity = await packCapacityFor(vin);
+          // A trip carries the tags of every drive it merges, local ones included
+          const allTrips = driveAnalyzer.mergeDrives(result.drives, mergePolicy).map(trip => ({
+            ...trip,
+            tags: uniqueTags([...trip.tags, ...trip.originalDriveIds.flatMap(id => annotations.get(id)?.tags ?? [])])
+          }));
+          const trips = sortTrips(filterTrips(allTrips, {
+            min_distance_miles: min_distance !== undefined ? converter.toMiles(min_distance) : undefined,
+            start_location,
+            end_location,
+            tag
+          }), sort_by, order, capacity.kwh).slice(0, limit);
+
+          const formatTrip = (trip: MergedDrive) => {
+            const battery = driveAnalyzer.analyzeBatteryConsumption(trip, capacity);
+            return {
+              id: trip.id,
+              drive_ids: trip.originalDriveIds,
+              start_time: formatZonedIso(new Date(trip.started_at * 1000), timeZone),
+              end_time: formatZonedIso(new Date(trip.ended_at * 1000), timeZone),
+              starting_location: trip.starting_location,
+              ending_location: trip.ending_location,
+              distance: converter.distance(trip.total_distance),
+              total_duration_minutes: trip.total_duration_minutes,
+              driving_duration_minutes: trip.driving_duration_minutes,
+              stops: trip.stops.map(stop => ({
                 location: stop.location,
                 duration_minutes: stop.duration_minutes,
                 type: stop.stop_type,
-                time: `${new Date(stop.started_at * 1000).toLocaleTimeString()} - ${new Date(stop.ended_at * 1000).toLocaleTimeString()}`
+                start_time: formatZonedIso(new Date(stop.started_at * 1000), timeZone),
+                end_time: formatZonedIso(new Date(stop.ended_at * 1000), timeZone)
               })),
-              battery_analysis: {
-                starting_level: `${analysis.mergedDrive.starting_battery}%`,
-                ending_level: `${analysis.mergedDrive.ending_battery}%`,
-                percentage_consumed: `${analysis.batteryConsumption.percentage_used}%`,
-                estimated_kwh_used: analysis.batteryConsumption.estimated_kwh_used,
-                efficiency_miles_per_kwh: analysis.batteryConsumption.efficiency_miles_per_kwh
-              },
-              fsd_analysis: {
-                autopilot_miles: analysis.fsdAnalysis.total_autopilot_miles,
-                fsd_percentage: `${analysis.fsdAnalysis.fsd_percentage}%`,
-                data_available: analysis.fsdAnalysis.autopilot_available,
-                note: analysis.fsdAnalysis.note
-              }
-            },
+              battery_used: battery.percentage_used,
+              estimated_kwh_used: battery.estimated_kwh_used,
+              efficiency: converter.efficiency(trip.total_distance, battery.estimated_kwh_used),
+              energy_method: battery.method,
+              energy_confidence: battery.confidence,
+              autopilot_distance: converter.distance(trip.autopilot_distance),
+              autopilot_percentage: trip.autopilot_percentage,
+              tags: trip.tags,
+              notes: trip.originalDriveIds
+                .map(id => annotations.get(id)?.note)
+                .filter((note): note is string => !!note)
+            };
+          };
+
+          const totalMiles = trips.reduce((sum, trip) => sum + trip.total_distance, 0);
+          const text = trips.length > 0
+            ? `${trips.length} trips, ${converter.distance(totalMiles)} ${converter.labels.distance} from ${start_date} to ${end_date}:\n` +
+              trips.map(trip => `• ${localDateKey(new Date(trip.started_at * 1000), timeZone)} ` +
+                `${trip.starting_location} → ${trip.ending_location}, ` +
+                `${converter.distance(trip.total_distance)} ${converter.labels.distance}`).join('\n')
+            : `No trips matched between ${start_date} and ${end_date}`;
+
+          return toolResult({
+            vehicle_vin: vin,
+            date_range: { start: start_date, end: end_date },
+            total_trips: trips.length,
+            trips: trips.map(formatTrip),
+            sort: { by: sort_by, order },
+            merge_policy: mergePolicy,
+            units: converter.labels,
+            time_zone: timeZone,
             metadata: {
-              analysis_time: new Date().toISOString(),
-              drives_analyzed: drives.length,
-              period_searched: `${startDate.toISOString().split('T')[0]} to ${endDate.toISOString().split('T')[0]}`
+              execution_plan: result.plan,
+              duplicates_removed: result.duplicates_removed,
+              drives_merged: result.drives.length,
+              trips_before_filters: allTrips.length
+            }
+          }, text);
+        } catch (error) {
+          return toToolError(error, 'get trips');
+        }
+      }
+    );
+
+    server.registerTool(
+      "get_commute_stats",
+      {
+        description: "Detect commutes, recurring trips between the same two places at about the same time of day, and report per direction the typical duration and its spread, efficiency, departure times, the departure window with the shortest trips, and a monthly trend",
+        inputSchema: {
+          vin: z.string().describe("Vehicle identification number (VIN)"),
+          start_date: z.string().describe("Start date of the period (ISO format); a few months gives the clearest picture"),
+          end_date: z.string().describe("End date of the period (ISO format)"),
+          commutes: z.array(z.object(commuteShape)).optional().describe("Commutes to report for this call, replacing the configured ones"),
+          min_trips: z.number().int().min(2).optional().default(DEFAULT_MIN_COMMUTE_TRIPS).describe("Days a route must be driven at about the same time to count as a commute"),
+          ...mergePolicyShape,
+          ...unitsShape,
+          ...timeZoneShape
+        },
+        outputSchema: commuteStatsOutput
+      },
+      async ({
+        vin, start_date, end_date, commutes: declared, min_trips = DEFAULT_MIN_COMMUTE_TRIPS,
+        units, efficiency_unit, time_zone, ...policyOverrides
+      }) => {
+        try {
+          const converter = unitsFor(units, efficiency_unit);
+          const timeZone = await timeZoneFor(vin, time_zone);
+          const mergePolicy = resolveMergePolicy(policyOverrides, driveAnalyzer.mergePolicy);
+          const drives = await history.getAllDrives(vin, parseZonedDate(start_date, timeZone), parseZonedDate(end_date, timeZone, true));
+          const [places, capacity] = await Promise.all([placesFor(drives), packCapacityFor(vin)]);
+
+          const trips = driveAnalyzer.mergeDrives(drives, mergePolicy);
+          const commutes = detectCommutes(trips, drives, {
+            timeZone,
+            places,
+            declared: declared ?? config.commutes ?? [],
+            minTrips: min_trips,
+            packKwh: capacity.kwh
+          });
+
+          const formatCommute = (commute: Commute) => ({
+            name: commute.name,
+            declared: commute.declared,
+            legs: commute.legs.map(({ median_miles, miles, by_month, ...leg }) => ({
+              ...leg,
+              median_distance: converter.distance(median_miles),
+              total_distance: converter.distance(miles),
+              efficiency: converter.efficiency(miles, leg.energy_kwh) ?? null,
+              by_month: by_month.map(({ miles: monthMiles, ...month }) => ({
+                ...month,
+                distance: converter.distance(monthMiles),
+                efficiency: converter.efficiency(monthMiles, month.energy_kwh) ?? null
+              }))
+            }))
+          });
+
+          const text = commutes.length > 0
+            ? `${commutes.length} commutes from ${start_date} to ${end_date}:\n` + commutes.map(commute =>
+              `• ${commute.name}: ` + commute.legs.map(leg =>
+                `${leg.direction} ${leg.trips} trips, typically leaving ${leg.typical_departure}, ` +
+                `${leg.duration.median_minutes} min (±${leg.duration.std_dev_minutes})` +
+                (leg.best_departure_window && leg.best_departure_window.minutes_saved > 0
+                  ? `, fastest leaving ${leg.best_departure_window.window} (${leg.best_departure_window.minutes_saved} min quicker)`
+                  : '')
+              ).join('; ')
+            ).join('\n')
+            : `No route was driven on ${min_trips} or more days at about the same time between ${start_date} and ${end_date}`;
+
+          return toolResult({
+            vehicle_vin: vin,
+            period: { start_date, end_date },
+            trips_analyzed: trips.length,
+            commutes: commutes.map(formatCommute),
+            merge_policy: mergePolicy,
+            units: converter.labels,
+            time_zone: timeZone
+          }, text);
+        } catch (error) {
+          return toToolError(error, 'get commute stats');
+        }
+      }
+    );
+
+    // Charging session tools
+    const chargingPriceShape = {
+      price_per_kwh: z.number().nonnegative().optional().describe("Electricity price per kWh, used to estimate the cost of sessions without a recorded cost (defaults to the server setting)"),
+      home_locations: z.array(z.string()).optional().describe("Saved location names or address fragments that count as home charging (default [\"Home\"])")
+    };
+    const priceFor = (price_per_kwh?: number) => price_per_kwh ?? config.electricityPricePerKwh;
+    const tariffs = (config.tariffs ?? []) as Tariff[];
+    // Tier blocks fill over the local month, so sessions earlier in it than the ones asked about count too
+    const tariffCostsFor = async (vin: string, charges: TessieCharge[], timeZone: string) => {
+      const before = tierMonthBefore(charges, tariffs, timeZone);
+      const earlier = before ? await history.getAllCharges(vin, before.start, before.end) : [];
+      return priceCharges(charges, tariffs, timeZone, earlier);
+    };
+
+    server.registerTool(
+      "get_charging_sessions",
+      {
+        description: "List charging sessions with energy added, location type (home, Supercharger or public) and cost",
+        inputSchema: {
+          vin: z.string().describe("Vehicle identification number (VIN)"),
+          start_date: z.string().optional().describe("Start date in ISO format (YYYY-MM-DD or YYYY-MM-DDTHH:mm:ssZ)"),
+          end_date: z.string().optional().describe("End date in ISO format (YYYY-MM-DD or YYYY-MM-DDTHH:mm:ssZ)"),
+          limit: z.number().optional().default(50).describe("Maximum number of sessions to return per page"),
+          cursor: z.string().regex(/^\d+$/).optional().describe("next_cursor value from a previous response, to fetch the next page"),
+          ...chargingPriceShape,
+          ...unitsShape,
+          ...timeZoneShape
+        },
+        outputSchema: chargingSessionsOutput
+      },
+      async ({ vin, start_date, end_date, limit = 50, cursor, price_per_kwh, home_locations, units, efficiency_unit, time_zone }) => {
+        try {
+          const converter = unitsFor(units, efficiency_unit);
+          const timeZone = await timeZoneFor(vin, time_zone);
+          const page = await tessieClient.getCharges(vin, {
+            startDate: start_date && parseZonedDate(start_date, timeZone),
+            endDate: end_date && parseZonedDate(end_date, timeZone, true),
+            limit,
+            cursor
+          });
+
+          const tariffCosts = await tariffCostsFor(vin, page.charges, timeZone);
+          const sessions = page.charges.map(charge => {
+            const tariffCost = tariffCosts.get(charge.id);
+            const { cost, source } = chargeCost(charge, priceFor(price_per_kwh), tariffCost);
+            return {
+              id: charge.id,
+              start_time: formatZonedIso(new Date(charge.started_at * 1000), timeZone),
+              end_time: formatZonedIso(new Date(charge.ended_at * 1000), timeZone),
+              location: charge.saved_location || charge.location,
+              location_type: classifyCharge(charge, home_locations),
+              starting_battery: charge.starting_battery,
+              ending_battery: charge.ending_battery,
+              energy_added_kwh: charge.energy_added,
+              energy_used_kwh: charge.energy_used,
+              range_added: converter.distance(charge.miles_added),
+              cost,
+              cost_source: source,
+              tariff: source === 'tariff' ? { name: tariffCost!.tariff, by_period: tariffCost!.by_period } : null
+            };
+          });
+          const energy = Math.round(page.charges.reduce((sum, charge) => sum + charge.energy_added, 0) * 100) / 100;
+
+          return toolResult({
+            vehicle_vin: vin,
+            total_sessions: sessions.length,
+            date_range: {
+              start: start_date || 'Not specified',
+              end: end_date || 'Not specified'
+            },
+            pagination: {
+              has_more: page.next_cursor !== null,
+              next_cursor: page.next_cursor
+            },
+            sessions,
+            units: converter.labels,
+            time_zone: timeZone
+          }, `${sessions.length} charging sessions, ${energy} kWh added` +
+            (page.next_cursor ? `; more available with cursor ${page.next_cursor}` : ''));
+        } catch (error) {
+          return toToolError(error, 'get charging sessions');
+        }
+      }
+    );
+
+    server.registerTool(
+      "get_charging_summary",
+      {
+        description: "Summarize charging over a period: energy added and cost by location type (home, Supercharger, public), and charging cost per mile or km driven",
+        inputSchema: {
+          vin: z.string().describe("Vehicle identification number (VIN)"),
+          start_date: z.string().describe("Start date of the period (ISO format)"),
+          end_date: z.string().describe("End date of the period (ISO format)"),
+          ...chargingPriceShape,
+          ...unitsShape,
+          ...timeZoneShape
+        },
+        outputSchema: chargingSummaryOutput
+      },
+      async ({ vin, start_date, end_date, price_per_kwh, home_locations, units, efficiency_unit, time_zone }) => {
+        try {
+          const converter = unitsFor(units, efficiency_unit);
+          const timeZone = await timeZoneFor(vin, time_zone);
+          const range = {
+            start_date: parseZonedDate(start_date, timeZone),
+            end_date: parseZonedDate(end_date, timeZone, true)
+          };
+          const charges = await history.getAllCharges(vin, range.start_date, range.end_date);
+          const { drives } = await queryExecutor.fetchAllDrives(vin, "get_charging_summary", range);
+
+          const homeLocations = home_locations || DEFAULT_HOME_LOCATIONS;
+          const pricePerKwh = priceFor(price_per_kwh);
+          const summary = summarizeCharges(charges, { pricePerKwh, homeLocations, tariffCosts: await tariffCostsFor(vin, charges, timeZone) });
+          const distance = converter.distance(drives.reduce((sum, drive) => sum + drive.odometer_distance, 0));
+          const costPerDistance = distance > 0 && summary.total.cost > 0
+            ? Math.round((summary.total.cost / distance) * 1000) / 1000
+            : null;
+
+          const { total, by_location_type: byType } = summary;
+          const text = `${total.sessions} charging sessions from ${start_date} to ${end_date}: ${total.energy_added_kwh} kWh, cost ${total.cost}` +
+            (total.sessions_without_cost > 0 ? ` (${total.sessions_without_cost} sessions without a known cost)` : '') +
+            `. Home ${byType.home.energy_added_kwh} kWh, Supercharger ${byType.supercharger.energy_added_kwh} kWh, ` +
+            `public ${byType.public.energy_added_kwh} kWh.` +
+            (costPerDistance !== null ? ` ${costPerDistance} per ${converter.labels.distance === 'km' ? 'km' : 'mile'} driven.` : '');
+
+          return toolResult({
+            vehicle_vin: vin,
+            period: { start_date, end_date },
+            total,
+            by_location_type: byType,
+            driving: { distance, drives: drives.length },
+            cost_per_distance: costPerDistance,
+            price_per_kwh: pricePerKwh ?? null,
+            home_locations: homeLocations,
+            units: converter.labels,
+            time_zone: timeZone
+          }, text);
+        } catch (error) {
+          return toToolError(error, 'get charging summary');
+        }
+      }
+    );
+
+    server.registerTool(
+      "get_ownership_costs",
+      {
+        description: "Total cost of ownership by month: charging cost (recorded, or estimated from the electricity price), fixed costs such as insurance, payments, tires and maintenance, and cost per mile or km driven, compared with the fuel cost of a gasoline car",
+        inputSchema: {
+          vin: z.string().describe("Vehicle identification number (VIN)"),
+          start_date: z.string().describe("Start date of the period (ISO format)"),
+          end_date: z.string().describe("End date of the period (ISO format)"),
+          price_per_kwh: z.number().nonnegative().optional().describe("Electricity price per kWh, used to estimate the cost of sessions without a recorded cost (defaults to the server setting)"),
+          fixed_costs: z.array(z.object(fixedCostShape)).optional().describe("Fixed costs for this call, replacing the configured ones"),
+          gasoline_reference: z.object(gasolineReferenceShape).optional().describe("Gasoline car to compare with, replacing the configured one"),
+          ...unitsShape,
+          ...timeZoneShape
+        },
+        outputSchema: ownershipCostsOutput
+      },
+      async ({ vin, start_date, end_date, price_per_kwh, fixed_costs, gasoline_reference, units, efficiency_unit, time_zone }) => {
+        try {
+          const fixedCosts = fixed_costs ?? config.fixedCosts ?? [];
+          const undated = fixedCosts.find(cost => cost.period === 'once' && !cost.start_date);
+          if (undated) {
+            throw new InvalidArgumentError(`One-off cost "${undated.name}" needs a start_date`);
+          }
+          const gasoline = gasoline_reference ?? config.gasolineReference;
+
+          const converter = unitsFor(units, efficiency_unit);
+          const timeZone = await timeZoneFor(vin, time_zone);
+          const range = {
+            start_date: parseZonedDate(start_date, timeZone),
+            end_date: parseZonedDate(end_date, timeZone, true)
+          };
+          const [charges, drives] = await Promise.all([
+            history.getAllCharges(vin, range.start_date, range.end_date),
+            history.getAllDrives(vin, range.start_date, range.end_date)
+          ]);
+
+          const pricePerKwh = priceFor(price_per_kwh);
+          const costs = ownershipCosts(drives, charges, {
+            timeZone,
+            startDate: localDateKey(new Date(range.start_date), timeZone),
+            endDate: localDateKey(new Date(range.end_date), timeZone),
+            pricePerKwh,
+            tariffCosts: await tariffCostsFor(vin, charges, timeZone),
+            fixedCosts,
+            gasoline
+          });
+
+          const metric = converter.labels.distance === 'km';
+          const perDistance = (cost: number, miles: number) =>
+            miles > 0 ? Math.round((cost / (metric ? miles * KM_PER_MILE : miles)) * 1000) / 1000 : null;
+          const formatPeriod = ({ miles, gasoline_fuel_cost, ...period }: CostPeriod) => ({
+            drives: period.drives,
+            distance: converter.distance(miles),
+            charging: period.charging,
+            fixed_costs: period.fixed_costs,
+            fixed_cost: period.fixed_cost,
+            total_cost: period.total_cost,
+            charging_cost_per_distance: perDistance(period.charging.cost, miles),
+            cost_per_distance: perDistance(period.total_cost, miles),
+            gasoline: gasoline_fuel_cost === null ? null : {
+              fuel_cost: gasoline_fuel_cost,
+              fuel_savings: Math.round((gasoline_fuel_cost - period.charging.cost) * 100) / 100
             }
+          });
+          const total = formatPeriod(costs.total);
+
+          const unit = metric ? 'km' : 'mile';
+          const lines = [
+            `Cost of ownership from ${start_date} to ${end_date}: ${total.total_cost} ` +
+              `(charging ${total.charging.cost}, fixed ${total.fixed_cost}) over ${total.distance} ${converter.labels.distance}` +
+              (total.cost_per_distance !== null ? `, ${total.cost_per_distance} per ${unit}` : ''),
+            ...(total.charging.sessions_without_cost > 0
+              ? [`${total.charging.sessions_without_cost} charging sessions have no known cost; pass price_per_kwh to estimate them`]
+              : []),
+            ...(gasoline && total.gasoline
+              ? [`A ${gasoline.name ?? 'gasoline car'} at ${gasoline.fuel_economy} ${gasoline.fuel_economy_unit ?? 'mpg'} would have spent ` +
+                `${total.gasoline.fuel_cost} on fuel, ${Math.abs(total.gasoline.fuel_savings)} ${total.gasoline.fuel_savings >= 0 ? 'more' : 'less'} than charging`]
+              : [])
+          ];
+
+          return toolResult({
+            vehicle_vin: vin,
+            period: { start_date, end_date },
+            months: costs.months.map(({ month, days, ...period }) => ({ month, days, ...formatPeriod(period) })),
+            total,
+            gasoline_reference: gasoline ? {
+              name: gasoline.name ?? null,
+              fuel_economy: gasoline.fuel_economy,
+              fuel_economy_unit: gasoline.fuel_economy_unit ?? 'mpg',
+              fuel_price: gasoline.fuel_price,
+              fuel_cost_per_distance: perDistance(fuelCostPerMile(gasoline), 1)
+            } : null,
+            price_per_kwh: pricePerKwh ?? null,
+            units: converter.labels,
+            time_zone: timeZone
+          }, lines.join('. ') + '.');
+        } catch (error) {
+          return toToolError(error, 'get ownership costs');
+        }
+      }
+    );
+
+    server.registerTool(
+      "get_optimal_charging_strategy",
+      {
+        description: "Recommend when to charge under a configured electricity tariff: how past sessions' energy and cost fell across its time-of-use periods, the cheapest charging windows for each season and weekday, and what charging only in them would have saved",
+        inputSchema: {
+          vin: z.string().describe("Vehicle identification number (VIN)"),
+          start_date: z.string().optional().describe("Start of the sessions analyzed (ISO format, default 30 days ago)"),
+          end_date: z.string().optional().describe("End of the sessions analyzed (ISO format, default now)"),
+          tariff: z.string().optional().describe("Name of the tariff to plan for (default: the tariff that priced the most sessions)"),
+          ...timeZoneShape
+        },
+        outputSchema: chargingStrategyOutput
+      },
+      async ({ vin, start_date, end_date, tariff: tariffName, time_zone }) => {
+        try {
+          if (tariffs.length === 0) {
+            throw new InvalidArgumentError('No electricity tariffs are configured; add one to the tariffs setting');
+          }
+          const named = tariffName === undefined ? undefined : tariffs.find(t => t.name.toLowerCase() === tariffName.trim().toLowerCase());
+          if (tariffName !== undefined && !named) {
+            throw new InvalidArgumentError(`No tariff named "${tariffName}"; configured tariffs: ${tariffs.map(t => t.name).join(', ')}`);
+          }
+
+          const timeZone = await timeZoneFor(vin, time_zone);
+          const startDate = start_date ? parseZonedDate(start_date, timeZone) : new Date(Date.now() - 30 * 24 * 3600 * 1000).toISOString();
+          const endDate = end_date ? parseZonedDate(end_date, timeZone, true) : new Date().toISOString();
+          const charges = await history.getAllCharges(vin, startDate, endDate);
+          const costs = await tariffCostsFor(vin, charges, timeZone);
+
+          // Without a name, the tariff most sessions were priced with, else the first time-of-use one
+          const counts = new Map<string, number>();
+          costs.forEach(cost => counts.set(cost.tariff, (counts.get(cost.tariff) ?? 0) + 1));
+          const busiest = [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+          const tariff = named
+            ?? tariffs.find(t => t.name === busiest)
+            ?? tariffs.find(t => t.type === 'time_of_use')
+            ?? tariffs[0];
+
+          const strategy = chargingStrategy(tariff, charges, costs, timeZone);
+          const days = Math.max(1, (Date.parse(endDate) - Date.parse(startDate)) / (24 * 3600 * 1000));
+          const savingsPer30Days = Math.round((strategy.savings * 30 / days) * 100) / 100;
+
+          const describeWindow = (w: typeof strategy.windows[number]) =>
+            `${w.start}-${w.end}${w.season ? ` in ${w.season}` : ''} on ${w.days.length === 7 ? 'every day' : w.days.join(', ')} at ${w.price_per_kwh}`;
+          const lines = [
+            `${strategy.sessions} sessions priced with ${tariff.name}: ${strategy.energy_kwh} kWh for ${strategy.cost}` +
+              (strategy.average_price_per_kwh !== null ? ` (${strategy.average_price_per_kwh} per kWh)` : ''),
+            ...(strategy.by_period.length > 1
+              ? [strategy.by_period.map(p => `${p.share_percent}% ${p.period}`).join(', ')]
+              : []),
+            strategy.windows.length > 0
+              ? `Cheapest windows: ${strategy.windows.map(describeWindow).join('; ')}`
+              : `${tariff.name} is a ${tariff.type} tariff, so when you charge doesn't change the price`,
+            ...(strategy.typical_session?.hours != null
+              ? [`A typical session adds ${strategy.typical_session.energy_kwh} kWh in ${strategy.typical_session.hours} hours`]
+              : []),
+            ...(strategy.savings > 0
+              ? [`Charging only in the cheapest windows would have saved ${strategy.savings} (about ${savingsPer30Days} per 30 days)`]
+              : [])
+          ];
+
+          return toolResult({
+            vehicle_vin: vin,
+            period: { start_date: startDate, end_date: endDate },
+            tariff: { name: tariff.name, type: tariff.type, locations: tariff.locations ?? [] },
+            ...strategy,
+            savings_per_30_days: savingsPer30Days,
+            time_zone: timeZone
+          }, lines.join('. ') + '.');
+        } catch (error) {
+          return toToolError(error, 'get optimal charging strategy');
+        }
+      }
+    );
+
+    server.registerTool(
+      "get_battery_health",
+      {
+        description: "Track battery degradation: trend versus mileage and age, sudden capacity drops, comparison with the other vehicles in the account, and projected capacity at a future odometer reading",
+        inputSchema: {
+          vin: z.string().describe("Vehicle identification number (VIN)"),
+          start_date: z.string().optional().describe("Only use measurements from this date (ISO format)"),
+          end_date: z.string().optional().describe("Only use measurements up to this date (ISO format)"),
+          project_to_odometer: z.number().positive().optional().describe("Odometer reading, in the distance unit, to project capacity at"),
+          drop_threshold_percent: z.number().positive().optional().default(DEFAULT_DROP_THRESHOLD_PERCENT).describe("Flag readings that fall this many percent of the baseline below the preceding readings"),
+          include_series: z.boolean().optional().default(false).describe("Include every measurement in the result"),
+          ...unitsShape,
+          ...timeZoneShape
+        },
+        outputSchema: batteryHealthOutput
+      },
+      async ({ vin, start_date, end_date, project_to_odometer, drop_threshold_percent, include_series = false, units, efficiency_unit, time_zone }) => {
+        try {
+          const converter = unitsFor(units, efficiency_unit);
+          const timeZone = await timeZoneFor(vin, time_zone);
+          const [measurements, fleet] = await Promise.all([
+            tessieClient.getBatteryHealthMeasurements(
+              vin,
+              start_date && parseZonedDate(start_date, timeZone),
+              end_date && parseZonedDate(end_date, timeZone, true)
+            ),
+            // The fleet comparison is optional; a failed lookup should not hide the vehicle's own health
+            tessieClient.getFleetBatteryHealth().catch(() => undefined)
+          ]);
+
+          const report = analyzeBatteryHealth(vin, measurements, {
+            fleet,
+            dropThresholdPercent: drop_threshold_percent,
+            projectToOdometer: project_to_odometer === undefined ? undefined : converter.toMiles(project_to_odometer)
+          });
+          if (!report) {
+            throw new NoDataError(`No battery health measurements found for ${vin}`);
+          }
+
+          // Ranges follow the distance unit; kWh values are unit-free
+          const value = (miles: number) => report.metric === 'max_range' ? converter.distance(miles)! : miles;
+          const time = (timestamp: number) => formatZonedIso(new Date(timestamp * 1000), timeZone);
+          const point = (p: HealthPoint) => ({
+            time: time(p.timestamp),
+            odometer: converter.distance(p.odometer)!,
+            value: value(p.value),
+            health_percent: p.health_percent
+          });
+          const distanceUnit = converter.labels.distance === 'km' ? 'km' : 'miles';
+          const trend = report.trend && {
+            percent_per_1000_distance: Math.round(report.trend.percent_per_1000_miles * 1000 / converter.distance(1000)! * 100) / 100,
+            percent_per_year: report.trend.percent_per_year,
+            r_squared_odometer: report.trend.by_odometer.r_squared,
+            r_squared_age: report.trend.by_age.r_squared
           };
+          const projection = report.projection && {
+            odometer: converter.distance(report.projection.odometer)!,
+            value: value(report.projection.value),
+            health_percent: report.projection.health_percent
+          };
+
+          const lines = [
+            `Battery health ${report.latest.health_percent}% at ${point(report.latest).odometer} ${distanceUnit} (${report.series.length} measurements)`,
+            trend
+              ? `Losing ${trend.percent_per_1000_distance}% per 1000 ${distanceUnit} and ${trend.percent_per_year}% per year`
+              : 'Not enough measurements for a degradation trend',
+            ...(report.drops.length > 0 ? [`${report.drops.length} sudden capacity drops`] : []),
+            ...(report.fleet?.fleet_average_health_percent != null
+              ? [`Account average of other vehicles ${report.fleet.fleet_average_health_percent}% (${report.fleet.difference_percent! >= 0 ? '+' : ''}${report.fleet.difference_percent} points)`]
+              : []),
+            ...(projection ? [`Projected ${projection.health_percent}% at ${projection.odometer} ${distanceUnit}`] : [])
+          ];
+
+          return toolResult({
+            vehicle_vin: vin,
+            measurements: report.series.length,
+            metric: report.metric,
+            baseline: value(report.baseline),
+            baseline_source: report.baseline_source,
+            latest: point(report.latest),
+            trend,
+            drops: report.drops.map(drop => ({
+              time: time(drop.timestamp),
+              odometer: converter.distance(drop.odometer)!,
+              previous_value: value(drop.previous_value),
+              value: value(drop.value),
+              drop_percent: drop.drop_percent
+            })),
+            fleet: report.fleet,
+            projection,
+            ...(include_series ? { series: report.series.map(point) } : {}),
+            units: converter.labels,
+            time_zone: timeZone
+          }, lines.join('. ') + '.');
         } catch (error) {
-          throw new Error(`Failed to analyze latest drive: ${error}`);
+          return toToolError(error, 'get battery health');
+        }
+      }
+    );
+
+    server.registerTool(
+      "analyze_idle_drain",
+      {
+        description: "Analyze battery lost while parked (vampire drain): loss per idle period in %/day and kWh/day, how much Sentry Mode, climate or Cabin Overheat Protection and cold weather add, and the parking locations with the worst drain",
+        inputSchema: {
+          vin: z.string().describe("Vehicle identification number (VIN)"),
+          start_date: z.string().describe("Start date of the period (ISO format)"),
+          end_date: z.string().describe("End date of the period (ISO format)"),
+          min_hours: z.number().positive().optional().default(DEFAULT_MIN_IDLE_HOURS).describe("Ignore idle periods shorter than this many hours"),
+          cold_below: z.number().optional().describe("Outside temperature, in the temperature unit, below which an idle counts as cold (default 5°C / 41°F)"),
+          use_state_history: z.boolean().optional().default(true).describe("Read Sentry Mode, climate and outside temperature from the vehicle's state history"),
+          limit: z.number().int().positive().optional().default(10).describe("Number of worst idle periods to list"),
+          ...unitsShape,
+          ...timeZoneShape
+        },
+        outputSchema: idleDrainOutput
+      },
+      async ({ vin, start_date, end_date, min_hours, cold_below, use_state_history = true, limit = 10, units, efficiency_unit, time_zone }) => {
+        try {
+          const converter = unitsFor(units, efficiency_unit);
+          const timeZone = await timeZoneFor(vin, time_zone);
+          const startDate = parseZonedDate(start_date, timeZone);
+          const endDate = parseZonedDate(end_date, timeZone, true);
+
+          const [idles, states, capacity] = await Promise.all([
+            history.getIdles(vin, startDate, endDate),
+            use_state_history ? history.getVehicleStates(vin, startDate, endDate) : Promise.resolve([]),
+            packCapacityFor(vin)
+          ]);
+          if (idles.length === 0) {
+            throw new NoDataError(`No idle periods found between ${start_date} and ${end_date}`);
+          }
+
+          const report = analyzeIdleDrain(idles, {
+            packKwh: capacity.kwh,
+            states,
+            minHours: min_hours,
+            coldBelow: cold_below === undefined ? undefined : converter.toCelsius(cold_below)
+          });
+          const worst = [...report.idles]
+            .sort((a, b) => b.percent_per_day - a.percent_per_day)
+            .slice(0, limit)
+            .map(({ started_at, ended_at, ...idle }) => ({
+              ...idle,
+              start_time: formatZonedIso(new Date(started_at * 1000), timeZone),
+              end_time: formatZonedIso(new Date(ended_at * 1000), timeZone),
+              average_outside_temp: converter.temperature(idle.average_outside_temp) ?? null
+            }));
+
+          const worstLocation = report.locations[0];
+          const topCause = report.attribution.find(cause => (cause.excess_percent_per_day ?? 0) > 0);
+          const text = `Lost ${report.total.percent_per_day}%/day (${report.total.kwh_per_day} kWh/day) parked over ${report.total.idles} idle periods` +
+            (report.baseline ? `; ${report.baseline.percent_per_day}%/day without Sentry, climate or cold` : '') +
+            (topCause ? `. ${topCause.cause} adds ${topCause.excess_percent_per_day}%/day` : '') +
+            (worstLocation ? `. Worst location: ${worstLocation.location} at ${worstLocation.percent_per_day}%/day` : '') +
+            '.';
+
+          return toolResult({
+            vehicle_vin: vin,
+            period: { start_date, end_date },
+            total: report.total,
+            baseline: report.baseline,
+            attribution: report.attribution,
+            locations: report.locations,
+            worst_idles: worst,
+            skipped_idles: report.skipped,
+            pack_capacity_kwh: capacity.kwh,
+            units: converter.labels,
+            time_zone: timeZone
+          }, text);
+        } catch (error) {
+          return toToolError(error, 'analyze idle drain');
+        }
+      }
+    );
+
+    // Exported documents go to the export directory when one is configured, else into the result
+    const exportDestination = (destination?: 'resource' | 'file') => {
+      const target = destination ?? (config.exportDir ? 'file' : 'resource');
+      if (target === 'file' && !config.exportDir) {
+        throw new InvalidArgumentError('No export directory is configured; use destination "resource"');
+      }
+      return target;
+    };
+
+    const deliverDocument = async (target: 'resource' | 'file', filename: string, format: ExportFormat, document: string) => {
+      const uri = `tessie://exports/${filename}`;
+      const mimeType = EXPORT_MIME_TYPES[format];
+      let filePath: string | null = null;
+      if (target === 'file') {
+        const exportDir = path.resolve(config.exportDir!);
+        filePath = path.resolve(exportDir, filename);
+        const relative = path.relative(exportDir, filePath);
+        if (!relative || relative.split(path.sep)[0] === '..' || path.isAbsolute(relative)) {
+          throw new InvalidArgumentError(`"${filename}" is not a file name inside the export directory`);
+        }
+        await fs.mkdir(exportDir, { recursive: true });
+        await fs.writeFile(filePath, document, 'utf8');
+      }
+
+      return {
+        info: { file_path: filePath, uri, mime_type: mimeType, bytes: Buffer.byteLength(document, 'utf8') },
+        resource: filePath ? null : { uri, mimeType, text: document }
+      };
+    };
+
+    server.registerTool(
+      "export_data",
+      {
+        description: "Export drives or charging sessions as CSV, or driving paths as GPX tracks or KML placemarks with speed and battery level per point. Returns the document as an embedded resource or writes it to the configured export directory.",
+        inputSchema: {
+          vin: z.string().describe("Vehicle identification number (VIN)"),
+          dataset: z.enum(['drives', 'charges', 'paths']).describe("What to export"),
+          format: z.enum(['csv', 'gpx', 'kml']).describe("csv for drives and charges; gpx or kml for paths"),
+          start_date: isoDateSchema.describe("Start date of the period (ISO format)"),
+          end_date: isoDateSchema.describe("End date of the period (ISO format)"),
+          destination: z.enum(['resource', 'file']).optional().describe("Embed the document in the result or write it to the export directory (default file when an export directory is configured)"),
+          max_drives: z.number().int().positive().max(100).optional().default(20).describe("Most recent drives to include in a path export; each one is a separate request"),
+          tag: z.string().optional().describe("Drives and paths: only drives with this tag, Tessie's or one set with tag_drive"),
+          ...chargingPriceShape,
+          ...unitsShape,
+          ...timeZoneShape
+        },
+        outputSchema: exportOutput
+      },
+      async ({ vin, dataset, format, start_date, end_date, destination, max_drives = 20, tag, price_per_kwh, home_locations, units, efficiency_unit, time_zone }) => {
+        try {
+          if ((dataset === 'paths') !== (format !== 'csv')) {
+            throw new InvalidArgumentError(dataset === 'paths'
+              ? 'Paths export as gpx or kml, not csv'
+              : `${dataset} export as csv only; use dataset "paths" for gpx or kml`);
+          }
+          if (tag && dataset === 'charges') {
+            throw new InvalidArgumentError('Tags belong to drives; tag filters only apply to the drives and paths datasets');
+          }
+          const target = exportDestination(destination);
+          const converter = unitsFor(units, efficiency_unit);
+          const timeZone = await timeZoneFor(vin, time_zone);
+          const startDate = parseZonedDate(start_date, timeZone);
+          const endDate = parseZonedDate(end_date, timeZone, true);
+          const annotations = await driveAnnotations.forVehicle(vin);
+          const context: ExportContext = { units: converter, timeZone, homeLocations: home_locations, pricePerKwh: priceFor(price_per_kwh), annotations };
+          const title = `${vin} ${dataset} ${start_date} to ${end_date}` + (tag ? ` tagged ${tag}` : '');
+          const tagged = (drive: TessieDrive) => !tag || hasTag(driveTags(drive, annotations.get(drive.id)), tag);
+
+          let document: string;
+          let records: number;
+          let columns: string[] | undefined;
+          if (dataset === 'drives') {
+            const drives = (await history.getAllDrives(vin, startDate, endDate))
+              .filter(tagged)
+              .sort((a, b) => a.started_at - b.started_at);
+            document = toCsv(DRIVE_CSV_COLUMNS, drives, context);
+            records = drives.length;
+            columns = DRIVE_CSV_COLUMNS.map(column => column.name);
+          } else if (dataset === 'charges') {
+            const charges = (await history.getAllCharges(vin, startDate, endDate)).sort((a, b) => a.started_at - b.started_at);
+            document = toCsv(CHARGE_CSV_COLUMNS, charges, { ...context, tariffCosts: await tariffCostsFor(vin, charges, timeZone) });
+            records = charges.length;
+            columns = CHARGE_CSV_COLUMNS.map(column => column.name);
+          } else {
+            const drives = (await history.getAllDrives(vin, startDate, endDate))
+              .filter(tagged)
+              .sort((a, b) => b.started_at - a.started_at)
+              .slice(0, max_drives)
+              .reverse();
+            const tracks: PathTrack[] = [];
+            for (const drive of drives) {
+              const points = await tessieClient.getDrivingPath(
+                vin,
+                new Date(drive.started_at * 1000).toISOString(),
+                new Date(drive.ended_at * 1000).toISOString()
+              );
+              tracks.push({
+                name: `Drive ${drive.id}: ${drive.starting_saved_location || drive.starting_location} → ${drive.ending_saved_location || drive.ending_location}`,
+                description: `${formatZonedIso(new Date(drive.started_at * 1000), timeZone)}, ${converter.distance(drive.odometer_distance)} ${converter.labels.distance}`,
+                points
+              });
+            }
+            document = format === 'gpx' ? toGpx(tracks, context, title) : toKml(tracks, context, title);
+            records = tracks.length;
+          }
+
+          const filename = exportFilename(vin, dataset, startDate, endDate, timeZone, format);
+          const exported = await deliverDocument(target, filename, format, document);
+
+          const data = {
+            vehicle_vin: vin,
+            dataset,
+            format,
+            period: { start_date, end_date },
+            ...(tag ? { tag } : {}),
+            records,
+            ...(columns ? { columns } : {}),
+            ...exported.info,
+            units: converter.labels,
+            time_zone: timeZone
+          };
+          const noun = dataset === 'paths' ? 'tracks' : 'rows';
+          const text = `Exported ${records} ${noun} of ${dataset} as ${format.toUpperCase()}` +
+            (exported.info.file_path ? ` to ${exported.info.file_path}` : '');
+
+          return exported.resource
+            ? toolResultWithResource(data, text, exported.resource)
+            : toolResult(data, text);
+        } catch (error) {
+          return toToolError(error, 'export data');
+        }
+      }
+    );
+
+    server.registerTool(
+      "get_mileage_log",
+      {
+        description: "Mileage log for tax purposes: every drive with date, start and end address, odometer readings, business or personal purpose and distance, plus the standard mileage rate deduction per year. Purposes come from per-drive overrides, tags and classification rules.",
+        inputSchema: {
+          vin: z.string().describe("Vehicle identification number (VIN)"),
+          start_date: isoDateSchema.describe("Start date of the period (ISO format)"),
+          end_date: isoDateSchema.describe("End date of the period (ISO format)"),
+          purpose: z.enum(TRIP_PURPOSES).optional().describe("Only list drives with this purpose; totals still cover every drive"),
+          tag: z.string().optional().describe("Only drives with this tag, e.g. a client or project; totals and deductions cover just those drives"),
+          rules: z.array(z.object(classificationRuleShape)).optional().describe("Classification rules for this call, replacing the configured ones"),
+          format: z.enum(['json', 'csv']).optional().default('json').describe("json lists entries in the result; csv exports them as a document"),
+          destination: z.enum(['resource', 'file']).optional().describe("For csv: embed the document or write it to the export directory"),
+          ...unitsShape,
+          ...timeZoneShape
+        },
+        outputSchema: mileageLogOutput
+      },
+      async ({ vin, start_date, end_date, purpose, tag, rules, format = 'json', destination, units, efficiency_unit, time_zone }) => {
+        try {
+          const target = format === 'csv' ? exportDestination(destination) : null;
+          const converter = unitsFor(units, efficiency_unit);
+          const timeZone = await timeZoneFor(vin, time_zone);
+          const startDate = parseZonedDate(start_date, timeZone);
+          const endDate = parseZonedDate(end_date, timeZone, true);
+
+          const [drives, annotations] = await Promise.all([
+            history.getAllDrives(vin, startDate, endDate),
+            driveAnnotations.forVehicle(vin)
+          ]);
+          const logged = tag ? drives.filter(drive => hasTag(driveTags(drive, annotations.get(drive.id)), tag)) : drives;
+          const taxYearStart = config.taxYearStart ?? DEFAULT_TAX_YEAR_START;
+          const classificationRules = (rules ?? config.mileageRules ?? []) as ClassificationRule[];
+          const log = buildMileageLog(logged, classificationRules, timeZone, annotations, taxYearStart);
+          const entries = purpose ? log.entries.filter(entry => entry.purpose === purpose) : log.entries;
+
+          const rates = config.mileageRates ?? IRS_BUSINESS_RATES;
+          const rateUnit = config.mileageRateUnit ?? 'mile';
+          const toRateUnit = (miles: number) => rateUnit === 'km' ? miles * KM_PER_MILE : miles;
+          // A tiered threshold also counts the tax year's business drives before the range and
+          // those the tag filter leaves out; only the logged drives are deducted
+          const yearBefore = taxYearBefore(startDate, timeZone, rates, taxYearStart);
+          const earlier = yearBefore ? await history.getAllDrives(vin, yearBefore.start, yearBefore.end) : [];
+          const others = earlier.length > 0 || tag
+            ? buildMileageLog([...earlier, ...drives], classificationRules, timeZone, annotations, taxYearStart).entries
+            : [];
+          const deductions = mileageDeductions(log.entries, others, rates, taxYearStart, toRateUnit);
+          const totalDeduction = Math.round(deductions.reduce((sum, d) => sum + (d.deduction ?? 0), 0) * 100) / 100;
+
+          const { business, personal } = log.miles_by_purpose;
+          const totals = {
+            drives: log.entries.length,
+            business_distance: converter.distance(business),
+            personal_distance: converter.distance(personal),
+            total_distance: converter.distance(business + personal),
+            business_percent: business + personal > 0 ? Math.round((business / (business + personal)) * 1000) / 10 : 0
+          };
+
+          let document: Awaited<ReturnType<typeof deliverDocument>> | null = null;
+          if (target) {
+            const csv = toCsv(MILEAGE_LOG_CSV_COLUMNS, entries, { units: converter, timeZone });
+            const filename = exportFilename(vin, 'mileage-log', startDate, endDate, timeZone, 'csv');
+            document = await deliverDocument(target, filename, 'csv', csv);
+          }
+
+          const missingRates = deductions.filter(d => d.rate === null).map(d => d.year);
+          const text = `${totals.drives} drives${tag ? ` tagged ${tag}` : ''}: ${totals.business_distance} ${converter.labels.distance} business ` +
+            `(${totals.business_percent}%), ${totals.personal_distance} personal. Deduction ${totalDeduction}` +
+            (missingRates.length > 0 ? ` (no rate configured for ${missingRates.join(', ')})` : '') +
+            (document?.info.file_path ? `. Log written to ${document.info.file_path}` : '') + '.';
+
+          const data = {
+            vehicle_vin: vin,
+            period: { start_date, end_date },
+            ...(tag ? { tag } : {}),
+            ...(target ? {} : {
+              entries: entries.map(({ miles, ...entry }) => ({
+                ...entry,
+                starting_odometer: converter.distance(entry.starting_odometer),
+                ending_odometer: converter.distance(entry.ending_odometer),
+                distance: converter.distance(miles)
+              }))
+            }),
+            totals,
+            deductions,
+            rate_unit: rateUnit,
+            tax_year_start: taxYearStart,
+            total_deduction: totalDeduction,
+            ...(document ? { document: document.info } : {}),
+            units: converter.labels,
+            time_zone: timeZone
+          };
+
+          return document?.resource
+            ? toolResultWithResource(data, text, document.resource)
+            : toolResult(data, text);
+        } catch (error) {
+          return toToolError(error, 'get mileage log');
+        }
+      }
+    );
+
+    // Text suffix for per-drive annotations kept only in memory
+    const notPersisted = '; no data directory is configured, so this lasts until the server restarts';
+
+    server.registerTool(
+      "set_trip_purpose",
+      {
+        description: "Mark a drive as business or personal for the mileage log, overriding the classification rules, and record its business purpose",
+        inputSchema: {
+          vin: z.string().describe("Vehicle identification number (VIN)"),
+          drive_id: z.number().int().describe("Tessie drive ID"),
+          purpose: z.enum(TRIP_PURPOSES).nullable().optional().describe("business or personal; null removes the override"),
+          purpose_note: z.string().nullable().optional().describe("Business purpose for the log, e.g. \"Client meeting, Acme\"; null removes it")
+        },
+        outputSchema: tripPurposeOutput
+      },
+      async ({ vin, drive_id, purpose, purpose_note }) => {
+        try {
+          if (purpose === undefined && purpose_note === undefined) {
+            throw new InvalidArgumentError('Give a purpose, a purpose_note or both');
+          }
+          const annotation = await driveAnnotations.update(vin, drive_id, { purpose, purpose_note });
+
+          return toolResult({
+            vehicle_vin: vin,
+            drive_id,
+            purpose: annotation.purpose ?? null,
+            purpose_note: annotation.purpose_note ?? null,
+            persisted: driveAnnotations.persistent
+          }, `Drive ${drive_id} is ${annotation.purpose ?? 'classified by the rules'}` +
+            (annotation.purpose_note ? ` (${annotation.purpose_note})` : '') +
+            (driveAnnotations.persistent ? '' : notPersisted));
+        } catch (error) {
+          return toToolError(error, 'set trip purpose');
+        }
+      }
+    );
+
+    // Local tags and notes. Tessie's own tag is read-only here and shows up next to them.
+    const annotationResult = (vin: string, driveId: number, annotation: DriveAnnotation) => ({
+      vehicle_vin: vin,
+      drive_id: driveId,
+      tags: annotation.tags ?? [],
+      note: annotation.note ?? null,
+      persisted: driveAnnotations.persistent
+    });
+    const driveTagsShape = {
+      vin: z.string().describe("Vehicle identification number (VIN)"),
+      drive_id: z.number().int().describe("Tessie drive ID"),
+      tags: z.array(z.string().trim().min(1)).min(1).describe("Tags, e.g. [\"Acme\", \"reimbursable\"]; matched case-insensitively")
+    };
+
+    server.registerTool(
+      "tag_drive",
+      {
+        description: "Add tags to a drive, e.g. a client, project or \"business\". Tags show up in drive and trip listings and filter trips, mileage logs and exports.",
+        inputSchema: driveTagsShape,
+        outputSchema: driveAnnotationOutput
+      },
+      async ({ vin, drive_id, tags }) => {
+        try {
+          const annotation = await driveAnnotations.tag(vin, drive_id, tags);
+          return toolResult(annotationResult(vin, drive_id, annotation),
+            `Drive ${drive_id} tagged ${(annotation.tags ?? []).join(', ')}` + (driveAnnotations.persistent ? '' : notPersisted));
+        } catch (error) {
+          return toToolError(error, 'tag drive');
+        }
+      }
+    );
+
+    server.registerTool(
+      "untag_drive",
+      {
+        description: "Remove tags added with tag_drive from a drive. The tag set in Tessie itself cannot be removed here.",
+        inputSchema: driveTagsShape,
+        outputSchema: driveAnnotationOutput
+      },
+      async ({ vin, drive_id, tags }) => {
+        try {
+          const annotation = await driveAnnotations.tag(vin, drive_id, [], tags);
+          const remaining = annotation.tags ?? [];
+          return toolResult(annotationResult(vin, drive_id, annotation),
+            `Drive ${drive_id} ` + (remaining.length > 0 ? `tagged ${remaining.join(', ')}` : 'has no local tags') +
+            (driveAnnotations.persistent ? '' : notPersisted));
+        } catch (error) {
+          return toToolError(error, 'untag drive');
+        }
+      }
+    );
+
+    server.registerTool(
+      "set_drive_note",
+      {
+        description: "Attach a free-text note to a drive, e.g. \"Client visit – Acme\", replacing any earlier note",
+        inputSchema: {
+          vin: z.string().describe("Vehicle identification number (VIN)"),
+          drive_id: z.number().int().describe("Tessie drive ID"),
+          note: z.string().nullable().describe("The note; null or an empty string removes it")
+        },
+        outputSchema: driveAnnotationOutput
+      },
+      async ({ vin, drive_id, note }) => {
+        try {
+          const annotation = await driveAnnotations.update(vin, drive_id, { note: note?.trim() || null });
+          return toolResult(annotationResult(vin, drive_id, annotation),
+            (annotation.note ? `Note saved for drive ${drive_id}` : `Note removed from drive ${drive_id}`) +
+            (driveAnnotations.persistent ? '' : notPersisted));
+        } catch (error) {
+          return toToolError(error, 'set drive note');
+        }
+      }
+    );
+
+    server.registerTool(
+      "list_places",
+      {
+        description: "List named places used by place queries: configured and saved ones, plus the Tessie saved locations a vehicle's drives start or end at, each with a centre and radius or polygon",
+        inputSchema: {
+          vin: z.string().optional().describe("Vehicle whose Tessie saved locations to include"),
+          start_date: z.string().optional().describe("Start of the drives searched for saved locations (ISO format, default 90 days ago)"),
+          end_date: z.string().optional().describe("End of the drives searched for saved locations (ISO format, default now)"),
+          ...timeZoneShape
+        },
+        outputSchema: placesOutput
+      },
+      async ({ vin, start_date, end_date, time_zone }) => {
+        try {
+          let drives: TessieDrive[] = [];
+          if (vin) {
+            const timeZone = await timeZoneFor(vin, time_zone);
+            drives = await history.getAllDrives(
+              vin,
+              start_date ? parseZonedDate(start_date, timeZone) : new Date(Date.now() - 90 * 24 * 3600 * 1000).toISOString(),
+              end_date ? parseZonedDate(end_date, timeZone, true) : undefined
+            );
+          }
+          const places = await placesFor(drives);
+
+          return toolResult({
+            total_places: places.length,
+            places: places.map(formatPlace),
+            persisted: placeStore.persistent
+          }, places.length > 0
+            ? `${places.length} places: ` + places.map(place => `${place.name} (${place.source})`).join(', ')
+            : 'No places yet; save one with save_place');
+        } catch (error) {
+          return toToolError(error, 'list places');
+        }
+      }
+    );
+
+    server.registerTool(
+      "save_place",
+      {
+        description: "Save a named place as a centre with a radius or as a polygon, replacing any saved place with the same name. Without coordinates, the vehicle's current location is used.",
+        inputSchema: {
+          ...placeShape,
+          latitude: placeShape.latitude.optional(),
+          longitude: placeShape.longitude.optional(),
+          vin: z.string().optional().describe("Vehicle whose current location becomes the centre when no coordinates are given")
+        },
+        outputSchema: savedPlaceOutput
+      },
+      async ({ name, latitude, longitude, radius_meters, polygon, vin }) => {
+        try {
+          if ((latitude === undefined) !== (longitude === undefined)) {
+            throw new InvalidArgumentError('Give both latitude and longitude, or neither');
+          }
+          let centre: { latitude: number; longitude: number };
+          if (latitude !== undefined && longitude !== undefined) {
+            centre = { latitude, longitude };
+          } else if (polygon) {
+            centre = {
+              latitude: polygon.reduce((sum, [lat]) => sum + lat, 0) / polygon.length,
+              longitude: polygon.reduce((sum, [, lon]) => sum + lon, 0) / polygon.length
+            };
+          } else if (vin) {
+            const state = await tessieClient.getVehicleState(vin, true);
+            if (typeof state.latitude !== 'number' || typeof state.longitude !== 'number') {
+              throw new NoDataError('The vehicle has not reported a location');
+            }
+            centre = { latitude: state.latitude, longitude: state.longitude };
+          } else {
+            throw new InvalidArgumentError('Give latitude and longitude, a polygon, or a vin to use the vehicle\'s location');
+          }
+
+          const place = await placeStore.save({ name, ...centre, radius_meters, polygon });
+          return toolResult({ place: formatPlace(place), persisted: placeStore.persistent },
+            `Saved ${place.name} at ${place.latitude}, ${place.longitude}` +
+            (place.polygon ? ` (polygon of ${place.polygon.length} points)` : ` within ${place.radius_meters} m`) +
+            (placeStore.persistent ? '' : notPersisted));
+        } catch (error) {
+          return toToolError(error, 'save place');
+        }
+      }
+    );
+
+    server.registerTool(
+      "remove_place",
+      {
+        description: "Remove a place saved with save_place. Configured places and Tessie saved locations cannot be removed.",
+        inputSchema: {
+          name: z.string().describe("Name of the saved place")
+        },
+        outputSchema: removedPlaceOutput
+      },
+      async ({ name }) => {
+        try {
+          const removed = await placeStore.remove(name);
+          return toolResult({ name, removed },
+            removed ? `Removed ${name}` : `No saved place named ${name}`);
+        } catch (error) {
+          return toToolError(error, 'remove place');
+        }
+      }
+    );
+
+    server.registerTool(
+      "get_place_activity",
+      {
+        description: "Distance driven to, from and within a named place, visits to it and time spent there in a date range. Drives are matched to the place by their start and end coordinates.",
+        inputSchema: {
+          vin: z.string().describe("Vehicle identification number (VIN)"),
+          place: z.string().describe("Place name, as listed by list_places"),
+          start_date: z.string().describe("Start date of the period (ISO format)"),
+          end_date: z.string().describe("End date of the period (ISO format)"),
+          limit: z.number().int().nonnegative().optional().default(20).describe("Most recent visits to list"),
+          ...unitsShape,
+          ...timeZoneShape
+        },
+        outputSchema: placeActivityOutput
+      },
+      async ({ vin, place: name, start_date, end_date, limit = 20, units, efficiency_unit, time_zone }) => {
+        try {
+          const converter = unitsFor(units, efficiency_unit);
+          const timeZone = await timeZoneFor(vin, time_zone);
+          const startDate = parseZonedDate(start_date, timeZone);
+          const endDate = parseZonedDate(end_date, timeZone, true);
+          const drives = await history.getAllDrives(vin, startDate, endDate);
+          const places = await placesFor(drives);
+          const place = findPlace(places, name);
+          if (!place) throw placeNotFound(name, places);
+
+          // Visits still under way count up to now
+          const rangeEnd = Math.min(Date.parse(endDate), Date.now()) / 1000;
+          const activity = placeActivity(place, drives, Date.parse(startDate) / 1000, rangeEnd);
+          const traffic = ({ drives: count, miles }: { drives: number; miles: number }) => ({ drives: count, distance: converter.distance(miles) });
+          const time = (seconds: number | null) => seconds === null ? null : formatZonedIso(new Date(seconds * 1000), timeZone);
+          const visits = activity.visits.length;
+
+          const text = `${place.name}: ${visits} visits, ${activity.hours_at_place} hours there; ` +
+            `${converter.distance(activity.to.miles)} ${converter.labels.distance} driven to it over ${activity.to.drives} drives, ` +
+            `${converter.distance(activity.from.miles)} from it over ${activity.from.drives}, ` +
+            `${converter.distance(activity.within.miles)} within it`;
+
+          return toolResult({
+            vehicle_vin: vin,
+            place: formatPlace(place),
+            period: { start_date, end_date },
+            to: traffic(activity.to),
+            from: traffic(activity.from),
+            within: traffic(activity.within),
+            totals: {
+              visits,
+              hours_at_place: activity.hours_at_place,
+              average_visit_hours: visits > 0 ? Math.round((activity.hours_at_place / visits) * 100) / 100 : null
+            },
+            visits: [...activity.visits].reverse().slice(0, limit).map(visit => ({
+              ...visit,
+              arrived_at: time(visit.arrived_at)!,
+              departed_at: time(visit.departed_at)
+            })),
+            units: converter.labels,
+            time_zone: timeZone
+          }, text);
+        } catch (error) {
+          return toToolError(error, 'get place activity');
+        }
+      }
+    );
+
+    server.registerTool(
+      "sync_history",
+      {
+        description: "Update the local copy of a vehicle's drive, charge, idle and state history from Tessie and report what was fetched. Only available when a data directory is configured.",
+        inputSchema: {
+          vin: z.string().describe("Vehicle identification number (VIN)"),
+          kinds: z.array(z.enum(HISTORY_KINDS)).optional().describe("History to sync (default all: drives, charges, idles, states)"),
+          full: z.boolean().optional().default(false).describe("Re-fetch the whole history instead of only what changed since the last sync"),
+          ...timeZoneShape
+        },
+        outputSchema: historySyncOutput
+      },
+      async ({ vin, kinds = HISTORY_KINDS, full = false, time_zone }) => {
+        try {
+          if (!historyStore) {
+            throw new HistoryDisabledError('No data directory is configured, so there is no local history to sync');
+          }
+          const timeZone = await timeZoneFor(vin, time_zone);
+          const results = await historyStore.sync(vin, kinds, full);
+
+          const text = results.map(result =>
+            `${result.kind}: ${result.fetched} fetched, ${result.added} new, ${result.updated} updated, ${result.total} stored`
+          ).join('; ');
+
+          return toolResult({
+            vehicle_vin: vin,
+            data_dir: historyStore.dataDir,
+            full,
+            results: results.map(result => ({
+              ...result,
+              latest: result.latest === null ? null : formatZonedIso(new Date(result.latest * 1000), timeZone)
+            })),
+            time_zone: timeZone
+          }, text);
+        } catch (error) {
+          return toToolError(error, 'sync history');
         }
       }
     );
 
     // Register get_vehicles tool
-    server.tool(
+    server.registerTool(
       "get_vehicles",
-      "List all vehicles in the Tessie account",
-      {},
+      {
+        description: "List all vehicles in the Tessie account",
+        outputSchema: vehiclesOutput
+      },
       async () => {
         try {
-          const vehicles = await tessieClient.getVehicles();
-          return {
+          const vehicles = await vehicleWatcher.refresh();
+          return toolResult({
             total_vehicles: vehicles.length,
             vehicles: vehicles.map(vehicle => ({
               vin: vehicle.vin,
               display_name: vehicle.display_name
             }))
-          };
+          }, vehicles.length > 0
+            ? vehicles.map(vehicle => `${vehicle.display_name} (${vehicle.vin})`).join('\n')
+            : 'No vehicles on this account');
         } catch (error) {
-          throw new Error(`Failed to get vehicles: ${error}`);
+          return toToolError(error, 'get vehicles');
         }
       }
     );
 
     // Register natural_language_query tool
-    server.tool(
+    server.registerTool(
       "natural_language_query",
-      "Process natural language queries about your vehicle data (e.g., \"How many miles did I drive last week?\")",
       {
-        query: z.string().describe("Natural language query about vehicle data"),
-        vin: z.string().optional().describe("Vehicle identification number (VIN) - optional if only one vehicle")
+        description: "Process natural language queries about your vehicle data (e.g., \"How many miles did I drive last week?\")",
+        inputSchema: {
+          query: z.string().describe("Natural language query about vehicle data"),
+          vin: z.string().optional().describe("Vehicle identification number (VIN) - optional if only one vehicle"),
+          ...unitsShape,
+          ...timeZoneShape
+        },
+        outputSchema: naturalLanguageQueryOutput
       },
-      async ({ query, vin }) => {
+      async ({ query, vin, units, efficiency_unit, time_zone }) => {
         try {
+          const converter = unitsFor(units, efficiency_unit);
           // Parse the natural language query
-          const parsed = queryOptimizer.parseNaturalLanguage(query);
+          let timeZone = time_zone || configuredTimeZone;
+          let parsed = queryOptimizer.parseNaturalLanguage(query, timeZone);
 
           if (parsed.confidence < 0.5) {
-            return {
-              error: "Could not understand the query",
+            return toolResult({
+              query_understood: query,
               confidence: parsed.confidence,
+              operation: null,
+              error: "Could not understand the query",
               suggestions: [
                 "Try queries like: 'How many miles did I drive last week?'",
                 "Or: 'What's my current battery level?'",
                 "Or: 'Analyze my latest drive'"
               ]
-            };
+            }, "Could not understand the query. Try: 'How many miles did I drive last week?'");
           }
 
           // If no VIN provided, try to get the first vehicle
@@ -311,48 +2051,52 @@ export default function createServer({
           if (!targetVin) {
             const vehicles = await tessieClient.getVehicles();
             if (vehicles.length === 0) {
-              throw new Error("No vehicles found in account");
+              throw new VehicleNotFoundError("No vehicles found in account");
             }
             targetVin = vehicles[0].vin;
           }
 
+          // Relative ranges like "yesterday" depend on the zone, which may come from the vehicle
+          const vehicleTimeZone = await timeZoneFor(targetVin, time_zone);
+          if (vehicleTimeZone !== timeZone) {
+            timeZone = vehicleTimeZone;
+            parsed = queryOptimizer.parseNaturalLanguage(query, timeZone);
+          }
+
+          const answer = (result: Record<string, unknown>, text: string) => toolResult({
+            query_understood: query,
+            confidence: parsed.confidence,
+            operation: parsed.operation,
+            result: { ...result, units: converter.labels, time_zone: timeZone }
+          }, text);
+
           // Execute the appropriate tool based on parsed operation
           switch (parsed.operation) {
             case 'get_vehicle_current_state':
               const state = await tessieClient.getVehicleState(targetVin, true);
-              return {
-                query_understood: query,
-                confidence: parsed.confidence,
-                result: {
-                  vehicle: state.display_name,
-                  battery_level: state.battery_level,
-                  location: { latitude: state.latitude, longitude: state.longitude },
-                  locked: state.locked,
-                  odometer: state.odometer
-                }
-              };
+              return answer({
+                vehicle: state.display_name,
+                battery_level: state.battery_level,
+                location: { latitude: state.latitude, longitude: state.longitude },
+                locked: state.locked,
+                odometer: converter.distance(state.odometer)
+              }, describeVehicleState(state, converter));
 
             case 'get_weekly_mileage':
             case 'get_driving_history':
-              const drives = await tessieClient.getDrives(
-                targetVin,
-                parsed.parameters.start_date,
-                parsed.parameters.end_date,
-                50
-              );
-              const totalMiles = drives.reduce((sum, drive) => sum + drive.odometer_distance, 0);
-              return {
-                query_understood: query,
-                confidence: parsed.confidence,
-                result: {
-                  total_miles: Math.round(totalMiles * 100) / 100,
-                  total_drives: drives.length,
-                  period: {
-                    start: parsed.parameters.start_date,
-                    end: parsed.parameters.end_date
-                  }
+              const { drives } = await queryExecutor.fetchAllDrives(targetVin, parsed.operation, {
+                start_date: parsed.parameters.start_date,
+                end_date: parsed.parameters.end_date
+              });
+              const totalDistance = converter.distance(drives.reduce((sum, drive) => sum + drive.odometer_distance, 0));
+              return answer({
+                total_distance: totalDistance,
+                total_drives: drives.length,
+                period: {
+                  start: parsed.parameters.start_date,
+                  end: parsed.parameters.end_date
                 }
-              };
+              }, `${totalDistance} ${converter.labels.distance} over ${drives.length} drives`);
 
             case 'analyze_latest_drive':
               const endDate = new Date();
@@ -366,32 +2110,282 @@ export default function createServer({
                 100
               );
 
-              const analysis = driveAnalyzer.analyzeLatestDrive(recentDrives);
-              return {
-                query_understood: query,
-                confidence: parsed.confidence,
-                result: analysis ? {
-                  summary: analysis.summary,
-                  drive_distance: analysis.mergedDrive.total_distance,
-                  battery_used: analysis.batteryConsumption.percentage_used,
-                  fsd_miles: analysis.fsdAnalysis.total_autopilot_miles
-                } : { error: "No recent drives found" }
-              };
+              const analysis = driveAnalyzer.analyzeLatestDrive(
+                recentDrives, converter, driveAnalyzer.mergePolicy, await packCapacityFor(targetVin)
+              );
+              if (!analysis) {
+                throw new NoDataError("No recent drives found");
+              }
+              return answer({
+                summary: analysis.summary,
+                drive_distance: converter.distance(analysis.mergedDrive.total_distance),
+                battery_used: analysis.batteryConsumption.percentage_used,
+                fsd_distance: converter.distance(analysis.fsdAnalysis.total_autopilot_miles)
+              }, analysis.summary);
+
+            case 'get_mileage_at_location': {
+              const { start_date: periodStart, end_date: periodEnd, location } = parsed.parameters;
+              const { drives: placeDrives } = await queryExecutor.fetchAllDrives(targetVin, parsed.operation, {
+                start_date: periodStart,
+                end_date: periodEnd
+              });
+              const places = await placesFor(placeDrives);
+              const place = location ? findPlace(places, location) : undefined;
+              if (!place) throw placeNotFound(location ?? '', places);
+
+              const activity = placeActivity(
+                place, placeDrives, Date.parse(periodStart) / 1000, Math.min(Date.parse(periodEnd), Date.now()) / 1000
+              );
+              return answer({
+                place: place.name,
+                distance_to: converter.distance(activity.to.miles),
+                distance_from: converter.distance(activity.from.miles),
+                distance_within: converter.distance(activity.within.miles),
+                visits: activity.visits.length,
+                hours_at_place: activity.hours_at_place,
+                period: { start: periodStart, end: periodEnd }
+              }, `${place.name}: ${converter.distance(activity.to.miles)} ${converter.labels.distance} driven to it, ` +
+                `${converter.distance(activity.from.miles)} from it, ${activity.visits.length} visits totalling ${activity.hours_at_place} hours`);
+            }
 
             default:
-              return {
+              return toolResult({
                 query_understood: query,
                 confidence: parsed.confidence,
-                error: "Query understood but operation not yet implemented",
-                parsed_operation: parsed.operation
-              };
+                operation: parsed.operation,
+                error: "Query understood but operation not yet implemented"
+              }, `Understood as ${parsed.operation}, which is not supported by this tool yet`);
           }
         } catch (error) {
-          throw new Error(`Failed to process natural language query: ${error}`);
+          return toToolError(error, 'process natural language query');
+        }
+      }
+    );
+
+    // Prompt templates for common workflows
+    server.prompt(
+      "summarize_driving",
+      "Summarize driving over a period (e.g. last week) using mileage and drive history",
+      {
+        vin: z.string().optional().describe("Vehicle identification number (VIN)"),
+        period: z.string().optional().describe("Period to summarize, e.g. \"last week\" or \"2024-05-01 to 2024-05-07\"")
+      },
+      (args) => summarizeDrivingPrompt(args)
+    );
+
+    server.prompt(
+      "road_trip_prep",
+      "Check whether the car is ready for a road trip and what to do before leaving",
+      {
+        destination: z.string().describe("Trip destination"),
+        vin: z.string().optional().describe("Vehicle identification number (VIN)"),
+        departure: z.string().optional().describe("When the trip starts, e.g. \"tomorrow 8am\"")
+      },
+      (args) => roadTripPrepPrompt(args)
+    );
+
+    server.prompt(
+      "explain_charging_costs",
+      "Estimate and explain charging costs for a period",
+      {
+        vin: z.string().optional().describe("Vehicle identification number (VIN)"),
+        period: z.string().optional().describe("Period to analyze, e.g. \"this month\""),
+        price_per_kwh: z.string().optional().describe("Electricity price per kWh, e.g. \"0.15\"")
+      },
+      (args) => chargingCostsPrompt(args)
+    );
+
+    server.prompt(
+      "review_latest_drive",
+      "Review the most recent drive: duration, battery, efficiency and FSD usage",
+      {
+        vin: z.string().optional().describe("Vehicle identification number (VIN)")
+      },
+      (args) => reviewLatestDrivePrompt(args)
+    );
+
+    // Resources expose vehicle data as attachable context without a tool round-trip
+    const jsonResource = (uri: URL, data: unknown) => ({
+      contents: [{ uri: uri.href, mimeType: "application/json", text: JSON.stringify(data) }]
+    });
+    const templateVariable = (value: string | string[]) => Array.isArray(value) ? value[0] : value;
+    const listPerVehicle = (suffix: string, label: string) => async () => {
+      const vehicles = await vehicleWatcher.refresh();
+      return {
+        resources: vehicles.map(vehicle => ({
+          uri: `tessie://vehicle/${vehicle.vin}/${suffix}`,
+          name: `${vehicle.display_name} ${label}`,
+          mimeType: "application/json"
+        }))
+      };
+    };
+
+    server.resource(
+      "vehicles",
+      "tessie://vehicles",
+      { description: "Vehicles on the Tessie account", mimeType: "application/json" },
+      async (uri) => {
+        const vehicles = await vehicleWatcher.refresh();
+        return jsonResource(uri, { total_vehicles: vehicles.length, vehicles });
+      }
+    );
+
+    server.resource(
+      "vehicle-state",
+      new ResourceTemplate("tessie://vehicle/{vin}/state", { list: listPerVehicle("state", "current state") }),
+      { description: "Latest known state of a vehicle (cached, never wakes the car)", mimeType: "application/json" },
+      async (uri, { vin }) => {
+        const state = await tessieClient.getVehicleState(templateVariable(vin), true);
+        return jsonResource(uri, formatVehicleState(state, defaultConverter));
+      }
+    );
+
+    server.resource(
+      "vehicle-recent-drives",
+      new ResourceTemplate("tessie://vehicle/{vin}/drives/recent", { list: listPerVehicle("drives/recent", "recent drives") }),
+      { description: "The 10 most recent drives of a vehicle", mimeType: "application/json" },
+      async (uri, { vin }) => {
+        const [page, annotations] = await Promise.all([
+          tessieClient.getDrivesPage(templateVariable(vin), { limit: 10 }),
+          driveAnnotations.forVehicle(templateVariable(vin))
+        ]);
+        return jsonResource(uri, {
+          vehicle_vin: templateVariable(vin),
+          drives: page.drives.map(drive => formatDrive(drive, defaultConverter, configuredTimeZone, annotations.get(drive.id))),
+          units: defaultConverter.labels,
+          time_zone: configuredTimeZone
+        });
+      }
+    );
+
+    server.resource(
+      "vehicle-drive",
+      new ResourceTemplate("tessie://vehicle/{vin}/drive/{id}", { list: undefined }),
+      { description: "A single drive by its Tessie drive ID", mimeType: "application/json" },
+      async (uri, { vin, id }) => {
+        const driveId = templateVariable(id);
+        if (!/^[1-9]\d*$/.test(driveId)) {
+          throw new InvalidArgumentError(`"${driveId}" is not a Tessie drive ID`);
         }
+        const [drive, annotations] = await Promise.all([
+          tessieClient.findDrive(templateVariable(vin), Number(driveId)),
+          driveAnnotations.forVehicle(templateVariable(vin))
+        ]);
+        return jsonResource(uri, formatDrive(drive, defaultConverter, configuredTimeZone, annotations.get(drive.id)));
       }
     );
 
+    // Vehicle command tools. Every command needs confirm: true or a dry-run token, and
+    // tools for disabled commands are not registered at all.
+    const commandSafetyShape = {
+      vin: z.string().describe("Vehicle identification number (VIN)"),
+      confirm: z.boolean().optional().describe("Set to true only after the user has explicitly approved this action"),
+      confirmation_token: z.string().optional().describe("confirmation_token from a dry run, to execute exactly what was previewed"),
+      dry_run: z.boolean().optional().describe("Describe what would happen and return a confirmation token without sending the command")
+    };
+
+    const registerCommandTool = (name: string, description: string, command: VehicleCommand) => {
+      if (!commandService.isAllowed(command)) return;
+
+      server.registerTool(
+        name,
+        { description, inputSchema: commandSafetyShape, outputSchema: commandOutcomeOutput },
+        async ({ vin, confirm, confirmation_token, dry_run }) => {
+          try {
+            const outcome = await commandService.execute(vin, command, { confirm, confirmation_token, dry_run });
+            return toolResult(outcome, describeCommandOutcome(outcome));
+          } catch (error) {
+            return toToolError(error, `send ${command} command`);
+          }
+        }
+      );
+    };
+
+    registerCommandTool("lock_vehicle", "Lock the vehicle", "lock");
+    registerCommandTool("unlock_vehicle", "Unlock the vehicle (safety-critical)", "unlock");
+    registerCommandTool("start_climate", "Start climate control (preconditioning)", "start_climate");
+    registerCommandTool("stop_climate", "Stop climate control", "stop_climate");
+    registerCommandTool("start_charging", "Start charging if the vehicle is plugged in", "start_charging");
+    registerCommandTool("stop_charging", "Stop an active charging session", "stop_charging");
+    registerCommandTool("flash_lights", "Flash the headlights, e.g. to find the vehicle in a parking lot", "flash");
+    registerCommandTool("remote_start", "Enable keyless driving for two minutes (safety-critical)", "remote_start");
+
+    // Register set_charge_limit tool
+    if (commandService.isAllowed("set_charge_limit")) {
+      server.registerTool(
+        "set_charge_limit",
+        {
+          description: "Set the charge limit percentage",
+          inputSchema: {
+            ...commandSafetyShape,
+            percent: z.number().int().min(50).max(100).describe("New charge limit in percent (50-100)")
+          },
+          outputSchema: commandOutcomeOutput
+        },
+        async ({ vin, percent, confirm, confirmation_token, dry_run }) => {
+          try {
+            const outcome = await commandService.execute(vin, "set_charge_limit", {
+              params: { percent },
+              confirm,
+              confirmation_token,
+              dry_run
+            });
+            return toolResult(outcome, describeCommandOutcome(outcome));
+          } catch (error) {
+            return toToolError(error, 'send set_charge_limit command');
+          }
+        }
+      );
+    }
+
+    // Register set_sentry_mode tool
+    if (commandService.isAllowed("enable_sentry")) {
+      server.registerTool(
+        "set_sentry_mode",
+        {
+          description: "Turn Sentry Mode on or off",
+          inputSchema: {
+            ...commandSafetyShape,
+            enabled: z.boolean().describe("true to enable Sentry Mode, false to disable it")
+          },
+          outputSchema: commandOutcomeOutput
+        },
+        async ({ vin, enabled, confirm, confirmation_token, dry_run }) => {
+          const command = enabled ? "enable_sentry" : "disable_sentry";
+          try {
+            const outcome = await commandService.execute(vin, command, { confirm, confirmation_token, dry_run });
+            return toolResult(outcome, describeCommandOutcome(outcome));
+          } catch (error) {
+            return toToolError(error, `send ${command} command`);
+          }
+        }
+      );
+    }
+
+    // Register open_trunk tool
+    if (commandService.isAllowed("activate_rear_trunk")) {
+      server.registerTool(
+        "open_trunk",
+        {
+          description: "Open the front trunk, or open/close the rear trunk (safety-critical)",
+          inputSchema: {
+            ...commandSafetyShape,
+            trunk: z.enum(["front", "rear"]).describe("Which trunk to actuate")
+          },
+          outputSchema: commandOutcomeOutput
+        },
+        async ({ vin, trunk, confirm, confirmation_token, dry_run }) => {
+          const command = trunk === "front" ? "activate_front_trunk" : "activate_rear_trunk";
+          try {
+            const outcome = await commandService.execute(vin, command, { confirm, confirmation_token, dry_run });
+            return toolResult(outcome, describeCommandOutcome(outcome));
+          } catch (error) {
+            return toToolError(error, `send ${command} command`);
+          }
+        }
+      );
+    }
+
     // Return the server object (Smithery CLI handles transport)
     return server.server;
 }
\ No newline at end of file
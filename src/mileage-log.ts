@@ -0,0 +1,280 @@
+import { TessieDrive } from './tessie-client.js';
+import { round } from './stats.js';
+import { DriveAnnotation, driveTags, hasTag, TRIP_PURPOSES, TripPurpose } from './drive-annotations.js';
+import { formatZonedIso, localDateKey, parseZonedDate, zonedParts } from './time-zones.js';
+
+// Business/personal classification of drives and the mileage log built from it.
+// Distances are in miles, Tessie's native unit.
+
+export type Weekday = 'sun' | 'mon' | 'tue' | 'wed' | 'thu' | 'fri' | 'sat';
+
+export const WEEKDAYS: [Weekday, ...Weekday[]] = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Matches drives by where they start and end (case-insensitive substring of the saved location
+ * or address), the local weekday and start time, or a tag (Tessie's or a local one). Every given
+ * condition must hold.
+ */
+export interface ClassificationRule {
+  purpose: TripPurpose;
+  name?: string;
+  from?: string;
+  to?: string;
+  either_direction?: boolean; // Also match to → from, e.g. Office → Home for a Home → Office rule
+  days?: Weekday[];
+  start_after?: string; // HH:mm, local time, inclusive
+  start_before?: string; // HH:mm, local time, exclusive
+  tag?: string;
+}
+
+/**
+ * A rate per unit of distance, or a tiered rate such as HMRC's 45p for the first 10,000 miles
+ * of a tax year and 25p after
+ */
+export type MileageRate = number | { rate: number; threshold: number; rate_after: number };
+
+// Tax years start on this MM-DD; 04-06 for the UK, 07-01 for Australia
+export const DEFAULT_TAX_YEAR_START = '01-01';
+
+/**
+ * The tax year a local date (YYYY-MM-DD) falls in, named by the calendar year it starts in
+ */
+export function taxYearOf(date: string, taxYearStart: string = DEFAULT_TAX_YEAR_START): string {
+  const year = Number(date.slice(0, 4));
+  return String(date.slice(5) >= taxYearStart ? year : year - 1);
+}
+
+// IRS standard mileage rates for business use, in dollars per mile
+export const IRS_BUSINESS_RATES: Record<string, MileageRate> = {
+  '2023': 0.655,
+  '2024': 0.67,
+  '2025': 0.70
+};
+
+export type ClassificationSource = 'override' | 'tag' | 'rule' | 'default';
+
+export interface Classification {
+  purpose: TripPurpose;
+  source: ClassificationSource;
+  rule?: string;
+  description?: string;
+}
+
+export interface MileageLogEntry {
+  drive_id: number;
+  date: string;
+  start_time: string;
+  end_time: string;
+  start_address: string;
+  end_address: string;
+  starting_odometer: number;
+  ending_odometer: number;
+  miles: number;
+  purpose: TripPurpose;
+  description: string | null;
+  classified_by: ClassificationSource;
+  rule: string | null;
+  tags: string[];
+  note: string | null;
+}
+
+export interface MileageDeduction {
+  year: string; // The calendar year the tax year starts in
+  business_distance: number; // Of the logged drives, in the rate's unit
+  other_business_distance?: number; // For tiered rates: the year's business distance outside the log
+  rate: MileageRate | null;
+  deduction: number | null;
+}
+
+export interface MileageLog {
+  entries: MileageLogEntry[];
+  miles_by_purpose: Record<TripPurpose, number>;
+  business_miles_by_year: Record<string, number>; // By tax year
+}
+
+const contains = (value: string | undefined, search: string) =>
+  (value || '').toLowerCase().includes(search.trim().toLowerCase());
+
+const startPlace = (drive: TessieDrive) => [drive.starting_saved_location, drive.starting_location];
+const endPlace = (drive: TessieDrive) => [drive.ending_saved_location, drive.ending_location];
+
+const matchesPlace = (names: Array<string | undefined>, search?: string) =>
+  !search || names.some(name => contains(name, search));
+
+function matchesRule(drive: TessieDrive, tags: string[], rule: ClassificationRule, timeZone: string): boolean {
+  const forward = matchesPlace(startPlace(drive), rule.from) && matchesPlace(endPlace(drive), rule.to);
+  const backward = !!rule.either_direction && matchesPlace(startPlace(drive), rule.to) && matchesPlace(endPlace(drive), rule.from);
+  if (!forward && !backward) return false;
+
+  if (rule.tag && !hasTag(tags, rule.tag)) return false;
+
+  const local = zonedParts(new Date(drive.started_at * 1000), timeZone);
+  if (rule.days && rule.days.length > 0) {
+    const weekday = WEEKDAYS[new Date(Date.UTC(local.year, local.month - 1, local.day)).getUTCDay()];
+    if (!rule.days.includes(weekday)) return false;
+  }
+
+  const clock = `${String(local.hour).padStart(2, '0')}:${String(local.minute).padStart(2, '0')}`;
+  if (rule.start_after && clock < rule.start_after) return false;
+  if (rule.start_before && clock >= rule.start_before) return false;
+  return true;
+}
+
+/**
+ * Purpose of a drive: an explicit override wins, then a tag naming a purpose, then the first
+ * matching rule; anything else is personal
+ */
+export function classifyDrive(
+  drive: TessieDrive,
+  rules: ClassificationRule[],
+  timeZone: string,
+  annotation?: DriveAnnotation
+): Classification {
+  const description = annotation?.purpose_note;
+  if (annotation?.purpose) {
+    return { purpose: annotation.purpose, source: 'override', description };
+  }
+
+  const tags = driveTags(drive, annotation);
+  const tagged = TRIP_PURPOSES.find(purpose => hasTag(tags, purpose));
+  if (tagged) {
+    return { purpose: tagged, source: 'tag', description };
+  }
+
+  const index = rules.findIndex(rule => matchesRule(drive, tags, rule, timeZone));
+  if (index >= 0) {
+    const rule = rules[index];
+    return { purpose: rule.purpose, source: 'rule', rule: rule.name || `rule ${index + 1}`, description };
+  }
+
+  return { purpose: 'personal', source: 'default', description };
+}
+
+/**
+ * One log line per drive, oldest first, with the date, addresses, odometer readings, purpose and
+ * distance a mileage log needs. Business miles are totalled per tax year.
+ */
+export function buildMileageLog(
+  drives: TessieDrive[],
+  rules: ClassificationRule[],
+  timeZone: string,
+  annotations: Map<number, DriveAnnotation> = new Map(),
+  taxYearStart: string = DEFAULT_TAX_YEAR_START
+): MileageLog {
+  const milesByPurpose: Record<TripPurpose, number> = { business: 0, personal: 0 };
+  const businessByYear: Record<string, number> = {};
+
+  const entries = [...drives]
+    .sort((a, b) => a.started_at - b.started_at)
+    .map(drive => {
+      const annotation = annotations.get(drive.id);
+      const classification = classifyDrive(drive, rules, timeZone, annotation);
+      const date = localDateKey(new Date(drive.started_at * 1000), timeZone);
+      const miles = drive.odometer_distance;
+
+      milesByPurpose[classification.purpose] += miles;
+      if (classification.purpose === 'business') {
+        const year = taxYearOf(date, taxYearStart);
+        businessByYear[year] = (businessByYear[year] || 0) + miles;
+      }
+
+      return {
+        drive_id: drive.id,
+        date,
+        start_time: formatZonedIso(new Date(drive.started_at * 1000), timeZone),
+        end_time: formatZonedIso(new Date(drive.ended_at * 1000), timeZone),
+        start_address: drive.starting_location || drive.starting_saved_location || '',
+        end_address: drive.ending_location || drive.ending_saved_location || '',
+        starting_odometer: drive.starting_odometer,
+        ending_odometer: drive.ending_odometer,
+        miles,
+        purpose: classification.purpose,
+        description: classification.description ?? null,
+        classified_by: classification.source,
+        rule: classification.rule ?? null,
+        tags: driveTags(drive, annotation),
+        note: annotation?.note ?? null
+      };
+    });
+
+  return { entries, miles_by_purpose: milesByPurpose, business_miles_by_year: businessByYear };
+}
+
+const rateAmount = (distance: number, rate: MileageRate) => typeof rate === 'number'
+  ? distance * rate
+  : Math.min(distance, rate.threshold) * rate.rate + Math.max(0, distance - rate.threshold) * rate.rate_after;
+
+/**
+ * Deduction for business distance at the given rate, after `used` of the tax year's distance
+ * has already counted toward a tiered rate's threshold
+ */
+export function mileageDeduction(distance: number, rate: MileageRate, used: number = 0): number {
+  return round(rateAmount(used + distance, rate) - rateAmount(used, rate));
+}
+
+/**
+ * The part of the tax year before startDate (ISO) whose business distance already counts toward
+ * a tiered rate's threshold. Null when the year's rate is not tiered, or startDate starts the year.
+ */
+export function taxYearBefore(
+  startDate: string,
+  timeZone: string,
+  rates: Record<string, MileageRate>,
+  taxYearStart: string = DEFAULT_TAX_YEAR_START
+): { start: string; end: string } | null {
+  const start = Date.parse(startDate);
+  const year = taxYearOf(localDateKey(new Date(start), timeZone), taxYearStart);
+  if (typeof rates[year] !== 'object') return null;
+
+  const yearStart = Date.parse(parseZonedDate(`${year}-${taxYearStart}`, timeZone));
+  if (yearStart >= start) return null;
+  return { start: new Date(yearStart).toISOString(), end: new Date(start - 1).toISOString() };
+}
+
+/**
+ * Deductions per tax year for the business drives in `entries`. A tiered rate's threshold is used
+ * up in the order the year's business distance was driven, so `others` (drives earlier in the tax
+ * year, or left out by a tag filter) count toward it without being deducted themselves.
+ */
+export function mileageDeductions(
+  entries: MileageLogEntry[],
+  others: MileageLogEntry[],
+  rates: Record<string, MileageRate>,
+  taxYearStart: string = DEFAULT_TAX_YEAR_START,
+  toRateUnit: (miles: number) => number = miles => miles
+): MileageDeduction[] {
+  const logged = new Set(entries.map(entry => entry.drive_id));
+  const business = [...entries, ...others.filter(entry => !logged.has(entry.drive_id))]
+    .filter(entry => entry.purpose === 'business')
+    .sort((a, b) => Date.parse(a.start_time) - Date.parse(b.start_time));
+
+  const years = new Map<string, { distance: number; other: number; amount: number }>();
+  for (const entry of business) {
+    const year = taxYearOf(entry.date, taxYearStart);
+    const totals = years.get(year) ?? { distance: 0, other: 0, amount: 0 };
+    const distance = toRateUnit(entry.miles);
+    const rate = rates[year];
+    if (logged.has(entry.drive_id)) {
+      if (rate !== undefined) {
+        totals.amount += rateAmount(totals.distance + totals.other + distance, rate) - rateAmount(totals.distance + totals.other, rate);
+      }
+      totals.distance += distance;
+    } else {
+      totals.other += distance;
+    }
+    years.set(year, totals);
+  }
+
+  return [...years.entries()]
+    .filter(([, totals]) => totals.distance > 0)
+    .map(([year, totals]) => {
+      const rate = rates[year] ?? null;
+      return {
+        year,
+        business_distance: round(totals.distance),
+        ...(rate !== null && typeof rate === 'object' ? { other_business_distance: round(totals.other) } : {}),
+        rate,
+        deduction: rate === null ? null : round(totals.amount)
+      };
+    });
+}
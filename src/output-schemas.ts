@@ -0,0 +1,695 @@
+import { z } from 'zod';
+import { EFFICIENCY_UNITS } from './units.js';
+
+// Output schemas for every tool. Fields Tessie may omit or send as null are nullish,
+// so a sparse upstream response still validates.
+
+const unitsSchema = z.object({
+  distance: z.enum(['miles', 'km']),
+  speed: z.enum(['mph', 'km/h']),
+  temperature: z.enum(['°F', '°C']),
+  efficiency: z.enum(EFFICIENCY_UNITS)
+});
+
+const executionPlanSchema = z.object({
+  operation: z.string(),
+  chunked: z.boolean(),
+  chunk_days: z.number(),
+  concurrency: z.number(),
+  windows: z.array(z.object({ start_date: z.string(), end_date: z.string() })),
+  recommendations: z.array(z.string())
+});
+
+const queryMetadataSchema = z.object({
+  execution_plan: executionPlanSchema,
+  duplicates_removed: z.number()
+});
+
+export const vehicleStateOutput = {
+  vehicle: z.string().nullish(),
+  vin: z.string(),
+  current_location: z.object({
+    latitude: z.number().nullish(),
+    longitude: z.number().nullish()
+  }),
+  battery: z.object({
+    level: z.number().nullish(),
+    range: z.number().nullish(),
+    charging_state: z.string().nullish(),
+    time_to_full_charge: z.number().nullish()
+  }),
+  vehicle_state: z.object({
+    locked: z.boolean().nullish(),
+    sentry_mode: z.boolean().nullish(),
+    odometer: z.number().nullish()
+  }),
+  climate: z.object({
+    inside_temp: z.number().nullish(),
+    outside_temp: z.number().nullish(),
+    climate_on: z.boolean().nullish()
+  }),
+  last_updated: z.string().nullish(),
+  units: unitsSchema
+};
+
+const driveSchema = z.object({
+  id: z.number(),
+  start_time: z.string(),
+  end_time: z.string(),
+  starting_location: z.string().nullish(),
+  ending_location: z.string().nullish(),
+  distance: z.number(),
+  duration_minutes: z.number(),
+  starting_battery: z.number().nullish(),
+  ending_battery: z.number().nullish(),
+  battery_used: z.number().nullish(),
+  average_speed: z.number().nullish(),
+  max_speed: z.number().nullish(),
+  autopilot_distance: z.number(),
+  tags: z.array(z.string()),
+  note: z.string().nullable()
+});
+
+export const drivingHistoryOutput = {
+  vehicle_vin: z.string(),
+  total_drives: z.number(),
+  date_range: z.object({ start: z.string(), end: z.string() }),
+  pagination: z.object({
+    has_more: z.boolean(),
+    next_cursor: z.string().nullable()
+  }),
+  drives: z.array(driveSchema),
+  units: unitsSchema,
+  time_zone: z.string(),
+  metadata: queryMetadataSchema
+};
+
+export const weeklyMileageOutput = {
+  vehicle_vin: z.string(),
+  period: z.object({ start_date: z.string(), end_date: z.string() }),
+  summary: z.object({
+    total_distance: z.number(),
+    total_drives: z.number(),
+    total_autopilot_distance: z.number(),
+    fsd_percentage: z.number()
+  }),
+  daily_breakdown: z.array(z.object({
+    date: z.string(),
+    distance: z.number(),
+    drives: z.number(),
+    autopilot_distance: z.number(),
+    fsd_percentage: z.number()
+  })),
+  units: unitsSchema,
+  time_zone: z.string(),
+  metadata: queryMetadataSchema
+};
+
+const mergePolicySchema = z.object({
+  max_gap_minutes: z.number(),
+  charging_threshold_percent: z.number(),
+  max_stop_minutes: z.number().nullable(),
+  boundary_locations: z.array(z.string())
+});
+
+const stopTypeSchema = z.enum(['short', 'charging', 'excluded']);
+
+const energyMethodSchema = z.enum(['measured', 'pack_capacity']);
+const energyConfidenceSchema = z.enum(['high', 'medium', 'low']);
+
+export const driveAnalysisOutput = {
+  analysis_summary: z.string(),
+  detailed_analysis: z.object({
+    drive_details: z.object({
+      id: z.string(),
+      original_drives: z.number(),
+      start_time: z.string(),
+      end_time: z.string(),
+      route: z.string(),
+      distance: z.number(),
+      total_duration_minutes: z.number(),
+      driving_duration_minutes: z.number(),
+      average_speed: z.number(),
+      max_speed: z.number()
+    }),
+    stops: z.array(z.object({
+      location: z.string().nullish(),
+      duration_minutes: z.number(),
+      type: stopTypeSchema,
+      time: z.string()
+    })),
+    battery_analysis: z.object({
+      starting_level: z.string(),
+      ending_level: z.string(),
+      percentage_consumed: z.string(),
+      estimated_kwh_used: z.number(),
+      efficiency: z.number().nullish(),
+      energy_method: energyMethodSchema,
+      energy_confidence: energyConfidenceSchema,
+      pack_capacity_kwh: z.number().optional(),
+      pack_capacity_source: z.enum(['configured', 'model_table', 'model_default', 'generic_default']).optional()
+    }),
+    fsd_analysis: z.object({
+      autopilot_distance: z.number(),
+      fsd_percentage: z.string(),
+      data_available: z.boolean(),
+      note: z.string().nullish()
+    })
+  }),
+  merge_policy: mergePolicySchema,
+  units: unitsSchema,
+  metadata: z.object({
+    analysis_time: z.string(),
+    drives_analyzed: z.number(),
+    period_searched: z.string(),
+    time_zone: z.string(),
+    requested_trip: z.object({
+      drive_ids: z.array(z.number()),
+      analyzed_drive_ids: z.array(z.number()),
+      matched: z.boolean(),
+      note: z.string().nullish()
+    }).optional()
+  })
+};
+
+export const tripsOutput = {
+  vehicle_vin: z.string(),
+  date_range: z.object({ start: z.string(), end: z.string() }),
+  total_trips: z.number(),
+  trips: z.array(z.object({
+    id: z.string(),
+    drive_ids: z.array(z.number()),
+    start_time: z.string(),
+    end_time: z.string(),
+    starting_location: z.string().nullish(),
+    ending_location: z.string().nullish(),
+    distance: z.number(),
+    total_duration_minutes: z.number(),
+    driving_duration_minutes: z.number(),
+    stops: z.array(z.object({
+      location: z.string().nullish(),
+      duration_minutes: z.number(),
+      type: stopTypeSchema,
+      start_time: z.string(),
+      end_time: z.string()
+    })),
+    battery_used: z.number(),
+    estimated_kwh_used: z.number(),
+    efficiency: z.number().nullish(),
+    energy_method: energyMethodSchema,
+    energy_confidence: energyConfidenceSchema,
+    autopilot_distance: z.number(),
+    autopilot_percentage: z.number(),
+    tags: z.array(z.string()),
+    notes: z.array(z.string())
+  })),
+  sort: z.object({ by: z.string(), order: z.enum(['asc', 'desc']) }),
+  merge_policy: mergePolicySchema,
+  units: unitsSchema,
+  time_zone: z.string(),
+  metadata: z.object({
+    execution_plan: executionPlanSchema,
+    duplicates_removed: z.number(),
+    drives_merged: z.number(),
+    trips_before_filters: z.number()
+  })
+};
+
+const departureWindowSchema = z.object({
+  window: z.string(), // Local start of the 30-minute window, HH:mm
+  trips: z.number(),
+  median_duration_minutes: z.number()
+});
+
+export const commuteStatsOutput = {
+  vehicle_vin: z.string(),
+  period: z.object({ start_date: z.string(), end_date: z.string() }),
+  trips_analyzed: z.number(),
+  commutes: z.array(z.object({
+    name: z.string(),
+    declared: z.boolean(),
+    legs: z.array(z.object({
+      direction: z.enum(['outbound', 'return']),
+      from: z.string(),
+      to: z.string(),
+      trips: z.number(),
+      days: z.number(),
+      typical_departure: z.string(),
+      duration: z.object({
+        median_minutes: z.number(),
+        mean_minutes: z.number(),
+        std_dev_minutes: z.number(),
+        p90_minutes: z.number()
+      }),
+      median_distance: z.number(),
+      total_distance: z.number(),
+      energy_kwh: z.number(),
+      efficiency: z.number().nullable(),
+      departures: z.array(departureWindowSchema),
+      // The window whose trips were quickest, among windows with enough trips to tell
+      best_departure_window: departureWindowSchema.extend({ minutes_saved: z.number() }).nullable(),
+      by_month: z.array(z.object({
+        month: z.string(),
+        trips: z.number(),
+        median_duration_minutes: z.number(),
+        distance: z.number(),
+        energy_kwh: z.number(),
+        efficiency: z.number().nullable()
+      }))
+    }))
+  })),
+  merge_policy: mergePolicySchema,
+  units: unitsSchema,
+  time_zone: z.string()
+};
+
+const chargeLocationTypeSchema = z.enum(['home', 'supercharger', 'public']);
+
+const chargingTotalsSchema = z.object({
+  sessions: z.number(),
+  energy_added_kwh: z.number(),
+  cost: z.number(),
+  sessions_without_cost: z.number(),
+  cost_per_kwh: z.number().nullable()
+});
+
+const tariffPeriodCostSchema = z.object({
+  period: z.string(),
+  energy_kwh: z.number(),
+  cost: z.number()
+});
+
+export const chargingSessionsOutput = {
+  vehicle_vin: z.string(),
+  total_sessions: z.number(),
+  date_range: z.object({ start: z.string(), end: z.string() }),
+  pagination: z.object({
+    has_more: z.boolean(),
+    next_cursor: z.string().nullable()
+  }),
+  sessions: z.array(z.object({
+    id: z.number(),
+    start_time: z.string(),
+    end_time: z.string(),
+    location: z.string().nullish(),
+    location_type: chargeLocationTypeSchema,
+    starting_battery: z.number().nullish(),
+    ending_battery: z.number().nullish(),
+    energy_added_kwh: z.number(),
+    energy_used_kwh: z.number().nullish(),
+    range_added: z.number().nullish(),
+    cost: z.number().nullable(),
+    cost_source: z.enum(['recorded', 'tariff', 'estimated', 'unknown']),
+    // How a tariff-priced session's energy fell across the tariff's periods or tiers
+    tariff: z.object({ name: z.string(), by_period: z.array(tariffPeriodCostSchema) }).nullable()
+  })),
+  units: unitsSchema,
+  time_zone: z.string()
+};
+
+export const chargingSummaryOutput = {
+  vehicle_vin: z.string(),
+  period: z.object({ start_date: z.string(), end_date: z.string() }),
+  total: chargingTotalsSchema,
+  by_location_type: z.object({
+    home: chargingTotalsSchema,
+    supercharger: chargingTotalsSchema,
+    public: chargingTotalsSchema
+  }),
+  driving: z.object({
+    distance: z.number(),
+    drives: z.number()
+  }),
+  // Known charging cost per unit of distance driven in the same period
+  cost_per_distance: z.number().nullable(),
+  price_per_kwh: z.number().nullable(),
+  home_locations: z.array(z.string()),
+  units: unitsSchema,
+  time_zone: z.string()
+};
+
+const costPeriodSchema = z.object({
+  drives: z.number(),
+  distance: z.number(),
+  charging: z.object({
+    sessions: z.number(),
+    energy_added_kwh: z.number(),
+    cost: z.number(),
+    sessions_without_cost: z.number()
+  }),
+  fixed_costs: z.record(z.number()),
+  fixed_cost: z.number(),
+  total_cost: z.number(),
+  charging_cost_per_distance: z.number().nullable(),
+  cost_per_distance: z.number().nullable(),
+  gasoline: z.object({
+    fuel_cost: z.number(),
+    // Positive when charging cost less than the fuel would have
+    fuel_savings: z.number()
+  }).nullable()
+});
+
+export const ownershipCostsOutput = {
+  vehicle_vin: z.string(),
+  period: z.object({ start_date: z.string(), end_date: z.string() }),
+  months: z.array(costPeriodSchema.extend({ month: z.string(), days: z.number() })),
+  total: costPeriodSchema,
+  gasoline_reference: z.object({
+    name: z.string().nullable(),
+    fuel_economy: z.number(),
+    fuel_economy_unit: z.enum(['mpg', 'L/100km']),
+    fuel_price: z.number(),
+    fuel_cost_per_distance: z.number().nullable()
+  }).nullable(),
+  price_per_kwh: z.number().nullable(),
+  units: unitsSchema,
+  time_zone: z.string()
+};
+
+export const chargingStrategyOutput = {
+  vehicle_vin: z.string(),
+  period: z.object({ start_date: z.string(), end_date: z.string() }),
+  tariff: z.object({
+    name: z.string(),
+    type: z.enum(['flat', 'tiered', 'time_of_use']),
+    locations: z.array(z.string())
+  }),
+  sessions: z.number(),
+  energy_kwh: z.number(),
+  cost: z.number(),
+  average_price_per_kwh: z.number().nullable(),
+  by_period: z.array(tariffPeriodCostSchema.extend({ share_percent: z.number() })),
+  typical_session: z.object({
+    energy_kwh: z.number(),
+    power_kw: z.number().nullable(),
+    hours: z.number().nullable()
+  }).nullable(),
+  // Stretches of the day at the lowest rate; an end at or before the start runs past midnight
+  windows: z.array(z.object({
+    season: z.string().nullable(),
+    days: z.array(z.string()),
+    start: z.string(),
+    end: z.string(),
+    hours: z.number(),
+    price_per_kwh: z.number(),
+    fits_typical_session: z.boolean().nullable()
+  })),
+  // The same energy, each session at its day's lowest rate
+  cost_in_cheapest_windows: z.number(),
+  savings: z.number(),
+  savings_per_30_days: z.number(),
+  time_zone: z.string()
+};
+
+const healthPointSchema = z.object({
+  time: z.string(),
+  odometer: z.number(),
+  value: z.number(),
+  health_percent: z.number()
+});
+
+export const batteryHealthOutput = {
+  vehicle_vin: z.string(),
+  measurements: z.number(),
+  // 'capacity_kwh' values are usable kWh; 'max_range' values are rated range in the distance unit
+  metric: z.enum(['capacity_kwh', 'max_range']),
+  baseline: z.number(),
+  baseline_source: z.enum(['original_capacity', 'peak_measurement']),
+  latest: healthPointSchema,
+  trend: z.object({
+    percent_per_1000_distance: z.number(),
+    percent_per_year: z.number(),
+    r_squared_odometer: z.number(),
+    r_squared_age: z.number()
+  }).nullable(),
+  drops: z.array(z.object({
+    time: z.string(),
+    odometer: z.number(),
+    previous_value: z.number(),
+    value: z.number(),
+    drop_percent: z.number()
+  })),
+  fleet: z.object({
+    vehicles: z.number(),
+    vehicle_health_percent: z.number(),
+    fleet_average_health_percent: z.number().nullable(),
+    difference_percent: z.number().nullable()
+  }).nullable(),
+  projection: z.object({
+    odometer: z.number(),
+    value: z.number(),
+    health_percent: z.number()
+  }).nullable(),
+  series: z.array(healthPointSchema).optional(),
+  units: unitsSchema,
+  time_zone: z.string()
+};
+
+const drainCauseSchema = z.enum(['sentry', 'climate', 'cold']);
+
+const drainRateSchema = z.object({
+  idles: z.number(),
+  hours: z.number(),
+  battery_lost_percent: z.number(),
+  percent_per_day: z.number(),
+  kwh_per_day: z.number()
+});
+
+export const idleDrainOutput = {
+  vehicle_vin: z.string(),
+  period: z.object({ start_date: z.string(), end_date: z.string() }),
+  total: drainRateSchema,
+  // Idles with no sentry, climate or cold weather
+  baseline: drainRateSchema.nullable(),
+  attribution: z.array(drainRateSchema.extend({
+    cause: drainCauseSchema,
+    excess_percent_per_day: z.number().nullable()
+  })),
+  locations: z.array(drainRateSchema.extend({
+    location: z.string(),
+    causes: z.array(drainCauseSchema)
+  })),
+  worst_idles: z.array(z.object({
+    id: z.number(),
+    start_time: z.string(),
+    end_time: z.string(),
+    location: z.string(),
+    hours: z.number(),
+    battery_lost_percent: z.number(),
+    percent_per_day: z.number(),
+    kwh_lost: z.number(),
+    kwh_per_day: z.number(),
+    sentry_fraction: z.number().nullable(),
+    climate_fraction: z.number().nullable(),
+    average_outside_temp: z.number().nullable(),
+    causes: z.array(drainCauseSchema)
+  })),
+  skipped_idles: z.number(),
+  pack_capacity_kwh: z.number(),
+  units: unitsSchema,
+  time_zone: z.string()
+};
+
+export const historySyncOutput = {
+  vehicle_vin: z.string(),
+  data_dir: z.string(),
+  full: z.boolean(),
+  results: z.array(z.object({
+    kind: z.enum(['drives', 'charges', 'idles', 'states']),
+    // Start of the fetched range; null when the full history was fetched
+    from: z.string().nullable(),
+    fetched: z.number(),
+    added: z.number(),
+    updated: z.number(),
+    total: z.number(),
+    latest: z.string().nullable()
+  })),
+  time_zone: z.string()
+};
+
+export const exportOutput = {
+  vehicle_vin: z.string(),
+  dataset: z.enum(['drives', 'charges', 'paths']),
+  format: z.enum(['csv', 'gpx', 'kml']),
+  period: z.object({ start_date: z.string(), end_date: z.string() }),
+  tag: z.string().optional(),
+  records: z.number(), // Rows for CSV, tracks for GPX and KML
+  columns: z.array(z.string()).optional(),
+  // Set when the document was written to the export directory instead of embedded
+  file_path: z.string().nullable(),
+  uri: z.string(),
+  mime_type: z.string(),
+  bytes: z.number(),
+  units: unitsSchema,
+  time_zone: z.string()
+};
+
+const tripPurposeSchema = z.enum(['business', 'personal']);
+
+const exportedDocumentSchema = z.object({
+  file_path: z.string().nullable(),
+  uri: z.string(),
+  mime_type: z.string(),
+  bytes: z.number()
+});
+
+export const mileageLogOutput = {
+  vehicle_vin: z.string(),
+  period: z.object({ start_date: z.string(), end_date: z.string() }),
+  tag: z.string().optional(),
+  entries: z.array(z.object({
+    drive_id: z.number(),
+    date: z.string(),
+    start_time: z.string(),
+    end_time: z.string(),
+    start_address: z.string(),
+    end_address: z.string(),
+    starting_odometer: z.number().nullish(),
+    ending_odometer: z.number().nullish(),
+    distance: z.number(),
+    purpose: tripPurposeSchema,
+    description: z.string().nullable(),
+    classified_by: z.enum(['override', 'tag', 'rule', 'default']),
+    rule: z.string().nullable(),
+    tags: z.array(z.string()),
+    note: z.string().nullable()
+  })).optional(),
+  totals: z.object({
+    drives: z.number(),
+    business_distance: z.number(),
+    personal_distance: z.number(),
+    total_distance: z.number(),
+    business_percent: z.number()
+  }),
+  deductions: z.array(z.object({
+    year: z.string(), // The calendar year the tax year starts in
+    business_distance: z.number(), // In the rate's distance unit
+    other_business_distance: z.number().optional(), // Tiered rates: the tax year's business distance outside the log
+    rate: z.union([z.number(), z.object({ rate: z.number(), threshold: z.number(), rate_after: z.number() })]).nullable(),
+    deduction: z.number().nullable()
+  })),
+  rate_unit: z.enum(['mile', 'km']),
+  tax_year_start: z.string(),
+  total_deduction: z.number(),
+  document: exportedDocumentSchema.optional(),
+  units: unitsSchema,
+  time_zone: z.string()
+};
+
+export const tripPurposeOutput = {
+  vehicle_vin: z.string(),
+  drive_id: z.number(),
+  purpose: tripPurposeSchema.nullable(),
+  purpose_note: z.string().nullable(),
+  // False when no data directory is configured and the override only lasts until restart
+  persisted: z.boolean()
+};
+
+export const driveAnnotationOutput = {
+  vehicle_vin: z.string(),
+  drive_id: z.number(),
+  tags: z.array(z.string()), // Local tags only; Tessie's own tag is not changed
+  note: z.string().nullable(),
+  persisted: z.boolean()
+};
+
+const placeSchema = z.object({
+  name: z.string(),
+  latitude: z.number(),
+  longitude: z.number(),
+  radius_meters: z.number(),
+  polygon: z.array(z.tuple([z.number(), z.number()])).optional(),
+  source: z.enum(['configured', 'saved', 'tessie'])
+});
+
+export const placesOutput = {
+  total_places: z.number(),
+  places: z.array(placeSchema),
+  // False when no data directory is configured and saved places only last until restart
+  persisted: z.boolean()
+};
+
+export const savedPlaceOutput = {
+  place: placeSchema,
+  persisted: z.boolean()
+};
+
+export const removedPlaceOutput = {
+  name: z.string(),
+  removed: z.boolean()
+};
+
+const placeTrafficSchema = z.object({ drives: z.number(), distance: z.number() });
+
+export const placeActivityOutput = {
+  vehicle_vin: z.string(),
+  place: placeSchema,
+  period: z.object({ start_date: z.string(), end_date: z.string() }),
+  to: placeTrafficSchema,
+  from: placeTrafficSchema,
+  within: placeTrafficSchema,
+  totals: z.object({
+    visits: z.number(),
+    hours_at_place: z.number(),
+    average_visit_hours: z.number().nullable()
+  }),
+  visits: z.array(z.object({
+    arrived_at: z.string(),
+    departed_at: z.string().nullable(), // Null while the vehicle is still there
+    hours: z.number(),
+    arrival_drive_id: z.number().nullable(),
+    departure_drive_id: z.number().nullable(),
+    partial: z.boolean() // Cut off by the start or end of the period
+  })),
+  units: unitsSchema,
+  time_zone: z.string()
+};
+
+export const vehiclesOutput = {
+  total_vehicles: z.number(),
+  vehicles: z.array(z.object({ vin: z.string(), display_name: z.string().nullish() }))
+};
+
+export const naturalLanguageQueryOutput = {
+  query_understood: z.string(),
+  confidence: z.number(),
+  operation: z.string().nullable(),
+  // Shape depends on the operation the query was mapped to
+  result: z.record(z.unknown()).optional(),
+  error: z.string().optional(),
+  suggestions: z.array(z.string()).optional()
+};
+
+export const commandOutcomeOutput = {
+  command: z.string(),
+  vin: z.string(),
+  dry_run: z.boolean(),
+  executed: z.boolean(),
+  description: z.string(),
+  safety_critical: z.boolean(),
+  success: z.boolean().optional(),
+  woke_vehicle: z.boolean().optional(),
+  confirmation_token: z.string().optional(),
+  confirmation_expires_at: z.string().optional()
+};
+
+/**
+ * Wraps a tool's data as structuredContent, with a short text rendering for clients
+ * that only display content blocks
+ */
+export function toolResult(data: object, text: string) {
+  return {
+    content: [{ type: 'text' as const, text }],
+    structuredContent: data as Record<string, unknown>
+  };
+}
+
+/**
+ * A tool result that also carries a document, e.g. an export, as an embedded resource
+ */
+export function toolResultWithResource(data: object, text: string, resource: { uri: string; mimeType: string; text: string }) {
+  return {
+    content: [{ type: 'text' as const, text }, { type: 'resource' as const, resource }],
+    structuredContent: data as Record<string, unknown>
+  };
+}
@@ -0,0 +1,198 @@
+import { chargeCost } from './charging.js';
+import { round } from './stats.js';
+import { TariffCost } from './tariffs.js';
+import { TessieCharge, TessieDrive } from './tessie-client.js';
+import { addDays, CalendarDate, localDateKey } from './time-zones.js';
+import { KM_PER_MILE } from './units.js';
+
+// Total cost of ownership: charging spend plus fixed costs, with the distance driven, per
+// local calendar month. Distances are in miles, Tessie's native unit; costs are in the
+// currency of the prices and amounts given.
+
+export type FixedCostPeriod = 'month' | 'year' | 'once';
+export type FuelEconomyUnit = 'mpg' | 'L/100km';
+
+export const FIXED_COST_PERIODS: [FixedCostPeriod, ...FixedCostPeriod[]] = ['month', 'year', 'once'];
+export const FUEL_ECONOMY_UNITS: [FuelEconomyUnit, ...FuelEconomyUnit[]] = ['mpg', 'L/100km'];
+
+/**
+ * A cost that doesn't depend on driving, such as insurance or a loan payment. Monthly and
+ * yearly amounts are spread evenly over the days they cover; a one-off amount falls on its
+ * start date. Dates are local YYYY-MM-DD and inclusive.
+ */
+export interface FixedCost {
+  name: string;
+  amount: number;
+  period: FixedCostPeriod;
+  start_date?: string;
+  end_date?: string;
+}
+
+/**
+ * The gasoline car to compare against: mpg (US gallons) with a price per gallon, or
+ * L/100km with a price per liter
+ */
+export interface GasolineReference {
+  name?: string;
+  fuel_economy: number;
+  fuel_economy_unit?: FuelEconomyUnit;
+  fuel_price: number;
+}
+
+export interface ChargingSpend {
+  sessions: number;
+  energy_added_kwh: number;
+  cost: number; // Recorded or estimated; sessions without either are left out
+  sessions_without_cost: number;
+}
+
+export interface CostPeriod {
+  drives: number;
+  miles: number;
+  charging: ChargingSpend;
+  fixed_costs: Record<string, number>; // By name
+  fixed_cost: number;
+  total_cost: number;
+  gasoline_fuel_cost: number | null; // What the reference car would have spent on fuel
+}
+
+export interface CostMonth extends CostPeriod {
+  month: string; // YYYY-MM
+  days: number; // Days of the month inside the range
+}
+
+export interface OwnershipCosts {
+  months: CostMonth[];
+  total: CostPeriod;
+}
+
+export interface OwnershipCostOptions {
+  timeZone: string;
+  startDate: string; // Local YYYY-MM-DD, inclusive
+  endDate: string; // Local YYYY-MM-DD, inclusive
+  pricePerKwh?: number;
+  tariffCosts?: Map<number, TariffCost>; // Tariff prices by charge ID
+  fixedCosts?: FixedCost[];
+  gasoline?: GasolineReference;
+}
+
+const parseDay = (day: string): CalendarDate => {
+  const [year, month, date] = day.split('-').map(Number);
+  return { year, month, day: date };
+};
+
+const dayKey = (date: CalendarDate) =>
+  `${date.year}-${String(date.month).padStart(2, '0')}-${String(date.day).padStart(2, '0')}`;
+
+const daysInMonth = (year: number, month: number) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+const daysInYear = (year: number) => (daysInMonth(year, 2) === 29 ? 366 : 365);
+
+/**
+ * Fuel cost per mile of the reference car
+ */
+export function fuelCostPerMile(reference: GasolineReference): number {
+  if (reference.fuel_economy_unit === 'L/100km') {
+    return (reference.fuel_economy / 100) * KM_PER_MILE * reference.fuel_price;
+  }
+  return reference.fuel_price / reference.fuel_economy;
+}
+
+/**
+ * The share of a fixed cost falling on one local day
+ */
+export function fixedCostOn(cost: FixedCost, day: string): number {
+  if (cost.period === 'once') return cost.start_date === day ? cost.amount : 0;
+  if ((cost.start_date && day < cost.start_date) || (cost.end_date && day > cost.end_date)) return 0;
+
+  const { year, month } = parseDay(day);
+  return cost.period === 'month' ? cost.amount / daysInMonth(year, month) : cost.amount / daysInYear(year);
+}
+
+function emptyPeriod() {
+  return {
+    drives: 0,
+    miles: 0,
+    charging: { sessions: 0, energy_added_kwh: 0, cost: 0, sessions_without_cost: 0 },
+    fixed_costs: {} as Record<string, number>
+  };
+}
+
+type Accumulator = ReturnType<typeof emptyPeriod>;
+
+function finish(period: Accumulator, fuelPerMile: number | null): CostPeriod {
+  const miles = round(period.miles);
+  const chargingCost = round(period.charging.cost);
+  const fixedCosts = Object.fromEntries(Object.entries(period.fixed_costs).map(([name, amount]) => [name, round(amount)]));
+  const fixedCost = round(Object.values(period.fixed_costs).reduce((sum, amount) => sum + amount, 0));
+  const totalCost = round(chargingCost + fixedCost);
+
+  return {
+    drives: period.drives,
+    miles,
+    charging: { ...period.charging, energy_added_kwh: round(period.charging.energy_added_kwh), cost: chargingCost },
+    fixed_costs: fixedCosts,
+    fixed_cost: fixedCost,
+    total_cost: totalCost,
+    gasoline_fuel_cost: fuelPerMile === null ? null : round(period.miles * fuelPerMile)
+  };
+}
+
+/**
+ * Charging and fixed costs and distance driven for each local month of the range and in total.
+ * Charges are costed as recorded by Tessie, else with their tariff, else at the given price
+ * per kWh.
+ */
+export function ownershipCosts(drives: TessieDrive[], charges: TessieCharge[], options: OwnershipCostOptions): OwnershipCosts {
+  const months = new Map<string, Accumulator & { days: number }>();
+  const total = emptyPeriod();
+  const monthOf = (day: string) => {
+    const key = day.slice(0, 7);
+    const month = months.get(key) || { ...emptyPeriod(), days: 0 };
+    months.set(key, month);
+    return month;
+  };
+
+  // Every day of the range gets its month, so fixed costs cover months without driving
+  const fixedCosts = options.fixedCosts ?? [];
+  for (let date = parseDay(options.startDate); dayKey(date) <= options.endDate; date = addDays(date, 1)) {
+    const day = dayKey(date);
+    const month = monthOf(day);
+    month.days++;
+    for (const cost of fixedCosts) {
+      const amount = fixedCostOn(cost, day);
+      if (amount === 0) continue;
+      for (const period of [month, total]) {
+        period.fixed_costs[cost.name] = (period.fixed_costs[cost.name] ?? 0) + amount;
+      }
+    }
+  }
+
+  const localMonth = (timestamp: number) => localDateKey(new Date(timestamp * 1000), options.timeZone).slice(0, 7);
+  for (const drive of drives) {
+    for (const period of [monthOf(localMonth(drive.started_at)), total]) {
+      period.drives++;
+      period.miles += drive.odometer_distance;
+    }
+  }
+  for (const charge of charges) {
+    const { cost } = chargeCost(charge, options.pricePerKwh, options.tariffCosts?.get(charge.id));
+    for (const period of [monthOf(localMonth(charge.started_at)), total]) {
+      period.charging.sessions++;
+      period.charging.energy_added_kwh += charge.energy_added;
+      if (cost === null) {
+        period.charging.sessions_without_cost++;
+      } else {
+        period.charging.cost += cost;
+      }
+    }
+  }
+
+  const fuelPerMile = options.gasoline ? fuelCostPerMile(options.gasoline) : null;
+  return {
+    months: [...months.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([month, { days, ...period }]) => ({ month, days, ...finish(period, fuelPerMile) })),
+    total: finish(total, fuelPerMile)
+  };
+}
@@ -0,0 +1,133 @@
+import { TessieVehicleConfig } from './tessie-client.js';
+
+// Usable battery capacity by Tesla model, trim and model year, for turning a battery
+// percentage into kWh when Tessie does not report the energy a drive used.
+
+export type TeslaModel = 'model_s' | 'model_x' | 'model_3' | 'model_y' | 'cybertruck';
+
+export type EnergyConfidence = 'high' | 'medium' | 'low';
+
+/**
+ * Where a capacity came from: a per-VIN configuration override, a table row that matched
+ * the model's trim or year, the model's typical pack, or a generic guess for an unknown vehicle
+ */
+export type CapacitySource = 'configured' | 'model_table' | 'model_default' | 'generic_default';
+
+export interface PackCapacity {
+  kwh: number;
+  source: CapacitySource;
+  model?: TeslaModel;
+  year?: number;
+  trim?: string;
+}
+
+interface CapacityRow {
+  model: TeslaModel;
+  kwh: number;
+  trim?: RegExp; // matched against trim_badging, e.g. "p100d", "74d", "50"
+  fromYear?: number;
+}
+
+// Approximate usable capacity of a new pack. Rows are checked in order; rows with
+// neither trim nor years are the model's fallback and must come last for their model.
+const CAPACITY_TABLE: CapacityRow[] = [
+  { model: 'model_s', fromYear: 2021, kwh: 95 },
+  { model: 'model_s', trim: /^p?100/, kwh: 95 },
+  { model: 'model_s', trim: /^p?90/, kwh: 81.8 },
+  { model: 'model_s', trim: /^p?85/, kwh: 77.5 },
+  { model: 'model_s', trim: /^p?75/, kwh: 72.5 },
+  { model: 'model_s', trim: /^p?70/, kwh: 65.9 },
+  { model: 'model_s', trim: /^p?60/, kwh: 58.5 },
+  { model: 'model_s', kwh: 95 },
+
+  { model: 'model_x', fromYear: 2021, kwh: 95 },
+  { model: 'model_x', trim: /^p?100/, kwh: 95 },
+  { model: 'model_x', trim: /^p?90/, kwh: 81.8 },
+  { model: 'model_x', trim: /^p?75/, kwh: 72.5 },
+  { model: 'model_x', kwh: 95 },
+
+  { model: 'model_3', trim: /^5\d/, fromYear: 2021, kwh: 57.5 },
+  { model: 'model_3', trim: /^5\d/, kwh: 50 },
+  { model: 'model_3', trim: /^p?7\d/, fromYear: 2021, kwh: 78 },
+  { model: 'model_3', trim: /^p?7\d/, kwh: 75 },
+  { model: 'model_3', kwh: 75 },
+
+  { model: 'model_y', trim: /^5\d/, kwh: 60 },
+  { model: 'model_y', trim: /^p?7\d/, kwh: 78 },
+  { model: 'model_y', kwh: 75 },
+
+  { model: 'cybertruck', fromYear: 2024, kwh: 123 },
+  { model: 'cybertruck', kwh: 123 }
+];
+
+// Same figure the analyzer assumed for every vehicle before capacities were looked up
+export const GENERIC_PACK_KWH = 75;
+
+const VIN_MODELS: Record<string, TeslaModel> = {
+  S: 'model_s',
+  X: 'model_x',
+  '3': 'model_3',
+  Y: 'model_y',
+  C: 'cybertruck'
+};
+
+const CAR_TYPES: Record<string, TeslaModel> = {
+  models: 'model_s',
+  models2: 'model_s',
+  modelx: 'model_x',
+  model3: 'model_3',
+  modely: 'model_y',
+  cybertruck: 'cybertruck'
+};
+
+// Model-year codes (VIN position 10) for the years Tesla has built cars
+const VIN_YEARS = 'ABCDEFGHJKLMNPRSTVWXY';
+
+/**
+ * Model and model year encoded in a Tesla VIN (positions 4 and 10)
+ */
+export function decodeVin(vin: string): { model?: TeslaModel; year?: number } {
+  const normalized = vin.trim().toUpperCase();
+  if (normalized.length !== 17) return {};
+
+  const yearIndex = VIN_YEARS.indexOf(normalized[9]);
+  return {
+    model: VIN_MODELS[normalized[3]],
+    year: yearIndex >= 0 ? 2010 + yearIndex : undefined
+  };
+}
+
+/**
+ * Usable pack capacity for a vehicle, from the most specific source available
+ */
+export function lookupPackCapacity(vin: string, config: TessieVehicleConfig = {}, overrideKwh?: number): PackCapacity {
+  const decoded = decodeVin(vin);
+  const model = decoded.model || CAR_TYPES[(config.car_type || '').toLowerCase()];
+  const trim = config.trim_badging?.toLowerCase() || undefined;
+  const { year } = decoded;
+
+  if (overrideKwh !== undefined) {
+    return { kwh: overrideKwh, source: 'configured', model, year, trim };
+  }
+  if (!model) {
+    return { kwh: GENERIC_PACK_KWH, source: 'generic_default', year, trim };
+  }
+
+  const row = CAPACITY_TABLE.find(candidate =>
+    candidate.model === model &&
+    (!candidate.trim || (trim !== undefined && candidate.trim.test(trim))) &&
+    (candidate.fromYear === undefined || (year !== undefined && year >= candidate.fromYear))
+  )!;
+  const specific = row.trim !== undefined || row.fromYear !== undefined;
+
+  return { kwh: row.kwh, source: specific ? 'model_table' : 'model_default', model, year, trim };
+}
+
+/**
+ * How far a percentage-based estimate with this capacity can be trusted
+ */
+export function capacityConfidence(capacity: PackCapacity): EnergyConfidence {
+  return capacity.source === 'configured' || capacity.source === 'model_table' ? 'medium' : 'low';
+}
+
+export const UNKNOWN_PACK_CAPACITY: PackCapacity = { kwh: GENERIC_PACK_KWH, source: 'generic_default' };
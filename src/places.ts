@@ -0,0 +1,286 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { isMissing, writeJsonFile } from './history-store.js';
+import { median, round } from './stats.js';
+import { TessieDrive } from './tessie-client.js';
+
+// Named places as geofences: a centre with a radius, or a polygon. Drives are matched by their
+// start and end coordinates rather than by the address text Tessie geocoded.
+// Distances are in miles, Tessie's native unit; radii are in meters.
+
+export type PlaceSource = 'configured' | 'saved' | 'tessie';
+
+export interface PlaceDefinition {
+  name: string;
+  latitude: number;
+  longitude: number;
+  radius_meters?: number;
+  polygon?: Array<[number, number]>; // [latitude, longitude] vertices; replaces the radius when given
+}
+
+export interface Place extends PlaceDefinition {
+  radius_meters: number;
+  source: PlaceSource;
+}
+
+export interface PlaceTraffic {
+  drives: number;
+  miles: number;
+}
+
+export interface PlaceVisit {
+  arrived_at: number; // Unix seconds; the range start when the car was already there
+  departed_at: number | null; // Null while the car is still there
+  hours: number;
+  arrival_drive_id: number | null;
+  departure_drive_id: number | null;
+  partial: boolean; // Cut off by the start or end of the range
+}
+
+export interface PlaceActivity {
+  to: PlaceTraffic; // Drives ending at the place from elsewhere
+  from: PlaceTraffic; // Drives leaving the place for elsewhere
+  within: PlaceTraffic; // Drives that start and end at the place
+  visits: PlaceVisit[];
+  hours_at_place: number;
+}
+
+export const DEFAULT_PLACE_RADIUS_METERS = 150;
+// Tessie saved locations are matched within this of their usual coordinates; farther fixes are
+// treated as a different spot that happens to share the name
+const MAX_SEEDED_RADIUS_METERS = 500;
+const EARTH_RADIUS_METERS = 6371008.8;
+
+const sameName = (a: string, b: string) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * Great-circle distance between two coordinates, in meters
+ */
+export function haversineMeters(lat1: number, lon1: number, lat2: number, lon2: number): number {
+  const rad = Math.PI / 180;
+  const dLat = (lat2 - lat1) * rad;
+  const dLon = (lon2 - lon1) * rad;
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// Ray casting; places are small enough that treating coordinates as planar is exact enough
+function inPolygon(latitude: number, longitude: number, polygon: Array<[number, number]>): boolean {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [latI, lonI] = polygon[i];
+    const [latJ, lonJ] = polygon[j];
+    if ((lonI > longitude) !== (lonJ > longitude) &&
+        latitude < ((latJ - latI) * (longitude - lonI)) / (lonJ - lonI) + latI) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+export function isAtPlace(place: Place, latitude?: number | null, longitude?: number | null): boolean {
+  if (typeof latitude !== 'number' || typeof longitude !== 'number') return false;
+  if (place.polygon && place.polygon.length >= 3) return inPolygon(latitude, longitude, place.polygon);
+  return haversineMeters(place.latitude, place.longitude, latitude, longitude) <= place.radius_meters;
+}
+
+/**
+ * The place a coordinate falls in; where places overlap, the one with the nearest centre
+ */
+export function placeAt(places: Place[], latitude?: number | null, longitude?: number | null): Place | undefined {
+  if (typeof latitude !== 'number' || typeof longitude !== 'number') return undefined;
+  const distance = (place: Place) => haversineMeters(place.latitude, place.longitude, latitude, longitude);
+  return places
+    .filter(place => isAtPlace(place, latitude, longitude))
+    .sort((a, b) => distance(a) - distance(b))[0];
+}
+
+/**
+ * Places for the Tessie saved locations drives start or end at. The centre is the median of the
+ * coordinates seen, and the radius grows from the default to take in the spread of parking spots.
+ */
+export function seedPlaces(drives: TessieDrive[]): Place[] {
+  const seen = new Map<string, { name: string; points: Array<[number, number]> }>();
+  const add = (name: string | undefined, latitude: number, longitude: number) => {
+    if (!name?.trim() || typeof latitude !== 'number' || typeof longitude !== 'number') return;
+    const key = name.trim().toLowerCase();
+    const entry = seen.get(key) || { name: name.trim(), points: [] };
+    entry.points.push([latitude, longitude]);
+    seen.set(key, entry);
+  };
+  for (const drive of drives) {
+    add(drive.starting_saved_location, drive.starting_latitude, drive.starting_longitude);
+    add(drive.ending_saved_location, drive.ending_latitude, drive.ending_longitude);
+  }
+
+  return [...seen.values()].map(({ name, points }) => {
+    const latitude = median(points.map(([lat]) => lat));
+    const longitude = median(points.map(([, lon]) => lon));
+    const radius = points
+      .map(([lat, lon]) => haversineMeters(latitude, longitude, lat, lon))
+      .filter(distance => distance <= MAX_SEEDED_RADIUS_METERS)
+      .reduce((widest, distance) => Math.max(widest, distance), DEFAULT_PLACE_RADIUS_METERS);
+    return { name, latitude: round(latitude, 6), longitude: round(longitude, 6), radius_meters: Math.ceil(radius), source: 'tessie' as const };
+  });
+}
+
+/**
+ * Registered places with the seeded ones they don't already name, sorted by name
+ */
+export function mergePlaces(registered: Place[], seeded: Place[]): Place[] {
+  return [...registered, ...seeded.filter(place => !registered.some(r => sameName(r.name, place.name)))]
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * A place by name: an exact match ignoring case, else the only place whose name contains it
+ */
+export function findPlace(places: Place[], name: string): Place | undefined {
+  const exact = places.find(place => sameName(place.name, name));
+  if (exact) return exact;
+  const partial = places.filter(place => place.name.toLowerCase().includes(name.trim().toLowerCase()));
+  return partial.length === 1 ? partial[0] : undefined;
+}
+
+const traffic = (drives: TessieDrive[]): PlaceTraffic => ({
+  drives: drives.length,
+  miles: round(drives.reduce((sum, drive) => sum + drive.odometer_distance, 0))
+});
+
+/**
+ * Drives to, from and within a place and the visits between them. A visit runs from a drive
+ * ending at the place to the next drive leaving it; drives within the place don't end a visit.
+ * Times are unix seconds, and the range clips visits already under way or not yet over.
+ */
+export function placeActivity(place: Place, drives: TessieDrive[], rangeStart: number, rangeEnd: number): PlaceActivity {
+  const sorted = [...drives].sort((a, b) => a.started_at - b.started_at);
+  const starts = (drive: TessieDrive) => isAtPlace(place, drive.starting_latitude, drive.starting_longitude);
+  const ends = (drive: TessieDrive) => isAtPlace(place, drive.ending_latitude, drive.ending_longitude);
+
+  const visits: PlaceVisit[] = [];
+  const visit = (arrivedAt: number, departedAt: number | null, arrivalId: number | null, departureId: number | null) => {
+    const until = departedAt ?? rangeEnd;
+    visits.push({
+      arrived_at: arrivedAt,
+      departed_at: departedAt,
+      hours: round(Math.max(0, until - arrivedAt) / 3600),
+      arrival_drive_id: arrivalId,
+      departure_drive_id: departureId,
+      partial: arrivalId === null || departureId === null
+    });
+  };
+
+  // The car was already there when the range began if its first drive leaves from the place
+  let arrival: { at: number; driveId: number | null } | null =
+    sorted.length > 0 && starts(sorted[0]) ? { at: rangeStart, driveId: null } : null;
+  for (const drive of sorted) {
+    const leaves = starts(drive);
+    const arrives = ends(drive);
+    if (leaves && arrives) continue;
+    if (leaves && arrival) {
+      visit(arrival.at, drive.started_at, arrival.driveId, drive.id);
+    }
+    arrival = arrives ? { at: drive.ended_at, driveId: drive.id } : null;
+  }
+  if (arrival) {
+    visit(arrival.at, null, arrival.driveId, null);
+  }
+
+  return {
+    to: traffic(sorted.filter(drive => ends(drive) && !starts(drive))),
+    from: traffic(sorted.filter(drive => starts(drive) && !ends(drive))),
+    within: traffic(sorted.filter(drive => starts(drive) && ends(drive))),
+    visits,
+    hours_at_place: round(visits.reduce((sum, v) => sum + v.hours, 0))
+  };
+}
+
+function toPlace(definition: PlaceDefinition, source: PlaceSource): Place {
+  return { ...definition, radius_meters: definition.radius_meters ?? DEFAULT_PLACE_RADIUS_METERS, source };
+}
+
+/**
+ * Places defined in the configuration and saved with the places tools. Saved places live in
+ * <dataDir>/places.json; without a data directory they last until restart.
+ */
+export class PlaceStore {
+  private saved: Promise<PlaceDefinition[]> | null = null;
+  private write: Promise<void> = Promise.resolve();
+
+  constructor(private dataDir: string | null, private configured: PlaceDefinition[] = []) {}
+
+  get persistent(): boolean {
+    return this.dataDir !== null;
+  }
+
+  /**
+   * Saved places, then configured places not overridden by a saved one of the same name
+   */
+  async list(): Promise<Place[]> {
+    const saved = (await this.load()).map(place => toPlace(place, 'saved'));
+    const configured = this.configured
+      .filter(place => !saved.some(s => sameName(s.name, place.name)))
+      .map(place => toPlace(place, 'configured'));
+    return [...saved, ...configured];
+  }
+
+  /**
+   * Adds a place or replaces the saved place with the same name
+   */
+  async save(definition: PlaceDefinition): Promise<Place> {
+    const saved = await this.load();
+    const index = saved.findIndex(place => sameName(place.name, definition.name));
+    if (index >= 0) {
+      saved[index] = definition;
+    } else {
+      saved.push(definition);
+    }
+    await this.persist(saved);
+    return toPlace(definition, 'saved');
+  }
+
+  /**
+   * Removes a saved place; false when there is none by that name
+   */
+  async remove(name: string): Promise<boolean> {
+    const saved = await this.load();
+    const index = saved.findIndex(place => sameName(place.name, name));
+    if (index < 0) return false;
+    saved.splice(index, 1);
+    await this.persist(saved);
+    return true;
+  }
+
+  private load(): Promise<PlaceDefinition[]> {
+    if (!this.saved) {
+      this.saved = this.read().catch(error => {
+        this.saved = null;
+        throw error;
+      });
+    }
+    return this.saved;
+  }
+
+  private async read(): Promise<PlaceDefinition[]> {
+    if (!this.dataDir) return [];
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(), 'utf8'));
+    } catch (error) {
+      if (isMissing(error)) return [];
+      throw error;
+    }
+  }
+
+  private persist(places: PlaceDefinition[]): Promise<void> {
+    if (!this.dataDir) return Promise.resolve();
+    // Chained so an older list never lands after a newer one
+    this.write = this.write
+      .catch(() => undefined)
+      .then(() => writeJsonFile(this.filePath(), places));
+    return this.write;
+  }
+
+  private filePath(): string {
+    return path.join(this.dataDir!, 'places.json');
+  }
+}
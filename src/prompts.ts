@@ -0,0 +1,68 @@
+// Prompt templates for common multi-step workflows. Each builder returns the
+// messages for a prompts/get request, pointing the model at the right tools.
+
+// A type alias rather than an interface, so it stays assignable to the SDK's prompt result type
+export type PromptMessages = {
+  messages: Array<{ role: 'user'; content: { type: 'text'; text: string } }>;
+};
+
+const userMessage = (text: string): PromptMessages => ({
+  messages: [{ role: 'user', content: { type: 'text', text } }]
+});
+
+function vehicleInstruction(vin?: string): string {
+  return vin
+    ? `Use the vehicle with VIN ${vin}.`
+    : 'No VIN was given: call get_vehicles first, use the only vehicle if there is one, otherwise ask me which vehicle I mean.';
+}
+
+export function summarizeDrivingPrompt(args: { vin?: string; period?: string }): PromptMessages {
+  const period = args.period || 'last week';
+  return userMessage([
+    `Summarize my driving for ${period}.`,
+    vehicleInstruction(args.vin),
+    `1. Convert "${period}" into ISO start_date and end_date values.`,
+    '2. Call get_weekly_mileage for that range to get total distance, drive count, autopilot share and the daily breakdown.',
+    '3. Call get_driving_history for the same range to identify the longest drives and the most frequent destinations.',
+    '4. Reply with a short summary: totals first, then notable days and drives, then one observation about driving patterns.'
+  ].join('\n'));
+}
+
+export function roadTripPrepPrompt(args: { vin?: string; destination: string; departure?: string }): PromptMessages {
+  const departure = args.departure || 'tomorrow';
+  return userMessage([
+    `Help me prepare my car for a road trip to ${args.destination}, leaving ${departure}.`,
+    vehicleInstruction(args.vin),
+    '1. Call get_vehicle_current_state (keep use_cache true) to check battery level, estimated range, charge limit, charging state and whether the car is locked.',
+    '2. Call analyze_latest_drive to get my recent efficiency, and use it to judge whether the current range covers the trip.',
+    `3. Estimate the distance to ${args.destination} and say whether I should raise the charge limit, plug in overnight, or plan Supercharger stops.`,
+    '4. List any issues that need attention before leaving (unlocked doors, open windows, low charge). Do not send any vehicle command unless I explicitly ask for it.'
+  ].join('\n'));
+}
+
+export function chargingCostsPrompt(args: { vin?: string; period?: string; price_per_kwh?: string }): PromptMessages {
+  const period = args.period || 'this month';
+  const price = args.price_per_kwh
+    ? `Use an electricity price of ${args.price_per_kwh} per kWh for sessions without a recorded cost.`
+    : 'If some sessions have no recorded cost, ask me for my electricity price per kWh, or state the price you assumed.';
+  return userMessage([
+    `Explain my charging costs for ${period}.`,
+    vehicleInstruction(args.vin),
+    price,
+    `1. Convert "${period}" into ISO start_date and end_date values and call get_charging_summary for that range` +
+      (args.price_per_kwh ? `, passing price_per_kwh ${args.price_per_kwh}.` : '.'),
+    '2. Break down energy added and cost by location type: home, Supercharger and public.',
+    '3. Call get_charging_sessions for the same range if a session stands out, e.g. an unusually expensive one.',
+    '4. Explain the result in plain language, including cost per mile or km and which costs were estimated rather than recorded.'
+  ].join('\n'));
+}
+
+export function reviewLatestDrivePrompt(args: { vin?: string }): PromptMessages {
+  return userMessage([
+    'Review the drive I just finished.',
+    vehicleInstruction(args.vin),
+    '1. Call analyze_latest_drive with days_back 1; if nothing is found, retry with days_back 7.',
+    '2. Report duration, distance, stops, battery used, efficiency and FSD/Autopilot share.',
+    '3. Compare the efficiency with typical values for the car and suggest one concrete way to improve it.'
+  ].join('\n'));
+}
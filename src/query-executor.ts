@@ -0,0 +1,182 @@
+import { TessieClient, TessieDrive } from './tessie-client.js';
+import { CHUNK_DAYS, DateWindow, TessieQueryOptimizer } from './query-optimizer.js';
+import { HistorySource } from './history-store.js';
+
+export interface ExecutionPlan {
+  operation: string;
+  chunked: boolean;
+  chunk_days: number;
+  concurrency: number;
+  windows: DateWindow[];
+  recommendations: string[];
+}
+
+export interface DriveQueryParams {
+  start_date?: string;
+  end_date?: string;
+  limit?: number;
+  cursor?: string;
+}
+
+export interface DriveQueryResult {
+  drives: TessieDrive[];
+  next_cursor: string | null;
+  plan: ExecutionPlan;
+  duplicates_removed: number;
+}
+
+export interface QueryExecutorOptions {
+  chunkDays?: number;
+  concurrency?: number;
+  history?: HistorySource; // Where complete ranges are read from; defaults to the client
+}
+
+/**
+ * Runs a drive query according to the optimizer's plan: long ranges are split
+ * into windows, fetched with bounded concurrency, de-duplicated and merged.
+ */
+export class TessieQueryExecutor {
+  private chunkDays: number;
+  private concurrency: number;
+  private history: HistorySource;
+
+  constructor(
+    private client: TessieClient,
+    private optimizer: TessieQueryOptimizer,
+    options: QueryExecutorOptions = {}
+  ) {
+    this.chunkDays = options.chunkDays ?? CHUNK_DAYS;
+    this.concurrency = options.concurrency ?? 3;
+    this.history = options.history ?? client;
+  }
+
+  plan(operation: string, params: DriveQueryParams): ExecutionPlan {
+    const optimization = this.optimizer.optimizeForMCP(operation, params);
+    const chunked = Boolean(optimization.optimizedParameters?.chunked && params.start_date && params.end_date);
+
+    const windows = chunked
+      ? this.optimizer.splitDateRange(params.start_date!, params.end_date!, this.chunkDays)
+      : [{ start_date: params.start_date || '', end_date: params.end_date || '' }];
+
+    return {
+      operation,
+      chunked,
+      chunk_days: this.chunkDays,
+      concurrency: chunked ? Math.min(this.concurrency, windows.length) : 1,
+      windows,
+      recommendations: optimization.recommendations
+    };
+  }
+
+  /**
+   * Fetches every drive in the range, chunking long ranges into parallel windows
+   */
+  async fetchAllDrives(vin: string, operation: string, params: DriveQueryParams): Promise<DriveQueryResult> {
+    const plan = this.plan(operation, params);
+
+    const batches = await mapWithConcurrency(plan.windows, plan.concurrency, window =>
+      this.history.getAllDrives(vin, window.start_date || undefined, window.end_date || undefined)
+    );
+    const { drives, duplicatesRemoved } = dedupeDrives(batches);
+
+    return { drives, next_cursor: null, plan, duplicates_removed: duplicatesRemoved };
+  }
+
+  /**
+   * Fetches one page of drives (newest first). Chunked plans walk windows from
+   * newest to oldest, one concurrent batch at a time, until the page is full.
+   */
+  async fetchDrivePage(vin: string, operation: string, params: DriveQueryParams): Promise<DriveQueryResult> {
+    const limit = params.limit ?? 50;
+    const before = params.cursor !== undefined ? Number(params.cursor) : undefined;
+    const endDate = before !== undefined ? new Date((before - 1) * 1000).toISOString() : params.end_date;
+    const plan = this.plan(operation, { ...params, end_date: endDate });
+
+    if (!plan.chunked && this.history !== this.client) {
+      // The store has no cursor API, so page its copy of the range locally
+      const drives = (await this.history.getAllDrives(vin, params.start_date, params.end_date))
+        .filter(drive => before === undefined || drive.started_at < before)
+        .sort((a, b) => b.started_at - a.started_at);
+      const page = drives.slice(0, limit);
+      return {
+        drives: page,
+        next_cursor: drives.length > limit && page.length > 0 ? String(page[page.length - 1].started_at) : null,
+        plan,
+        duplicates_removed: 0
+      };
+    }
+
+    if (!plan.chunked) {
+      const page = await this.client.getDrivesPage(vin, {
+        startDate: params.start_date,
+        endDate: params.end_date,
+        limit,
+        cursor: params.cursor
+      });
+      return { drives: page.drives, next_cursor: page.next_cursor, plan, duplicates_removed: 0 };
+    }
+
+    const newestFirst = [...plan.windows].reverse();
+    const batches: TessieDrive[][] = [];
+    let merged = dedupeDrives(batches);
+    let inRange: TessieDrive[] = [];
+
+    // Stop as soon as there is at least one drive beyond the page, so a cursor can be issued
+    for (let i = 0; i < newestFirst.length && inRange.length <= limit; i += plan.concurrency) {
+      const group = newestFirst.slice(i, i + plan.concurrency);
+      batches.push(...await mapWithConcurrency(group, plan.concurrency, window =>
+        this.history.getAllDrives(vin, window.start_date, window.end_date)
+      ));
+      merged = dedupeDrives(batches);
+      inRange = merged.drives.filter(drive => before === undefined || drive.started_at < before);
+    }
+
+    const page = inRange.slice(0, limit);
+    const hasMore = inRange.length > limit;
+
+    return {
+      drives: page,
+      next_cursor: hasMore && page.length > 0 ? String(page[page.length - 1].started_at) : null,
+      plan,
+      duplicates_removed: merged.duplicatesRemoved
+    };
+  }
+}
+
+/**
+ * Runs fn over items with at most `limit` calls in flight, preserving input order
+ */
+export async function mapWithConcurrency<T, R>(
+  items: T[],
+  limit: number,
+  fn: (item: T, index: number) => Promise<R>
+): Promise<R[]> {
+  const results: R[] = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+}
+
+// Drives that straddle a window boundary are returned by both windows
+function dedupeDrives(batches: TessieDrive[][]): { drives: TessieDrive[]; duplicatesRemoved: number } {
+  const byId = new Map<number, TessieDrive>();
+  let total = 0;
+
+  for (const batch of batches) {
+    for (const drive of batch) {
+      total++;
+      byId.set(drive.id, drive);
+    }
+  }
+
+  const drives = [...byId.values()].sort((a, b) => b.started_at - a.started_at);
+  return { drives, duplicatesRemoved: total - drives.length };
+}
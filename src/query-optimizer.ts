@@ -1,4 +1,5 @@
 import { z } from 'zod';
+import { CalendarDate, addDays, defaultTimeZone, endOfZonedDay, startOfZonedDay, zonedParts } from './time-zones.js';
 
 export interface QueryMetrics {
   estimatedResponseSize: number;
@@ -7,6 +8,14 @@ export interface QueryMetrics {
   suggestions: string[];
 }
 
+export interface DateWindow {
+  start_date: string;
+  end_date: string;
+}
+
+// Window size used when long date ranges are split into multiple API calls
+export const CHUNK_DAYS = 30;
+
 export interface OptimizedQuery {
   isOptimized: boolean;
   originalComplexity: number;
@@ -56,10 +65,12 @@ export class TessieQueryOptimizer {
         }
 
         const dateRange = this.calculateDateRange(parameters.start_date, parameters.end_date);
-        if (dateRange > 90) {
+        if (parameters.chunked) {
+          apiCalls = Math.ceil(dateRange / CHUNK_DAYS);
+        } else if (dateRange > 90) {
           suggestions.push('Large date ranges may cause timeouts. Consider smaller chunks.');
           complexity += 20;
-          apiCalls = Math.ceil(dateRange / 30); // Suggest monthly chunks
+          apiCalls = Math.ceil(dateRange / CHUNK_DAYS); // Suggest monthly chunks
         }
         break;
 
@@ -69,7 +80,9 @@ export class TessieQueryOptimizer {
         apiCalls = 1;
 
         const weeklyRange = this.calculateDateRange(parameters.start_date, parameters.end_date);
-        if (weeklyRange > 30) {
+        if (parameters.chunked) {
+          apiCalls = Math.ceil(weeklyRange / CHUNK_DAYS);
+        } else if (weeklyRange > 30) {
           suggestions.push('Weekly breakdowns work best for 1-month periods');
           complexity += 15;
         }
@@ -86,6 +99,14 @@ export class TessieQueryOptimizer {
         }
         break;
 
+      case 'get_trips':
+        complexity = 40; // Every drive in the range is fetched and merged
+        estimatedSize = 40 * estimatedResults;
+        apiCalls = parameters.chunked
+          ? Math.ceil(this.calculateDateRange(parameters.start_date, parameters.end_date) / CHUNK_DAYS)
+          : 1;
+        break;
+
       case 'analyze_latest_drive':
         complexity = 40; // High complexity due to drive merging and analysis
         estimatedSize = 25; // Medium size due to comprehensive analysis
@@ -125,20 +146,26 @@ export class TessieQueryOptimizer {
 
         // Auto-chunk large date ranges
         const dateRange = this.calculateDateRange(parameters.start_date, parameters.end_date);
-        if (dateRange > 30) {
+        if (dateRange > CHUNK_DAYS) {
           optimizedParams.chunked = true;
           recommendations.push('Large date range will be automatically chunked');
         }
         break;
 
       case 'get_weekly_mileage':
-        // Ensure reasonable time window
+        // Fetch long periods in 30-day windows so totals still cover the full range
         const weeklyRange = this.calculateDateRange(parameters.start_date, parameters.end_date);
-        if (weeklyRange > 30) {
-          const endDate = new Date(parameters.start_date);
-          endDate.setDate(endDate.getDate() + 30);
-          optimizedParams.end_date = endDate.toISOString();
-          recommendations.push('Limited to 30-day window for weekly breakdown');
+        if (weeklyRange > CHUNK_DAYS) {
+          optimizedParams.chunked = true;
+          recommendations.push(`Range will be fetched in ${CHUNK_DAYS}-day windows for weekly breakdown`);
+        }
+        break;
+
+      case 'get_trips':
+        // Trips are merged from every drive in the range, so long ranges are fetched in full
+        if (this.calculateDateRange(parameters.start_date, parameters.end_date) > CHUNK_DAYS) {
+          optimizedParams.chunked = true;
+          recommendations.push(`Range will be fetched in ${CHUNK_DAYS}-day windows before merging trips`);
         }
         break;
 
@@ -169,6 +196,27 @@ export class TessieQueryOptimizer {
     };
   }
 
+  /**
+   * Splits a date range into consecutive windows of at most chunkDays, oldest first.
+   * Adjacent windows share their boundary instant, so callers must de-duplicate.
+   */
+  splitDateRange(startDate: string, endDate: string, chunkDays = CHUNK_DAYS): DateWindow[] {
+    const start = new Date(startDate).getTime();
+    const end = new Date(endDate).getTime();
+    const chunkMs = chunkDays * 24 * 60 * 60 * 1000;
+    const windows: DateWindow[] = [];
+
+    for (let windowStart = start; windowStart < end; windowStart += chunkMs) {
+      const windowEnd = Math.min(windowStart + chunkMs, end);
+      windows.push({
+        start_date: new Date(windowStart).toISOString(),
+        end_date: new Date(windowEnd).toISOString()
+      });
+    }
+
+    return windows.length > 0 ? windows : [{ start_date: startDate, end_date: endDate }];
+  }
+
   private calculateDateRange(startDate?: string, endDate?: string): number {
     if (!startDate || !endDate) return 7; // Default 1 week
 
@@ -178,8 +226,11 @@ export class TessieQueryOptimizer {
     return Math.ceil(diffTime / (1000 * 60 * 60 * 24)); // Days
   }
 
-  // Parse natural language queries
-  parseNaturalLanguage(query: string): { operation: string; parameters: any; confidence: number } {
+  // Parse natural language queries. Relative ranges ("today", "last month") follow the given zone.
+  parseNaturalLanguage(
+    query: string,
+    timeZone: string = defaultTimeZone()
+  ): { operation: string; parameters: any; confidence: number } {
     const lowerQuery = query.toLowerCase();
 
     // Drive analysis patterns - check first for most specific matches
@@ -207,11 +258,22 @@ export class TessieQueryOptimizer {
       };
     }
 
+    // Place patterns: "miles driven to the office last month", "time spent at home this week".
+    // Checked before the mileage patterns, which would otherwise drop the place.
+    const place = this.extractPlace(query);
+    if (place && ['mile', 'km', 'kilomet', 'driv', 'time', 'hour', 'visit', 'spent', 'often'].some(word => lowerQuery.includes(word))) {
+      return {
+        operation: 'get_mileage_at_location',
+        parameters: { ...this.extractTimeFrame(query, timeZone), location: place },
+        confidence: 0.85
+      };
+    }
+
     // Enhanced weekly/monthly mileage patterns
     if ((lowerQuery.includes('week') || lowerQuery.includes('month')) &&
         (lowerQuery.includes('mile') || lowerQuery.includes('driv'))) {
 
-      const timeFrame = this.extractTimeFrame(query);
+      const timeFrame = this.extractTimeFrame(query, timeZone);
 
       // Check for "week by week" or "weekly breakdown" patterns
       if (lowerQuery.includes('week by week') || lowerQuery.includes('weekly breakdown') ||
@@ -232,7 +294,7 @@ export class TessieQueryOptimizer {
 
     // Driving history patterns
     if (lowerQuery.includes('driv') && (lowerQuery.includes('history') || lowerQuery.includes('trip'))) {
-      const timeFrame = this.extractTimeFrame(query);
+      const timeFrame = this.extractTimeFrame(query, timeZone);
       return {
         operation: 'get_driving_history',
         parameters: { ...timeFrame, limit: 50 },
@@ -242,11 +304,10 @@ export class TessieQueryOptimizer {
 
     // Location-based queries
     if (lowerQuery.includes('location') || lowerQuery.includes('place') || lowerQuery.includes('where')) {
-      const timeFrame = this.extractTimeFrame(query);
-      // This would require location extraction logic
+      const timeFrame = this.extractTimeFrame(query, timeZone);
       return {
         operation: 'get_mileage_at_location',
-        parameters: { ...timeFrame, location: 'extracted_location' },
+        parameters: { ...timeFrame, location: place },
         confidence: 0.6
       };
     }
@@ -276,114 +337,76 @@ export class TessieQueryOptimizer {
     };
   }
 
-  private extractTimeFrame(query: string): { start_date?: string; end_date?: string } {
+  // The place after "to", "from", "at", "within", "near" or "visit", e.g. "office" in "miles
+  // driven to the office last month". A time frame in that position ("from yesterday") is not one.
+  private extractPlace(query: string): string | undefined {
+    const match = query.match(
+      /\b(?:to|from|at|within|near|visit(?:ed|s)?)\s+(?:the\s+|my\s+)?([\p{L}\d][\p{L}\d'&.\- ]*?)(?=\s+(?:last|this|past|previous|in|on|during|since|between|yesterday|today|over|for|each|every|per)\b|[?!,;]|\.?$)/iu
+    );
+    const place = match?.[1].trim();
+    if (!place || /^(?:last|this|past|previous|current|yesterday|today|\d)/i.test(place)) return undefined;
+    return place;
+  }
+
+  private extractTimeFrame(query: string, timeZone: string): { start_date?: string; end_date?: string } {
     const now = new Date();
     const lowerQuery = query.toLowerCase();
 
+    // Calendar arithmetic happens on the local date in the requested zone
+    const today = zonedParts(now, timeZone);
+    const startOf = (date: CalendarDate) => startOfZonedDay(date, timeZone).toISOString();
+    const untilNow = (start: CalendarDate) => ({ start_date: startOf(start), end_date: now.toISOString() });
+
     // Last month patterns
     if (lowerQuery.includes('last month') || lowerQuery.includes('previous month')) {
-      const lastMonth = new Date(now);
-      lastMonth.setMonth(lastMonth.getMonth() - 1);
-      lastMonth.setDate(1);
-      lastMonth.setHours(0, 0, 0, 0);
-
-      const endOfLastMonth = new Date(lastMonth);
-      endOfLastMonth.setMonth(endOfLastMonth.getMonth() + 1);
-      endOfLastMonth.setDate(0);
-      endOfLastMonth.setHours(23, 59, 59, 999);
+      const firstOfThisMonth = { year: today.year, month: today.month, day: 1 };
+      const lastOfLastMonth = addDays(firstOfThisMonth, -1);
 
       return {
-        start_date: lastMonth.toISOString(),
-        end_date: endOfLastMonth.toISOString()
+        start_date: startOf({ ...lastOfLastMonth, day: 1 }),
+        end_date: endOfZonedDay(lastOfLastMonth, timeZone).toISOString()
       };
     }
 
     // This month patterns
     if (lowerQuery.includes('this month') || lowerQuery.includes('current month')) {
-      const startOfMonth = new Date(now);
-      startOfMonth.setDate(1);
-      startOfMonth.setHours(0, 0, 0, 0);
-
-      return {
-        start_date: startOfMonth.toISOString(),
-        end_date: now.toISOString()
-      };
+      return untilNow({ year: today.year, month: today.month, day: 1 });
     }
 
     // Last week patterns
     if (lowerQuery.includes('last week') || lowerQuery.includes('previous week')) {
-      const lastWeek = new Date(now);
-      lastWeek.setDate(lastWeek.getDate() - 7);
-      lastWeek.setHours(0, 0, 0, 0);
-
-      return {
-        start_date: lastWeek.toISOString(),
-        end_date: now.toISOString()
-      };
+      return untilNow(addDays(today, -7));
     }
 
     // This week patterns
     if (lowerQuery.includes('this week')) {
-      const startOfWeek = new Date(now);
-      const dayOfWeek = startOfWeek.getDay();
-      const daysToSubtract = dayOfWeek === 0 ? 6 : dayOfWeek - 1; // Monday start
-      startOfWeek.setDate(startOfWeek.getDate() - daysToSubtract);
-      startOfWeek.setHours(0, 0, 0, 0);
-
-      return {
-        start_date: startOfWeek.toISOString(),
-        end_date: now.toISOString()
-      };
+      const daysToSubtract = today.weekday === 0 ? 6 : today.weekday - 1; // Monday start
+      return untilNow(addDays(today, -daysToSubtract));
     }
 
     // Last X days patterns
     const lastDaysMatch = lowerQuery.match(/last (\d+) days?/);
     if (lastDaysMatch) {
       const days = parseInt(lastDaysMatch[1]);
-      const startDate = new Date(now);
-      startDate.setDate(startDate.getDate() - days);
-      startDate.setHours(0, 0, 0, 0);
-
-      return {
-        start_date: startDate.toISOString(),
-        end_date: now.toISOString()
-      };
+      return untilNow(addDays(today, -days));
     }
 
     // Today
     if (lowerQuery.includes('today')) {
-      const startOfDay = new Date(now);
-      startOfDay.setHours(0, 0, 0, 0);
-
-      return {
-        start_date: startOfDay.toISOString(),
-        end_date: now.toISOString()
-      };
+      return untilNow(today);
     }
 
     // Yesterday
     if (lowerQuery.includes('yesterday')) {
-      const yesterday = new Date(now);
-      yesterday.setDate(yesterday.getDate() - 1);
-      yesterday.setHours(0, 0, 0, 0);
-
-      const endYesterday = new Date(yesterday);
-      endYesterday.setHours(23, 59, 59, 999);
+      const yesterday = addDays(today, -1);
 
       return {
-        start_date: yesterday.toISOString(),
-        end_date: endYesterday.toISOString()
+        start_date: startOf(yesterday),
+        end_date: endOfZonedDay(yesterday, timeZone).toISOString()
       };
     }
 
     // Default to last 30 days
-    const thirtyDaysAgo = new Date(now);
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-    thirtyDaysAgo.setHours(0, 0, 0, 0);
-
-    return {
-      start_date: thirtyDaysAgo.toISOString(),
-      end_date: now.toISOString()
-    };
+    return untilNow(addDays(today, -30));
   }
 }
\ No newline at end of file
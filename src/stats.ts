@@ -0,0 +1,15 @@
+// Small numeric helpers shared by the analysis modules.
+
+/**
+ * Rounds to a number of decimal places (two by default)
+ */
+export const round = (value: number, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Middle value of the list, or the mean of the two middle values for an even count
+ */
+export const median = (values: number[]) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
@@ -0,0 +1,414 @@
+import { atLocation } from './charging.js';
+import { Weekday, WEEKDAYS } from './mileage-log.js';
+import { median, round } from './stats.js';
+import { TessieCharge } from './tessie-client.js';
+import { addDays, CalendarDate, localDateKey, parseZonedDate, zonedParts, ZonedParts, zonedTimeToUtc } from './time-zones.js';
+
+// Electricity tariffs for pricing charging sessions: a flat rate, block rates by the energy
+// charged in a calendar month, or time-of-use rates with seasonal schedules. Prices are per
+// kWh of grid energy, in the currency of the tariff.
+
+export type TariffType = 'flat' | 'tiered' | 'time_of_use';
+
+export const TARIFF_TYPES: [TariffType, ...TariffType[]] = ['flat', 'tiered', 'time_of_use'];
+
+export interface TariffTier {
+  up_to_kwh?: number; // Monthly energy this tier ends at; the last tier has none
+  price_per_kwh: number;
+}
+
+/**
+ * A rate for part of the day, local time. An end at or before the start runs past midnight,
+ * so 21:00 to 07:00 is overnight and 00:00 to 00:00 the whole day.
+ */
+export interface TariffPeriod {
+  name: string;
+  start: string; // HH:mm
+  end: string; // HH:mm
+  days?: Weekday[];
+  price_per_kwh: number;
+}
+
+/**
+ * Periods in force between two dates of the year (MM-DD, inclusive, wrapping past the new
+ * year); without dates, all year
+ */
+export interface TariffSeason {
+  name?: string;
+  start?: string;
+  end?: string;
+  price_per_kwh?: number; // Rate outside the periods, replacing the tariff's
+  periods: TariffPeriod[];
+}
+
+/**
+ * Without locations, a tariff applies to sessions no other tariff's locations match, except
+ * at Superchargers
+ */
+export type Tariff = { name: string; locations?: string[] } & (
+  | { type: 'flat'; price_per_kwh: number }
+  | { type: 'tiered'; tiers: TariffTier[] }
+  | { type: 'time_of_use'; price_per_kwh: number; seasons: TariffSeason[] }
+);
+
+export interface PeriodCost {
+  period: string;
+  energy_kwh: number;
+  cost: number;
+}
+
+export interface TariffCost {
+  tariff: string;
+  cost: number;
+  by_period: PeriodCost[];
+}
+
+export interface ChargeWindow {
+  season: string | null;
+  days: Weekday[];
+  start: string; // HH:mm
+  end: string; // HH:mm; at or before the start when the window runs past midnight
+  hours: number;
+  price_per_kwh: number;
+}
+
+export interface ChargingStrategy {
+  sessions: number;
+  energy_kwh: number;
+  cost: number;
+  average_price_per_kwh: number | null;
+  by_period: Array<PeriodCost & { share_percent: number }>;
+  typical_session: { energy_kwh: number; power_kw: number | null; hours: number | null } | null;
+  windows: Array<ChargeWindow & { fits_typical_session: boolean | null }>;
+  cost_in_cheapest_windows: number; // The same energy, each session at its day's lowest rate
+  savings: number;
+}
+
+// Label for time of day no period covers
+export const BASE_PERIOD = 'base';
+
+const MINUTES_PER_DAY = 24 * 60;
+
+const minutesOf = (clock: string) => {
+  const [hour, minute] = clock.split(':').map(Number);
+  return hour * 60 + minute;
+};
+
+const clockOf = (minutes: number) =>
+  `${String(Math.floor(minutes / 60) % 24).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+const dateKey = (date: CalendarDate) =>
+  `${date.year}-${String(date.month).padStart(2, '0')}-${String(date.day).padStart(2, '0')}`;
+
+const weekdayOf = (parts: CalendarDate) =>
+  WEEKDAYS[new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay()];
+
+/**
+ * The tariff a session is priced with: the first whose locations match where it charged, else
+ * the first without locations unless it is a Supercharger session
+ */
+export function tariffFor(charge: TessieCharge, tariffs: Tariff[]): Tariff | undefined {
+  const located = tariffs.find(tariff => tariff.locations?.length && atLocation(charge, tariff.locations));
+  if (located) return located;
+  return charge.is_supercharger ? undefined : tariffs.find(tariff => !tariff.locations?.length);
+}
+
+function seasonOn(tariff: Tariff & { type: 'time_of_use' }, month: number, day: number): TariffSeason | undefined {
+  const date = `${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  return tariff.seasons.find(season => {
+    if (!season.start || !season.end) return true;
+    return season.start <= season.end
+      ? date >= season.start && date <= season.end
+      : date >= season.start || date <= season.end;
+  });
+}
+
+function periodAt(periods: TariffPeriod[], weekday: Weekday, minute: number): TariffPeriod | undefined {
+  return periods.find(period => {
+    if (period.days && period.days.length > 0 && !period.days.includes(weekday)) return false;
+    const start = minutesOf(period.start);
+    const end = minutesOf(period.end);
+    return start < end ? minute >= start && minute < end : minute >= start || minute < end;
+  });
+}
+
+/**
+ * Rate and period name of a time-of-use tariff at a local wall-clock time
+ */
+export function rateAt(tariff: Tariff & { type: 'time_of_use' }, local: Pick<ZonedParts, 'year' | 'month' | 'day' | 'hour' | 'minute'>) {
+  const season = seasonOn(tariff, local.month, local.day);
+  const period = season && periodAt(season.periods, weekdayOf(local), local.hour * 60 + local.minute);
+  return period
+    ? { period: period.name, price_per_kwh: period.price_per_kwh }
+    : { period: BASE_PERIOD, price_per_kwh: season?.price_per_kwh ?? tariff.price_per_kwh };
+}
+
+/**
+ * Splits a session at every local midnight and period boundary it spans and shares its energy
+ * out in proportion to time, as if it charged at a steady rate
+ */
+function timeOfUseCost(tariff: Tariff & { type: 'time_of_use' }, charge: TessieCharge, energy: number, timeZone: string): PeriodCost[] {
+  const start = charge.started_at * 1000;
+  const end = Math.max(charge.ended_at * 1000, start);
+  const clocks = new Set([0]);
+  for (const season of tariff.seasons) {
+    for (const period of season.periods) {
+      clocks.add(minutesOf(period.start));
+      clocks.add(minutesOf(period.end));
+    }
+  }
+
+  const boundaries = [start, end];
+  const first = zonedParts(new Date(start), timeZone);
+  const last = localDateKey(new Date(end), timeZone);
+  for (let date: CalendarDate = first; dateKey(date) <= last; date = addDays(date, 1)) {
+    for (const minute of clocks) {
+      const instant = zonedTimeToUtc(date, timeZone, { hour: Math.floor(minute / 60), minute: minute % 60 }).getTime();
+      if (instant > start && instant < end) boundaries.push(instant);
+    }
+  }
+  boundaries.sort((a, b) => a - b);
+
+  const byPeriod = new Map<string, PeriodCost>();
+  const add = (at: number, share: number) => {
+    const rate = rateAt(tariff, zonedParts(new Date(at), timeZone));
+    const entry = byPeriod.get(rate.period) || { period: rate.period, energy_kwh: 0, cost: 0 };
+    entry.energy_kwh += energy * share;
+    entry.cost += energy * share * rate.price_per_kwh;
+    byPeriod.set(rate.period, entry);
+  };
+  if (end === start) {
+    add(start, 1);
+  } else {
+    for (let i = 1; i < boundaries.length; i++) {
+      if (boundaries[i] > boundaries[i - 1]) {
+        add((boundaries[i - 1] + boundaries[i]) / 2, (boundaries[i] - boundaries[i - 1]) / (end - start));
+      }
+    }
+  }
+  return [...byPeriod.values()];
+}
+
+function tieredCost(tiers: TariffTier[], usedBefore: number, energy: number): PeriodCost[] {
+  const costs: PeriodCost[] = [];
+  let remaining = energy;
+  let used = usedBefore;
+  tiers.forEach((tier, index) => {
+    const ceiling = index === tiers.length - 1 ? Infinity : tier.up_to_kwh ?? Infinity;
+    const inTier = Math.min(remaining, Math.max(0, ceiling - used));
+    if (inTier > 0) {
+      costs.push({ period: `tier ${index + 1}`, energy_kwh: inTier, cost: inTier * tier.price_per_kwh });
+      remaining -= inTier;
+      used += inTier;
+    }
+  });
+  return costs;
+}
+
+/**
+ * Prices sessions with the tariff for where they charged, by grid energy (energy added when
+ * Tessie has no grid figure). Tiers count the energy priced with the same tariff earlier in the
+ * local calendar month: among the sessions given, and the earlier ones, which are priced only
+ * to fill the blocks and are left out of the result.
+ */
+export function priceCharges(
+  charges: TessieCharge[],
+  tariffs: Tariff[],
+  timeZone: string,
+  earlier: TessieCharge[] = []
+): Map<number, TariffCost> {
+  const costs = new Map<number, TariffCost>();
+  const monthlyUse = new Map<string, number>();
+  const wanted = new Set(charges.map(charge => charge.id));
+  const all = [...earlier.filter(charge => !wanted.has(charge.id)), ...charges];
+
+  for (const charge of all.sort((a, b) => a.started_at - b.started_at)) {
+    const tariff = tariffFor(charge, tariffs);
+    if (!tariff) continue;
+    const energy = charge.energy_used ?? charge.energy_added;
+
+    let byPeriod: PeriodCost[];
+    if (tariff.type === 'flat') {
+      byPeriod = [{ period: BASE_PERIOD, energy_kwh: energy, cost: energy * tariff.price_per_kwh }];
+    } else if (tariff.type === 'tiered') {
+      const key = `${tariff.name}|${localDateKey(new Date(charge.started_at * 1000), timeZone).slice(0, 7)}`;
+      const used = monthlyUse.get(key) ?? 0;
+      byPeriod = tieredCost(tariff.tiers, used, energy);
+      monthlyUse.set(key, used + energy);
+    } else {
+      byPeriod = timeOfUseCost(tariff, charge, energy, timeZone);
+    }
+    if (!wanted.has(charge.id)) continue;
+
+    costs.set(charge.id, {
+      tariff: tariff.name,
+      cost: round(byPeriod.reduce((sum, entry) => sum + entry.cost, 0)),
+      by_period: byPeriod.map(entry => ({ ...entry, energy_kwh: round(entry.energy_kwh), cost: round(entry.cost) }))
+    });
+  }
+  return costs;
+}
+
+/**
+ * The stretch before the sessions that tier blocks already count: from the start of the local
+ * month of the oldest session to just before it. Null without tiered tariffs, or when the
+ * oldest session starts the month.
+ */
+export function tierMonthBefore(charges: TessieCharge[], tariffs: Tariff[], timeZone: string): { start: string; end: string } | null {
+  if (charges.length === 0 || !tariffs.some(tariff => tariff.type === 'tiered')) return null;
+
+  const oldest = charges.reduce((first, charge) => Math.min(first, charge.started_at), Infinity);
+  const month = localDateKey(new Date(oldest * 1000), timeZone).slice(0, 7);
+  const start = Date.parse(parseZonedDate(`${month}-01`, timeZone)) / 1000;
+  if (start >= oldest) return null;
+  return { start: new Date(start * 1000).toISOString(), end: new Date((oldest - 1) * 1000).toISOString() };
+}
+
+/**
+ * The lowest rate of a time-of-use tariff on a local date
+ */
+export function cheapestRateOn(tariff: Tariff & { type: 'time_of_use' }, date: CalendarDate): number {
+  return Math.min(...daySchedule(tariff, date).map(segment => segment.price_per_kwh));
+}
+
+// Constant-rate stretches of one local day, as minutes from midnight
+function daySchedule(tariff: Tariff & { type: 'time_of_use' }, date: CalendarDate) {
+  const clocks = new Set([0, MINUTES_PER_DAY]);
+  for (const period of seasonOn(tariff, date.month, date.day)?.periods ?? []) {
+    clocks.add(minutesOf(period.start));
+    clocks.add(minutesOf(period.end));
+  }
+  const sorted = [...clocks].sort((a, b) => a - b);
+  return sorted.slice(0, -1).map((start, i) => ({
+    start,
+    end: sorted[i + 1],
+    price_per_kwh: rateAt(tariff, { ...date, hour: Math.floor(start / 60), minute: start % 60 }).price_per_kwh
+  }));
+}
+
+/**
+ * The stretches of each day charged at the day's lowest rate, for every season, with weekdays
+ * sharing the same windows grouped together. A window running past midnight is listed under
+ * the day it starts.
+ */
+export function cheapestWindows(tariff: Tariff & { type: 'time_of_use' }): ChargeWindow[] {
+  // A date for each season and weekday, from a year of dates; seasons no date falls in are left out
+  const dates = new Map<TariffSeason, Map<Weekday, CalendarDate>>();
+  for (let offset = 0; offset < 365; offset++) {
+    const date = addDays({ year: 2015, month: 1, day: 1 }, offset);
+    const season = seasonOn(tariff, date.month, date.day);
+    if (!season) continue;
+    const byWeekday = dates.get(season) || new Map();
+    if (!byWeekday.has(weekdayOf(date))) byWeekday.set(weekdayOf(date), date);
+    dates.set(season, byWeekday);
+  }
+
+  const windows: ChargeWindow[] = [];
+  for (const season of tariff.seasons) {
+    const byKey = new Map<string, ChargeWindow[]>();
+    for (const weekday of WEEKDAYS) {
+      const date = dates.get(season)?.get(weekday);
+      if (!date) continue;
+      const schedule = daySchedule(tariff, date);
+      const lowest = Math.min(...schedule.map(segment => segment.price_per_kwh));
+
+      // Merge adjacent cheapest stretches, joining the last to the first across midnight
+      const stretches: Array<{ start: number; end: number }> = [];
+      for (const segment of schedule.filter(s => s.price_per_kwh === lowest)) {
+        const previous = stretches[stretches.length - 1];
+        if (previous && previous.end === segment.start) {
+          previous.end = segment.end;
+        } else {
+          stretches.push({ start: segment.start, end: segment.end });
+        }
+      }
+      if (stretches.length > 1 && stretches[0].start === 0 && stretches[stretches.length - 1].end === MINUTES_PER_DAY) {
+        const wrapped = stretches.pop()!;
+        stretches[0] = { start: wrapped.start, end: stretches[0].end + MINUTES_PER_DAY };
+      }
+
+      const found = stretches.map(({ start, end }) => ({
+        season: season.name ?? null,
+        days: [weekday],
+        start: clockOf(start),
+        end: clockOf(end),
+        hours: round((end - start) / 60),
+        price_per_kwh: lowest
+      }));
+      const key = JSON.stringify(found.map(({ start, end, price_per_kwh }) => [start, end, price_per_kwh]));
+      const existing = byKey.get(key);
+      if (existing) {
+        existing.forEach(window => window.days.push(weekday));
+      } else {
+        byKey.set(key, found);
+      }
+    }
+    windows.push(...[...byKey.values()].flat());
+  }
+  return windows;
+}
+
+/**
+ * How sessions priced with a tariff spread over its periods, the windows charging is cheapest
+ * in, and what charging only in them would have saved. Only time-of-use tariffs have windows;
+ * with the others, when a session charges doesn't change its cost.
+ */
+export function chargingStrategy(
+  tariff: Tariff,
+  charges: TessieCharge[],
+  costs: Map<number, TariffCost>,
+  timeZone: string
+): ChargingStrategy {
+  const priced = charges.filter(charge => costs.get(charge.id)?.tariff === tariff.name);
+  const energyOf = (charge: TessieCharge) => charge.energy_used ?? charge.energy_added;
+
+  const byPeriod = new Map<string, PeriodCost>();
+  let energy = 0;
+  let cost = 0;
+  let cheapest = 0;
+  for (const charge of priced) {
+    const { cost: sessionCost, by_period } = costs.get(charge.id)!;
+    energy += energyOf(charge);
+    cost += sessionCost;
+    for (const entry of by_period) {
+      const total = byPeriod.get(entry.period) || { period: entry.period, energy_kwh: 0, cost: 0 };
+      total.energy_kwh += entry.energy_kwh;
+      total.cost += entry.cost;
+      byPeriod.set(entry.period, total);
+    }
+    cheapest += tariff.type === 'time_of_use'
+      ? energyOf(charge) * cheapestRateOn(tariff, zonedParts(new Date(charge.started_at * 1000), timeZone))
+      : sessionCost;
+  }
+
+  const timed = priced.filter(charge => charge.ended_at > charge.started_at);
+  const typicalEnergy = priced.length > 0 ? median(priced.map(energyOf)) : null;
+  const typicalPower = timed.length > 0
+    ? median(timed.map(charge => energyOf(charge) / ((charge.ended_at - charge.started_at) / 3600)))
+    : null;
+  const typicalHours = typicalEnergy !== null && typicalPower ? typicalEnergy / typicalPower : null;
+
+  const windows = tariff.type === 'time_of_use' ? cheapestWindows(tariff) : [];
+  return {
+    sessions: priced.length,
+    energy_kwh: round(energy),
+    cost: round(cost),
+    average_price_per_kwh: energy > 0 ? round(cost / energy, 3) : null,
+    by_period: [...byPeriod.values()]
+      .sort((a, b) => b.energy_kwh - a.energy_kwh)
+      .map(entry => ({
+        period: entry.period,
+        energy_kwh: round(entry.energy_kwh),
+        cost: round(entry.cost),
+        share_percent: energy > 0 ? round((entry.energy_kwh / energy) * 100, 1) : 0
+      })),
+    typical_session: typicalEnergy === null ? null : {
+      energy_kwh: round(typicalEnergy),
+      power_kw: typicalPower === null ? null : round(typicalPower),
+      hours: typicalHours === null ? null : round(typicalHours)
+    },
+    windows: windows.map(window => ({ ...window, fits_typical_session: typicalHours === null ? null : window.hours >= typicalHours })),
+    cost_in_cheapest_windows: round(cheapest),
+    savings: round(Math.max(0, cost - cheapest))
+  };
+}
@@ -1,4 +1,5 @@
-import axios, { AxiosInstance, AxiosResponse } from 'axios';
+import axios, { AxiosError, AxiosInstance, AxiosResponse } from 'axios';
+import { DriveNotFoundError, MalformedResponseError, toTessieError } from './errors.js';
 
 export interface TessieVehicleState {
   display_name: string;
@@ -31,6 +32,13 @@ export interface TessieVehicleState {
   doors_open?: boolean;
   trunk_open?: boolean;
   frunk_open?: boolean;
+  vehicle_config?: TessieVehicleConfig;
+  timestamp?: number; // Set on entries from the state history
+}
+
+export interface TessieVehicleConfig {
+  car_type?: string; // e.g. "model3", "models2", "cybertruck"
+  trim_badging?: string; // e.g. "74d", "p100d", "50"
 }
 
 export interface TessieDrive {
@@ -86,15 +94,196 @@ export interface TessieLocation {
   saved_location?: string;
 }
 
+export interface DrivePageOptions {
+  startDate?: string;
+  endDate?: string;
+  limit?: number;
+  // next_cursor from a previous page; only drives that started before it are returned
+  cursor?: string;
+}
+
+export interface DrivePage {
+  drives: TessieDrive[];
+  next_cursor: string | null;
+}
+
+export interface TessieCharge {
+  id: number;
+  started_at: number;
+  ended_at: number;
+  location: string;
+  latitude?: number;
+  longitude?: number;
+  saved_location?: string;
+  is_supercharger?: boolean;
+  is_fast_charger?: boolean;
+  odometer?: number;
+  energy_added: number; // kWh added to the battery
+  energy_used?: number; // kWh drawn from the charger, including losses
+  miles_added?: number;
+  miles_added_ideal?: number;
+  starting_battery: number;
+  ending_battery: number;
+  cost?: number | null; // In the account's currency; unset when Tessie has no price for the location
+}
+
+// Charging sessions page the same way as drives: newest first, cursor = oldest start on the page
+export type ChargePageOptions = DrivePageOptions;
+
+export interface ChargePage {
+  charges: TessieCharge[];
+  next_cursor: string | null;
+}
+
+// A period the car sat parked and not charging
+export interface TessieIdle {
+  id: number;
+  started_at: number;
+  ended_at: number;
+  location?: string;
+  saved_location?: string;
+  latitude?: number;
+  longitude?: number;
+  starting_battery: number;
+  ending_battery: number;
+  rated_range_used?: number;
+  energy_used?: number; // kWh, when Tessie reports it
+  sentry_fraction?: number; // Share of the period with Sentry Mode on, 0-1
+  climate_fraction?: number; // Share of the period with climate or Cabin Overheat Protection running, 0-1
+}
+
+// One GPS fix along a driving path
+export interface TessiePathPoint {
+  timestamp: number | string; // Unix seconds, or ISO from older responses
+  latitude: number;
+  longitude: number;
+  heading?: number;
+  speed?: number; // mph
+  battery_level?: number;
+  odometer?: number;
+}
+
+// One capacity reading from /battery_health_measurements; ranges are in miles
+export interface TessieBatteryHealthMeasurement {
+  timestamp: number;
+  odometer: number;
+  max_range?: number;
+  max_ideal_range?: number;
+  capacity?: number; // Usable kWh when the car reports it
+}
+
+// One vehicle's entry in the account-wide /battery_health report
+export interface TessieBatteryHealth {
+  vin: string;
+  odometer?: number;
+  max_range?: number;
+  max_ideal_range?: number;
+  capacity?: number;
+  original_capacity?: number;
+  degradation_percent?: number;
+  health_percent?: number;
+}
+
+export type VehicleCommand =
+  | 'lock'
+  | 'unlock'
+  | 'start_climate'
+  | 'stop_climate'
+  | 'set_charge_limit'
+  | 'start_charging'
+  | 'stop_charging'
+  | 'enable_sentry'
+  | 'disable_sentry'
+  | 'flash'
+  | 'activate_front_trunk'
+  | 'activate_rear_trunk'
+  | 'remote_start';
+
+export interface TessieCommandResult {
+  result: boolean;
+  woke?: boolean;
+}
+
+export interface TessieClientOptions {
+  baseURL?: string;
+  timeout?: number;
+  // Retry policy for idempotent GET requests
+  maxRetries?: number;
+  retryBaseDelayMs?: number;
+  retryMaxDelayMs?: number;
+  // Client-side request budget, shared by every call made through this client
+  maxRequestsPerMinute?: number;
+  requestWindowMs?: number;
+}
+
+const DEFAULT_CLIENT_OPTIONS: Required<TessieClientOptions> = {
+  baseURL: 'https://api.tessie.com',
+  timeout: 30000,
+  maxRetries: 3,
+  retryBaseDelayMs: 500,
+  retryMaxDelayMs: 30000,
+  maxRequestsPerMinute: 60,
+  requestWindowMs: 60000,
+};
+
+// Status codes worth retrying: rate limiting and transient upstream failures
+const RETRYABLE_STATUS_CODES = new Set([408, 429, 500, 502, 503, 504]);
+
+const sleep = (ms: number) => new Promise<void>(resolve => setTimeout(resolve, ms));
+
+/**
+ * Sliding-window request budget. Every request acquires a slot before it is sent,
+ * and a 429 pauses the whole budget so concurrent callers back off together.
+ */
+export class RequestBudget {
+  private timestamps: number[] = [];
+  private pausedUntil = 0;
+
+  constructor(private readonly limit: number, private readonly windowMs: number) {}
+
+  async acquire(): Promise<void> {
+    while (true) {
+      const now = Date.now();
+      if (now < this.pausedUntil) {
+        await sleep(this.pausedUntil - now);
+        continue;
+      }
+
+      while (this.timestamps.length > 0 && now - this.timestamps[0] >= this.windowMs) {
+        this.timestamps.shift();
+      }
+
+      if (this.timestamps.length < this.limit) {
+        this.timestamps.push(now);
+        return;
+      }
+
+      await sleep(this.windowMs - (now - this.timestamps[0]));
+    }
+  }
+
+  pauseFor(ms: number): void {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+}
+
 export class TessieClient {
   private client: AxiosInstance;
   private accessToken: string;
+  private options: Required<TessieClientOptions>;
+  private budget: RequestBudget;
 
-  constructor(accessToken: string) {
+  constructor(accessToken: string, options: TessieClientOptions = {}) {
     this.accessToken = accessToken;
+    // Ignore explicitly undefined options so optional config values fall back to defaults
+    const definedOptions = Object.fromEntries(
+      Object.entries(options).filter(([, value]) => value !== undefined)
+    ) as TessieClientOptions;
+    this.options = { ...DEFAULT_CLIENT_OPTIONS, ...definedOptions };
+    this.budget = new RequestBudget(this.options.maxRequestsPerMinute, this.options.requestWindowMs);
     this.client = axios.create({
-      baseURL: 'https://api.tessie.com',
-      timeout: 30000,
+      baseURL: this.options.baseURL,
+      timeout: this.options.timeout,
       headers: {
         'Authorization': `Bearer ${accessToken}`,
         'Content-Type': 'application/json',
@@ -102,14 +291,89 @@ export class TessieClient {
     });
   }
 
+  /**
+   * Sends a GET request through the request budget, retrying rate limits and
+   * transient failures with exponential backoff and full jitter
+   */
+  private async get<T>(path: string): Promise<AxiosResponse<T>> {
+    for (let attempt = 0; ; attempt++) {
+      await this.budget.acquire();
+      try {
+        return await this.client.get<T>(path);
+      } catch (error) {
+        if (attempt >= this.options.maxRetries || !this.isRetryable(error)) {
+          throw error;
+        }
+
+        const retryAfterMs = this.getRetryAfterMs(error as AxiosError);
+        if (retryAfterMs !== undefined) {
+          this.budget.pauseFor(retryAfterMs);
+        }
+        await sleep(retryAfterMs ?? this.getBackoffDelayMs(attempt));
+      }
+    }
+  }
+
+  /**
+   * Sends a POST request through the request budget. Commands change vehicle state,
+   * so they are never retried automatically.
+   */
+  private async post<T>(path: string): Promise<AxiosResponse<T>> {
+    await this.budget.acquire();
+    return this.client.post<T>(path);
+  }
+
+  private isRetryable(error: unknown): boolean {
+    if (!axios.isAxiosError(error)) return false;
+
+    // No response means a network error or timeout
+    if (!error.response) return true;
+
+    return RETRYABLE_STATUS_CODES.has(error.response.status);
+  }
+
+  private getRetryAfterMs(error: AxiosError): number | undefined {
+    const header = error.response?.headers?.['retry-after'];
+    if (error.response?.status !== 429 || header === undefined || header === null) {
+      return undefined;
+    }
+
+    // Retry-After is either delay-seconds or an HTTP date
+    const value = String(header);
+    const seconds = Number(value);
+    const delayMs = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(value) - Date.now();
+    if (Number.isNaN(delayMs)) return undefined;
+
+    return Math.min(Math.max(delayMs, 0), this.options.retryMaxDelayMs);
+  }
+
+  private getBackoffDelayMs(attempt: number): number {
+    const ceiling = Math.min(this.options.retryMaxDelayMs, this.options.retryBaseDelayMs * 2 ** attempt);
+    return Math.random() * ceiling;
+  }
+
+  /**
+   * Unwraps list responses, which Tessie returns either bare or as { results: [...] }
+   */
+  private extractResults<T>(data: { results: T[] } | T[], resource: string): T[] {
+    const results = data && typeof data === 'object' && 'results' in data ? data.results : data;
+    if (!Array.isArray(results)) {
+      throw new MalformedResponseError(`Failed to get ${resource}: expected a list of ${resource}`);
+    }
+    return results;
+  }
+
   async getVehicleState(vin: string, useCache: boolean = true): Promise<TessieVehicleState> {
     try {
-      const response: AxiosResponse<TessieVehicleState> = await this.client.get(
+      const response: AxiosResponse<TessieVehicleState> = await this.get(
         `/${vin}/state${useCache ? '?use_cache=true' : ''}`
       );
+      if (!response.data || typeof response.data !== 'object') {
+        throw new MalformedResponseError('Failed to get vehicle state: expected a state object');
+      }
       return response.data;
     } catch (error) {
-      throw new Error(`Failed to get vehicle state: ${error}`);
+      throw toTessieError(error, 'get vehicle state', vin);
     }
   }
 
@@ -123,21 +387,21 @@ export class TessieClient {
       if (startDate) params.append('start', startDate);
       if (endDate) params.append('end', endDate);
 
-      const response: AxiosResponse<TessieVehicleState[]> = await this.client.get(
+      const response: AxiosResponse<{ results: TessieVehicleState[] } | TessieVehicleState[]> = await this.get(
         `/${vin}/states?${params.toString()}`
       );
-      return response.data;
+      return this.extractResults(response.data, 'vehicle states');
     } catch (error) {
-      throw new Error(`Failed to get vehicle states: ${error}`);
+      throw toTessieError(error, 'get vehicle states', vin);
     }
   }
 
   async getVehicleLocation(vin: string): Promise<TessieLocation> {
     try {
-      const response: AxiosResponse<TessieLocation> = await this.client.get(`/${vin}/location`);
+      const response: AxiosResponse<TessieLocation> = await this.get(`/${vin}/location`);
       return response.data;
     } catch (error) {
-      throw new Error(`Failed to get vehicle location: ${error}`);
+      throw toTessieError(error, 'get vehicle location', vin);
     }
   }
 
@@ -153,51 +417,228 @@ export class TessieClient {
       if (endDate) params.append('end', endDate);
       params.append('limit', limit.toString());
 
-      const response: AxiosResponse<{ results: TessieDrive[] } | TessieDrive[]> = await this.client.get(
+      const response: AxiosResponse<{ results: TessieDrive[] } | TessieDrive[]> = await this.get(
         `/${vin}/drives?${params.toString()}`
       );
 
-      // Handle both old and new API response formats
-      if (response.data && typeof response.data === 'object' && 'results' in response.data) {
-        return response.data.results;
+      return this.extractResults(response.data, 'drives');
+    } catch (error) {
+      throw toTessieError(error, 'get drives', vin);
+    }
+  }
+
+  /**
+   * Fetches one page of drives, newest first. Pages walk backwards in time: the
+   * cursor is the start timestamp of the oldest drive on the previous page.
+   */
+  async getDrivesPage(vin: string, options: DrivePageOptions = {}): Promise<DrivePage> {
+    const { startDate, limit = 50, cursor } = options;
+    const before = cursor !== undefined ? Number(cursor) : undefined;
+    const endDate = before !== undefined
+      ? new Date((before - 1) * 1000).toISOString()
+      : options.endDate;
+
+    const results = await this.getDrives(vin, startDate, endDate, limit);
+    const drives = results
+      .filter(drive => before === undefined || drive.started_at < before)
+      .sort((a, b) => b.started_at - a.started_at);
+
+    // A full page means there may be older drives; an empty filtered page means no progress
+    const hasMore = results.length >= limit && drives.length > 0;
+
+    return {
+      drives,
+      next_cursor: hasMore ? String(drives[drives.length - 1].started_at) : null,
+    };
+  }
+
+  /**
+   * Iterates every drive in the date range, following pages until the range is exhausted
+   */
+  async *iterateDrives(
+    vin: string,
+    startDate?: string,
+    endDate?: string,
+    pageSize: number = 200
+  ): AsyncGenerator<TessieDrive> {
+    const seen = new Set<number>();
+    let cursor: string | undefined;
+
+    do {
+      const page = await this.getDrivesPage(vin, { startDate, endDate, limit: pageSize, cursor });
+      for (const drive of page.drives) {
+        if (seen.has(drive.id)) continue;
+        seen.add(drive.id);
+        yield drive;
       }
+      cursor = page.next_cursor ?? undefined;
+    } while (cursor !== undefined);
+  }
+
+  /**
+   * Collects the complete set of drives in the date range, regardless of page size
+   */
+  async getAllDrives(vin: string, startDate?: string, endDate?: string): Promise<TessieDrive[]> {
+    const drives: TessieDrive[] = [];
+    for await (const drive of this.iterateDrives(vin, startDate, endDate)) {
+      drives.push(drive);
+    }
+    return drives;
+  }
+
+  /**
+   * Looks up a single drive by ID, searching backwards through at most maxDrives drives
+   */
+  async findDrive(vin: string, driveId: number, maxDrives: number = 1000): Promise<TessieDrive> {
+    let searched = 0;
+    for await (const drive of this.iterateDrives(vin)) {
+      if (drive.id === driveId) return drive;
+      if (++searched >= maxDrives) break;
+    }
+    throw new DriveNotFoundError(`Drive ${driveId} was not found in the last ${searched} drives of ${vin}`);
+  }
+
+  /**
+   * Fetches one page of charging sessions, newest first, with the same cursor scheme as getDrivesPage
+   */
+  async getCharges(vin: string, options: ChargePageOptions = {}): Promise<ChargePage> {
+    const { startDate, limit = 50, cursor } = options;
+    const before = cursor !== undefined ? Number(cursor) : undefined;
+    const endDate = before !== undefined
+      ? new Date((before - 1) * 1000).toISOString()
+      : options.endDate;
 
-      return response.data as TessieDrive[];
+    try {
+      const params = new URLSearchParams();
+      if (startDate) params.append('start', startDate);
+      if (endDate) params.append('end', endDate);
+      params.append('limit', limit.toString());
+
+      const response: AxiosResponse<{ results: TessieCharge[] } | TessieCharge[]> = await this.get(
+        `/${vin}/charges?${params.toString()}`
+      );
+      const results = this.extractResults(response.data, 'charges');
+      const charges = results
+        .filter(charge => before === undefined || charge.started_at < before)
+        .sort((a, b) => b.started_at - a.started_at);
+      const hasMore = results.length >= limit && charges.length > 0;
+
+      return {
+        charges,
+        next_cursor: hasMore ? String(charges[charges.length - 1].started_at) : null,
+      };
     } catch (error) {
-      throw new Error(`Failed to get drives: ${error}`);
+      throw toTessieError(error, 'get charges', vin);
     }
   }
 
-  async getDrivingPath(
-    vin: string,
-    startDate: string,
-    endDate: string
-  ): Promise<Array<{ latitude: number; longitude: number; timestamp: string }>> {
+  /**
+   * Collects every charging session in the date range, following pages until it is exhausted
+   */
+  async getAllCharges(vin: string, startDate?: string, endDate?: string, pageSize: number = 200): Promise<TessieCharge[]> {
+    const seen = new Set<number>();
+    const charges: TessieCharge[] = [];
+    let cursor: string | undefined;
+
+    do {
+      const page = await this.getCharges(vin, { startDate, endDate, limit: pageSize, cursor });
+      for (const charge of page.charges) {
+        if (seen.has(charge.id)) continue;
+        seen.add(charge.id);
+        charges.push(charge);
+      }
+      cursor = page.next_cursor ?? undefined;
+    } while (cursor !== undefined);
+
+    return charges;
+  }
+
+  async getIdles(vin: string, startDate?: string, endDate?: string): Promise<TessieIdle[]> {
+    try {
+      const params = new URLSearchParams();
+      if (startDate) params.append('start', startDate);
+      if (endDate) params.append('end', endDate);
+
+      const response: AxiosResponse<{ results: TessieIdle[] } | TessieIdle[]> =
+        await this.get(`/${vin}/idles?${params.toString()}`);
+      return this.extractResults(response.data, 'idles')
+        .sort((a, b) => a.started_at - b.started_at);
+    } catch (error) {
+      throw toTessieError(error, 'get idles', vin);
+    }
+  }
+
+  async getBatteryHealthMeasurements(vin: string, startDate?: string, endDate?: string): Promise<TessieBatteryHealthMeasurement[]> {
+    try {
+      const params = new URLSearchParams();
+      if (startDate) params.append('start', startDate);
+      if (endDate) params.append('end', endDate);
+
+      const response: AxiosResponse<{ results: TessieBatteryHealthMeasurement[] } | TessieBatteryHealthMeasurement[]> =
+        await this.get(`/${vin}/battery_health_measurements?${params.toString()}`);
+      return this.extractResults(response.data, 'battery health measurements')
+        .sort((a, b) => a.timestamp - b.timestamp);
+    } catch (error) {
+      throw toTessieError(error, 'get battery health measurements', vin);
+    }
+  }
+
+  /**
+   * Battery health for every vehicle in the account
+   */
+  async getFleetBatteryHealth(): Promise<TessieBatteryHealth[]> {
+    try {
+      const response: AxiosResponse<{ results: TessieBatteryHealth[] } | TessieBatteryHealth[]> =
+        await this.get('/battery_health');
+      return this.extractResults(response.data, 'battery health');
+    } catch (error) {
+      throw toTessieError(error, 'get battery health');
+    }
+  }
+
+  async getDrivingPath(vin: string, startDate: string, endDate: string): Promise<TessiePathPoint[]> {
     try {
       const params = new URLSearchParams();
       params.append('start', startDate);
       params.append('end', endDate);
 
-      const response: AxiosResponse<Array<{ latitude: number; longitude: number; timestamp: string }>> = 
-        await this.client.get(`/${vin}/path?${params.toString()}`);
+      const response: AxiosResponse<{ results: TessiePathPoint[] } | TessiePathPoint[]> =
+        await this.get(`/${vin}/path?${params.toString()}`);
+      return this.extractResults(response.data, 'driving path');
+    } catch (error) {
+      throw toTessieError(error, 'get driving path', vin);
+    }
+  }
+
+  async sendCommand(
+    vin: string,
+    command: VehicleCommand,
+    params: Record<string, string | number> = {}
+  ): Promise<TessieCommandResult> {
+    try {
+      const query = new URLSearchParams({ wait_for_completion: 'true' });
+      for (const [key, value] of Object.entries(params)) {
+        query.append(key, String(value));
+      }
+
+      const response: AxiosResponse<TessieCommandResult> = await this.post(
+        `/${vin}/command/${command}?${query.toString()}`
+      );
+      if (!response.data || typeof response.data.result !== 'boolean') {
+        throw new MalformedResponseError(`Failed to send ${command} command: expected a command result`);
+      }
       return response.data;
     } catch (error) {
-      throw new Error(`Failed to get driving path: ${error}`);
+      throw toTessieError(error, `send ${command} command`, vin);
     }
   }
 
   async getVehicles(): Promise<Array<{ vin: string; display_name: string }>> {
     try {
       const response: AxiosResponse<{ results: any[] } | any[]> =
-        await this.client.get('/vehicles');
-
-      // Handle both old and new API response formats
-      let vehicles: any[];
-      if (response.data && typeof response.data === 'object' && 'results' in response.data) {
-        vehicles = response.data.results;
-      } else {
-        vehicles = response.data as any[];
-      }
+        await this.get('/vehicles');
+
+      const vehicles = this.extractResults(response.data, 'vehicles');
 
       // Extract VIN and display name from the new format
       return vehicles.map(vehicle => ({
@@ -205,7 +646,7 @@ export class TessieClient {
         display_name: vehicle.last_state?.vehicle_state?.vehicle_name || vehicle.display_name || `Vehicle ${vehicle.vin.slice(-6)}`
       }));
     } catch (error) {
-      throw new Error(`Failed to get vehicles: ${error}`);
+      throw toTessieError(error, 'get vehicles');
     }
   }
 }
\ No newline at end of file
@@ -0,0 +1,254 @@
+// Time zone helpers built on Intl, so day boundaries, date ranges and displayed times
+// follow the driver's IANA zone (including DST changes) instead of UTC or the server zone.
+
+export interface ZonedParts {
+  year: number;
+  month: number; // 1-12
+  day: number;
+  hour: number;
+  minute: number;
+  second: number;
+  weekday: number; // 0 = Sunday
+}
+
+export type CalendarDate = Pick<ZonedParts, 'year' | 'month' | 'day'>;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const formatters = new Map<string, Intl.DateTimeFormat>();
+
+function formatterFor(timeZone: string): Intl.DateTimeFormat {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    });
+    formatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+const pad = (value: number, length = 2) => String(value).padStart(length, '0');
+
+export function isValidTimeZone(timeZone: string): boolean {
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The zone the server runs in, used when no zone is configured
+ */
+export function defaultTimeZone(): string {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * Wall-clock fields of an instant as seen in the given zone
+ */
+export function zonedParts(date: Date, timeZone: string): ZonedParts {
+  const parts: Record<string, string> = {};
+  for (const part of formatterFor(timeZone).formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+/**
+ * Offset of the zone from UTC at the given instant, in milliseconds (e.g. -7h for PDT)
+ */
+export function timeZoneOffsetMs(date: Date, timeZone: string): number {
+  const p = zonedParts(date, timeZone);
+  const wallClock = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * The instant at which the zone's wall clock shows the given time. A wall time skipped by
+ * a DST change resolves to the instant just after the gap.
+ */
+export function zonedTimeToUtc(
+  date: CalendarDate,
+  timeZone: string,
+  time: { hour?: number; minute?: number; second?: number; millisecond?: number } = {}
+): Date {
+  const wallClock = Date.UTC(
+    date.year, date.month - 1, date.day,
+    time.hour ?? 0, time.minute ?? 0, time.second ?? 0, time.millisecond ?? 0
+  );
+  const guessOffset = timeZoneOffsetMs(new Date(wallClock), timeZone);
+  const offset = timeZoneOffsetMs(new Date(wallClock - guessOffset), timeZone);
+  const candidate = new Date(wallClock - offset);
+  if (timeZoneOffsetMs(candidate, timeZone) === offset) return candidate;
+
+  // The wall time falls in a DST gap; reading it with the pre-gap (smaller) offset lands after the gap
+  return new Date(wallClock - Math.min(guessOffset, offset));
+}
+
+/**
+ * Calendar arithmetic on a local date; month and day overflow roll over as with Date.UTC
+ */
+export function addDays(date: CalendarDate, days: number): CalendarDate {
+  const shifted = new Date(Date.UTC(date.year, date.month - 1, date.day + days));
+  return { year: shifted.getUTCFullYear(), month: shifted.getUTCMonth() + 1, day: shifted.getUTCDate() };
+}
+
+export function startOfZonedDay(date: CalendarDate, timeZone: string): Date {
+  return zonedTimeToUtc(date, timeZone);
+}
+
+/**
+ * Last millisecond of a local day, so ranges stay correct on 23- and 25-hour days
+ */
+export function endOfZonedDay(date: CalendarDate, timeZone: string): Date {
+  return new Date(startOfZonedDay(addDays(date, 1), timeZone).getTime() - 1);
+}
+
+/**
+ * Local calendar day (YYYY-MM-DD) an instant falls on
+ */
+export function localDateKey(date: Date, timeZone: string): string {
+  const p = zonedParts(date, timeZone);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+}
+
+/**
+ * Local wall-clock time as HH:mm
+ */
+export function formatZonedTime(date: Date, timeZone: string): string {
+  const p = zonedParts(date, timeZone);
+  return `${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+/**
+ * ISO 8601 timestamp in local time with the zone's UTC offset, e.g. 2024-03-10T21:05:00-07:00
+ */
+export function formatZonedIso(date: Date, timeZone: string): string {
+  const p = zonedParts(date, timeZone);
+  const offsetMinutes = Math.round(timeZoneOffsetMs(date, timeZone) / 60000);
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const offset = `${sign}${pad(Math.floor(Math.abs(offsetMinutes) / 60))}:${pad(Math.abs(offsetMinutes) % 60)}`;
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}${offset}`;
+}
+
+/**
+ * Reads a date-only value (YYYY-MM-DD) as a local day in the zone: the start of the day,
+ * or its end when endOfDay is set. Full timestamps are passed through unchanged.
+ */
+export function parseZonedDate(value: string, timeZone: string, endOfDay = false): string {
+  if (!DATE_ONLY.test(value)) return value;
+
+  const [year, month, day] = value.split('-').map(Number);
+  const date = { year, month, day };
+  return (endOfDay ? endOfZonedDay(date, timeZone) : startOfZonedDay(date, timeZone)).toISOString();
+}
+
+// Coarse regions for the main markets, checked in order: [zone, south, north, west, east].
+// Borders are approximate, so a configured time zone always takes precedence.
+const ZONE_REGIONS: Array<[string, number, number, number, number]> = [
+  ['Pacific/Honolulu', 18, 23, -161, -154],
+  ['America/Anchorage', 51, 72, -170, -129],
+  ['America/Phoenix', 31.3, 37, -114.8, -109],
+  // Southern Idaho and Malheur County, Oregon keep Mountain time
+  ['America/Boise', 42, 45.5, -117.25, -111],
+  ['America/Los_Angeles', 32, 49, -125, -114.5],
+  ['America/Vancouver', 48, 60, -139, -120],
+  // The Okanagan and West Kootenay keep Pacific time east of 120°W
+  ['America/Vancouver', 49, 52.5, -120, -117.2],
+  ['America/Denver', 31, 49, -114.5, -102],
+  ['America/Edmonton', 49, 60, -120, -110],
+  ['America/Chicago', 25, 49, -102, -87.5],
+  // Central time east of 87.5°W: the Florida panhandle, Alabama, Tennessee, western Kentucky, north-west Indiana
+  ['America/Chicago', 29.5, 32, -88.5, -85.05],
+  ['America/Chicago', 32, 35, -88.5, -85.25],
+  ['America/Chicago', 35, 36.6, -88.5, -85.5],
+  ['America/Chicago', 36.6, 37.9, -88.5, -86],
+  ['America/Chicago', 40.7, 41.8, -87.5, -86.6],
+  ['America/Winnipeg', 49, 60, -110, -89],
+  ['America/New_York', 24, 48, -87.5, -66],
+  ['America/Toronto', 41.6, 57, -89, -74],
+  ['America/Halifax', 43, 52, -67, -59],
+  ['Europe/Dublin', 51.3, 55.5, -10.7, -5.9],
+  // England lies north of these steps along the Channel, France south of them
+  ['Europe/London', 49.8, 61, -8.7, -2],
+  ['Europe/London', 50.2, 61, -2, 0.2],
+  ['Europe/London', 50.7, 61, 0.2, 1.45],
+  ['Europe/London', 51, 61, 1.45, 1.8],
+  ['Europe/Lisbon', 36.8, 40.2, -9.6, -7.3],
+  ['Europe/Lisbon', 40.2, 41.4, -9.6, -6.8],
+  ['Europe/Lisbon', 41.4, 41.85, -9.6, -6.2],
+  ['Europe/Lisbon', 41.85, 42.2, -9.6, -8.1],
+  ['Europe/Madrid', 36, 43.8, -9.3, -6],
+  // Northern Sweden reaches east of Finland's west coast
+  ['Europe/Stockholm', 63.5, 64.5, 16, 22],
+  ['Europe/Stockholm', 64.5, 66, 16, 24.1],
+  ['Europe/Stockholm', 66, 68.4, 16, 23.5],
+  ['Europe/Mariehamn', 59.7, 60.7, 19.3, 21.2],
+  ['Europe/Helsinki', 59.7, 70.1, 20.5, 31.6],
+  ['Europe/Athens', 34.8, 41.8, 19.3, 28.3],
+  ['Europe/Bucharest', 43.6, 48.3, 20.2, 29.7],
+  ['Europe/Berlin', 36, 71.2, -6, 24],
+  ['Asia/Seoul', 33, 38.7, 124.5, 129.6],
+  // North-east China lies north and west of Korea
+  ['Asia/Shanghai', 40.5, 53.6, 121, 125],
+  ['Asia/Shanghai', 42.5, 50, 125, 129.5],
+  ['Asia/Shanghai', 44, 48.5, 129.5, 131],
+  ['Asia/Tokyo', 24, 46, 123, 146],
+  ['Asia/Colombo', 5.9, 9.9, 79.5, 82],
+  ['Asia/Kathmandu', 27.4, 30.4, 80.1, 84],
+  ['Asia/Kathmandu', 26.9, 28.2, 84, 88.2],
+  ['Asia/Thimphu', 26.7, 28.3, 88.7, 92.1],
+  ['Asia/Dhaka', 20.6, 25.3, 88.5, 92.7],
+  ['Asia/Dhaka', 25.3, 26.4, 88.5, 89.9],
+  ['Asia/Yangon', 9.6, 23.5, 92.7, 98.5],
+  ['Asia/Yangon', 23.5, 28.5, 96, 98.3],
+  ['Asia/Kolkata', 6.5, 24, 68, 88.5],
+  ['Asia/Kolkata', 24, 28.5, 70, 88.5],
+  ['Asia/Kolkata', 28.5, 35.5, 74.5, 80.3],
+  ['Asia/Kolkata', 21.9, 29.5, 88.5, 97.4],
+  ['Asia/Bangkok', 6, 22.4, 97.3, 109.3],
+  ['Asia/Shanghai', 18, 53.6, 73.5, 123],
+  ['Australia/Perth', -35.2, -13.7, 112.9, 129],
+  ['Australia/Adelaide', -38.1, -26, 129, 141],
+  // Queensland's southern border runs north-east, and the NSW side observes DST
+  ['Australia/Brisbane', -29, -10, 138, 149],
+  ['Australia/Brisbane', -28.7, -10, 149, 153],
+  ['Australia/Brisbane', -28.17, -10, 153, 154],
+  ['Australia/Sydney', -37.6, -28.1, 141, 154],
+  ['Australia/Melbourne', -39.2, -33.9, 140.9, 150],
+  ['Australia/Hobart', -43.7, -39.5, 143.8, 148.5],
+  ['Pacific/Auckland', -47.5, -34, 166, 179]
+];
+
+/**
+ * Best-effort IANA zone for a coordinate, or undefined outside the covered regions
+ */
+export function timeZoneForLocation(latitude?: number | null, longitude?: number | null): string | undefined {
+  if (latitude === undefined || latitude === null || longitude === undefined || longitude === null) {
+    return undefined;
+  }
+
+  const match = ZONE_REGIONS.find(([, south, north, west, east]) =>
+    latitude >= south && latitude <= north && longitude >= west && longitude <= east
+  );
+  return match?.[0];
+}
@@ -0,0 +1,63 @@
+import { MergedDrive } from './drive-analyzer.js';
+import { GENERIC_PACK_KWH } from './pack-capacity.js';
+
+// Filtering and ordering of merged trips. Distances are in miles, Tessie's native unit.
+
+export type TripSortKey = 'start_time' | 'distance' | 'duration' | 'battery_used' | 'efficiency';
+export type SortOrder = 'asc' | 'desc';
+
+export const TRIP_SORT_KEYS: [TripSortKey, ...TripSortKey[]] = ['start_time', 'distance', 'duration', 'battery_used', 'efficiency'];
+
+export interface TripFilter {
+  min_distance_miles?: number;
+  start_location?: string; // case-insensitive substring of the starting location
+  end_location?: string; // case-insensitive substring of the ending location
+  tag?: string;
+}
+
+const contains = (value: string | undefined, search: string) =>
+  (value || '').toLowerCase().includes(search.trim().toLowerCase());
+
+export function filterTrips(trips: MergedDrive[], filter: TripFilter): MergedDrive[] {
+  return trips.filter(trip =>
+    (filter.min_distance_miles === undefined || trip.total_distance >= filter.min_distance_miles) &&
+    (!filter.start_location || contains(trip.starting_location, filter.start_location)) &&
+    (!filter.end_location || contains(trip.ending_location, filter.end_location)) &&
+    (!filter.tag || trip.tags.some(tag => tag.toLowerCase() === filter.tag!.trim().toLowerCase()))
+  );
+}
+
+const sortValue: Record<TripSortKey, (trip: MergedDrive, packKwh: number) => number | undefined> = {
+  start_time: trip => trip.started_at,
+  distance: trip => trip.total_distance,
+  duration: trip => trip.total_duration_minutes,
+  battery_used: trip => trip.energy_consumed,
+  // Miles per kWh, measured where Tessie reports it and estimated from the pack otherwise
+  efficiency: (trip, packKwh) => {
+    const kwh = trip.energy_used_kwh ?? (trip.energy_consumed / 100) * packKwh;
+    return trip.total_distance > 0 && kwh > 0 ? trip.total_distance / kwh : undefined;
+  }
+};
+
+/**
+ * Sorts trips by the given key; trips without a value for it (e.g. no battery used) come last.
+ * The pack capacity estimates energy for efficiency on trips without measured energy.
+ */
+export function sortTrips(
+  trips: MergedDrive[],
+  sortBy: TripSortKey = 'start_time',
+  order: SortOrder = 'desc',
+  packKwh: number = GENERIC_PACK_KWH
+): MergedDrive[] {
+  const value = (trip: MergedDrive) => sortValue[sortBy](trip, packKwh);
+  const direction = order === 'asc' ? 1 : -1;
+
+  return [...trips].sort((a, b) => {
+    const left = value(a);
+    const right = value(b);
+    if (left === undefined || right === undefined) {
+      return (left === undefined ? 1 : 0) - (right === undefined ? 1 : 0);
+    }
+    return (left - right) * direction;
+  });
+}
@@ -0,0 +1,101 @@
+import { round } from './stats.js';
+
+// Tessie reports distances in miles, speeds in mph and temperatures in °C. These helpers
+// convert them for presentation; analysis code keeps working in Tessie's native units.
+
+export type UnitSystem = 'imperial' | 'metric';
+export type EfficiencyUnit = 'mi/kWh' | 'Wh/mi' | 'Wh/km' | 'kWh/100km';
+
+export const UNIT_SYSTEMS: [UnitSystem, ...UnitSystem[]] = ['imperial', 'metric'];
+export const EFFICIENCY_UNITS: [EfficiencyUnit, ...EfficiencyUnit[]] = ['mi/kWh', 'Wh/mi', 'Wh/km', 'kWh/100km'];
+
+export const KM_PER_MILE = 1.609344;
+
+export interface UnitPreferences {
+  system: UnitSystem;
+  efficiency: EfficiencyUnit;
+}
+
+export interface UnitLabels {
+  distance: 'miles' | 'km';
+  speed: 'mph' | 'km/h';
+  temperature: '°F' | '°C';
+  efficiency: EfficiencyUnit;
+}
+
+const DEFAULT_EFFICIENCY: Record<UnitSystem, EfficiencyUnit> = {
+  imperial: 'mi/kWh',
+  metric: 'kWh/100km'
+};
+
+/**
+ * Fills in the efficiency unit from the unit system when it is not given explicitly
+ */
+export function resolveUnits(system: UnitSystem = 'imperial', efficiency?: EfficiencyUnit): UnitPreferences {
+  return { system, efficiency: efficiency || DEFAULT_EFFICIENCY[system] };
+}
+
+export class UnitConverter {
+  readonly labels: UnitLabels;
+
+  constructor(readonly preferences: UnitPreferences = resolveUnits()) {
+    const metric = preferences.system === 'metric';
+    this.labels = {
+      distance: metric ? 'km' : 'miles',
+      speed: metric ? 'km/h' : 'mph',
+      temperature: metric ? '°C' : '°F',
+      efficiency: preferences.efficiency
+    };
+  }
+
+  distance(miles: number): number;
+  distance(miles: number | null | undefined): number | undefined;
+  distance(miles: number | null | undefined): number | undefined {
+    if (miles === undefined || miles === null) return undefined;
+    return round(this.preferences.system === 'metric' ? miles * KM_PER_MILE : miles);
+  }
+
+  /**
+   * Reads a distance given in the preferred unit back as miles, e.g. for filter arguments
+   */
+  toMiles(distance: number): number {
+    return this.preferences.system === 'metric' ? distance / KM_PER_MILE : distance;
+  }
+
+  speed(mph: number): number;
+  speed(mph: number | null | undefined): number | undefined;
+  speed(mph: number | null | undefined): number | undefined {
+    return this.distance(mph);
+  }
+
+  temperature(celsius: number | null | undefined): number | undefined {
+    if (celsius === undefined || celsius === null) return undefined;
+    return round(this.preferences.system === 'metric' ? celsius : celsius * 9 / 5 + 32);
+  }
+
+  /**
+   * Reads a temperature given in the preferred unit back as Celsius
+   */
+  toCelsius(temperature: number): number {
+    return this.preferences.system === 'metric' ? temperature : (temperature - 32) * 5 / 9;
+  }
+
+  /**
+   * Energy efficiency of covering the given distance with the given energy, in the preferred unit
+   */
+  efficiency(miles: number, kwh: number): number | undefined {
+    if (!(miles > 0) || !(kwh > 0)) return undefined;
+
+    const km = miles * KM_PER_MILE;
+    switch (this.preferences.efficiency) {
+      case 'mi/kWh':
+        return round(miles / kwh);
+      case 'Wh/mi':
+        return round((kwh * 1000) / miles);
+      case 'Wh/km':
+        return round((kwh * 1000) / km);
+      case 'kWh/100km':
+        return round((kwh / km) * 100);
+    }
+  }
+}
@@ -0,0 +1,206 @@
+import { randomUUID } from 'crypto';
+import { TessieClient, TessieVehicleState, VehicleCommand } from './tessie-client.js';
+import { CommandsDisabledError, ConfirmationRequiredError } from './errors.js';
+
+export interface CommandDefinition {
+  command: VehicleCommand;
+  // Safety-critical commands give physical access to or control of the vehicle
+  safetyCritical: boolean;
+  describe(state: TessieVehicleState | null, params: Record<string, string | number>): string;
+}
+
+export interface CommandRequest {
+  params?: Record<string, string | number>;
+  confirm?: boolean;
+  confirmation_token?: string;
+  dry_run?: boolean;
+}
+
+export interface CommandOutcome {
+  command: VehicleCommand;
+  vin: string;
+  dry_run: boolean;
+  executed: boolean;
+  description: string;
+  safety_critical: boolean;
+  success?: boolean;
+  woke_vehicle?: boolean;
+  confirmation_token?: string;
+  confirmation_expires_at?: string;
+}
+
+export interface VehicleCommandOptions {
+  enabled?: boolean;
+  allowSafetyCritical?: boolean;
+  confirmationTtlMs?: number;
+}
+
+const vehicleName = (state: TessieVehicleState | null) => state?.display_name || 'the vehicle';
+
+const currently = (label: string, value: unknown) =>
+  value === undefined || value === null ? '' : ` (currently ${label}: ${value})`;
+
+export const COMMAND_DEFINITIONS: Record<VehicleCommand, CommandDefinition> = {
+  lock: {
+    command: 'lock',
+    safetyCritical: false,
+    describe: state => `Lock ${vehicleName(state)}${currently('locked', state?.locked)}`
+  },
+  unlock: {
+    command: 'unlock',
+    safetyCritical: true,
+    describe: state => `Unlock ${vehicleName(state)}${currently('locked', state?.locked)}`
+  },
+  start_climate: {
+    command: 'start_climate',
+    safetyCritical: false,
+    describe: state => `Start climate control in ${vehicleName(state)}${currently('inside temp', state?.inside_temp)}`
+  },
+  stop_climate: {
+    command: 'stop_climate',
+    safetyCritical: false,
+    describe: state => `Stop climate control in ${vehicleName(state)}${currently('climate on', state?.climate_on)}`
+  },
+  set_charge_limit: {
+    command: 'set_charge_limit',
+    safetyCritical: false,
+    describe: (state, params) =>
+      `Set the charge limit of ${vehicleName(state)} to ${params.percent}%${currently('limit', state?.charge_limit_soc)}`
+  },
+  start_charging: {
+    command: 'start_charging',
+    safetyCritical: false,
+    describe: state => `Start charging ${vehicleName(state)}${currently('charging state', state?.charging_state)}`
+  },
+  stop_charging: {
+    command: 'stop_charging',
+    safetyCritical: false,
+    describe: state => `Stop charging ${vehicleName(state)}${currently('charging state', state?.charging_state)}`
+  },
+  enable_sentry: {
+    command: 'enable_sentry',
+    safetyCritical: false,
+    describe: state => `Enable Sentry Mode on ${vehicleName(state)}${currently('sentry mode', state?.sentry_mode)}`
+  },
+  disable_sentry: {
+    command: 'disable_sentry',
+    safetyCritical: false,
+    describe: state => `Disable Sentry Mode on ${vehicleName(state)}${currently('sentry mode', state?.sentry_mode)}`
+  },
+  flash: {
+    command: 'flash',
+    safetyCritical: false,
+    describe: state => `Flash the headlights of ${vehicleName(state)}`
+  },
+  activate_front_trunk: {
+    command: 'activate_front_trunk',
+    safetyCritical: true,
+    describe: state => `Open the front trunk of ${vehicleName(state)}${currently('frunk open', state?.frunk_open)}`
+  },
+  activate_rear_trunk: {
+    command: 'activate_rear_trunk',
+    safetyCritical: true,
+    describe: state => `Open or close the rear trunk of ${vehicleName(state)}${currently('trunk open', state?.trunk_open)}`
+  },
+  remote_start: {
+    command: 'remote_start',
+    safetyCritical: true,
+    describe: state => `Enable keyless driving on ${vehicleName(state)} for two minutes`
+  }
+};
+
+interface PendingConfirmation {
+  key: string;
+  expiresAt: number;
+}
+
+/**
+ * Gatekeeper for vehicle commands: enforces configuration flags, requires an
+ * explicit confirmation and supports dry runs that describe the action first.
+ */
+export class VehicleCommandService {
+  private enabled: boolean;
+  private allowSafetyCritical: boolean;
+  private confirmationTtlMs: number;
+  private confirmations = new Map<string, PendingConfirmation>();
+
+  constructor(private client: TessieClient, options: VehicleCommandOptions = {}) {
+    this.enabled = options.enabled ?? false;
+    this.allowSafetyCritical = options.allowSafetyCritical ?? false;
+    this.confirmationTtlMs = options.confirmationTtlMs ?? 5 * 60 * 1000;
+  }
+
+  isAllowed(command: VehicleCommand): boolean {
+    return this.enabled && (this.allowSafetyCritical || !COMMAND_DEFINITIONS[command].safetyCritical);
+  }
+
+  async execute(vin: string, command: VehicleCommand, request: CommandRequest = {}): Promise<CommandOutcome> {
+    const definition = COMMAND_DEFINITIONS[command];
+    const params = request.params || {};
+
+    if (!this.enabled) {
+      throw new CommandsDisabledError(`Vehicle commands are disabled; ${command} was not sent`);
+    }
+    if (definition.safetyCritical && !this.allowSafetyCritical) {
+      throw new CommandsDisabledError(`${command} is a safety-critical command and is not enabled; nothing was sent`);
+    }
+
+    // Use cached state so describing a command never wakes the vehicle
+    const state = await this.client.getVehicleState(vin, true).catch(() => null);
+    const outcome: CommandOutcome = {
+      command,
+      vin,
+      dry_run: Boolean(request.dry_run),
+      executed: false,
+      description: definition.describe(state, params),
+      safety_critical: definition.safetyCritical
+    };
+
+    const key = this.confirmationKey(vin, command, params);
+
+    if (request.dry_run) {
+      this.pruneExpiredTokens();
+      const token = randomUUID();
+      const expiresAt = Date.now() + this.confirmationTtlMs;
+      this.confirmations.set(token, { key, expiresAt });
+      return {
+        ...outcome,
+        confirmation_token: token,
+        confirmation_expires_at: new Date(expiresAt).toISOString()
+      };
+    }
+
+    if (!request.confirm && !this.consumeToken(request.confirmation_token, key)) {
+      throw new ConfirmationRequiredError(`${outcome.description} requires confirmation; nothing was sent`);
+    }
+
+    const result = await this.client.sendCommand(vin, command, params);
+    return {
+      ...outcome,
+      executed: true,
+      success: result.result,
+      woke_vehicle: result.woke
+    };
+  }
+
+  private consumeToken(token: string | undefined, key: string): boolean {
+    if (!token) return false;
+
+    const pending = this.confirmations.get(token);
+    this.confirmations.delete(token);
+
+    return pending !== undefined && pending.key === key && pending.expiresAt > Date.now();
+  }
+
+  private pruneExpiredTokens(): void {
+    const now = Date.now();
+    for (const [token, pending] of this.confirmations) {
+      if (pending.expiresAt <= now) this.confirmations.delete(token);
+    }
+  }
+
+  private confirmationKey(vin: string, command: VehicleCommand, params: Record<string, string | number>): string {
+    const sortedParams = Object.keys(params).sort().map(name => `${name}=${params[name]}`).join('&');
+    return `${vin}:${command}:${sortedParams}`;
+  }
+}
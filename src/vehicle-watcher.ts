@@ -0,0 +1,57 @@
+import { TessieClient } from './tessie-client.js';
+
+export type VehicleSummary = { vin: string; display_name: string };
+
+/**
+ * Tracks the VINs on the account and reports when vehicles are added or removed,
+ * so the server can notify clients that its resource list changed.
+ */
+export class VehicleWatcher {
+  private knownVins: Set<string> | null = null;
+  private timer: NodeJS.Timeout | null = null;
+
+  constructor(
+    private client: TessieClient,
+    private onChange: (vehicles: VehicleSummary[]) => void
+  ) {}
+
+  async refresh(): Promise<VehicleSummary[]> {
+    const vehicles = await this.client.getVehicles();
+    this.observe(vehicles);
+    return vehicles;
+  }
+
+  /**
+   * Records a vehicle list fetched elsewhere. The first observation only seeds the set.
+   */
+  observe(vehicles: VehicleSummary[]): void {
+    const vins = new Set(vehicles.map(vehicle => vehicle.vin));
+    const previous = this.knownVins;
+    this.knownVins = vins;
+
+    if (previous === null) return;
+
+    const changed = vins.size !== previous.size || [...vins].some(vin => !previous.has(vin));
+    if (changed) {
+      this.onChange(vehicles);
+    }
+  }
+
+  start(intervalMs: number): void {
+    this.stop();
+    this.timer = setInterval(() => {
+      this.refresh().catch(() => {
+        // Polling is best effort; the next tick or tool call will try again
+      });
+    }, intervalMs);
+    // Never keep the process alive just to poll
+    this.timer.unref();
+  }
+
+  stop(): void {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
@@ -25,6 +25,14 @@ if (process.env.tessie_api_token) {
   config.tessie_api_token = process.env.TESSIE_ACCESS_TOKEN;
 }
 
+// Optional unit preferences (imperial or metric; efficiency mi/kWh, Wh/mi, Wh/km or kWh/100km)
+if (process.env.TESSIE_UNITS) {
+  config.units = process.env.TESSIE_UNITS.toLowerCase();
+}
+if (process.env.TESSIE_EFFICIENCY_UNIT) {
+  config.efficiencyUnit = process.env.TESSIE_EFFICIENCY_UNIT;
+}
+
 // Validate configuration
 if (!config.tessie_api_token) {
   console.error('Error: Tessie API token required.');
@@ -1,17 +1,20 @@
 #!/usr/bin/env node
 
 // Complete Tessie MCP Server with all functionality
-console.error("=== TESSIE MCP SERVER STARTING ===");
 
 // HTTP client implementation without external dependencies
 const https = require('https');
 const http = require('http');
+const fs = require('fs').promises;
+const path = require('path');
 const { URL } = require('url');
 
 class TessieClient {
-    constructor(accessToken) {
+    constructor(accessToken, options = {}) {
         this.accessToken = accessToken;
         this.baseUrl = 'https://api.tessie.com';
+        // With a data directory, range analytics read drives and charges from a local copy
+        this.history = options.dataDir ? new HistoryStore(this, options.dataDir) : null;
         // Token optimization: aggressive caching and response compression
         this.cache = new Map();
         this.cacheTimeout = 60000; // 1 minute for dynamic data
@@ -208,6 +211,52 @@ class TessieClient {
         return this.makeRequest(endpoint);
     }
 
+    // The listing methods above cap their page for token savings; analytics over a date range
+    // follow pages back in time instead, so every drive or charge in the range is counted
+    async getAllDrives(vin, options = {}) {
+        if (this.history) return { results: await this.history.read(vin, 'drives', options) };
+        return this.fetchAllPages(`/${vin}/drives`, options);
+    }
+
+    async getAllCharges(vin, options = {}) {
+        if (this.history) return { results: await this.history.read(vin, 'charges', options) };
+        return this.fetchAllPages(`/${vin}/charges`, options);
+    }
+
+    // The most recent drives, for summaries without a range
+    async getRecentDrives(vin, options = {}) {
+        if (!this.history) return this.getDrives(vin, options);
+        const drives = await this.history.read(vin, 'drives', options);
+        return { results: drives.slice(0, Math.min(options.limit || 25, 50)) };
+    }
+
+    async fetchAllPages(path, options = {}, pageSize = 200) {
+        const seen = new Set();
+        const results = [];
+        let end = options.end;
+
+        for (;;) {
+            const params = new URLSearchParams();
+            if (options.start) params.append('start', options.start);
+            if (end) params.append('end', end);
+            params.append('limit', pageSize.toString());
+
+            const page = (await this.makeRequest(`${path}?${params.toString()}`)).results || [];
+            const fresh = page.filter(record => !seen.has(record.id));
+            fresh.forEach(record => {
+                seen.add(record.id);
+                results.push(record);
+            });
+            // A short page is the last one; a page of repeats means no progress
+            if (page.length < pageSize || fresh.length === 0) break;
+
+            const oldest = Math.min(...page.map(record => record.started_at));
+            end = new Date((oldest - 1) * 1000).toISOString();
+        }
+
+        return { results: results.sort((a, b) => b.started_at - a.started_at) };
+    }
+
     async getLocation(vin) {
         return this.makeRequest(`/${vin}/location`);
     }
@@ -357,7 +406,7 @@ class TessieClient {
 
     // Advanced Analytics Methods
     async getEfficiencyTrends(vin, options = {}) {
-        const drives = await this.getDrives(vin, options);
+        const drives = options.start ? await this.getAllDrives(vin, options) : await this.getRecentDrives(vin, options);
         
         if (!drives.results || drives.results.length === 0) {
             return { error: "No drive data available for efficiency analysis" };
@@ -366,7 +415,7 @@ class TessieClient {
         // ULTRA-COMPACT TOKEN-OPTIMIZED EFFICIENCY ANALYSIS
         let dist = 0, energy = 0, dailyData = new Map();
 
-        drives.results.slice(0, 30).forEach(d => { // Limit to 30 drives
+        drives.results.forEach(d => {
             const mi = d.distance_miles || 0;
             const kw = d.energy_used_kwh || 0;
             if (mi > 0 && kw > 0) {
@@ -380,91 +429,17 @@ class TessieClient {
         if (dist === 0) return { error: "No efficiency data" };
 
         const daily = Array.from(dailyData.entries()).slice(0, 10).map(([d, [mi, kw]]) => 
-            ({ d, eff: Math.round((kw/mi)*1000)/1000, mi: Math.round(mi) }));
+            ({ d, eff_kwh_per_mile: Math.round((kw/mi)*1000)/1000, miles: Math.round(mi) }));
 
         return {
             drives: drives.results.length,
-            eff: Math.round((energy/dist)*1000)/1000, // kWh/mi
-            tot_mi: Math.round(dist),
+            eff_kwh_per_mile: Math.round((energy/dist)*1000)/1000,
+            tot_miles: Math.round(dist),
             tot_kw: Math.round(energy),
             daily: daily.slice(0, 7) // Max 7 days to save tokens
         };
     }
 
-    async getChargingCostAnalysis(vin, options = {}) {
-        const charges = await this.getCharges(vin, options);
-        
-        if (!charges.results || charges.results.length === 0) {
-            return { error: "No charging data available for cost analysis" };
-        }
-
-        const chargeData = charges.results;
-        const analysis = {
-            period: {
-                start: options.start || 'All time',
-                end: options.end || 'Present'
-            },
-            total_sessions: chargeData.length,
-            cost_breakdown: {}
-        };
-
-        let totalCost = 0;
-        let totalEnergyAdded = 0;
-        let homeCharging = { sessions: 0, cost: 0, energy: 0 };
-        let supercharging = { sessions: 0, cost: 0, energy: 0 };
-        let publicCharging = { sessions: 0, cost: 0, energy: 0 };
-
-        chargeData.forEach(session => {
-            if (session.cost && session.energy_added_kwh) {
-                totalCost += session.cost;
-                totalEnergyAdded += session.energy_added_kwh;
-
-                // Categorize charging type based on location or charger type
-                if (session.location && session.location.toLowerCase().includes('home')) {
-                    homeCharging.sessions += 1;
-                    homeCharging.cost += session.cost;
-                    homeCharging.energy += session.energy_added_kwh;
-                } else if (session.charger_type && session.charger_type.toLowerCase().includes('supercharger')) {
-                    supercharging.sessions += 1;
-                    supercharging.cost += session.cost;
-                    supercharging.energy += session.energy_added_kwh;
-                } else {
-                    publicCharging.sessions += 1;
-                    publicCharging.cost += session.cost;
-                    publicCharging.energy += session.energy_added_kwh;
-                }
-            }
-        });
-
-        if (totalCost > 0 && totalEnergyAdded > 0) {
-            analysis.cost_breakdown = {
-                total_cost: totalCost.toFixed(2),
-                total_energy_kwh: totalEnergyAdded.toFixed(1),
-                average_cost_per_kwh: (totalCost / totalEnergyAdded).toFixed(3),
-                home_charging: {
-                    sessions: homeCharging.sessions,
-                    cost: homeCharging.cost.toFixed(2),
-                    energy_kwh: homeCharging.energy.toFixed(1),
-                    avg_cost_per_kwh: homeCharging.energy > 0 ? (homeCharging.cost / homeCharging.energy).toFixed(3) : 0
-                },
-                supercharging: {
-                    sessions: supercharging.sessions,
-                    cost: supercharging.cost.toFixed(2),
-                    energy_kwh: supercharging.energy.toFixed(1),
-                    avg_cost_per_kwh: supercharging.energy > 0 ? (supercharging.cost / supercharging.energy).toFixed(3) : 0
-                },
-                public_charging: {
-                    sessions: publicCharging.sessions,
-                    cost: publicCharging.cost.toFixed(2),
-                    energy_kwh: publicCharging.energy.toFixed(1),
-                    avg_cost_per_kwh: publicCharging.energy > 0 ? (publicCharging.cost / publicCharging.energy).toFixed(3) : 0
-                }
-            };
-        }
-
-        return analysis;
-    }
-
     async getUsagePatterns(vin, options = {}) {
         const drives = await this.getDrives(vin, options);
         
@@ -771,7 +746,8 @@ class TessieClient {
 
     async getFSDUsageSummary(vin, options = {}) {
         try {
-            const drives = await this.getDrives(vin, options);
+            // A range reads every drive in it; without one, only the recent drives
+            const drives = options.start ? await this.getAllDrives(vin, options) : await this.getRecentDrives(vin, options);
             
             if (!drives.results || drives.results.length === 0) {
                 return { error: "No driving data available for FSD analysis" };
@@ -781,8 +757,8 @@ class TessieClient {
             let totalMiles = 0, fsdMiles = 0, highConf = 0, modConf = 0;
             const samples = [];
 
-            // Drastically reduced analysis - only 15 recent drives
-            const drivesToAnalyze = drives.results.slice(0, 15);
+            // Scoring is cheap; the response stays small because only a few samples are returned
+            const drivesToAnalyze = drives.results;
 
             for (const d of drivesToAnalyze) {
                 const dist = d.odometer_distance || 0;
@@ -800,7 +776,7 @@ class TessieClient {
                     // Only include significant drives to minimize tokens
                     if (dist > 2 || score >= 70) {
                         samples.push({
-                            mi: Math.round(dist * 10) / 10,
+                            miles: Math.round(dist * 10) / 10,
                             min: Math.round(dur),
                             sc: score,
                             fsd: score >= 60
@@ -978,81 +954,6 @@ class TessieClient {
     }
 
     // Export/Data Portability Methods
-    async exportTaxMileageReport(vin, year) {
-        const startDate = new Date(year, 0, 1).toISOString();
-        const endDate = new Date(year, 11, 31, 23, 59, 59).toISOString();
-        
-        const drives = await this.getDrives(vin, { start: startDate, end: endDate });
-        
-        if (!drives.results || drives.results.length === 0) {
-            return { error: `No driving data available for tax year ${year}` };
-        }
-
-        const report = {
-            tax_year: year,
-            vehicle_vin: vin,
-            report_generated: new Date().toISOString(),
-            summary: {
-                total_drives: drives.results.length,
-                total_miles: 0,
-                business_miles: 0, // Would need business trip detection
-                personal_miles: 0,
-                business_percentage: 0
-            },
-            monthly_breakdown: {},
-            detailed_drives: []
-        };
-
-        // Group drives by month and calculate totals
-        for (const drive of drives.results) {
-            if (drive.distance_miles && drive.started_at) {
-                const driveDate = new Date(drive.started_at);
-                const monthKey = `${driveDate.getFullYear()}-${String(driveDate.getMonth() + 1).padStart(2, '0')}`;
-                
-                if (!report.monthly_breakdown[monthKey]) {
-                    report.monthly_breakdown[monthKey] = {
-                        month: monthKey,
-                        total_miles: 0,
-                        business_miles: 0,
-                        personal_miles: 0,
-                        drive_count: 0
-                    };
-                }
-
-                report.summary.total_miles += drive.distance_miles;
-                report.monthly_breakdown[monthKey].total_miles += drive.distance_miles;
-                report.monthly_breakdown[monthKey].drive_count += 1;
-
-                // For now, classify as personal (would need business trip detection)
-                report.summary.personal_miles += drive.distance_miles;
-                report.monthly_breakdown[monthKey].personal_miles += drive.distance_miles;
-
-                report.detailed_drives.push({
-                    date: drive.started_at,
-                    start_location: `${drive.start_latitude || 'Unknown'}, ${drive.start_longitude || 'Unknown'}`,
-                    end_location: `${drive.end_latitude || 'Unknown'}, ${drive.end_longitude || 'Unknown'}`,
-                    distance_miles: drive.distance_miles,
-                    duration_minutes: drive.duration_minutes || 0,
-                    classification: 'Personal', // Would be enhanced with business detection
-                    purpose: 'TBD' // Would allow user categorization
-                });
-            }
-        }
-
-        // Calculate percentages
-        if (report.summary.total_miles > 0) {
-            report.summary.business_percentage = 
-                Math.round((report.summary.business_miles / report.summary.total_miles) * 10000) / 100;
-        }
-
-        // Round summary numbers
-        report.summary.total_miles = Math.round(report.summary.total_miles * 100) / 100;
-        report.summary.business_miles = Math.round(report.summary.business_miles * 100) / 100;
-        report.summary.personal_miles = Math.round(report.summary.personal_miles * 100) / 100;
-
-        return report;
-    }
-
     async exportChargingCostSpreadsheet(vin, options = {}) {
         const charges = await this.getCharges(vin, options);
         
@@ -1323,187 +1224,6 @@ ${nonFsdDrives.slice(0, 15).map((drive, i) =>
     }
 
     // Predictive Analytics Methods
-    async getOptimalChargingStrategy(vin, options = {}) {
-        try {
-            const [drives, charges] = await Promise.all([
-                this.getDrives(vin, { start: options.start, end: options.end, limit: 100 }),
-                this.getCharges(vin, { start: options.start, end: options.end })
-            ]);
-
-            if (!drives.results?.length || !charges.results?.length) {
-                return { error: "Insufficient driving and charging data for strategy analysis" };
-            }
-
-            const strategy = {
-                analysis_period: {
-                    start: options.start || 'Recent data',
-                    end: options.end || 'Present'
-                },
-                current_patterns: {},
-                optimization_recommendations: [],
-                charging_efficiency: {},
-                cost_analysis: {}
-            };
-
-            // Analyze current charging patterns
-            const chargingPatterns = this.analyzeChargingPatterns(charges.results);
-            strategy.current_patterns = chargingPatterns;
-
-            // Analyze driving patterns to predict charging needs
-            const drivingPatterns = this.analyzeDrivingPatternsForCharging(drives.results);
-
-            // Generate optimization recommendations
-            strategy.optimization_recommendations = this.generateChargingRecommendations(
-                chargingPatterns, 
-                drivingPatterns
-            );
-
-            // Calculate efficiency metrics
-            strategy.charging_efficiency = this.calculateChargingEfficiency(charges.results);
-
-            return strategy;
-
-        } catch (error) {
-            return { error: `Charging strategy analysis failed: ${error.message}` };
-        }
-    }
-
-    analyzeChargingPatterns(charges) {
-        const patterns = {
-            preferred_times: { morning: 0, afternoon: 0, evening: 0, night: 0 },
-            location_usage: { home: 0, supercharger: 0, public: 0 },
-            average_session_duration: 0,
-            typical_charge_amounts: [],
-            cost_efficiency: {}
-        };
-
-        let totalDuration = 0;
-
-        charges.forEach(session => {
-            if (session.started_at) {
-                const hour = new Date(session.started_at).getHours();
-                if (hour >= 6 && hour < 12) patterns.preferred_times.morning++;
-                else if (hour >= 12 && hour < 18) patterns.preferred_times.afternoon++;
-                else if (hour >= 18 && hour < 22) patterns.preferred_times.evening++;
-                else patterns.preferred_times.night++;
-            }
-
-            const locationType = this.classifyChargingType(session);
-            if (patterns.location_usage[locationType] !== undefined) {
-                patterns.location_usage[locationType]++;
-            }
-
-            if (session.duration_minutes) {
-                totalDuration += session.duration_minutes;
-            }
-
-            if (session.energy_added_kwh) {
-                patterns.typical_charge_amounts.push(session.energy_added_kwh);
-            }
-        });
-
-        patterns.average_session_duration = totalDuration / charges.length;
-        
-        return patterns;
-    }
-
-    analyzeDrivingPatternsForCharging(drives) {
-        const patterns = {
-            daily_energy_usage: [],
-            peak_usage_days: [],
-            long_trip_frequency: 0,
-            average_daily_miles: 0
-        };
-
-        const dailyUsage = {};
-
-        drives.forEach(drive => {
-            if (drive.started_at && drive.energy_used_kwh) {
-                const date = new Date(drive.started_at).toISOString().split('T')[0];
-                if (!dailyUsage[date]) {
-                    dailyUsage[date] = { energy: 0, miles: 0, trips: 0 };
-                }
-                dailyUsage[date].energy += drive.energy_used_kwh;
-                dailyUsage[date].miles += drive.distance_miles || 0;
-                dailyUsage[date].trips += 1;
-            }
-
-            if (drive.distance_miles > 200) {
-                patterns.long_trip_frequency++;
-            }
-        });
-
-        patterns.daily_energy_usage = Object.values(dailyUsage).map(day => day.energy);
-        patterns.average_daily_miles = Object.values(dailyUsage)
-            .reduce((sum, day) => sum + day.miles, 0) / Object.keys(dailyUsage).length;
-
-        return patterns;
-    }
-
-    generateChargingRecommendations(chargingPatterns, drivingPatterns) {
-        const recommendations = [];
-
-        // Home charging optimization
-        if (chargingPatterns.location_usage.home > 0) {
-            recommendations.push({
-                category: "Home Charging Optimization",
-                recommendation: "Consider charging during off-peak hours (typically late night/early morning)",
-                impact: "Could reduce charging costs by 20-40%",
-                confidence: "High"
-            });
-        }
-
-        // Pre-departure charging
-        if (drivingPatterns.average_daily_miles > 50) {
-            recommendations.push({
-                category: "Pre-departure Strategy", 
-                recommendation: "Schedule charging to complete 1-2 hours before typical departure times",
-                impact: "Optimal battery temperature and full charge availability",
-                confidence: "High"
-            });
-        }
-
-        // Long trip preparation
-        if (drivingPatterns.long_trip_frequency > 0) {
-            recommendations.push({
-                category: "Long Trip Planning",
-                recommendation: "Charge to 100% the night before trips >200 miles",
-                impact: "Reduces supercharging stops and trip anxiety", 
-                confidence: "Medium"
-            });
-        }
-
-        return recommendations;
-    }
-
-    calculateChargingEfficiency(charges) {
-        const efficiency = {
-            cost_per_kwh_by_type: {},
-            time_efficiency: {},
-            overall_metrics: {}
-        };
-
-        const byType = { home: [], supercharger: [], public: [] };
-
-        charges.forEach(session => {
-            const type = this.classifyChargingType(session);
-            if (session.cost && session.energy_added_kwh) {
-                const costPerKwh = session.cost / session.energy_added_kwh;
-                if (byType[type]) byType[type].push(costPerKwh);
-            }
-        });
-
-        // Calculate averages by type
-        Object.keys(byType).forEach(type => {
-            if (byType[type].length > 0) {
-                efficiency.cost_per_kwh_by_type[type] = 
-                    (byType[type].reduce((a, b) => a + b, 0) / byType[type].length).toFixed(3);
-            }
-        });
-
-        return efficiency;
-    }
-
     async predictMaintenanceNeeds(vin, options = {}) {
         try {
             const [vehicle, drives, charges] = await Promise.all([
@@ -1804,8 +1524,8 @@ ${nonFsdDrives.slice(0, 15).map((drive, i) =>
             const endDate = new Date(year, 11, 31, 23, 59, 59).toISOString();
 
             const [drives, charges, monthlyData, fsdSummary, insights] = await Promise.all([
-                this.getDrives(vin, { start: startDate, end: endDate }),
-                this.getCharges(vin, { start: startDate, end: endDate }),
+                this.getAllDrives(vin, { start: startDate, end: endDate }),
+                this.getAllCharges(vin, { start: startDate, end: endDate }),
                 this.getMonthlySummary(vin, year, 12), // December for latest data
                 this.getFSDUsageSummary(vin, { start: startDate, end: endDate }),
                 this.getPersonalizedInsights(vin, { start: startDate, end: endDate })
@@ -2257,7 +1977,7 @@ ${nonFsdDrives.slice(0, 15).map((drive, i) =>
 
     async analyzeSeasonalBehavior(vin, options = {}) {
         try {
-            const drives = await this.getDrives(vin, { start: options.start, end: options.end, limit: 200 });
+            const drives = await this.getAllDrives(vin, { start: options.start, end: options.end });
             
             if (!drives.results?.length) {
                 return { error: "Insufficient data for seasonal analysis" };
@@ -2361,6 +2081,255 @@ ${nonFsdDrives.slice(0, 15).map((drive, i) =>
     }
 }
 
+// Local copy of each vehicle's drives and charges, laid out like the TypeScript server's
+// history store so both can share a data directory:
+//   <dataDir>/<vin>/drives.jsonl    one record per line; a later line with the same id wins
+//   <dataDir>/<vin>/sync.json       when each kind was last synced and the newest record seen
+const HISTORY_MAX_AGE_SECONDS = 15 * 60;
+// Re-fetch a day before the newest record to pick up drives and charges that were still open
+const SYNC_OVERLAP_SECONDS = 24 * 3600;
+
+class HistoryStore {
+    constructor(client, dataDir, options = {}) {
+        this.client = client;
+        this.dataDir = dataDir;
+        this.now = options.now || Date.now; // Milliseconds, for tests
+        this.records = new Map();
+        this.syncStates = new Map();
+        this.inFlight = new Map();
+    }
+
+    // Records whose start falls in the range, newest first. A copy older than 15 minutes
+    // fetches what is new first, and falls back to what is on disk if Tessie fails.
+    async read(vin, kind, options = {}) {
+        const state = (await this.loadSyncState(vin))[kind];
+        if (!state || this.nowSeconds() - state.synced_at > HISTORY_MAX_AGE_SECONDS) {
+            try {
+                await this.sync(vin, kind);
+            } catch (error) {
+                if (!state) throw error;
+            }
+        }
+
+        const start = options.start ? Date.parse(options.start) / 1000 : -Infinity;
+        const end = options.end ? Date.parse(options.end) / 1000 : Infinity;
+        return [...(await this.load(vin, kind)).values()]
+            .filter(record => record.started_at >= start && record.started_at <= end)
+            .sort((a, b) => b.started_at - a.started_at);
+    }
+
+    sync(vin, kind) {
+        // One sync per file at a time, so concurrent reads never append the same records twice
+        const key = `${vin}/${kind}`;
+        if (!this.inFlight.has(key)) {
+            this.inFlight.set(key, this.fetchAndAppend(vin, kind).finally(() => this.inFlight.delete(key)));
+        }
+        return this.inFlight.get(key);
+    }
+
+    async fetchAndAppend(vin, kind) {
+        const syncState = await this.loadSyncState(vin);
+        const previous = syncState[kind];
+        const from = previous
+            ? new Date(((previous.latest ?? previous.synced_at) - SYNC_OVERLAP_SECONDS) * 1000).toISOString()
+            : undefined;
+        const syncedAt = this.nowSeconds();
+
+        const fetched = (await this.client.fetchAllPages(`/${vin}/${kind}`, { start: from })).results;
+        const records = await this.load(vin, kind);
+        const lines = [];
+        for (const record of fetched) {
+            const line = JSON.stringify(record);
+            const existing = records.get(record.id);
+            if (existing !== undefined && JSON.stringify(existing) === line) continue;
+            records.set(record.id, record);
+            lines.push(line);
+        }
+
+        await fs.mkdir(this.vehicleDir(vin), { recursive: true });
+        if (lines.length > 0) {
+            await fs.appendFile(this.filePath(vin, kind), lines.join('\n') + '\n', 'utf8');
+        }
+
+        const latest = [...records.values()].reduce((newest, record) => Math.max(newest ?? -Infinity, record.started_at), null);
+        syncState[kind] = { synced_at: syncedAt, latest, earliest: previous?.earliest ?? null, records: records.size };
+        const syncFile = path.join(this.vehicleDir(vin), 'sync.json');
+        await fs.writeFile(`${syncFile}.tmp`, JSON.stringify(syncState, null, 2), 'utf8');
+        await fs.rename(`${syncFile}.tmp`, syncFile);
+    }
+
+    async load(vin, kind) {
+        const cacheKey = `${vin}/${kind}`;
+        if (this.records.has(cacheKey)) return this.records.get(cacheKey);
+
+        const records = new Map();
+        try {
+            const content = await fs.readFile(this.filePath(vin, kind), 'utf8');
+            for (const line of content.split('\n')) {
+                if (!line.trim()) continue;
+                try {
+                    const record = JSON.parse(line);
+                    records.set(record.id, record);
+                } catch (e) {
+                    // A line cut short by an interrupted write; the next sync fetches the record again
+                }
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        this.records.set(cacheKey, records);
+        return records;
+    }
+
+    async loadSyncState(vin) {
+        if (this.syncStates.has(vin)) return this.syncStates.get(vin);
+
+        let state = {};
+        try {
+            state = JSON.parse(await fs.readFile(path.join(this.vehicleDir(vin), 'sync.json'), 'utf8'));
+        } catch (error) {
+            // A missing or unreadable sync file only means the next read syncs again
+            if (error.code !== 'ENOENT' && !(error instanceof SyntaxError)) throw error;
+        }
+
+        this.syncStates.set(vin, state);
+        return state;
+    }
+
+    // VINs are alphanumeric; anything else is replaced so a VIN cannot escape the data directory
+    vehicleDir(vin) {
+        return path.join(this.dataDir, vin.replace(/[^A-Za-z0-9_-]/g, '_'));
+    }
+
+    filePath(vin, kind) {
+        return path.join(this.vehicleDir(vin), `${kind}.jsonl`);
+    }
+
+    nowSeconds() {
+        return Math.floor(this.now() / 1000);
+    }
+}
+
+// Unit conversion for tool results. Tessie reports miles, mph, kWh per mile and °C;
+// results are converted by key name to the requested unit system before they are sent.
+const KM_PER_MILE = 1.609344;
+const UNIT_SYSTEMS = ["imperial", "metric"];
+const EFFICIENCY_UNITS = ["mi/kWh", "Wh/mi", "Wh/km", "kWh/100km"];
+const EFFICIENCY_KEY_SUFFIX = {
+    "mi/kWh": "mi_per_kwh",
+    "Wh/mi": "wh_per_mi",
+    "Wh/km": "wh_per_km",
+    "kWh/100km": "kwh_per_100km"
+};
+const DISTANCE_KEYS = new Set([
+    "distance", "avg_distance", "odometer", "odometer_distance", "autopilot_distance",
+    "starting_odometer", "ending_odometer", "est_battery_range", "battery_range",
+    "ideal_battery_range", "rated_range_used", "ideal_range_used"
+]);
+const SPEED_KEYS = new Set(["speed", "average_speed", "max_speed"]);
+const TEMPERATURE_KEY = /(^|_)temp(erature)?(_|$)/;
+
+// Tool arguments override the TESSIE_UNITS / TESSIE_EFFICIENCY_UNIT environment defaults
+function resolveUnits(args = {}) {
+    const system = [args.units, process.env.TESSIE_UNITS].find(value => UNIT_SYSTEMS.includes(value)) || "imperial";
+    // The configured efficiency unit belongs to the configured system, not to a per-call one
+    const configured = UNIT_SYSTEMS.includes(args.units) ? undefined : process.env.TESSIE_EFFICIENCY_UNIT;
+    const efficiency = [args.efficiency_unit, configured]
+        .find(value => EFFICIENCY_UNITS.includes(value)) || (system === "metric" ? "kWh/100km" : "mi/kWh");
+    return { system, efficiency };
+}
+
+function unitLabels(units) {
+    const metric = units.system === "metric";
+    return {
+        distance: metric ? "km" : "miles",
+        speed: metric ? "km/h" : "mph",
+        temperature: metric ? "°C" : "°F",
+        efficiency: units.efficiency
+    };
+}
+
+function convertNumber(value, kind, units) {
+    const metric = units.system === "metric";
+    switch (kind) {
+        case "distance":
+        case "speed":
+            return metric ? value * KM_PER_MILE : value;
+        case "temperature":
+            return metric ? value : value * 9 / 5 + 32;
+        case "efficiency": {
+            // value is kWh per mile
+            if (!(value > 0)) return value;
+            if (units.efficiency === "mi/kWh") return 1 / value;
+            if (units.efficiency === "Wh/mi") return value * 1000;
+            if (units.efficiency === "Wh/km") return value * 1000 / KM_PER_MILE;
+            return value / KM_PER_MILE * 100;
+        }
+        default:
+            return value;
+    }
+}
+
+// Returns the converted key name and the kind of quantity the key holds
+function classifyKey(key, units) {
+    const metric = units.system === "metric";
+    if (key === "miles") return { key: metric ? "km" : key, kind: "distance" };
+    if (key.endsWith("_miles")) return { key: metric ? key.replace(/_miles$/, "_km") : key, kind: "distance" };
+    if (key.endsWith("_mph")) return { key: metric ? key.replace(/_mph$/, "_kmh") : key, kind: "speed" };
+    if (key.endsWith("_kwh_per_mile")) {
+        return { key: key.replace(/kwh_per_mile$/, EFFICIENCY_KEY_SUFFIX[units.efficiency]), kind: "efficiency" };
+    }
+    if (DISTANCE_KEYS.has(key)) return { key, kind: "distance" };
+    if (SPEED_KEYS.has(key)) return { key, kind: "speed" };
+    if (TEMPERATURE_KEY.test(key)) return { key, kind: "temperature" };
+    return { key, kind: null };
+}
+
+function convertUnits(value, units, kind = null) {
+    if (Array.isArray(value)) {
+        return value.map(item => convertUnits(item, units, kind));
+    }
+    if (value && typeof value === "object") {
+        const converted = {};
+        for (const [key, item] of Object.entries(value)) {
+            const target = classifyKey(key, units);
+            converted[target.key] = convertUnits(item, units, target.kind || kind);
+        }
+        return converted;
+    }
+    // Several analytics format numbers with toFixed, so numeric strings are converted too
+    const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+    if (kind && typeof number === "number" && Number.isFinite(number)) {
+        return Math.round(convertNumber(number, kind, units) * 100) / 100;
+    }
+    return value;
+}
+
+// Adds the per-call unit override to every tool's input schema
+function withUnitOptions(tools) {
+    return tools.map(tool => ({
+        ...tool,
+        inputSchema: {
+            ...tool.inputSchema,
+            properties: {
+                ...tool.inputSchema.properties,
+                units: { type: "string", enum: UNIT_SYSTEMS, description: "Unit system for distances, speeds and temperatures (default from TESSIE_UNITS, else imperial)" },
+                efficiency_unit: { type: "string", enum: EFFICIENCY_UNITS, description: "Unit for energy efficiency (default from TESSIE_EFFICIENCY_UNIT)" }
+            }
+        }
+    }));
+}
+
+function applyUnits(result, args) {
+    const units = resolveUnits(args);
+    const converted = convertUnits(result, units);
+    if (converted && typeof converted === "object" && !Array.isArray(converted)) {
+        converted.units = unitLabels(units);
+    }
+    return converted;
+}
+
 // MCP Server implementation
 class TessieMCPServer {
     constructor() {
@@ -2376,7 +2345,7 @@ class TessieMCPServer {
             return false;
         }
         
-        this.tessieClient = new TessieClient(token);
+        this.tessieClient = new TessieClient(token, { dataDir: process.env.TESSIE_DATA_DIR });
         console.error("Tessie client initialized with token");
         return true;
     }
@@ -2391,6 +2360,12 @@ class TessieMCPServer {
         console.error(`Sent response for ${id}: ${JSON.stringify(result).substring(0, 200)}...`);
     }
 
+    // Converts units, then compacts the result to fit the response size budget
+    formatResult(result, args) {
+        const converted = applyUnits(result, args);
+        return this.tessieClient.validateResponseSize(this.tessieClient.compactJson(converted));
+    }
+
     sendError(id, code, message, data = null) {
         const response = {
             jsonrpc: "2.0",
@@ -2424,7 +2399,7 @@ class TessieMCPServer {
 
             } else if (message.method === 'tools/list') {
                 this.sendResponse(message.id, {
-                    tools: [
+                    tools: withUnitOptions([
                         // Core Vehicle Data
                         {
                             name: "get_vehicles",
@@ -2763,18 +2738,6 @@ class TessieMCPServer {
                                 }
                             }
                         },
-                        {
-                            name: "get_charging_cost_analysis",
-                            description: "Analyze charging costs by location type (home, supercharger, public)",
-                            inputSchema: {
-                                type: "object",
-                                properties: {
-                                    vin: { type: "string", description: "Vehicle VIN (leave empty to use active vehicle)" },
-                                    start: { type: "string", description: "Start date in ISO format" },
-                                    end: { type: "string", description: "End date in ISO format" }
-                                }
-                            }
-                        },
                         {
                             name: "get_usage_patterns",
                             description: "Analyze driving usage patterns by day of week and hour of day",
@@ -2836,19 +2799,8 @@ class TessieMCPServer {
                                 }
                             }
                         },
-                        // Export & Data Portability Tools
-                        {
-                            name: "export_tax_mileage_report",
-                            description: "Export comprehensive mileage report for tax purposes with monthly breakdown",
-                            inputSchema: {
-                                type: "object",
-                                properties: {
-                                    vin: { type: "string", description: "Vehicle VIN (leave empty to use active vehicle)" },
-                                    year: { type: "number", description: "Tax year (e.g. 2024)" }
-                                },
-                                required: ["year"]
-                            }
-                        },
+                        // Export & Data Portability Tools. Tax mileage logs come from the TypeScript
+                        // server's get_mileage_log, which classifies drives and applies the rate table.
                         {
                             name: "export_charging_cost_spreadsheet",
                             description: "Export detailed charging costs in spreadsheet format with location type analysis",
@@ -2887,17 +2839,9 @@ class TessieMCPServer {
                             }
                         },
                         
-                        // Predictive Analytics Tools
-                        {
-                            name: "get_optimal_charging_strategy",
-                            description: "Analyze charging patterns and provide personalized optimization recommendations",
-                            inputSchema: {
-                                type: "object",
-                                properties: {
-                                    vin: { type: "string", description: "Vehicle VIN (leave empty to use active vehicle)" }
-                                }
-                            }
-                        },
+                        // Predictive Analytics Tools. Charging costs and charging plans come from the
+                        // TypeScript server's get_charging_summary and get_optimal_charging_strategy,
+                        // which price sessions with the configured tariffs.
                         {
                             name: "predict_maintenance_needs",
                             description: "Predict upcoming maintenance needs based on Tesla service intervals and current mileage",
@@ -2967,7 +2911,7 @@ class TessieMCPServer {
                                 }
                             }
                         }
-                    ]
+                    ])
                 });
 
             } else if (message.method === 'tools/call') {
@@ -3282,7 +3226,6 @@ class TessieMCPServer {
                     }
                     
                     result = await this.tessieClient.getDriveState(vinDS);
-                    this.sendResponse(message.id, { content: [{ type: "text", text: this.validateResponseSize(this.compactJson(result)) }] });
                     break;
 
                 case 'get_climate_state':
@@ -3293,7 +3236,6 @@ class TessieMCPServer {
                     }
                     
                     result = await this.tessieClient.getClimateState(vinCS);
-                    this.sendResponse(message.id, { content: [{ type: "text", text: this.validateResponseSize(this.compactJson(result)) }] });
                     break;
 
                 case 'get_detailed_vehicle_state':
@@ -3304,7 +3246,6 @@ class TessieMCPServer {
                     }
                     
                     result = await this.tessieClient.getDetailedVehicleState(vinDVS);
-                    this.sendResponse(message.id, { content: [{ type: "text", text: this.validateResponseSize(this.compactJson(result)) }] });
                     break;
 
                 case 'get_charge_state':
@@ -3315,7 +3256,6 @@ class TessieMCPServer {
                     }
                     
                     result = await this.tessieClient.getChargeState(vinCHS);
-                    this.sendResponse(message.id, { content: [{ type: "text", text: this.validateResponseSize(this.compactJson(result)) }] });
                     break;
 
                 case 'get_gui_settings':
@@ -3326,7 +3266,6 @@ class TessieMCPServer {
                     }
                     
                     result = await this.tessieClient.getGuiSettings(vinGS);
-                    this.sendResponse(message.id, { content: [{ type: "text", text: this.validateResponseSize(this.compactJson(result)) }] });
                     break;
 
                 // Advanced Analytics Handlers
@@ -3342,22 +3281,6 @@ class TessieMCPServer {
                     if (args.end) effOptions.end = args.end;
                     
                     result = await this.tessieClient.getEfficiencyTrends(vinET, effOptions);
-                    this.sendResponse(message.id, { content: [{ type: "text", text: this.validateResponseSize(this.compactJson(result)) }] });
-                    break;
-
-                case 'get_charging_cost_analysis':
-                    const vinCCA = args.vin || await this.getFirstVehicleVin();
-                    if (!vinCCA) {
-                        this.sendError(message.id, -32000, this.getMultipleVehicleErrorMessage());
-                        return;
-                    }
-                    
-                    const costOptions = {};
-                    if (args.start) costOptions.start = args.start;
-                    if (args.end) costOptions.end = args.end;
-                    
-                    result = await this.tessieClient.getChargingCostAnalysis(vinCCA, costOptions);
-                    this.sendResponse(message.id, { content: [{ type: "text", text: this.validateResponseSize(this.compactJson(result)) }] });
                     break;
 
                 case 'get_usage_patterns':
@@ -3372,7 +3295,6 @@ class TessieMCPServer {
                     if (args.end) usageOptions.end = args.end;
                     
                     result = await this.tessieClient.getUsagePatterns(vinUP, usageOptions);
-                    this.sendResponse(message.id, { content: [{ type: "text", text: this.validateResponseSize(this.compactJson(result)) }] });
                     break;
 
                 case 'get_monthly_summary':
@@ -3388,7 +3310,6 @@ class TessieMCPServer {
                     }
                     
                     result = await this.tessieClient.getMonthlySummary(vinMS, args.year, args.month);
-                    this.sendResponse(message.id, { content: [{ type: "text", text: this.validateResponseSize(this.compactJson(result)) }] });
                     break;
 
                 // FSD Detection & Analysis Handlers
@@ -3405,7 +3326,6 @@ class TessieMCPServer {
                     }
                     
                     result = await this.tessieClient.analyzeDriveFSDProbability(vinAFP, args.drive_id);
-                    this.sendResponse(message.id, { content: [{ type: "text", text: this.validateResponseSize(this.compactJson(result)) }] });
                     break;
 
                 case 'get_fsd_usage_summary':
@@ -3420,7 +3340,6 @@ class TessieMCPServer {
                     if (args.end) fsdSummaryOptions.end = args.end;
                     
                     result = await this.tessieClient.getFSDUsageSummary(vinFUS, fsdSummaryOptions);
-                    this.sendResponse(message.id, { content: [{ type: "text", text: this.validateResponseSize(this.compactJson(result)) }] });
                     break;
 
                 case 'compare_fsd_manual_efficiency':
@@ -3435,26 +3354,9 @@ class TessieMCPServer {
                     if (args.end) efficiencyOptions.end = args.end;
                     
                     result = await this.tessieClient.compareFSDManualEfficiency(vinCFME, efficiencyOptions);
-                    this.sendResponse(message.id, { content: [{ type: "text", text: this.validateResponseSize(this.compactJson(result)) }] });
                     break;
 
                 // Export & Data Portability Handlers
-                case 'export_tax_mileage_report':
-                    const vinTMR = args.vin || await this.getFirstVehicleVin();
-                    if (!vinTMR) {
-                        this.sendError(message.id, -32000, this.getMultipleVehicleErrorMessage());
-                        return;
-                    }
-                    
-                    if (!args.year) {
-                        this.sendError(message.id, -32602, "year parameter is required");
-                        return;
-                    }
-                    
-                    result = await this.tessieClient.exportTaxMileageReport(vinTMR, args.year);
-                    this.sendResponse(message.id, { content: [{ type: "text", text: this.validateResponseSize(this.compactJson(result)) }] });
-                    break;
-
                 case 'export_charging_cost_spreadsheet':
                     const vinECCS = args.vin || await this.getFirstVehicleVin();
                     if (!vinECCS) {
@@ -3467,7 +3369,6 @@ class TessieMCPServer {
                     if (args.end) exportChargingOptions.end = args.end;
                     
                     result = await this.tessieClient.exportChargingCostSpreadsheet(vinECCS, exportChargingOptions);
-                    this.sendResponse(message.id, { content: [{ type: "text", text: this.validateResponseSize(this.compactJson(result)) }] });
                     break;
 
                 case 'export_fsd_detection_report':
@@ -3482,7 +3383,6 @@ class TessieMCPServer {
                     if (args.end) exportFSDOptions.end = args.end;
                     
                     result = await this.tessieClient.exportFSDDetectionReport(vinEFDR, exportFSDOptions);
-                    this.sendResponse(message.id, { content: [{ type: "text", text: this.validateResponseSize(this.compactJson(result)) }] });
                     break;
 
                 case 'generate_formatted_fsd_report':
@@ -3503,20 +3403,11 @@ class TessieMCPServer {
                     if (result.formatted_report) {
                         this.sendResponse(message.id, { content: [{ type: "text", text: result.formatted_report }] });
                     } else {
-                        this.sendResponse(message.id, { content: [{ type: "text", text: this.validateResponseSize(this.compactJson(result)) }] });
+                        this.sendResponse(message.id, { content: [{ type: "text", text: this.formatResult(result, args) }] });
                     }
-                    break;
+                    return;
 
                 // Predictive Analytics Handlers
-                case 'get_optimal_charging_strategy':
-                    const vinOCS = args.vin || await this.getFirstVehicleVin();
-                    if (!vinOCS) {
-                        this.sendError(message.id, -32000, this.getMultipleVehicleErrorMessage());
-                        return;
-                    }
-                    result = await this.tessieClient.getOptimalChargingStrategy(vinOCS);
-                    break;
-
                 case 'predict_maintenance_needs':
                     const vinPMN = args.vin || await this.getFirstVehicleVin();
                     if (!vinPMN) {
@@ -3587,7 +3478,7 @@ class TessieMCPServer {
                 content: [
                     {
                         type: "text",
-                        text: this.validateResponseSize(this.compactJson(result))
+                        text: this.formatResult(result, args)
                     }
                 ]
             });
@@ -3706,29 +3597,36 @@ class TessieMCPServer {
     }
 }
 
-// Start the server
-const server = new TessieMCPServer();
-server.start();
+if (require.main === module) {
+    console.error("=== TESSIE MCP SERVER STARTING ===");
+
+    // Start the server
+    const server = new TessieMCPServer();
+    server.start();
 
-// Signal handlers
-process.on('SIGTERM', () => {
-    console.error("Received SIGTERM");
-    process.exit(0);
-});
+    // Signal handlers
+    process.on('SIGTERM', () => {
+        console.error("Received SIGTERM");
+        process.exit(0);
+    });
 
-process.on('SIGINT', () => {
-    console.error("Received SIGINT");
-    process.exit(0);
-});
+    process.on('SIGINT', () => {
+        console.error("Received SIGINT");
+        process.exit(0);
+    });
 
-process.on('uncaughtException', (error) => {
-    console.error("Uncaught exception:", error);
-    process.exit(1);
-});
+    process.on('uncaughtException', (error) => {
+        console.error("Uncaught exception:", error);
+        process.exit(1);
+    });
 
-process.on('unhandledRejection', (reason) => {
-    console.error("Unhandled rejection:", reason);
-    process.exit(1);
-});
+    process.on('unhandledRejection', (reason) => {
+        console.error("Unhandled rejection:", reason);
+        process.exit(1);
+    });
+
+    console.error("=== TESSIE MCP SERVER READY ===");
+}
 
-console.error("=== TESSIE MCP SERVER READY ===");
\ No newline at end of file
+// Exported for tests; running the file directly starts the stdio server
+module.exports = { TessieClient, HistoryStore, convertUnits, resolveUnits };
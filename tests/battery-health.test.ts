@@ -0,0 +1,87 @@
+import { analyzeBatteryHealth, detectDrops, fitLine } from '../src/battery-health';
+
+const year = 365.25 * 24 * 3600;
+const start = 1600000000;
+
+// 80 kWh pack losing 0.8 kWh (1%) per 5,000 miles, one reading per quarter year
+const measurements = Array.from({ length: 9 }, (_, i) => ({
+  timestamp: start + (i * year) / 4,
+  odometer: i * 5000,
+  max_range: 300 - i * 3,
+  capacity: 80 - i * 0.8
+}));
+
+describe('battery health', () => {
+  test('should fit a least-squares line', () => {
+    const fit = fitLine([{ x: 0, y: 1 }, { x: 1, y: 3 }, { x: 2, y: 5 }])!;
+
+    expect(fit.slope).toBeCloseTo(2);
+    expect(fit.intercept).toBeCloseTo(1);
+    expect(fit.r_squared).toBeCloseTo(1);
+    expect(fitLine([{ x: 1, y: 1 }, { x: 1, y: 2 }])).toBeNull();
+  });
+
+  test('should measure degradation against mileage and age', () => {
+    const report = analyzeBatteryHealth('VIN123', measurements)!;
+
+    expect(report).toMatchObject({ metric: 'capacity_kwh', baseline: 80, baseline_source: 'peak_measurement' });
+    expect(report.latest).toMatchObject({ odometer: 40000, value: 73.6, health_percent: 92 });
+    expect(report.trend!.percent_per_1000_miles).toBeCloseTo(0.2);
+    expect(report.trend!.percent_per_year).toBeCloseTo(4);
+    expect(report.drops).toEqual([]);
+  });
+
+  test('should fall back to rated range without capacity readings', () => {
+    const report = analyzeBatteryHealth('VIN123', measurements.map(({ capacity: _capacity, ...m }) => m))!;
+
+    expect(report).toMatchObject({ metric: 'max_range', baseline: 300 });
+    expect(report.latest.health_percent).toBe(92);
+  });
+
+  test('should skip the trend for too few or too close readings', () => {
+    expect(analyzeBatteryHealth('VIN123', measurements.slice(0, 2))!.trend).toBeNull();
+    expect(analyzeBatteryHealth('VIN123', measurements.map(m => ({ ...m, odometer: 100 })))!.trend).toBeNull();
+    expect(analyzeBatteryHealth('VIN123', [])).toBeNull();
+  });
+
+  test('should project capacity at a future odometer reading', () => {
+    const report = analyzeBatteryHealth('VIN123', measurements, { projectToOdometer: 100000 })!;
+
+    expect(report.projection).toEqual({ odometer: 100000, value: 64, health_percent: 80 });
+  });
+
+  test('should flag sudden drops but not single noisy readings', () => {
+    const points = (values: number[]) => values.map((value, i) => ({
+      timestamp: start + i * 86400,
+      odometer: i * 100,
+      value,
+      health_percent: value / 0.8
+    }));
+    const stepped = points([80, 79.8, 79.9, 75, 75.1, 74.9]);
+
+    expect(detectDrops(stepped, 80)).toEqual([
+      { timestamp: start + 3 * 86400, odometer: 300, previous_value: 79.9, value: 75, drop_percent: 6.1 }
+    ]);
+    expect(detectDrops(stepped, 80, 10)).toEqual([]);
+    expect(detectDrops(points([80, 79.8, 75, 79.9, 79.7]), 80)).toEqual([]);
+  });
+
+  test('should compare with the other vehicles in the account', () => {
+    const report = analyzeBatteryHealth('VIN123', measurements, {
+      fleet: [
+        { vin: 'VIN123', capacity: 73.6, original_capacity: 82 },
+        { vin: 'VIN456', health_percent: 95 },
+        { vin: 'VIN789', degradation_percent: 7 },
+        { vin: 'VIN000' }
+      ]
+    })!;
+
+    expect(report).toMatchObject({ baseline: 82, baseline_source: 'original_capacity' });
+    expect(report.fleet).toEqual({
+      vehicles: 2,
+      vehicle_health_percent: 89.8,
+      fleet_average_health_percent: 94,
+      difference_percent: -4.2
+    });
+  });
+});
@@ -0,0 +1,79 @@
+import { chargeCost, classifyCharge, summarizeCharges } from '../src/charging';
+import { TessieCharge } from '../src/tessie-client';
+
+const charge = (overrides: Partial<TessieCharge>): TessieCharge => ({
+  id: 1,
+  started_at: 1700000000,
+  ended_at: 1700003600,
+  location: '123 Main St, Springfield',
+  energy_added: 20,
+  starting_battery: 40,
+  ending_battery: 70,
+  ...overrides
+});
+
+describe('charging', () => {
+  describe('classifyCharge', () => {
+    test('should classify Supercharger sessions by the Tessie flag', () => {
+      expect(classifyCharge(charge({ is_supercharger: true, saved_location: 'Home' }))).toBe('supercharger');
+    });
+
+    test('should match home labels against saved locations and addresses', () => {
+      expect(classifyCharge(charge({ saved_location: 'Home' }))).toBe('home');
+      expect(classifyCharge(charge({}), ['main st'])).toBe('home');
+      expect(classifyCharge(charge({ saved_location: 'Office' }))).toBe('public');
+    });
+  });
+
+  describe('chargeCost', () => {
+    test('should prefer the recorded cost', () => {
+      expect(chargeCost(charge({ cost: 4.5 }), 0.3)).toEqual({ cost: 4.5, source: 'recorded' });
+    });
+
+    test('should estimate from grid energy at the given price', () => {
+      expect(chargeCost(charge({ energy_used: 22 }), 0.15)).toEqual({ cost: 3.3, source: 'estimated' });
+      expect(chargeCost(charge({}), 0.15)).toEqual({ cost: 3, source: 'estimated' });
+    });
+
+    test('should price with the tariff before the flat price', () => {
+      const tariffCost = { tariff: 'Home TOU', cost: 2.4, by_period: [] };
+      expect(chargeCost(charge({}), 0.15, tariffCost)).toEqual({ cost: 2.4, source: 'tariff' });
+      expect(chargeCost(charge({ cost: 4.5 }), 0.15, tariffCost)).toEqual({ cost: 4.5, source: 'recorded' });
+    });
+
+    test('should report an unknown cost without a price', () => {
+      expect(chargeCost(charge({ cost: null }))).toEqual({ cost: null, source: 'unknown' });
+    });
+  });
+
+  describe('summarizeCharges', () => {
+    const charges = [
+      charge({ id: 1, saved_location: 'Home', energy_added: 30 }),
+      charge({ id: 2, saved_location: 'Home', energy_added: 10, cost: 2 }),
+      charge({ id: 3, is_supercharger: true, energy_added: 40, cost: 16 }),
+      charge({ id: 4, energy_added: 15 })
+    ];
+
+    test('should total energy and known costs by location type', () => {
+      const summary = summarizeCharges(charges);
+
+      expect(summary.total).toEqual({
+        sessions: 4,
+        energy_added_kwh: 95,
+        cost: 18,
+        sessions_without_cost: 2,
+        cost_per_kwh: 0.36
+      });
+      expect(summary.by_location_type.home).toMatchObject({ sessions: 2, energy_added_kwh: 40, cost: 2, sessions_without_cost: 1 });
+      expect(summary.by_location_type.supercharger).toMatchObject({ sessions: 1, cost: 16, cost_per_kwh: 0.4 });
+      expect(summary.by_location_type.public).toMatchObject({ sessions: 1, cost: 0, cost_per_kwh: null });
+    });
+
+    test('should fill in missing costs from the given price', () => {
+      const summary = summarizeCharges(charges, { pricePerKwh: 0.1 });
+
+      expect(summary.total).toMatchObject({ cost: 22.5, sessions_without_cost: 0 });
+      expect(summary.by_location_type.home.cost).toBe(5);
+    });
+  });
+});
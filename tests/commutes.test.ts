@@ -0,0 +1,108 @@
+import { detectCommutes } from '../src/commutes';
+import { DriveAnalyzer } from '../src/drive-analyzer';
+import { Place } from '../src/places';
+import { TessieDrive } from '../src/tessie-client';
+
+const home = { latitude: 37.8044, longitude: -122.2712, address: '1 Home St' };
+const office = { latitude: 37.7749, longitude: -122.4194, address: '500 Market St' };
+const gym = { latitude: 37.7849, longitude: -122.4094, address: '9 Gym Ave' };
+const officePlace: Place = { name: 'Office', latitude: office.latitude, longitude: office.longitude, radius_meters: 150, source: 'saved' };
+const monday = Date.parse('2024-03-04T00:00:00Z') / 1000;
+const minute = 60;
+const day = 24 * 3600;
+
+let nextId = 1;
+function drive(from: typeof home, to: typeof home, startedAt: number, minutes: number, energy?: number): TessieDrive {
+  // Park in a slightly different spot each time
+  const jitter = (nextId % 5) * 0.0002;
+  return {
+    id: nextId++,
+    started_at: startedAt,
+    ended_at: startedAt + minutes * minute,
+    starting_location: from.address,
+    starting_latitude: from.latitude + jitter,
+    starting_longitude: from.longitude,
+    ending_location: to.address,
+    ending_latitude: to.latitude,
+    ending_longitude: to.longitude - jitter,
+    starting_battery: 80,
+    ending_battery: 76,
+    odometer_distance: 12,
+    energy_used: energy
+  } as TessieDrive;
+}
+
+// Two working weeks: leaving at 08:00, 08:20 or 08:40, where the later starts hit traffic,
+// home at 17:30, and lunch at the gym on the first two days
+const drives: TessieDrive[] = [];
+[0, 1, 2, 3, 4, 7, 8, 9, 10, 11].forEach((offset, i) => {
+  const date = monday + offset * day;
+  drives.push(drive(home, office, date + (8 * 60 + (i % 3) * 20) * minute, 25 + (i % 3) * 10, 5));
+  if (i < 2) {
+    drives.push(drive(office, gym, date + 12 * 3600, 15));
+    drives.push(drive(gym, office, date + 13 * 3600, 15));
+  }
+  drives.push(drive(office, home, date + (17 * 60 + 30) * minute, 30, 5));
+});
+const trips = new DriveAnalyzer().mergeDrives(drives);
+
+describe('detectCommutes', () => {
+  test('should pair the routes driven at the same time every day into one commute', () => {
+    const commutes = detectCommutes(trips, drives, { timeZone: 'UTC', places: [officePlace] });
+
+    expect(commutes).toHaveLength(1);
+    expect(commutes[0]).toMatchObject({ name: '1 Home St ⇄ Office', declared: false });
+
+    const [outbound, inbound] = commutes[0].legs;
+    expect(outbound).toMatchObject({
+      direction: 'outbound',
+      from: '1 Home St',
+      to: 'Office',
+      trips: 10,
+      days: 10,
+      typical_departure: '08:20',
+      duration: { median_minutes: 35, mean_minutes: 34, p90_minutes: 45 },
+      median_miles: 12,
+      miles: 120,
+      energy_kwh: 50
+    });
+    expect(outbound.duration.std_dev_minutes).toBe(8.8);
+    expect(outbound.departures).toEqual([
+      { window: '08:00', trips: 7, median_duration_minutes: 25 },
+      { window: '08:30', trips: 3, median_duration_minutes: 45 }
+    ]);
+    expect(outbound.best_departure_window).toEqual({ window: '08:00', trips: 7, median_duration_minutes: 25, minutes_saved: 10 });
+    expect(outbound.by_month).toEqual([{ month: '2024-03', trips: 10, median_duration_minutes: 35, miles: 120, energy_kwh: 50 }]);
+
+    expect(inbound).toMatchObject({ direction: 'return', from: 'Office', to: '1 Home St', trips: 10, typical_departure: '17:30' });
+  });
+
+  test('should name unmatched ends after their most common address', () => {
+    const commutes = detectCommutes(trips, drives, { timeZone: 'UTC' });
+
+    expect(commutes.map(commute => commute.name)).toEqual(['1 Home St ⇄ 500 Market St']);
+  });
+
+  test('should report declared commutes and leave their trips out of detection', () => {
+    const commutes = detectCommutes(trips, drives, {
+      timeZone: 'UTC',
+      places: [officePlace],
+      declared: [{ name: 'Lunch', from: 'Office', to: 'gym' }],
+      minTrips: 2
+    });
+
+    expect(commutes[0]).toMatchObject({
+      name: 'Lunch',
+      declared: true,
+      legs: [
+        { direction: 'outbound', from: 'Office', to: '9 Gym Ave', trips: 2 },
+        { direction: 'return', from: '9 Gym Ave', to: 'Office', trips: 2 }
+      ]
+    });
+    expect(commutes.slice(1).map(commute => commute.name)).toEqual(['1 Home St ⇄ Office']);
+  });
+
+  test('should require the minimum number of days', () => {
+    expect(detectCommutes(trips, drives, { timeZone: 'UTC', minTrips: 11 })).toEqual([]);
+  });
+});
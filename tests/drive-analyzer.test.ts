@@ -1,5 +1,7 @@
-import { DriveAnalyzer, MergedDrive, DriveAnalysis } from '../src/drive-analyzer';
+import { DriveAnalyzer, MergedDrive, DriveAnalysis, DEFAULT_MERGE_POLICY, parseDriveId, resolveMergePolicy } from '../src/drive-analyzer';
 import { TessieDrive } from '../src/tessie-client';
+import { UnitConverter, resolveUnits } from '../src/units';
+import { lookupPackCapacity } from '../src/pack-capacity';
 
 describe('DriveAnalyzer', () => {
   let analyzer: DriveAnalyzer;
@@ -30,6 +32,9 @@ describe('DriveAnalyzer', () => {
     energy_used: 15.5
   });
 
+  // Drives from vehicles or periods where Tessie did not record energy use
+  const withoutEnergy = (drive: TessieDrive): TessieDrive => ({ ...drive, energy_used: undefined });
+
   describe('mergeDrives', () => {
     test('should return single drive when no merging needed', () => {
       const drives = [createMockDrive(1, 1000, 2000, 50, 80, 70)];
@@ -109,6 +114,115 @@ describe('DriveAnalyzer', () => {
     });
   });
 
+  describe('merge policy', () => {
+    // A delivery run: 12 and 14 minute stops between legs
+    const deliveryRun = () => [
+      createMockDrive(1, 1000, 2000, 10, 80, 77),
+      createMockDrive(2, 2720, 3500, 8, 77, 74),
+      createMockDrive(3, 4340, 5000, 6, 74, 72)
+    ];
+
+    test('should merge longer stops when the gap limit is raised', () => {
+      const policy = resolveMergePolicy({ max_gap_minutes: 15 });
+
+      expect(analyzer.mergeDrives(deliveryRun())).toHaveLength(3);
+
+      const result = analyzer.mergeDrives(deliveryRun(), policy);
+      expect(result).toHaveLength(1);
+      expect(result[0].stops.map(stop => stop.stop_type)).toEqual(['short', 'short']);
+    });
+
+    test('should use the policy passed to the constructor by default', () => {
+      const deliveryAnalyzer = new DriveAnalyzer(undefined, resolveMergePolicy({ max_gap_minutes: 15 }));
+
+      expect(deliveryAnalyzer.mergeDrives(deliveryRun())).toHaveLength(1);
+      expect(deliveryAnalyzer.analyzeLatestDrive(deliveryRun())!.mergedDrive.originalDriveIds).toEqual([1, 2, 3]);
+    });
+
+    test('should apply the charging threshold', () => {
+      const drive1 = createMockDrive(1, 1000, 2000, 30, 80, 60);
+      const drive2 = createMockDrive(2, 3000, 4000, 20, 70, 55); // 10% gained over a 16.67 min stop
+
+      expect(analyzer.mergeDrives([drive1, drive2], resolveMergePolicy({ charging_threshold_percent: 15 }))).toHaveLength(2);
+    });
+
+    test('should not merge across stops longer than the maximum, even when charging', () => {
+      const drive1 = createMockDrive(1, 1000, 2000, 30, 80, 60);
+      const drive2 = createMockDrive(2, 5000, 6000, 20, 90, 75); // 50 min charging stop
+
+      expect(analyzer.mergeDrives([drive1, drive2])).toHaveLength(1);
+      expect(analyzer.mergeDrives([drive1, drive2], resolveMergePolicy({ max_stop_minutes: 30 }))).toHaveLength(2);
+    });
+
+    test('should never merge across a boundary location', () => {
+      const drive1 = { ...createMockDrive(1, 1000, 2000, 30, 80, 75), ending_saved_location: 'Home' };
+      const drive2 = createMockDrive(2, 2300, 3000, 20, 75, 65); // 5 min gap
+
+      expect(analyzer.mergeDrives([drive1, drive2])).toHaveLength(1);
+      expect(analyzer.mergeDrives([drive1, drive2], resolveMergePolicy({ boundary_locations: ['home'] }))).toHaveLength(2);
+    });
+
+    test('should fill unset fields from the base policy', () => {
+      const base = resolveMergePolicy({ max_gap_minutes: 15, boundary_locations: ['Home'] });
+
+      expect(resolveMergePolicy({ max_stop_minutes: 60 }, base)).toEqual({
+        ...DEFAULT_MERGE_POLICY,
+        max_gap_minutes: 15,
+        max_stop_minutes: 60,
+        boundary_locations: ['Home']
+      });
+    });
+  });
+
+  describe('analyzeDrive', () => {
+    // Morning trip (drives 1 and 2, merged over a 5 min stop), evening trip (drive 3)
+    const day = [
+      createMockDrive(1, 1000, 2000, 30, 80, 75),
+      createMockDrive(2, 2300, 3000, 20, 75, 65),
+      createMockDrive(3, 40000, 41000, 25, 65, 55)
+    ];
+
+    test('should analyze the trip containing a drive ID', () => {
+      const result = analyzer.analyzeDrive(day, { driveId: 2 });
+
+      expect(result!.mergedDrive.id).toBe('merged_1_2');
+      expect(result!.mergedDrive.total_distance).toBe(50);
+    });
+
+    test('should analyze the trip in progress at a timestamp', () => {
+      expect(analyzer.analyzeDrive(day, { timestamp: 2100 })!.mergedDrive.originalDriveIds).toEqual([1, 2]);
+    });
+
+    test('should fall back to the trip starting nearest to the timestamp', () => {
+      expect(analyzer.analyzeDrive(day, { timestamp: 39000 })!.mergedDrive.originalDriveIds).toEqual([3]);
+    });
+
+    test('should return null when no trip matches', () => {
+      expect(analyzer.analyzeDrive(day, { driveId: 99 })).toBeNull();
+      expect(analyzer.analyzeDrive([], { timestamp: 1000 })).toBeNull();
+    });
+
+    test('should re-merge with the given policy', () => {
+      const result = analyzer.analyzeDrive(day, { driveId: 2 }, undefined, resolveMergePolicy({ max_gap_minutes: 1 }));
+
+      expect(result!.mergedDrive.originalDriveIds).toEqual([2]);
+    });
+  });
+
+  describe('parseDriveId', () => {
+    test('should read plain and merged IDs', () => {
+      expect(parseDriveId('123')).toEqual([123]);
+      expect(parseDriveId('merged_12_13_14')).toEqual([12, 13, 14]);
+      expect(parseDriveId(' merged_7 ')).toEqual([7]);
+    });
+
+    test('should reject anything else', () => {
+      expect(parseDriveId('12_13')).toBeNull();
+      expect(parseDriveId('merged_')).toBeNull();
+      expect(parseDriveId('last tuesday')).toBeNull();
+    });
+  });
+
   describe('analyzeLatestDrive', () => {
     test('should return null for empty drives array', () => {
       const result = analyzer.analyzeLatestDrive([]);
@@ -116,7 +230,7 @@ describe('DriveAnalyzer', () => {
     });
 
     test('should analyze single drive correctly', () => {
-      const drive = createMockDrive(1, 1000, 3000, 60, 90, 70, 20);
+      const drive = withoutEnergy(createMockDrive(1, 1000, 3000, 60, 90, 70, 20));
       const result = analyzer.analyzeLatestDrive([drive]);
 
       expect(result).not.toBeNull();
@@ -154,7 +268,7 @@ describe('DriveAnalyzer', () => {
     });
 
     test('should calculate efficiency correctly', () => {
-      const drive = createMockDrive(1, 1000, 3000, 75, 90, 70); // 75 miles, 20% battery
+      const drive = withoutEnergy(createMockDrive(1, 1000, 3000, 75, 90, 70)); // 75 miles, 20% battery
       const result = analyzer.analyzeLatestDrive([drive]);
 
       expect(result).not.toBeNull();
@@ -176,6 +290,61 @@ describe('DriveAnalyzer', () => {
       expect(summary).toContain('25 miles (50% of drive)'); // FSD analysis
       expect(summary).toContain('short stop'); // Stop analysis
     });
+
+    test('should write the summary in the requested units', () => {
+      const drive = withoutEnergy(createMockDrive(1, 1000, 3000, 75, 90, 70, 25)); // 75 miles, 15 kWh
+      const metric = new UnitConverter(resolveUnits('metric'));
+
+      const summary = analyzer.analyzeLatestDrive([drive], metric)!.summary;
+
+      expect(summary).toContain('Distance: 120.7 km');
+      expect(summary).toContain('km/h');
+      expect(summary).toContain('Efficiency: 12.43 kWh/100km');
+      expect(summary).toContain('40.23 km (33.33% of drive)');
+      expect(summary).not.toContain('miles');
+    });
+  });
+
+  describe('energy accounting', () => {
+    test('should use measured energy when every drive reports it', () => {
+      const drive1 = createMockDrive(1, 1000, 2000, 30, 80, 75);
+      const drive2 = createMockDrive(2, 2300, 3300, 20, 75, 65);
+
+      const result = analyzer.analyzeLatestDrive([drive1, drive2])!;
+
+      expect(result.mergedDrive.energy_used_kwh).toBe(31);
+      expect(result.batteryConsumption).toMatchObject({
+        estimated_kwh_used: 31,
+        method: 'measured',
+        confidence: 'high',
+        pack_capacity_kwh: undefined
+      });
+      expect(result.summary).toContain('(31 kWh measured)');
+    });
+
+    test('should fall back to the pack capacity when any drive lacks measured energy', () => {
+      const drive1 = createMockDrive(1, 1000, 2000, 30, 80, 75);
+      const drive2 = withoutEnergy(createMockDrive(2, 2300, 3300, 20, 75, 65));
+      const capacity = lookupPackCapacity('5YJSA1E2XMF000001', { trim_badging: 'plaid' });
+
+      const result = analyzer.analyzeLatestDrive([drive1, drive2], undefined, undefined, capacity)!;
+
+      expect(result.mergedDrive.energy_used_kwh).toBeNull();
+      expect(result.batteryConsumption).toMatchObject({
+        estimated_kwh_used: 14.25, // 15% of 95 kWh
+        method: 'pack_capacity',
+        confidence: 'medium',
+        pack_capacity_kwh: 95,
+        pack_capacity_source: 'model_table'
+      });
+      expect(result.summary).toContain('(≈14.25 kWh)');
+    });
+
+    test('should report low confidence without a known vehicle', () => {
+      const result = analyzer.analyzeLatestDrive([withoutEnergy(createMockDrive(1, 1000, 3000, 60, 90, 70))])!;
+
+      expect(result.batteryConsumption).toMatchObject({ method: 'pack_capacity', confidence: 'low', pack_capacity_kwh: 75 });
+    });
   });
 
   describe('edge cases', () => {
@@ -0,0 +1,71 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { DriveAnnotationStore, driveTags } from '../src/drive-annotations';
+
+describe('DriveAnnotationStore', () => {
+  let dataDir: string;
+  const now = () => Date.parse('2024-06-01T00:00:00Z');
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tessie-annotations-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('should persist annotations per VIN and drive', async () => {
+    await new DriveAnnotationStore(dataDir, now).update('VIN123', 7, { purpose: 'business', purpose_note: 'Client visit' });
+
+    const reloaded = await new DriveAnnotationStore(dataDir, now).forVehicle('VIN123');
+
+    expect(reloaded.get(7)).toEqual({ purpose: 'business', purpose_note: 'Client visit', updated_at: 1717200000 });
+    expect((await new DriveAnnotationStore(dataDir, now).forVehicle('VIN456')).size).toBe(0);
+  });
+
+  test('should clear fields set to null and keep ones left out', async () => {
+    const store = new DriveAnnotationStore(dataDir, now);
+    await store.update('VIN123', 7, { purpose: 'business', purpose_note: 'Client visit' });
+
+    const updated = await store.update('VIN123', 7, { purpose: null });
+
+    expect(updated).toEqual({ purpose_note: 'Client visit', updated_at: 1717200000 });
+  });
+
+  test('should add and remove tags case-insensitively', async () => {
+    const store = new DriveAnnotationStore(dataDir, now);
+    await store.tag('VIN123', 7, ['Acme', ' reimbursable ']);
+    await store.tag('VIN123', 7, ['ACME', 'q3']);
+
+    expect((await store.forVehicle('VIN123')).get(7)?.tags).toEqual(['Acme', 'reimbursable', 'q3']);
+    expect((await store.tag('VIN123', 7, [], ['REIMBURSABLE'])).tags).toEqual(['Acme', 'q3']);
+    expect(await store.tag('VIN123', 7, [], ['acme', 'Q3'])).not.toHaveProperty('tags');
+  });
+
+  test('should keep concurrent changes to one drive', async () => {
+    const store = new DriveAnnotationStore(dataDir, now);
+
+    await Promise.all([
+      store.tag('VIN123', 7, ['Acme']),
+      store.tag('VIN123', 7, ['q3']),
+      store.update('VIN123', 7, { note: 'Site visit' })
+    ]);
+
+    const reloaded = (await new DriveAnnotationStore(dataDir, now).forVehicle('VIN123')).get(7);
+    expect(reloaded).toMatchObject({ tags: ['Acme', 'q3'], note: 'Site visit' });
+  });
+
+  test('should combine the Tessie tag with local tags', () => {
+    expect(driveTags({ tag: 'work' }, { tags: ['WORK', 'Acme'], updated_at: 0 })).toEqual(['work', 'Acme']);
+    expect(driveTags({})).toEqual([]);
+  });
+
+  test('should keep annotations in memory without a data directory', async () => {
+    const store = new DriveAnnotationStore(null, now);
+    await store.update('VIN123', 7, { purpose: 'personal' });
+
+    expect(store.persistent).toBe(false);
+    expect((await store.forVehicle('VIN123')).get(7)?.purpose).toBe('personal');
+  });
+});
@@ -0,0 +1,54 @@
+import {
+  TessieAuthError,
+  UpstreamError,
+  UpstreamTimeoutError,
+  VehicleNotFoundError,
+  toTessieError,
+  toToolError,
+} from '../src/errors';
+
+describe('errors', () => {
+  describe('toTessieError', () => {
+    test('should pass TessieError instances through unchanged', () => {
+      const original = new TessieAuthError('Failed to get vehicles: Unauthorized', 401);
+
+      expect(toTessieError(original, 'get vehicles')).toBe(original);
+    });
+
+    test('should wrap non-HTTP failures as upstream errors', () => {
+      const error = toTessieError(new Error('socket hang up'), 'get drives');
+
+      expect(error).toBeInstanceOf(UpstreamError);
+      expect(error.message).toBe('Failed to get drives: socket hang up');
+    });
+
+    test('should keep subclass identity for instanceof checks', () => {
+      const error = new UpstreamTimeoutError('Failed to get drives: timeout');
+
+      expect(error).toBeInstanceOf(UpstreamTimeoutError);
+      expect(error).toBeInstanceOf(Error);
+      expect(error.name).toBe('UpstreamTimeoutError');
+      expect(error.code).toBe('UPSTREAM_TIMEOUT');
+    });
+  });
+
+  describe('toToolError', () => {
+    test('should return an isError result with code and hint', () => {
+      const result = toToolError(new VehicleNotFoundError('Vehicle ABC was not found on this account', 'ABC'), 'get vehicle state');
+      const payload = JSON.parse(result.content[0].text);
+
+      expect(result.isError).toBe(true);
+      expect(payload.error.code).toBe('VEHICLE_NOT_FOUND');
+      expect(payload.error.message).toBe('Vehicle ABC was not found on this account');
+      expect(payload.error.hint).toContain('get_vehicles');
+    });
+
+    test('should report unexpected errors as INTERNAL_ERROR without nesting messages', () => {
+      const result = toToolError(new Error('boom'), 'analyze latest drive');
+      const payload = JSON.parse(result.content[0].text);
+
+      expect(payload.error.code).toBe('INTERNAL_ERROR');
+      expect(payload.error.message).toBe('Failed to analyze latest drive: boom');
+    });
+  });
+});
@@ -0,0 +1,96 @@
+import { CHARGE_CSV_COLUMNS, DRIVE_CSV_COLUMNS, ExportContext, exportFilename, toCsv, toGpx, toKml } from '../src/exports';
+import { TessieCharge, TessieDrive } from '../src/tessie-client';
+import { resolveUnits, UnitConverter } from '../src/units';
+
+const context: ExportContext = { units: new UnitConverter(resolveUnits('metric')), timeZone: 'UTC' };
+const start = Date.parse('2024-03-01T08:00:00Z') / 1000;
+
+const drive = {
+  id: 7,
+  started_at: start,
+  ended_at: start + 1800,
+  starting_location: '1 Main St, Springfield, IL',
+  ending_location: 'Office "B"',
+  starting_odometer: 1000,
+  ending_odometer: 1010,
+  starting_battery: 80,
+  ending_battery: 76,
+  odometer_distance: 10,
+  average_speed: 20,
+  max_speed: 50
+} as TessieDrive;
+
+const tracks = [{
+  name: 'Drive 7: Home → <Work>',
+  points: [
+    { timestamp: start, latitude: 37.1, longitude: -122.1, speed: 30, battery_level: 80, heading: 90 },
+    { timestamp: '2024-03-01T08:01:00Z', latitude: 37.2, longitude: -122.2, battery_level: 79 },
+    { timestamp: 'not a time', latitude: 0, longitude: 0 }
+  ]
+}];
+
+describe('exports', () => {
+  test('should name files by the local days they cover, with only safe characters', () => {
+    expect(exportFilename('VIN123', 'drives', '2024-03-01T08:00:00.000Z', '2024-03-08T07:59:59.999Z', 'America/Los_Angeles', 'csv'))
+      .toBe('VIN123-drives-2024-03-01-2024-03-07.csv');
+    expect(exportFilename('../VIN', 'mileage-log', '2024-03-01T00:00:00Z', '2024-03-02T00:00:00Z', 'UTC', 'csv'))
+      .toBe('___VIN-mileage-log-2024-03-01-2024-03-02.csv');
+  });
+
+  test('should write drives with the stable column spec in the requested units', () => {
+    const lines = toCsv(DRIVE_CSV_COLUMNS, [drive], context).split('\r\n');
+
+    expect(lines[0]).toBe(
+      'id,start_time,end_time,starting_location,ending_location,starting_odometer,ending_odometer,distance,' +
+      'duration_minutes,starting_battery,ending_battery,energy_used_kwh,average_speed,max_speed,autopilot_distance,' +
+      'average_outside_temperature,tag,tags,note'
+    );
+    expect(lines[1]).toBe(
+      '7,2024-03-01T08:00:00+00:00,2024-03-01T08:30:00+00:00,"1 Main St, Springfield, IL","Office ""B""",' +
+      '1609.34,1625.44,16.09,30,80,76,,32.19,80.47,,,,,'
+    );
+    expect(lines[2]).toBe('');
+  });
+
+  test('should add local tags and notes to drives', () => {
+    const annotations = new Map([[7, { tags: ['Acme', 'reimbursable'], note: 'Site visit, day 1', updated_at: 0 }]]);
+
+    const csv = toCsv(DRIVE_CSV_COLUMNS, [{ ...drive, tag: 'work' }], { ...context, annotations });
+
+    expect(csv.split('\r\n')[1]).toMatch(/,work,work; Acme; reimbursable,"Site visit, day 1"$/);
+  });
+
+  test('should write charges with location type and cost', () => {
+    const charge = {
+      id: 3, started_at: start, ended_at: start + 3600, location: 'Home', energy_added: 10,
+      starting_battery: 40, ending_battery: 55
+    } as TessieCharge;
+
+    const csv = toCsv(CHARGE_CSV_COLUMNS, [charge], { ...context, pricePerKwh: 0.2 });
+
+    expect(csv.split('\r\n')[1]).toBe('3,2024-03-01T08:00:00+00:00,2024-03-01T09:00:00+00:00,Home,home,,40,55,10,,,2,estimated');
+  });
+
+  test('should write GPX tracks with speed and battery extensions', () => {
+    const gpx = toGpx(tracks, context, 'Export');
+
+    expect(gpx).toContain('<name>Drive 7: Home → &lt;Work&gt;</name>');
+    expect(gpx).toContain(
+      '<trkpt lat="37.1" lon="-122.1"><time>2024-03-01T08:00:00.000Z</time>' +
+      '<extensions><tessie:speed>48.28</tessie:speed><tessie:battery_level>80</tessie:battery_level><tessie:heading>90</tessie:heading></extensions></trkpt>'
+    );
+    expect(gpx).toContain('<time>2024-03-01T08:01:00.000Z</time>');
+    expect(gpx.match(/<trkpt /g)).toHaveLength(2);
+    expect(gpx).toContain('Speeds in km/h');
+  });
+
+  test('should write KML placemarks with per-point speed and battery arrays', () => {
+    const kml = toKml(tracks, context, 'Export');
+
+    expect(kml).toContain('<gx:coord>-122.1 37.1 0</gx:coord>');
+    expect(kml.match(/<when>/g)).toHaveLength(2);
+    expect(kml).toMatch(/<gx:SimpleArrayData name="speed">\s*<gx:value>48.28<\/gx:value>\s*<gx:value><\/gx:value>/);
+    expect(kml).toMatch(/<gx:SimpleArrayData name="battery_level">\s*<gx:value>80<\/gx:value>\s*<gx:value>79<\/gx:value>/);
+    expect(kml).toContain('<displayName>Speed (km/h)</displayName>');
+  });
+});
@@ -0,0 +1,117 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { HistoryStore } from '../src/history-store';
+import { TessieClient } from '../src/tessie-client';
+
+const hour = 3600;
+const now = Date.parse('2024-06-01T00:00:00Z');
+const nowSeconds = now / 1000;
+
+const drive = (id: number, hoursAgo: number, extra: Record<string, unknown> = {}) => ({
+  id,
+  started_at: nowSeconds - hoursAgo * hour,
+  ended_at: nowSeconds - hoursAgo * hour + 1800,
+  odometer_distance: 10,
+  ...extra
+});
+
+describe('HistoryStore', () => {
+  let dataDir: string;
+  let client: jest.Mocked<Pick<TessieClient, 'getAllDrives' | 'getAllCharges' | 'getIdles' | 'getVehicleStates'>>;
+  let clock: number;
+
+  const createStore = () =>
+    new HistoryStore(client as unknown as TessieClient, dataDir, { maxAgeMinutes: 15, now: () => clock });
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tessie-history-'));
+    clock = now;
+    client = {
+      getAllDrives: jest.fn().mockResolvedValue([drive(2, 10), drive(1, 100)]),
+      getAllCharges: jest.fn().mockResolvedValue([]),
+      getIdles: jest.fn().mockResolvedValue([]),
+      getVehicleStates: jest.fn().mockResolvedValue([{ timestamp: nowSeconds - hour, battery_level: 80 }])
+    } as never;
+  });
+
+  afterEach(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('should fetch the full history on the first sync, and only recent states', async () => {
+    const results = await createStore().sync('VIN123');
+
+    expect(client.getAllDrives).toHaveBeenCalledWith('VIN123', undefined, undefined);
+    expect(client.getVehicleStates).toHaveBeenCalledWith('VIN123', '2024-05-02T00:00:00.000Z', undefined);
+    expect(results[0]).toEqual({ kind: 'drives', from: null, fetched: 2, added: 2, updated: 0, total: 2, latest: nowSeconds - 10 * hour });
+    expect((await fs.readFile(path.join(dataDir, 'VIN123', 'drives.jsonl'), 'utf8')).trim().split('\n')).toHaveLength(2);
+  });
+
+  test('should sync incrementally and append only new or changed records', async () => {
+    await createStore().sync('VIN123', ['drives']);
+    client.getAllDrives.mockResolvedValueOnce([drive(3, 1), drive(2, 10, { tag: 'work' })] as never);
+    clock = now + hour * 1000;
+
+    const [result] = await createStore().sync('VIN123', ['drives']);
+
+    expect(client.getAllDrives).toHaveBeenLastCalledWith('VIN123', new Date((nowSeconds - 34 * hour) * 1000).toISOString(), undefined);
+    expect(result).toMatchObject({ fetched: 2, added: 1, updated: 1, total: 3 });
+    expect((await fs.readFile(path.join(dataDir, 'VIN123', 'drives.jsonl'), 'utf8')).trim().split('\n')).toHaveLength(4);
+
+    const drives = await createStore().getAllDrives('VIN123');
+    expect(drives.map(d => d.id)).toEqual([3, 2, 1]);
+    expect(drives[1].tag).toBe('work');
+  });
+
+  test('should read from disk while fresh and sync first when stale', async () => {
+    const store = createStore();
+    await store.sync('VIN123', ['drives']);
+
+    const recent = await store.getAllDrives('VIN123', new Date((nowSeconds - 24 * hour) * 1000).toISOString());
+    expect(recent.map(d => d.id)).toEqual([2]);
+    expect(client.getAllDrives).toHaveBeenCalledTimes(1);
+
+    clock = now + 16 * 60 * 1000;
+    await store.getAllDrives('VIN123');
+    expect(client.getAllDrives).toHaveBeenCalledTimes(2);
+  });
+
+  test('should fall back to the local copy when a sync fails', async () => {
+    const store = createStore();
+    await store.sync('VIN123', ['drives']);
+    clock = now + 16 * 60 * 1000;
+    client.getAllDrives.mockRejectedValueOnce(new Error('offline'));
+
+    expect((await store.getAllDrives('VIN123')).map(d => d.id)).toEqual([2, 1]);
+
+    client.getAllCharges.mockRejectedValueOnce(new Error('offline'));
+    await expect(store.getAllCharges('VIN123')).rejects.toThrow('offline');
+  });
+
+  test('should backfill state history for a range older than the first sync', async () => {
+    const store = createStore();
+    await store.sync('VIN123', ['states']);
+    const older = nowSeconds - 60 * 24 * hour;
+    client.getVehicleStates.mockResolvedValueOnce([{ timestamp: older + hour, battery_level: 90 }] as never);
+
+    const states = await store.getVehicleStates('VIN123', new Date(older * 1000).toISOString());
+
+    expect(client.getVehicleStates).toHaveBeenLastCalledWith(
+      'VIN123',
+      '2024-04-02T00:00:00.000Z',
+      '2024-05-03T00:00:00.000Z'
+    );
+    expect(states.map(state => state.battery_level)).toEqual([90, 80]);
+    expect((await store.status('VIN123')).states).toMatchObject({ earliest: older, records: 2 });
+
+    await store.getVehicleStates('VIN123', new Date(older * 1000).toISOString());
+    expect(client.getVehicleStates).toHaveBeenCalledTimes(2);
+  });
+
+  test('should keep VIN arguments inside the data directory', async () => {
+    await createStore().sync('../escape', ['drives']);
+
+    expect(await fs.readdir(dataDir)).toEqual(['___escape']);
+  });
+});
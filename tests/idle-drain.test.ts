@@ -0,0 +1,73 @@
+import { analyzeIdleDrain } from '../src/idle-drain';
+import { TessieIdle, TessieVehicleState } from '../src/tessie-client';
+
+const hour = 3600;
+const start = 1700000000;
+
+const idle = (id: number, hours: number, lost: number, overrides: Partial<TessieIdle> = {}): TessieIdle => ({
+  id,
+  started_at: start + id * 100 * hour,
+  ended_at: start + id * 100 * hour + hours * hour,
+  saved_location: 'Home',
+  starting_battery: 80,
+  ending_battery: 80 - lost,
+  ...overrides
+});
+
+describe('idle drain', () => {
+  test('should normalize loss to %/day and kWh/day from the pack capacity', () => {
+    const report = analyzeIdleDrain([idle(1, 12, 1)], { packKwh: 80 });
+
+    expect(report.idles[0]).toMatchObject({ hours: 12, battery_lost_percent: 1, percent_per_day: 2, kwh_lost: 0.8, kwh_per_day: 1.6, causes: [] });
+    expect(report.total).toEqual({ idles: 1, hours: 12, battery_lost_percent: 1, percent_per_day: 2, kwh_per_day: 1.6 });
+  });
+
+  test('should prefer measured energy and skip short or charging idles', () => {
+    const report = analyzeIdleDrain([
+      idle(1, 24, 2, { energy_used: 1 }),
+      idle(2, 1, 1),
+      idle(3, 10, -5)
+    ]);
+
+    expect(report.idles.map(i => i.id)).toEqual([1]);
+    expect(report.idles[0].kwh_per_day).toBe(1);
+    expect(report.skipped).toBe(2);
+  });
+
+  test('should attribute extra drain to sentry, climate and cold weather', () => {
+    const states = [0, 6, 12].map(h => ({
+      timestamp: start + 300 * hour + h * hour,
+      outside_temp: -4,
+      climate_on: h === 6
+    })) as TessieVehicleState[];
+
+    const report = analyzeIdleDrain([
+      idle(1, 24, 1),
+      idle(2, 24, 4, { sentry_fraction: 0.9 }),
+      idle(3, 12, 2)
+    ], { states });
+
+    expect(report.idles.map(i => i.causes)).toEqual([[], ['sentry'], ['climate', 'cold']]);
+    expect(report.idles[2]).toMatchObject({ sentry_fraction: 0, climate_fraction: 0.33, average_outside_temp: -4 });
+    expect(report.baseline).toMatchObject({ idles: 1, percent_per_day: 1 });
+    expect(report.attribution.map(a => [a.cause, a.excess_percent_per_day])).toEqual([
+      ['sentry', 3],
+      ['climate', 3],
+      ['cold', 3]
+    ]);
+  });
+
+  test('should rank parking locations by drain rate', () => {
+    const report = analyzeIdleDrain([
+      idle(1, 24, 1),
+      idle(2, 10, 1.25, { saved_location: 'Office', sentry_fraction: 1 }),
+      idle(3, 14, 1.75, { saved_location: 'Office', sentry_fraction: 0 }),
+      idle(4, 48, 2)
+    ]);
+
+    expect(report.locations).toEqual([
+      { location: 'Office', idles: 2, hours: 24, battery_lost_percent: 3, percent_per_day: 3, kwh_per_day: 2.25, causes: ['sentry'] },
+      { location: 'Home', idles: 2, hours: 72, battery_lost_percent: 3, percent_per_day: 1, kwh_per_day: 0.75, causes: [] }
+    ]);
+  });
+});
@@ -0,0 +1,148 @@
+import {
+  buildMileageLog,
+  classifyDrive,
+  ClassificationRule,
+  mileageDeduction,
+  mileageDeductions,
+  taxYearBefore,
+  taxYearOf
+} from '../src/mileage-log';
+import { TessieDrive } from '../src/tessie-client';
+
+// Monday 2024-03-04 08:30 in New York
+const monday = Date.parse('2024-03-04T13:30:00Z') / 1000;
+const day = 24 * 3600;
+
+const drive = (id: number, startedAt: number, from: string, to: string, extra: Partial<TessieDrive> = {}) => ({
+  id,
+  started_at: startedAt,
+  ended_at: startedAt + 1800,
+  starting_location: `${from} St, Springfield`,
+  ending_location: `${to} St, Springfield`,
+  starting_saved_location: from,
+  ending_saved_location: to,
+  starting_odometer: 1000 + id * 10,
+  ending_odometer: 1010 + id * 10,
+  starting_battery: 80,
+  ending_battery: 78,
+  odometer_distance: 10,
+  ...extra
+}) as TessieDrive;
+
+const commute: ClassificationRule = {
+  name: 'Office commute',
+  purpose: 'business',
+  from: 'home',
+  to: 'office',
+  either_direction: true,
+  days: ['mon', 'tue', 'wed', 'thu', 'fri'],
+  start_after: '06:00',
+  start_before: '20:00'
+};
+const zone = 'America/New_York';
+
+describe('mileage log', () => {
+  test('should match rules by place, direction, weekday and local start time', () => {
+    expect(classifyDrive(drive(1, monday, 'Home', 'Office'), [commute], zone)).toEqual({
+      purpose: 'business', source: 'rule', rule: 'Office commute', description: undefined
+    });
+    expect(classifyDrive(drive(2, monday + 9 * 3600, 'Office', 'Home'), [commute], zone).source).toBe('rule');
+    expect(classifyDrive(drive(3, monday + 12 * 3600, 'Office', 'Home'), [commute], zone).source).toBe('default');
+    expect(classifyDrive(drive(4, monday - 2 * day, 'Home', 'Office'), [commute], zone).purpose).toBe('personal');
+    expect(classifyDrive(drive(5, monday, 'Home', 'Gym'), [commute], zone).purpose).toBe('personal');
+  });
+
+  test('should prefer overrides, then purpose tags, then rules', () => {
+    const tagged = drive(1, monday, 'Home', 'Office', { tag: 'Personal' });
+
+    expect(classifyDrive(tagged, [commute], zone)).toMatchObject({ purpose: 'personal', source: 'tag' });
+    expect(classifyDrive(tagged, [commute], zone, { purpose: 'business', purpose_note: 'Client visit', updated_at: 0 }))
+      .toEqual({ purpose: 'business', source: 'override', description: 'Client visit' });
+    expect(classifyDrive(drive(2, monday, 'Gym', 'Mall', { tag: 'errand' }), [{ purpose: 'business', tag: 'ERRAND' }], zone))
+      .toMatchObject({ purpose: 'business', source: 'rule', rule: 'rule 1' });
+  });
+
+  test('should read purposes and rule tags from local tags too', () => {
+    const plain = drive(1, monday, 'Gym', 'Mall');
+
+    expect(classifyDrive(plain, [], zone, { tags: ['Business'], updated_at: 0 }))
+      .toMatchObject({ purpose: 'business', source: 'tag' });
+    expect(classifyDrive(plain, [{ purpose: 'business', tag: 'acme' }], zone, { tags: ['Acme'], updated_at: 0 }))
+      .toMatchObject({ purpose: 'business', source: 'rule' });
+  });
+
+  test('should log drives oldest first with business distance per year', () => {
+    const log = buildMileageLog([
+      drive(2, monday, 'Home', 'Office'),
+      drive(1, Date.parse('2023-12-29T15:00:00Z') / 1000, 'Home', 'Office'),
+      drive(3, monday + 3600, 'Office', 'Cafe')
+    ], [commute], zone, new Map([[3, { purpose: 'business' as const, purpose_note: 'Lunch with client', updated_at: 0 }]]));
+
+    expect(log.entries.map(e => e.drive_id)).toEqual([1, 2, 3]);
+    expect(log.entries[0]).toEqual({
+      drive_id: 1,
+      date: '2023-12-29',
+      start_time: '2023-12-29T10:00:00-05:00',
+      end_time: '2023-12-29T10:30:00-05:00',
+      start_address: 'Home St, Springfield',
+      end_address: 'Office St, Springfield',
+      starting_odometer: 1010,
+      ending_odometer: 1020,
+      miles: 10,
+      purpose: 'business',
+      description: null,
+      classified_by: 'rule',
+      rule: 'Office commute',
+      tags: [],
+      note: null
+    });
+    expect(log.entries[2]).toMatchObject({ description: 'Lunch with client', classified_by: 'override' });
+    expect(log.miles_by_purpose).toEqual({ business: 30, personal: 0 });
+    expect(log.business_miles_by_year).toEqual({ '2023': 10, '2024': 20 });
+  });
+
+  test('should total business distance by a tax year that starts mid-year', () => {
+    const at = (iso: string) => Date.parse(iso) / 1000;
+    const log = buildMileageLog([
+      drive(1, at('2023-04-05T15:00:00Z'), 'Home', 'Office'),
+      drive(2, at('2023-04-06T15:00:00Z'), 'Home', 'Office'),
+      drive(3, at('2024-01-10T15:00:00Z'), 'Home', 'Office')
+    ], [commute], zone, new Map(), '04-06');
+
+    expect(log.business_miles_by_year).toEqual({ '2022': 10, '2023': 20 });
+    expect(taxYearOf('2024-12-31')).toBe('2024');
+    expect(taxYearOf('2024-06-30', '07-01')).toBe('2023');
+  });
+
+  test('should apply flat and tiered mileage rates', () => {
+    expect(mileageDeduction(1234.5, 0.67)).toBe(827.12);
+    expect(mileageDeduction(12000, { rate: 0.45, threshold: 10000, rate_after: 0.25 })).toBe(5000);
+    expect(mileageDeduction(8000, { rate: 0.45, threshold: 10000, rate_after: 0.25 })).toBe(3600);
+    expect(mileageDeduction(2000, { rate: 0.45, threshold: 10000, rate_after: 0.25 }, 9000)).toBe(700);
+  });
+
+  test('should price a range that starts partway through the tax year after the earlier business miles', () => {
+    const hmrc = { '2024': { rate: 0.45, threshold: 10000, rate_after: 0.25 } };
+    const at = (iso: string) => Date.parse(iso) / 1000;
+    const earlier = buildMileageLog([
+      drive(1, at('2024-05-06T13:00:00Z'), 'Home', 'Office', { odometer_distance: 6000 }),
+      drive(2, at('2024-07-08T13:00:00Z'), 'Home', 'Office', { odometer_distance: 3500 }),
+      drive(3, at('2024-07-09T13:00:00Z'), 'Home', 'Gym', { odometer_distance: 800 })
+    ], [commute], zone, new Map(), '04-06').entries;
+    const range = buildMileageLog([
+      drive(4, at('2024-10-07T13:00:00Z'), 'Home', 'Office', { odometer_distance: 1000 }),
+      drive(5, at('2025-04-07T13:00:00Z'), 'Home', 'Office', { odometer_distance: 1000 })
+    ], [commute], zone, new Map(), '04-06').entries;
+
+    expect(taxYearBefore('2024-10-01T04:00:00.000Z', zone, hmrc, '04-06')).toEqual({
+      start: '2024-04-06T04:00:00.000Z',
+      end: '2024-10-01T03:59:59.999Z'
+    });
+    expect(taxYearBefore('2024-04-06T04:00:00.000Z', zone, hmrc, '04-06')).toBeNull();
+    expect(taxYearBefore('2024-10-01T04:00:00.000Z', zone, { '2024': 0.45 }, '04-06')).toBeNull();
+    expect(mileageDeductions(range, earlier, { ...hmrc, '2025': hmrc['2024'] }, '04-06')).toEqual([
+      { year: '2024', business_distance: 1000, other_business_distance: 9500, rate: hmrc['2024'], deduction: 350 },
+      { year: '2025', business_distance: 1000, other_business_distance: 0, rate: hmrc['2024'], deduction: 450 }
+    ]);
+  });
+});
@@ -0,0 +1,101 @@
+import { fixedCostOn, fuelCostPerMile, ownershipCosts } from '../src/ownership-costs';
+import { TessieCharge, TessieDrive } from '../src/tessie-client';
+
+const at = (iso: string) => Date.parse(iso) / 1000;
+
+const drive = (id: number, startedAt: string, miles: number) => ({
+  id,
+  started_at: at(startedAt),
+  ended_at: at(startedAt) + 1800,
+  odometer_distance: miles
+}) as TessieDrive;
+
+const charge = (id: number, startedAt: string, overrides: Partial<TessieCharge>): TessieCharge => ({
+  id,
+  started_at: at(startedAt),
+  ended_at: at(startedAt) + 3600,
+  location: 'Home',
+  energy_added: 20,
+  starting_battery: 40,
+  ending_battery: 70,
+  ...overrides
+});
+
+describe('ownership costs', () => {
+  const fixedCosts = [
+    { name: 'Insurance', amount: 1200, period: 'year' as const },
+    { name: 'Payment', amount: 400, period: 'month' as const, end_date: '2024-02-14' },
+    { name: 'Tires', amount: 800, period: 'once' as const, start_date: '2024-02-01' },
+    { name: 'Registration', amount: 300, period: 'once' as const, start_date: '2023-12-01' }
+  ];
+  const drives = [drive(1, '2024-01-20T10:00:00Z', 30), drive(2, '2024-02-10T10:00:00Z', 50), drive(3, '2024-02-20T10:00:00Z', 20)];
+  const charges = [
+    charge(11, '2024-01-21T20:00:00Z', { cost: 5 }),
+    charge(12, '2024-02-11T20:00:00Z', { energy_added: 30, energy_used: 33 }),
+    charge(13, '2024-02-12T20:00:00Z', { energy_added: 10 })
+  ];
+
+  test('should spread recurring costs over the days they cover', () => {
+    expect(fixedCostOn(fixedCosts[1], '2024-02-14')).toBeCloseTo(400 / 29);
+    expect(fixedCostOn(fixedCosts[1], '2024-02-15')).toBe(0);
+    expect(fixedCostOn(fixedCosts[0], '2023-06-01')).toBeCloseTo(1200 / 365);
+    expect(fixedCostOn(fixedCosts[2], '2024-02-01')).toBe(800);
+    expect(fixedCostOn(fixedCosts[2], '2024-02-02')).toBe(0);
+  });
+
+  test('should total charging, fixed costs and distance by month', () => {
+    const costs = ownershipCosts(drives, charges, {
+      timeZone: 'UTC',
+      startDate: '2024-01-15',
+      endDate: '2024-02-29',
+      pricePerKwh: 0.2,
+      fixedCosts,
+      gasoline: { fuel_economy: 25, fuel_price: 4 }
+    });
+
+    expect(costs.months).toEqual([
+      {
+        month: '2024-01',
+        days: 17,
+        drives: 1,
+        miles: 30,
+        charging: { sessions: 1, energy_added_kwh: 20, cost: 5, sessions_without_cost: 0 },
+        fixed_costs: { Insurance: 55.74, Payment: 219.35 },
+        fixed_cost: 275.09,
+        total_cost: 280.09,
+        gasoline_fuel_cost: 4.8
+      },
+      {
+        month: '2024-02',
+        days: 29,
+        drives: 2,
+        miles: 70,
+        charging: { sessions: 2, energy_added_kwh: 40, cost: 8.6, sessions_without_cost: 0 },
+        fixed_costs: { Insurance: 95.08, Payment: 193.1, Tires: 800 },
+        fixed_cost: 1088.19,
+        total_cost: 1096.79,
+        gasoline_fuel_cost: 11.2
+      }
+    ]);
+    expect(costs.total).toMatchObject({ drives: 3, miles: 100, fixed_cost: 1363.28, total_cost: 1376.88, gasoline_fuel_cost: 16 });
+  });
+
+  test('should count sessions without a cost or price and use local months', () => {
+    const costs = ownershipCosts([drive(1, '2024-02-01T03:00:00Z', 12)], charges, {
+      timeZone: 'America/Los_Angeles',
+      startDate: '2024-01-31',
+      endDate: '2024-02-12'
+    });
+
+    expect(costs.months.map(month => [month.month, month.drives, month.charging.cost, month.charging.sessions_without_cost])).toEqual([
+      ['2024-01', 1, 5, 0],
+      ['2024-02', 0, 0, 2]
+    ]);
+    expect(costs.total.gasoline_fuel_cost).toBeNull();
+  });
+
+  test('should price fuel per mile from mpg or L/100km', () => {
+    expect(fuelCostPerMile({ fuel_economy: 25, fuel_price: 4 })).toBeCloseTo(0.16);
+    expect(fuelCostPerMile({ fuel_economy: 8, fuel_economy_unit: 'L/100km', fuel_price: 1.8 })).toBeCloseTo(0.2317, 4);
+  });
+});
@@ -0,0 +1,53 @@
+import { capacityConfidence, decodeVin, lookupPackCapacity } from '../src/pack-capacity';
+
+describe('pack capacity', () => {
+  describe('decodeVin', () => {
+    test('should read model and model year', () => {
+      expect(decodeVin('5YJ3E1EA7KF000001')).toEqual({ model: 'model_3', year: 2019 });
+      expect(decodeVin('7SAYGDEE2PF000001')).toEqual({ model: 'model_y', year: 2023 });
+      expect(decodeVin('5YJSA1E2XMF000001')).toEqual({ model: 'model_s', year: 2021 });
+      expect(decodeVin('7G2CEHED5RA000001')).toEqual({ model: 'cybertruck', year: 2024 });
+    });
+
+    test('should return nothing for malformed VINs', () => {
+      expect(decodeVin('VIN123')).toEqual({});
+    });
+  });
+
+  describe('lookupPackCapacity', () => {
+    test('should match trim badging and model year', () => {
+      expect(lookupPackCapacity('5YJSA1E2XGF000001', { trim_badging: 'P90D' })).toMatchObject({ kwh: 81.8, source: 'model_table' });
+      expect(lookupPackCapacity('5YJSA1E2XMF000001')).toMatchObject({ kwh: 95, source: 'model_table' });
+      expect(lookupPackCapacity('5YJ3E1EA7KF000001', { trim_badging: '74d' })).toMatchObject({ kwh: 75, source: 'model_table' });
+      expect(lookupPackCapacity('5YJ3E1EA7MF000001', { trim_badging: '50' })).toMatchObject({ kwh: 57.5, source: 'model_table' });
+      expect(lookupPackCapacity('7G2CEHED5RA000001')).toMatchObject({ kwh: 123, source: 'model_table' });
+    });
+
+    test('should fall back to the model default without a trim', () => {
+      expect(lookupPackCapacity('7SAYGDEE2PF000001')).toMatchObject({ kwh: 75, source: 'model_default', model: 'model_y' });
+    });
+
+    test('should use car_type when the VIN is not decodable', () => {
+      expect(lookupPackCapacity('VIN123', { car_type: 'models2', trim_badging: '100d' })).toMatchObject({
+        kwh: 95,
+        source: 'model_table',
+        model: 'model_s'
+      });
+    });
+
+    test('should prefer a configured capacity', () => {
+      expect(lookupPackCapacity('5YJ3E1EA7KF000001', { trim_badging: '74d' }, 72)).toMatchObject({ kwh: 72, source: 'configured' });
+    });
+
+    test('should use the generic capacity for unknown vehicles', () => {
+      expect(lookupPackCapacity('VIN123')).toEqual({ kwh: 75, source: 'generic_default', year: undefined, trim: undefined });
+    });
+  });
+
+  test('capacityConfidence should rank specific sources higher', () => {
+    expect(capacityConfidence(lookupPackCapacity('VIN123', {}, 80))).toBe('medium');
+    expect(capacityConfidence(lookupPackCapacity('5YJSA1E2XMF000001'))).toBe('medium');
+    expect(capacityConfidence(lookupPackCapacity('7SAYGDEE2PF000001'))).toBe('low');
+    expect(capacityConfidence(lookupPackCapacity('VIN123'))).toBe('low');
+  });
+});
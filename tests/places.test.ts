@@ -0,0 +1,119 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { findPlace, haversineMeters, isAtPlace, mergePlaces, Place, placeActivity, PlaceStore, seedPlaces } from '../src/places';
+import { TessieDrive } from '../src/tessie-client';
+
+const office: Place = { name: 'Office', latitude: 37.7749, longitude: -122.4194, radius_meters: 150, source: 'saved' };
+const home: Place = { name: 'Home', latitude: 37.8044, longitude: -122.2712, radius_meters: 150, source: 'saved' };
+const hour = 3600;
+const start = Date.parse('2024-03-04T00:00:00Z') / 1000;
+
+function drive(id: number, startedAt: number, from: Place, to: Place, overrides: Partial<TessieDrive> = {}): TessieDrive {
+  return {
+    id,
+    started_at: startedAt,
+    ended_at: startedAt + hour / 2,
+    starting_location: `${from.name} St`,
+    starting_latitude: from.latitude + 0.0003,
+    starting_longitude: from.longitude,
+    ending_location: `${to.name} St`,
+    ending_latitude: to.latitude,
+    ending_longitude: to.longitude - 0.0003,
+    odometer_distance: 10,
+    ...overrides
+  } as TessieDrive;
+}
+
+describe('places', () => {
+  test('should measure great-circle distances', () => {
+    // San Francisco to Los Angeles is about 559 km
+    expect(haversineMeters(37.7749, -122.4194, 34.0522, -118.2437) / 1000).toBeCloseTo(559, 0);
+    expect(haversineMeters(office.latitude, office.longitude, office.latitude, office.longitude)).toBe(0);
+  });
+
+  test('should match coordinates by radius or by polygon', () => {
+    expect(isAtPlace(office, 37.7758, -122.4194)).toBe(true); // About 100 m north
+    expect(isAtPlace(office, 37.7769, -122.4194)).toBe(false); // About 220 m north
+    expect(isAtPlace(office, undefined, -122.4194)).toBe(false);
+
+    const lot: Place = { ...office, polygon: [[37.77, -122.42], [37.77, -122.41], [37.78, -122.41], [37.78, -122.42]] };
+    expect(isAtPlace(lot, 37.7769, -122.415)).toBe(true);
+    expect(isAtPlace(lot, 37.7769, -122.425)).toBe(false);
+  });
+
+  test('should seed places from Tessie saved locations', () => {
+    const drives = [
+      drive(1, start, home, office, { starting_saved_location: 'Home', ending_saved_location: 'Office' }),
+      drive(2, start + hour, office, home, { starting_saved_location: 'office', ending_saved_location: 'Home', ending_latitude: home.latitude + 0.002 }),
+      drive(3, start + 2 * hour, home, office, { starting_saved_location: 'Home', ending_latitude: 38.5 })
+    ];
+
+    const seeded = seedPlaces(drives);
+
+    expect(seeded.map(place => place.name)).toEqual(['Home', 'Office']);
+    expect(seeded[0]).toMatchObject({ latitude: 37.8047, longitude: -122.2712, source: 'tessie' });
+    // Wide enough for the parking spot 220 m off, while the unnamed far-off end is ignored
+    expect(seeded[0].radius_meters).toBeGreaterThan(150);
+    expect(seeded[0].radius_meters).toBeLessThan(250);
+    expect(seeded[1].radius_meters).toBe(150);
+  });
+
+  test('should prefer registered places over seeded ones and find places by name', () => {
+    const places = mergePlaces([office], [{ ...office, latitude: 0, source: 'tessie' }, { ...home, source: 'tessie' }]);
+
+    expect(places.map(place => `${place.name}:${place.source}`)).toEqual(['Home:tessie', 'Office:saved']);
+    expect(findPlace(places, 'office')?.source).toBe('saved');
+    expect(findPlace(places, 'hom')?.name).toBe('Home');
+    expect(findPlace([...places, { ...home, name: 'Home gym' }], 'hom')).toBeUndefined();
+  });
+
+  test('should total drives to, from and within a place and the visits between them', () => {
+    const drives = [
+      drive(1, start + 1 * hour, office, home), // Already at the office when the range began
+      drive(2, start + 8 * hour, home, office),
+      drive(3, start + 9 * hour, office, office, { odometer_distance: 0.5 }), // Moving to another spot
+      drive(4, start + 17 * hour, office, home),
+      drive(5, start + 20 * hour, home, office)
+    ];
+
+    const activity = placeActivity(office, drives, start, start + 24 * hour);
+
+    expect(activity.to).toEqual({ drives: 2, miles: 20 });
+    expect(activity.from).toEqual({ drives: 2, miles: 20 });
+    expect(activity.within).toEqual({ drives: 1, miles: 0.5 });
+    expect(activity.visits).toEqual([
+      { arrived_at: start, departed_at: start + hour, hours: 1, arrival_drive_id: null, departure_drive_id: 1, partial: true },
+      { arrived_at: start + 8.5 * hour, departed_at: start + 17 * hour, hours: 8.5, arrival_drive_id: 2, departure_drive_id: 4, partial: false },
+      { arrived_at: start + 20.5 * hour, departed_at: null, hours: 3.5, arrival_drive_id: 5, departure_drive_id: null, partial: true }
+    ]);
+    expect(activity.hours_at_place).toBe(13);
+  });
+
+  describe('PlaceStore', () => {
+    let dataDir: string;
+
+    beforeEach(async () => {
+      dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tessie-places-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(dataDir, { recursive: true, force: true });
+    });
+
+    test('should persist saved places and let them override configured ones', async () => {
+      const configured = [{ name: 'Office', latitude: 1, longitude: 2 }, { name: 'Gym', latitude: 3, longitude: 4, radius_meters: 80 }];
+      await new PlaceStore(dataDir, configured).save({ name: 'office', latitude: 37.7749, longitude: -122.4194 });
+
+      const store = new PlaceStore(dataDir, configured);
+      expect(await store.list()).toEqual([
+        { name: 'office', latitude: 37.7749, longitude: -122.4194, radius_meters: 150, source: 'saved' },
+        { name: 'Gym', latitude: 3, longitude: 4, radius_meters: 80, source: 'configured' }
+      ]);
+
+      expect(await store.remove('OFFICE')).toBe(true);
+      expect(await store.remove('Gym')).toBe(false);
+      expect((await new PlaceStore(dataDir, configured).list()).map(place => place.source)).toEqual(['configured', 'configured']);
+    });
+  });
+});
@@ -0,0 +1,47 @@
+import {
+  chargingCostsPrompt,
+  reviewLatestDrivePrompt,
+  roadTripPrepPrompt,
+  summarizeDrivingPrompt
+} from '../src/prompts';
+
+describe('prompts', () => {
+  const textOf = (result: { messages: Array<{ content: { text: string } }> }) => result.messages[0].content.text;
+
+  test('should produce a single user message', () => {
+    const result = summarizeDrivingPrompt({ vin: 'VIN123', period: 'last week' });
+
+    expect(result.messages).toHaveLength(1);
+    expect(result.messages[0].role).toBe('user');
+    expect(result.messages[0].content.type).toBe('text');
+  });
+
+  test('should direct driving summaries to the mileage and history tools', () => {
+    const text = textOf(summarizeDrivingPrompt({ vin: 'VIN123', period: 'last week' }));
+
+    expect(text).toContain('last week');
+    expect(text).toContain('VIN VIN123');
+    expect(text).toContain('get_weekly_mileage');
+    expect(text).toContain('get_driving_history');
+  });
+
+  test('should ask the model to resolve the vehicle when no VIN is given', () => {
+    const text = textOf(reviewLatestDrivePrompt({}));
+
+    expect(text).toContain('get_vehicles');
+    expect(text).toContain('analyze_latest_drive');
+  });
+
+  test('should include the destination in road trip prep', () => {
+    const text = textOf(roadTripPrepPrompt({ destination: 'Lake Tahoe' }));
+
+    expect(text).toContain('Lake Tahoe');
+    expect(text).toContain('leaving tomorrow');
+    expect(text).toContain('get_vehicle_current_state');
+  });
+
+  test('should use the given electricity price for charging costs', () => {
+    expect(textOf(chargingCostsPrompt({ price_per_kwh: '0.15' }))).toContain('0.15 per kWh');
+    expect(textOf(chargingCostsPrompt({}))).toContain('this month');
+  });
+});
@@ -0,0 +1,162 @@
+import { TessieQueryExecutor, mapWithConcurrency } from '../src/query-executor';
+import { TessieQueryOptimizer } from '../src/query-optimizer';
+import { TessieClient, TessieDrive } from '../src/tessie-client';
+import { HistorySource } from '../src/history-store';
+
+describe('TessieQueryExecutor', () => {
+  const DAY = 24 * 60 * 60;
+  const rangeStart = Date.parse('2024-01-01T00:00:00Z') / 1000;
+
+  // One drive per day for 90 days
+  const allDrives = Array.from({ length: 90 }, (_, i) => ({
+    id: i + 1,
+    started_at: rangeStart + i * DAY + 3600,
+    ended_at: rangeStart + i * DAY + 7200,
+    odometer_distance: 10,
+  })) as TessieDrive[];
+
+  let getAllDrives: jest.Mock;
+  let getDrivesPage: jest.Mock;
+  let executor: TessieQueryExecutor;
+
+  beforeEach(() => {
+    // Like the real API, windows overlap their neighbours, so boundary drives come back twice
+    getAllDrives = jest.fn(async (_vin: string, start?: string, end?: string) => {
+      const from = start ? Date.parse(start) / 1000 - DAY : -Infinity;
+      const to = end ? Date.parse(end) / 1000 : Infinity;
+      return allDrives.filter(d => d.started_at >= from && d.started_at <= to);
+    });
+    getDrivesPage = jest.fn(async (_vin: string, options: { startDate?: string; limit: number; cursor?: string }) => {
+      const from = options.startDate ? Date.parse(options.startDate) / 1000 : -Infinity;
+      const before = options.cursor ? Number(options.cursor) : Infinity;
+      const matching = allDrives
+        .filter(d => d.started_at >= from && d.started_at < before)
+        .sort((a, b) => b.started_at - a.started_at);
+      const drives = matching.slice(0, options.limit);
+      const hasMore = matching.length > options.limit;
+      return { drives, next_cursor: hasMore ? String(drives[drives.length - 1].started_at) : null };
+    });
+
+    const client = { getAllDrives, getDrivesPage } as unknown as TessieClient;
+    executor = new TessieQueryExecutor(client, new TessieQueryOptimizer(), { concurrency: 2 });
+  });
+
+  describe('plan', () => {
+    test('should not chunk short ranges', () => {
+      const plan = executor.plan('get_weekly_mileage', {
+        start_date: '2024-01-01T00:00:00Z',
+        end_date: '2024-01-08T00:00:00Z'
+      });
+
+      expect(plan.chunked).toBe(false);
+      expect(plan.windows).toHaveLength(1);
+    });
+
+    test('should split long ranges into 30-day windows', () => {
+      const plan = executor.plan('get_weekly_mileage', {
+        start_date: '2024-01-01T00:00:00Z',
+        end_date: '2024-03-31T00:00:00Z'
+      });
+
+      expect(plan.chunked).toBe(true);
+      expect(plan.windows).toHaveLength(3);
+      expect(plan.windows[0].start_date).toBe('2024-01-01T00:00:00.000Z');
+      expect(plan.windows[2].end_date).toBe('2024-03-31T00:00:00.000Z');
+      expect(plan.concurrency).toBe(2);
+    });
+  });
+
+  describe('fetchAllDrives', () => {
+    test('should fetch every window and de-duplicate boundary drives', async () => {
+      const result = await executor.fetchAllDrives('VIN123', 'get_weekly_mileage', {
+        start_date: '2024-01-01T00:00:00Z',
+        end_date: '2024-03-31T00:00:00Z'
+      });
+
+      expect(getAllDrives).toHaveBeenCalledTimes(3);
+      expect(result.drives).toHaveLength(90);
+      expect(result.duplicates_removed).toBeGreaterThan(0);
+      expect(new Set(result.drives.map(d => d.id)).size).toBe(90);
+      expect(result.drives[0].id).toBe(90);
+    });
+
+    test('should make a single call for short ranges', async () => {
+      await executor.fetchAllDrives('VIN123', 'get_weekly_mileage', {
+        start_date: '2024-01-01T00:00:00Z',
+        end_date: '2024-01-05T00:00:00Z'
+      });
+
+      expect(getAllDrives).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('fetchDrivePage', () => {
+    test('should use a single page request when the range is not chunked', async () => {
+      const result = await executor.fetchDrivePage('VIN123', 'get_driving_history', { limit: 2 });
+
+      expect(getDrivesPage).toHaveBeenCalledTimes(1);
+      expect(result.plan.chunked).toBe(false);
+      expect(result.drives).toHaveLength(2);
+    });
+
+    test('should page through chunked ranges newest first', async () => {
+      const params = { start_date: '2024-01-01T00:00:00Z', end_date: '2024-03-31T00:00:00Z', limit: 40 };
+
+      const first = await executor.fetchDrivePage('VIN123', 'get_driving_history', params);
+      expect(first.drives.map(d => d.id).slice(0, 2)).toEqual([90, 89]);
+      expect(first.drives).toHaveLength(40);
+      expect(first.next_cursor).not.toBeNull();
+
+      const ids = new Set(first.drives.map(d => d.id));
+      let cursor = first.next_cursor;
+      while (cursor) {
+        const page = await executor.fetchDrivePage('VIN123', 'get_driving_history', { ...params, cursor });
+        page.drives.forEach(d => ids.add(d.id));
+        cursor = page.next_cursor;
+      }
+
+      expect(ids.size).toBe(90);
+    });
+
+    test('should read pages from the history store when one is configured', async () => {
+      const client = { getAllDrives: jest.fn(), getDrivesPage: jest.fn() } as unknown as TessieClient;
+      const history = { getAllDrives } as unknown as HistorySource;
+      const stored = new TessieQueryExecutor(client, new TessieQueryOptimizer(), {
+        concurrency: 2,
+        history
+      });
+
+      const chunked = await stored.fetchDrivePage('VIN123', 'get_driving_history', {
+        start_date: '2024-01-01T00:00:00Z',
+        end_date: '2024-03-31T00:00:00Z',
+        limit: 40
+      });
+      const first = await stored.fetchDrivePage('VIN123', 'get_driving_history', { limit: 2 });
+      const second = await stored.fetchDrivePage('VIN123', 'get_driving_history', { limit: 2, cursor: first.next_cursor! });
+
+      expect(chunked.drives).toHaveLength(40);
+      expect(first.drives.map(d => d.id)).toEqual([90, 89]);
+      expect(second.drives.map(d => d.id)).toEqual([88, 87]);
+      expect(client.getAllDrives).not.toHaveBeenCalled();
+      expect(client.getDrivesPage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('mapWithConcurrency', () => {
+    test('should never exceed the concurrency limit and preserve order', async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+
+      const results = await mapWithConcurrency([1, 2, 3, 4, 5], 2, async item => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        inFlight--;
+        return item * 10;
+      });
+
+      expect(results).toEqual([10, 20, 30, 40, 50]);
+      expect(maxInFlight).toBe(2);
+    });
+  });
+});
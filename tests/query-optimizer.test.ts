@@ -68,6 +68,27 @@ describe('TessieQueryOptimizer', () => {
       });
     });
 
+    test('should extract the place from location queries', () => {
+      const cases: Array<[string, string]> = [
+        ['How many miles did I drive to the office last month?', 'office'],
+        ['How much time did I spend at Home this week?', 'Home'],
+        ['How often did I visit the gym in the last 30 days?', 'gym'],
+        ['Miles driven from Acme HQ', 'Acme HQ']
+      ];
+
+      cases.forEach(([query, place]) => {
+        const result = optimizer.parseNaturalLanguage(query);
+        expect(result.operation).toBe('get_mileage_at_location');
+        expect(result.parameters).toMatchObject({ location: place });
+        expect(result.parameters).toHaveProperty('start_date');
+      });
+    });
+
+    test('should not read time frames as places', () => {
+      expect(optimizer.parseNaturalLanguage('Show me my driving history from yesterday').operation).toBe('get_driving_history');
+      expect(optimizer.parseNaturalLanguage('Show me my driving history from the last 14 days').operation).toBe('get_driving_history');
+    });
+
     test('should return unknown operation for unclear queries', () => {
       const queries = [
         'Hello there',
@@ -134,6 +155,38 @@ describe('TessieQueryOptimizer', () => {
       expect(diffDays).toBeGreaterThanOrEqual(14);
       expect(diffDays).toBeLessThanOrEqual(16); // Allow some tolerance for timezone/calculation differences
     });
+
+    describe('in a given time zone', () => {
+      afterEach(() => {
+        jest.useRealTimers();
+      });
+
+      test('should cover the whole local day for yesterday across a DST change', () => {
+        jest.useFakeTimers({ now: new Date('2024-11-04T18:00:00Z') }); // 10am PST, Nov 4
+
+        const result = optimizer.parseNaturalLanguage('Show me my driving history from yesterday', 'America/Los_Angeles');
+
+        expect(result.parameters.start_date).toBe('2024-11-03T07:00:00.000Z');
+        expect(result.parameters.end_date).toBe('2024-11-04T07:59:59.999Z');
+      });
+
+      test('should use the local month when UTC has already moved on', () => {
+        jest.useFakeTimers({ now: new Date('2024-04-01T03:00:00Z') }); // 8pm PDT, Mar 31
+
+        const result = optimizer.parseNaturalLanguage('How many miles did I drive last month?', 'America/Los_Angeles');
+
+        expect(result.parameters.start_date).toBe('2024-02-01T08:00:00.000Z');
+        expect(result.parameters.end_date).toBe('2024-03-01T07:59:59.999Z');
+      });
+
+      test('should start this week on the local Monday', () => {
+        jest.useFakeTimers({ now: new Date('2024-03-31T22:30:00Z') }); // 00:30 CEST, Monday Apr 1
+
+        const result = optimizer.parseNaturalLanguage('How many miles have I driven this week?', 'Europe/Berlin');
+
+        expect(result.parameters.start_date).toBe('2024-03-31T22:00:00.000Z');
+      });
+    });
   });
 
   describe('analyzeQuery', () => {
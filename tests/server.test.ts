@@ -0,0 +1,762 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import createServer from '../src/index';
+import { TessieClient } from '../src/tessie-client';
+import { VehicleWatcher } from '../src/vehicle-watcher';
+
+jest.mock('../src/tessie-client');
+
+const mocked = TessieClient.prototype as jest.Mocked<TessieClient>;
+
+describe('MCP server tools', () => {
+  const hour = 3600;
+  const now = Math.floor(Date.now() / 1000);
+  const drives = [
+    {
+      id: 2,
+      started_at: now - 2 * hour,
+      ended_at: now - hour,
+      starting_location: 'Work',
+      ending_location: 'Home',
+      starting_battery: 70,
+      ending_battery: 60,
+      odometer_distance: 30,
+      autopilot_distance: 10,
+      average_speed: 30,
+      max_speed: 65
+    },
+    {
+      id: 1,
+      started_at: now - 10 * hour,
+      ended_at: now - 9 * hour,
+      starting_location: 'Home',
+      ending_location: 'Work',
+      starting_battery: 80,
+      ending_battery: 72,
+      odometer_distance: 25,
+      average_speed: 25,
+      max_speed: 60
+    }
+  ];
+  const charges = [
+    {
+      id: 11,
+      started_at: now - 8 * hour,
+      ended_at: now - 6 * hour,
+      location: 'Home',
+      saved_location: 'Home',
+      energy_added: 20,
+      miles_added: 80,
+      starting_battery: 50,
+      ending_battery: 75
+    },
+    {
+      id: 12,
+      started_at: now - 20 * hour,
+      ended_at: now - 19 * hour,
+      location: 'Supercharger Springfield',
+      is_supercharger: true,
+      energy_added: 30,
+      starting_battery: 20,
+      ending_battery: 60,
+      cost: 12
+    }
+  ];
+  const healthMeasurements = [0, 1, 2].map(i => ({
+    timestamp: Date.parse('2024-01-01T00:00:00Z') / 1000 + i * 86400 * 120,
+    odometer: 10000 + i * 5000,
+    max_range: 300 - i * 3
+  }));
+  const idles = [
+    { id: 21, started_at: now - 60 * hour, ended_at: now - 36 * hour, saved_location: 'Home', starting_battery: 80, ending_battery: 79 },
+    { id: 22, started_at: now - 34 * hour, ended_at: now - 26 * hour, saved_location: 'Office', starting_battery: 78, ending_battery: 77, sentry_fraction: 1 }
+  ];
+
+  let client: Client;
+
+  beforeEach(async () => {
+    mocked.getVehicles.mockResolvedValue([{ vin: 'VIN123', display_name: 'Model Y' }]);
+    mocked.getVehicleState.mockResolvedValue({
+      display_name: 'Model Y',
+      vin: 'VIN123',
+      battery_level: 80,
+      est_battery_range: 250,
+      charging_state: 'Disconnected',
+      locked: true,
+      since: '2024-01-01T00:00:00Z'
+    } as never);
+    mocked.getDrives.mockResolvedValue(drives as never);
+    mocked.getAllDrives.mockResolvedValue(drives as never);
+    mocked.getDrivesPage.mockResolvedValue({ drives, next_cursor: null } as never);
+    mocked.findDrive.mockImplementation(async (_vin, id) => drives.find(drive => drive.id === id) as never);
+    mocked.getCharges.mockResolvedValue({ charges, next_cursor: null } as never);
+    mocked.getAllCharges.mockResolvedValue(charges as never);
+    mocked.getBatteryHealthMeasurements.mockResolvedValue(healthMeasurements as never);
+    mocked.getFleetBatteryHealth.mockResolvedValue([{ vin: 'VIN123', health_percent: 96 }, { vin: 'VIN456', health_percent: 92 }]);
+    mocked.getIdles.mockResolvedValue(idles);
+    mocked.getVehicleStates.mockResolvedValue([]);
+    mocked.getDrivingPath.mockResolvedValue([
+      { timestamp: now - 2 * hour, latitude: 37.1, longitude: -122.1, speed: 30, battery_level: 70 },
+      { timestamp: now - hour, latitude: 37.2, longitude: -122.2, speed: 35, battery_level: 60 }
+    ]);
+    mocked.sendCommand.mockResolvedValue({ result: true });
+
+    const server = createServer({ config: { apiKey: 'test-token', enableCommands: true } });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    client = new Client({ name: 'test-client', version: '1.0.0' });
+    await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+  });
+
+  afterEach(async () => {
+    await client.close();
+    jest.clearAllMocks();
+  });
+
+  test('should declare an output schema for every tool', async () => {
+    const { tools } = await client.listTools();
+
+    expect(tools.length).toBeGreaterThan(0);
+    for (const tool of tools) {
+      expect(tool.outputSchema).toBeDefined();
+    }
+  });
+
+  test.each([
+    ['get_vehicle_current_state', { vin: 'VIN123' }],
+    ['get_driving_history', { vin: 'VIN123' }],
+    ['get_weekly_mileage', { vin: 'VIN123', start_date: '2024-01-01', end_date: '2024-01-07' }],
+    ['analyze_latest_drive', { vin: 'VIN123' }],
+    ['get_trips', { vin: 'VIN123', start_date: '2024-01-01', end_date: '2024-01-07' }],
+    ['get_commute_stats', { vin: 'VIN123', start_date: '2024-01-01', end_date: '2024-01-07' }],
+    ['analyze_drive', { vin: 'VIN123', drive_id: '1' }],
+    ['get_charging_sessions', { vin: 'VIN123' }],
+    ['get_charging_summary', { vin: 'VIN123', start_date: '2024-01-01', end_date: '2024-01-07' }],
+    ['get_ownership_costs', { vin: 'VIN123', start_date: '2024-01-01', end_date: '2024-01-07' }],
+    ['get_battery_health', { vin: 'VIN123' }],
+    ['get_mileage_log', { vin: 'VIN123', start_date: '2024-01-01', end_date: '2024-01-07' }],
+    ['set_trip_purpose', { vin: 'VIN123', drive_id: 1, purpose: 'business' }],
+    ['tag_drive', { vin: 'VIN123', drive_id: 1, tags: ['Acme'] }],
+    ['untag_drive', { vin: 'VIN123', drive_id: 1, tags: ['Acme'] }],
+    ['set_drive_note', { vin: 'VIN123', drive_id: 1, note: 'Client visit' }],
+    ['list_places', {}],
+    ['save_place', { name: 'Office', latitude: 37.7749, longitude: -122.4194 }],
+    ['remove_place', { name: 'Office' }],
+    ['export_data', { vin: 'VIN123', dataset: 'drives', format: 'csv', start_date: '2024-01-01', end_date: '2024-01-07' }],
+    ['analyze_idle_drain', { vin: 'VIN123', start_date: '2024-01-01', end_date: '2024-01-07' }],
+    ['get_vehicles', {}],
+    ['natural_language_query', { query: "What's my current battery level?" }],
+    ['lock_vehicle', { vin: 'VIN123', dry_run: true }]
+  ])('%s should return structured content with a text summary', async (name, args) => {
+    const result = await client.callTool({ name, arguments: args });
+
+    expect(result.isError).toBeFalsy();
+    expect(result.structuredContent).toBeDefined();
+    expect((result.content as Array<{ type: string; text: string }>)[0]).toMatchObject({ type: 'text' });
+  });
+
+  test('should summarize the vehicle state in the text block', async () => {
+    const result = await client.callTool({ name: 'get_vehicle_current_state', arguments: { vin: 'VIN123' } });
+
+    expect(result.structuredContent).toMatchObject({ vin: 'VIN123', battery: { level: 80 } });
+    expect((result.content as Array<{ text: string }>)[0].text).toBe(
+      'Model Y (VIN123): battery 80%, range 250 miles, Disconnected, locked'
+    );
+  });
+
+  test('should convert results to the requested units', async () => {
+    const result = await client.callTool({
+      name: 'get_weekly_mileage',
+      arguments: { vin: 'VIN123', start_date: '2024-01-01', end_date: '2024-01-07', units: 'metric' }
+    });
+
+    expect(result.structuredContent).toMatchObject({
+      summary: { total_distance: 88.51 },
+      units: { distance: 'km', efficiency: 'kWh/100km' }
+    });
+    expect((result.content as Array<{ text: string }>)[0].text).toContain('88.51 km');
+  });
+
+  test('should not pair a per-call unit system with the configured efficiency unit', async () => {
+    const server = createServer({ config: { apiKey: 'test-token', efficiencyUnit: 'mi/kWh' } });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    const configured = new Client({ name: 'test-client', version: '1.0.0' });
+    await Promise.all([server.connect(serverTransport), configured.connect(clientTransport)]);
+    const args = { vin: 'VIN123', start_date: '2024-01-01', end_date: '2024-01-07' };
+
+    const metric = await configured.callTool({ name: 'get_weekly_mileage', arguments: { ...args, units: 'metric' } });
+    const configuredDefault = await configured.callTool({ name: 'get_weekly_mileage', arguments: args });
+    await configured.close();
+
+    expect(metric.structuredContent).toMatchObject({ units: { distance: 'km', efficiency: 'kWh/100km' } });
+    expect(configuredDefault.structuredContent).toMatchObject({ units: { distance: 'miles', efficiency: 'mi/kWh' } });
+  });
+
+  test('should bucket days and read date-only ranges in the requested time zone', async () => {
+    const evening = Date.parse('2024-03-11T04:05:00Z') / 1000; // 9:05pm PDT on March 10
+    mocked.getAllDrives.mockResolvedValueOnce([{ ...drives[1], started_at: evening, ended_at: evening + hour }] as never);
+
+    const result = await client.callTool({
+      name: 'get_weekly_mileage',
+      arguments: { vin: 'VIN123', start_date: '2024-03-10', end_date: '2024-03-10', time_zone: 'America/Los_Angeles' }
+    });
+
+    expect(mocked.getAllDrives).toHaveBeenCalledWith('VIN123', '2024-03-10T08:00:00.000Z', '2024-03-11T06:59:59.999Z');
+    expect(result.structuredContent).toMatchObject({
+      daily_breakdown: [{ date: '2024-03-10', drives: 1 }],
+      time_zone: 'America/Los_Angeles'
+    });
+  });
+
+  test('should merge drives with the requested policy and echo it', async () => {
+    const result = await client.callTool({
+      name: 'analyze_latest_drive',
+      arguments: { vin: 'VIN123', max_gap_minutes: 480, boundary_locations: ['Home'] }
+    });
+
+    expect(result.structuredContent).toMatchObject({
+      detailed_analysis: { drive_details: { original_drives: 2 } },
+      merge_policy: { max_gap_minutes: 480, charging_threshold_percent: 5, max_stop_minutes: null, boundary_locations: ['Home'] }
+    });
+    expect(mocked.getAllDrives).toHaveBeenCalledWith('VIN123', expect.any(String), expect.any(String));
+    expect(mocked.getDrives).not.toHaveBeenCalled();
+  });
+
+  test('should list filtered trips in the requested order', async () => {
+    const result = await client.callTool({
+      name: 'get_trips',
+      arguments: { vin: 'VIN123', start_date: '2024-01-01', end_date: '2024-01-07', sort_by: 'distance', order: 'asc' }
+    });
+
+    expect(result.structuredContent).toMatchObject({
+      total_trips: 2,
+      trips: [{ drive_ids: [1], distance: 25 }, { drive_ids: [2], distance: 30, autopilot_distance: 10 }],
+      metadata: { drives_merged: 2, trips_before_filters: 2 }
+    });
+
+    const filtered = await client.callTool({
+      name: 'get_trips',
+      arguments: { vin: 'VIN123', start_date: '2024-01-01', end_date: '2024-01-07', end_location: 'home', units: 'metric', min_distance: 40 }
+    });
+
+    expect(filtered.structuredContent).toMatchObject({ total_trips: 1, trips: [{ drive_ids: [2], distance: 48.28 }] });
+  });
+
+  test('should analyze a drive by merged ID or start time', async () => {
+    const byId = await client.callTool({
+      name: 'analyze_drive',
+      arguments: { vin: 'VIN123', drive_id: 'merged_1' }
+    });
+    const byTime = await client.callTool({
+      name: 'analyze_drive',
+      arguments: { vin: 'VIN123', start_time: new Date((now - 10 * hour + 60) * 1000).toISOString() }
+    });
+
+    expect(mocked.findDrive).toHaveBeenCalledWith('VIN123', 1);
+    for (const result of [byId, byTime]) {
+      expect(result.structuredContent).toMatchObject({
+        detailed_analysis: { drive_details: { id: 'merged_1', route: 'Home → Work', distance: 25 } }
+      });
+    }
+  });
+
+  test('should say when a merged ID no longer matches the analyzed trip', async () => {
+    const matching = await client.callTool({ name: 'analyze_drive', arguments: { vin: 'VIN123', drive_id: 'merged_1' } });
+    const split = await client.callTool({ name: 'analyze_drive', arguments: { vin: 'VIN123', drive_id: 'merged_1_2' } });
+
+    expect(matching.structuredContent).toMatchObject({
+      metadata: { requested_trip: { drive_ids: [1], analyzed_drive_ids: [1], matched: true } }
+    });
+    expect(split.structuredContent).toMatchObject({
+      metadata: { requested_trip: { drive_ids: [1, 2], analyzed_drive_ids: [1], matched: false } }
+    });
+    expect((split.content as Array<{ text: string }>)[0].text).toContain('merged_1_2 does not match a single trip');
+    expect(mocked.findDrive).toHaveBeenCalledWith('VIN123', 2);
+  });
+
+  test('should reject analyze_drive calls without exactly one target', async () => {
+    const result = await client.callTool({
+      name: 'analyze_drive',
+      arguments: { vin: 'VIN123', drive_id: '1', start_time: '2024-01-01T08:00:00Z' }
+    });
+
+    expect(result.isError).toBe(true);
+    expect(JSON.parse((result.content as Array<{ text: string }>)[0].text).error.code).toBe('INVALID_ARGUMENT');
+  });
+
+  test('should stop polling for vehicles when the connection closes', async () => {
+    const stop = jest.spyOn(VehicleWatcher.prototype, 'stop');
+    const server = createServer({ config: { apiKey: 'test-token', vehiclePollMinutes: 5 } });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    const configured = new Client({ name: 'test-client', version: '1.0.0' });
+    await Promise.all([server.connect(serverTransport), configured.connect(clientTransport)]);
+    stop.mockClear();
+
+    await configured.close();
+
+    expect(stop).toHaveBeenCalledTimes(1);
+    stop.mockRestore();
+  });
+
+  test('should not register vehicle command tools unless commands are enabled', async () => {
+    const server = createServer({ config: { apiKey: 'test-token' } });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    const configured = new Client({ name: 'test-client', version: '1.0.0' });
+    await Promise.all([server.connect(serverTransport), configured.connect(clientTransport)]);
+
+    const { tools } = await configured.listTools();
+    await configured.close();
+
+    expect(tools.map(tool => tool.name)).not.toContain('lock_vehicle');
+    expect(tools.map(tool => tool.name)).toContain('get_vehicles');
+  });
+
+  test('should estimate energy from the configured pack capacity and report the method', async () => {
+    const server = createServer({ config: { apiKey: 'test-token', packCapacityKwh: { VIN123: 100 } } });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    const configured = new Client({ name: 'test-client', version: '1.0.0' });
+    await Promise.all([server.connect(serverTransport), configured.connect(clientTransport)]);
+
+    const result = await configured.callTool({ name: 'analyze_latest_drive', arguments: { vin: 'VIN123' } });
+    await configured.close();
+
+    expect(result.structuredContent).toMatchObject({
+      detailed_analysis: {
+        battery_analysis: {
+          estimated_kwh_used: 10,
+          energy_method: 'pack_capacity',
+          energy_confidence: 'medium',
+          pack_capacity_kwh: 100,
+          pack_capacity_source: 'configured'
+        }
+      }
+    });
+  });
+
+  test('should summarize charging costs by location type and per distance driven', async () => {
+    const result = await client.callTool({
+      name: 'get_charging_summary',
+      arguments: { vin: 'VIN123', start_date: '2024-01-01', end_date: '2024-01-07', price_per_kwh: 0.15 }
+    });
+
+    expect(result.structuredContent).toMatchObject({
+      total: { sessions: 2, energy_added_kwh: 50, cost: 15, sessions_without_cost: 0 },
+      by_location_type: { home: { sessions: 1, cost: 3 }, supercharger: { sessions: 1, cost: 12 }, public: { sessions: 0 } },
+      driving: { distance: 55, drives: 2 },
+      cost_per_distance: 0.273
+    });
+  });
+
+  test('should total the cost of ownership from configured costs and compare it with a gasoline car', async () => {
+    const server = createServer({
+      config: {
+        apiKey: 'test-token',
+        electricityPricePerKwh: 0.15,
+        fixedCosts: [{ name: 'Insurance', amount: 70, period: 'month' }],
+        gasolineReference: { fuel_economy: 25, fuel_price: 4 }
+      }
+    });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    const configured = new Client({ name: 'test-client', version: '1.0.0' });
+    await Promise.all([server.connect(serverTransport), configured.connect(clientTransport)]);
+
+    const result = await configured.callTool({
+      name: 'get_ownership_costs',
+      arguments: { vin: 'VIN123', start_date: '2024-02-01', end_date: '2024-02-29', time_zone: 'UTC' }
+    });
+    const undated = await configured.callTool({
+      name: 'get_ownership_costs',
+      arguments: { vin: 'VIN123', start_date: '2024-02-01', end_date: '2024-02-29', fixed_costs: [{ name: 'Tires', amount: 800, period: 'once' }] }
+    });
+    await configured.close();
+
+    expect(result.structuredContent).toMatchObject({
+      total: {
+        drives: 2,
+        distance: 55,
+        charging: { sessions: 2, cost: 15 },
+        fixed_costs: { Insurance: 70 },
+        total_cost: 85,
+        cost_per_distance: 1.545,
+        gasoline: { fuel_cost: 8.8, fuel_savings: -6.2 }
+      },
+      gasoline_reference: { fuel_economy_unit: 'mpg', fuel_cost_per_distance: 0.16 },
+      price_per_kwh: 0.15
+    });
+    expect((result.content as Array<{ text: string }>)[0].text).toContain('would have spent 8.8 on fuel, 6.2 less than charging');
+    expect(JSON.parse((undated.content as Array<{ text: string }>)[0].text).error.code).toBe('INVALID_ARGUMENT');
+  });
+
+  test('should price sessions with configured tariffs and plan charging around them', async () => {
+    const server = createServer({
+      config: {
+        apiKey: 'test-token',
+        tariffs: [
+          { name: 'Home', type: 'flat', price_per_kwh: 0.2, locations: ['Home'] },
+          { name: 'Night', type: 'time_of_use', price_per_kwh: 0.3, seasons: [{ periods: [{ name: 'night', start: '00:00', end: '06:00', price_per_kwh: 0.1 }] }] }
+        ]
+      }
+    });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    const configured = new Client({ name: 'test-client', version: '1.0.0' });
+    await Promise.all([server.connect(serverTransport), configured.connect(clientTransport)]);
+
+    const sessions = await configured.callTool({ name: 'get_charging_sessions', arguments: { vin: 'VIN123' } });
+    const flat = await configured.callTool({ name: 'get_optimal_charging_strategy', arguments: { vin: 'VIN123' } });
+    const night = await configured.callTool({ name: 'get_optimal_charging_strategy', arguments: { vin: 'VIN123', tariff: 'night' } });
+    const unknown = await configured.callTool({ name: 'get_optimal_charging_strategy', arguments: { vin: 'VIN123', tariff: 'Solar' } });
+    await configured.close();
+
+    expect(sessions.structuredContent).toMatchObject({
+      sessions: [
+        { id: 11, cost: 4, cost_source: 'tariff', tariff: { name: 'Home', by_period: [{ period: 'base', energy_kwh: 20, cost: 4 }] } },
+        { id: 12, cost: 12, cost_source: 'recorded', tariff: null }
+      ]
+    });
+    expect(flat.structuredContent).toMatchObject({ tariff: { name: 'Home', type: 'flat' }, sessions: 1, cost: 4, windows: [], savings: 0 });
+    expect((flat.content as Array<{ text: string }>)[0].text).toContain("when you charge doesn't change the price");
+    expect(night.structuredContent).toMatchObject({
+      tariff: { name: 'Night' },
+      sessions: 0,
+      windows: [{ start: '00:00', end: '06:00', price_per_kwh: 0.1, fits_typical_session: null }]
+    });
+    expect(JSON.parse((unknown.content as Array<{ text: string }>)[0].text).error).toMatchObject({
+      code: 'INVALID_ARGUMENT',
+      message: expect.stringContaining('configured tariffs: Home, Night')
+    });
+  });
+
+  test('should fill tier blocks with the sessions earlier in the month than the page', async () => {
+    const session = (id: number, start: string, energy: number) => ({
+      ...charges[0],
+      id,
+      started_at: Date.parse(start) / 1000,
+      ended_at: Date.parse(start) / 1000 + 2 * hour,
+      energy_added: energy
+    });
+    mocked.getCharges.mockResolvedValueOnce({ charges: [session(31, '2024-03-20T01:00:00Z', 20)], next_cursor: null } as never);
+    mocked.getAllCharges.mockResolvedValueOnce([session(30, '2024-03-04T01:00:00Z', 100)] as never);
+    const server = createServer({
+      config: {
+        apiKey: 'test-token',
+        tariffs: [{ name: 'Blocks', type: 'tiered', tiers: [{ up_to_kwh: 100, price_per_kwh: 0.1 }, { price_per_kwh: 0.3 }] }]
+      }
+    });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    const configured = new Client({ name: 'test-client', version: '1.0.0' });
+    await Promise.all([server.connect(serverTransport), configured.connect(clientTransport)]);
+
+    const result = await configured.callTool({ name: 'get_charging_sessions', arguments: { vin: 'VIN123', time_zone: 'UTC' } });
+    await configured.close();
+
+    expect(mocked.getAllCharges).toHaveBeenCalledWith('VIN123', '2024-03-01T00:00:00.000Z', '2024-03-20T00:59:59.000Z');
+    expect(result.structuredContent).toMatchObject({
+      sessions: [{ id: 31, cost: 6, tariff: { name: 'Blocks', by_period: [{ period: 'tier 2', energy_kwh: 20, cost: 6 }] } }]
+    });
+  });
+
+  test('should label each charging session with its location type and cost source', async () => {
+    const result = await client.callTool({ name: 'get_charging_sessions', arguments: { vin: 'VIN123', units: 'metric' } });
+
+    expect(result.structuredContent).toMatchObject({
+      sessions: [
+        { id: 11, location_type: 'home', range_added: 128.75, cost: null, cost_source: 'unknown' },
+        { id: 12, location_type: 'supercharger', cost: 12, cost_source: 'recorded' }
+      ],
+      pagination: { has_more: false, next_cursor: null }
+    });
+  });
+
+  test('should report battery degradation in the requested units', async () => {
+    const result = await client.callTool({
+      name: 'get_battery_health',
+      arguments: { vin: 'VIN123', units: 'metric', project_to_odometer: 80467.2, include_series: true, time_zone: 'UTC' }
+    });
+
+    expect(result.structuredContent).toMatchObject({
+      metric: 'max_range',
+      baseline: 482.8,
+      latest: { odometer: 32186.88, health_percent: 98 },
+      trend: { percent_per_1000_distance: 0.12 },
+      fleet: { vehicles: 1, vehicle_health_percent: 96, fleet_average_health_percent: 92, difference_percent: 4 },
+      projection: { odometer: 80467.2, health_percent: 92 },
+      series: [{ time: '2024-01-01T00:00:00+00:00' }, {}, {}]
+    });
+  });
+
+  test('should report battery health without the fleet comparison when it fails', async () => {
+    mocked.getFleetBatteryHealth.mockRejectedValueOnce(new Error('fleet unavailable'));
+
+    const result = await client.callTool({ name: 'get_battery_health', arguments: { vin: 'VIN123' } });
+
+    expect(result.isError).toBeFalsy();
+    expect(result.structuredContent).toMatchObject({ latest: { health_percent: 98 }, fleet: null });
+  });
+
+  test('should rank parking locations by idle drain', async () => {
+    const result = await client.callTool({
+      name: 'analyze_idle_drain',
+      arguments: { vin: 'VIN123', start_date: '2024-01-01', end_date: '2024-01-07' }
+    });
+
+    expect(result.structuredContent).toMatchObject({
+      total: { idles: 2, percent_per_day: 1.5 },
+      baseline: { percent_per_day: 1 },
+      attribution: [{ cause: 'sentry', percent_per_day: 3, excess_percent_per_day: 2 }],
+      locations: [{ location: 'Office', percent_per_day: 3 }, { location: 'Home', percent_per_day: 1 }],
+      worst_idles: [{ id: 22 }, { id: 21 }]
+    });
+    expect((result.content as Array<{ text: string }>)[0].text).toContain('Worst location: Office at 3%/day');
+  });
+
+  test('should report HISTORY_DISABLED when no data directory is configured', async () => {
+    const result = await client.callTool({ name: 'sync_history', arguments: { vin: 'VIN123' } });
+
+    expect(result.isError).toBe(true);
+    expect(JSON.parse((result.content as Array<{ text: string }>)[0].text).error.code).toBe('HISTORY_DISABLED');
+  });
+
+  test('should sync history into the data directory and read analytics from it', async () => {
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tessie-server-'));
+    const server = createServer({ config: { apiKey: 'test-token', dataDir } });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    const stored = new Client({ name: 'test-client', version: '1.0.0' });
+    await Promise.all([server.connect(serverTransport), stored.connect(clientTransport)]);
+
+    const sync = await stored.callTool({ name: 'sync_history', arguments: { vin: 'VIN123', kinds: ['drives', 'charges'] } });
+    const summary = await stored.callTool({
+      name: 'get_charging_summary',
+      arguments: { vin: 'VIN123', start_date: '2000-01-01', end_date: '2100-01-01' }
+    });
+    await stored.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+
+    expect(sync.structuredContent).toMatchObject({
+      data_dir: dataDir,
+      results: [{ kind: 'drives', from: null, added: 2, total: 2 }, { kind: 'charges', added: 2, total: 2 }]
+    });
+    expect(summary.structuredContent).toMatchObject({ total: { sessions: 2 }, driving: { drives: 2 } });
+    expect(mocked.getAllDrives).toHaveBeenCalledTimes(1);
+    expect(mocked.getAllCharges).toHaveBeenCalledTimes(1);
+  });
+
+  test('should embed CSV exports as a resource', async () => {
+    const result = await client.callTool({
+      name: 'export_data',
+      arguments: { vin: 'VIN123', dataset: 'charges', format: 'csv', start_date: '2024-01-01', end_date: '2024-01-07' }
+    });
+    const content = result.content as Array<{ type: string; resource?: { uri: string; mimeType: string; text: string } }>;
+
+    expect(result.structuredContent).toMatchObject({ records: 2, file_path: null, mime_type: 'text/csv' });
+    expect(content[1].resource).toMatchObject({ uri: 'tessie://exports/VIN123-charges-2024-01-01-2024-01-07.csv', mimeType: 'text/csv' });
+    expect(content[1].resource!.text.split('\r\n')).toHaveLength(4);
+  });
+
+  test('should write path exports to the configured export directory', async () => {
+    const exportDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tessie-export-'));
+    const server = createServer({ config: { apiKey: 'test-token', exportDir } });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    const exporting = new Client({ name: 'test-client', version: '1.0.0' });
+    await Promise.all([server.connect(serverTransport), exporting.connect(clientTransport)]);
+
+    const result = await exporting.callTool({
+      name: 'export_data',
+      arguments: { vin: 'VIN123', dataset: 'paths', format: 'gpx', start_date: '2024-01-01', end_date: '2024-01-07', max_drives: 1, time_zone: 'UTC' }
+    });
+    const rejected = await exporting.callTool({
+      name: 'export_data',
+      arguments: { vin: 'VIN123', dataset: 'drives', format: 'kml', start_date: '2024-01-01', end_date: '2024-01-07' }
+    });
+    await exporting.close();
+
+    const filePath = path.join(exportDir, 'VIN123-paths-2024-01-01-2024-01-07.gpx');
+    const gpx = await fs.readFile(filePath, 'utf8');
+    await fs.rm(exportDir, { recursive: true, force: true });
+
+    expect(result.structuredContent).toMatchObject({ records: 1, file_path: filePath, mime_type: 'application/gpx+xml' });
+    expect(mocked.getDrivingPath).toHaveBeenCalledTimes(1);
+    expect(gpx).toContain('<name>Drive 2: Work → Home</name>');
+    expect(gpx.match(/<trkpt /g)).toHaveLength(2);
+    expect(JSON.parse((rejected.content as Array<{ text: string }>)[0].text).error.code).toBe('INVALID_ARGUMENT');
+  });
+
+  test('should reject export dates that are not dates', async () => {
+    const exportDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tessie-export-'));
+    const server = createServer({ config: { apiKey: 'test-token', exportDir } });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    const exporting = new Client({ name: 'test-client', version: '1.0.0' });
+    await Promise.all([server.connect(serverTransport), exporting.connect(clientTransport)]);
+
+    const exported = exporting.callTool({
+      name: 'export_data',
+      arguments: { vin: 'VIN123', dataset: 'drives', format: 'csv', start_date: '../../../tmp/evil', end_date: '2024-01-07' }
+    });
+    await expect(exported).rejects.toThrow('Expected a date (YYYY-MM-DD) or an ISO timestamp');
+    const log = exporting.callTool({
+      name: 'get_mileage_log',
+      arguments: { vin: 'VIN123', start_date: '2024-01-01', end_date: '2024-01-07/../../evil', format: 'csv' }
+    });
+    await expect(log).rejects.toThrow('Expected a date (YYYY-MM-DD) or an ISO timestamp');
+    await exporting.close();
+    const written = await fs.readdir(exportDir);
+    await fs.rm(exportDir, { recursive: true, force: true });
+
+    expect(written).toEqual([]);
+  });
+
+  test('should classify the mileage log by rules and per-drive overrides', async () => {
+    await client.callTool({
+      name: 'set_trip_purpose',
+      arguments: { vin: 'VIN123', drive_id: 2, purpose: 'personal', purpose_note: 'Dinner' }
+    });
+
+    const result = await client.callTool({
+      name: 'get_mileage_log',
+      arguments: {
+        vin: 'VIN123',
+        start_date: '2024-01-01',
+        end_date: '2024-01-07',
+        rules: [{ purpose: 'business', from: 'Home', to: 'Work', either_direction: true, name: 'Work' }]
+      }
+    });
+
+    expect(result.structuredContent).toMatchObject({
+      entries: [
+        { drive_id: 1, purpose: 'business', classified_by: 'rule', rule: 'Work', distance: 25 },
+        { drive_id: 2, purpose: 'personal', classified_by: 'override', description: 'Dinner', distance: 30 }
+      ],
+      totals: { drives: 2, business_distance: 25, personal_distance: 30 },
+      rate_unit: 'mile'
+    });
+  });
+
+  test('should count earlier business miles of the tax year toward a tiered rate threshold', async () => {
+    const at = (iso: string) => Date.parse(iso) / 1000;
+    const trip = (id: number, started: string, miles: number) =>
+      ({ ...drives[1], id, started_at: at(started), ended_at: at(started) + hour, odometer_distance: miles });
+    const yearDrives = [trip(31, '2024-10-10T09:00:00Z', 1000), trip(30, '2024-10-05T09:00:00Z', 500), trip(29, '2024-05-01T09:00:00Z', 9000)];
+    mocked.getAllDrives.mockImplementation(async (_vin, start, end) => yearDrives.filter(drive =>
+      (!start || drive.started_at >= Date.parse(start) / 1000) && (!end || drive.started_at <= Date.parse(end) / 1000)
+    ) as never);
+    const server = createServer({
+      config: {
+        apiKey: 'test-token',
+        timeZone: 'UTC',
+        taxYearStart: '04-06',
+        mileageRates: { '2024': { rate: 0.45, threshold: 10000, rate_after: 0.25 } },
+        mileageRules: [{ purpose: 'business', from: 'Home', to: 'Work' }]
+      }
+    });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    const hmrc = new Client({ name: 'test-client', version: '1.0.0' });
+    await Promise.all([server.connect(serverTransport), hmrc.connect(clientTransport)]);
+    await hmrc.callTool({ name: 'tag_drive', arguments: { vin: 'VIN123', drive_id: 31, tags: ['Acme'] } });
+    const range = { vin: 'VIN123', start_date: '2024-10-01', end_date: '2025-03-31' };
+
+    const all = await hmrc.callTool({ name: 'get_mileage_log', arguments: range });
+    const tagged = await hmrc.callTool({ name: 'get_mileage_log', arguments: { ...range, tag: 'Acme' } });
+    await hmrc.close();
+
+    expect(mocked.getAllDrives).toHaveBeenCalledWith('VIN123', '2024-04-06T00:00:00.000Z', '2024-09-30T23:59:59.999Z');
+    expect(all.structuredContent).toMatchObject({
+      deductions: [{ year: '2024', business_distance: 1500, other_business_distance: 9000, deduction: 575 }],
+      total_deduction: 575
+    });
+    expect(tagged.structuredContent).toMatchObject({
+      deductions: [{ year: '2024', business_distance: 1000, other_business_distance: 9500, deduction: 350 }],
+      total_deduction: 350
+    });
+  });
+
+  test('should merge drive tags and notes into listings and filter by them', async () => {
+    await client.callTool({ name: 'tag_drive', arguments: { vin: 'VIN123', drive_id: 1, tags: ['Acme', 'reimbursable'] } });
+    await client.callTool({ name: 'set_drive_note', arguments: { vin: 'VIN123', drive_id: 1, note: 'Client visit – Acme' } });
+    const untagged = await client.callTool({ name: 'untag_drive', arguments: { vin: 'VIN123', drive_id: 1, tags: ['REIMBURSABLE'] } });
+
+    const history = await client.callTool({ name: 'get_driving_history', arguments: { vin: 'VIN123' } });
+    const trips = await client.callTool({
+      name: 'get_trips',
+      arguments: { vin: 'VIN123', start_date: '2024-01-01', end_date: '2024-01-07', tag: 'acme' }
+    });
+    const log = await client.callTool({
+      name: 'get_mileage_log',
+      arguments: { vin: 'VIN123', start_date: '2024-01-01', end_date: '2024-01-07', tag: 'Acme' }
+    });
+
+    expect(untagged.structuredContent).toEqual({
+      vehicle_vin: 'VIN123', drive_id: 1, tags: ['Acme'], note: 'Client visit – Acme', persisted: false
+    });
+    const listed = (history.structuredContent as { drives: Array<{ id: number; tags: string[]; note: string | null }> }).drives;
+    expect(listed.find(drive => drive.id === 1)).toMatchObject({ tags: ['Acme'], note: 'Client visit – Acme' });
+    expect(listed.find(drive => drive.id === 2)).toMatchObject({ tags: [], note: null });
+    expect(trips.structuredContent).toMatchObject({
+      total_trips: 1,
+      trips: [{ drive_ids: [1], tags: ['Acme'], notes: ['Client visit – Acme'] }]
+    });
+    expect(log.structuredContent).toMatchObject({
+      tag: 'Acme',
+      entries: [{ drive_id: 1, tags: ['Acme'], note: 'Client visit – Acme' }],
+      totals: { drives: 1, total_distance: 25 }
+    });
+  });
+
+  test('should answer place queries from drive coordinates', async () => {
+    const office = { latitude: 37.7749, longitude: -122.4194 };
+    const home = { latitude: 37.8044, longitude: -122.2712 };
+    const located = [
+      { ...drives[1], starting_latitude: home.latitude, starting_longitude: home.longitude, ending_latitude: office.latitude + 0.0005, ending_longitude: office.longitude },
+      { ...drives[0], starting_latitude: office.latitude, starting_longitude: office.longitude, ending_latitude: home.latitude, ending_longitude: home.longitude, starting_saved_location: 'Home base' }
+    ];
+    mocked.getAllDrives.mockResolvedValue(located as never);
+    await client.callTool({ name: 'save_place', arguments: { name: 'Office', ...office, radius_meters: 100 } });
+
+    const activity = await client.callTool({
+      name: 'get_place_activity',
+      arguments: { vin: 'VIN123', place: 'office', start_date: '2024-01-01', end_date: '2099-01-01' }
+    });
+    const query = await client.callTool({
+      name: 'natural_language_query',
+      arguments: { vin: 'VIN123', query: 'How many miles did I drive to the office last week?' }
+    });
+    const unknown = await client.callTool({
+      name: 'get_place_activity',
+      arguments: { vin: 'VIN123', place: 'Gym', start_date: '2024-01-01', end_date: '2024-01-07' }
+    });
+
+    expect(activity.structuredContent).toMatchObject({
+      place: { name: 'Office', radius_meters: 100, source: 'saved' },
+      to: { drives: 1, distance: 25 },
+      from: { drives: 1, distance: 30 },
+      within: { drives: 0, distance: 0 },
+      totals: { visits: 1, hours_at_place: 7 },
+      visits: [{ arrival_drive_id: 1, departure_drive_id: 2, partial: false }]
+    });
+    expect(query.structuredContent).toMatchObject({
+      operation: 'get_mileage_at_location',
+      result: { place: 'Office', distance_to: 25, distance_from: 30, visits: 1 }
+    });
+    const error = JSON.parse((unknown.content as Array<{ text: string }>)[0].text).error;
+    expect(error.code).toBe('INVALID_ARGUMENT');
+    expect(error.message).toContain('known places: Home base, Office');
+  });
+
+  test('should read a drive resource and reject ids that are not drive IDs', async () => {
+    const result = await client.readResource({ uri: 'tessie://vehicle/VIN123/drive/2' });
+    expect(JSON.parse((result.contents[0] as { text: string }).text).id).toBe(2);
+
+    mocked.findDrive.mockClear();
+    await expect(client.readResource({ uri: 'tessie://vehicle/VIN123/drive/latest' })).rejects.toThrow('not a Tessie drive ID');
+    expect(mocked.findDrive).not.toHaveBeenCalled();
+  });
+
+  test('should report missing drives as a NO_DATA error', async () => {
+    mocked.getAllDrives.mockResolvedValueOnce([]);
+
+    const result = await client.callTool({ name: 'analyze_latest_drive', arguments: { vin: 'VIN123' } });
+
+    expect(result.isError).toBe(true);
+    expect(JSON.parse((result.content as Array<{ text: string }>)[0].text).error.code).toBe('NO_DATA');
+  });
+});
@@ -0,0 +1,127 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The standalone server is plain CommonJS without type declarations
+const { TessieClient, convertUnits, resolveUnits } = require('../standalone-tessie.js');
+
+describe('standalone server history', () => {
+  test('should follow drive pages back in time until the range is covered', async () => {
+    const client = new TessieClient('test-token');
+    const start = 1704067200;
+    const drives = Array.from({ length: 250 }, (_, i) => ({ id: i + 1, started_at: start + i * 3600 }));
+    client.makeRequest = jest.fn(async (endpoint: string) => {
+      const params = new URL(endpoint, 'https://api.tessie.com').searchParams;
+      const end = params.get('end') ? Date.parse(params.get('end')!) / 1000 : Infinity;
+      const page = drives
+        .filter(drive => drive.started_at <= end)
+        .sort((a, b) => b.started_at - a.started_at)
+        .slice(0, Number(params.get('limit')));
+      return { results: page };
+    });
+
+    const { results } = await client.getAllDrives('VIN123', { start: new Date(start * 1000).toISOString() });
+
+    expect(client.makeRequest).toHaveBeenCalledTimes(2);
+    expect(results).toHaveLength(250);
+    expect(results[0].id).toBe(250);
+    expect(results[249].id).toBe(1);
+  });
+});
+
+describe('standalone server local history', () => {
+  const start = 1704067200;
+  let dataDir: string;
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tessie-standalone-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('should answer range analytics from the data directory and fetch only what is new', async () => {
+    let clock = (start + 30 * 86400) * 1000;
+    const drives = Array.from({ length: 30 }, (_, i) => ({
+      id: i + 1,
+      started_at: start + i * 86400,
+      ended_at: start + i * 86400 + 1800,
+      odometer_distance: 10,
+      starting_battery: 80,
+      ending_battery: 76
+    }));
+    const client = new TessieClient('test-token', { dataDir });
+    client.history.now = () => clock;
+    client.makeRequest = jest.fn(async (endpoint: string) => {
+      const params = new URL(endpoint, 'https://api.tessie.com').searchParams;
+      const from = params.get('start') ? Date.parse(params.get('start')!) / 1000 : -Infinity;
+      return { results: drives.filter(drive => drive.started_at >= from).reverse() };
+    });
+    const range = { start: new Date(start * 1000).toISOString(), end: new Date((start + 40 * 86400) * 1000).toISOString() };
+
+    const first = await client.getFSDUsageSummary('VIN123', range);
+    await client.analyzeSeasonalBehavior('VIN123', range);
+    expect(client.makeRequest).toHaveBeenCalledTimes(1);
+    expect(first.miles.tot).toBe(300);
+
+    drives.push({ ...drives[29], id: 31, started_at: start + 30 * 86400, ended_at: start + 30 * 86400 + 1800 });
+    clock += 60 * 60 * 1000;
+    const second = await client.getFSDUsageSummary('VIN123', range);
+
+    expect(client.makeRequest).toHaveBeenCalledTimes(2);
+    expect(new URL((client.makeRequest as jest.Mock).mock.calls[1][0], 'https://api.tessie.com').searchParams.get('start'))
+      .toBe(new Date((start + 28 * 86400) * 1000).toISOString());
+    expect(second.miles.tot).toBe(310);
+
+    const stored = (await fs.readFile(path.join(dataDir, 'VIN123', 'drives.jsonl'), 'utf8')).trim().split('\n');
+    expect(stored).toHaveLength(31);
+    const reopened = new TessieClient('test-token', { dataDir });
+    reopened.history.now = () => clock;
+    reopened.makeRequest = jest.fn();
+    expect((await reopened.getAllDrives('VIN123', range)).results).toHaveLength(31);
+    expect(reopened.makeRequest).not.toHaveBeenCalled();
+  });
+});
+
+describe('standalone server units', () => {
+  test('should convert every distance and efficiency in the efficiency trends to metric', async () => {
+    const client = new TessieClient('test-token');
+    client.getDrives = jest.fn(async () => ({
+      results: [{ distance_miles: 10, energy_used_kwh: 3, started_at: Date.UTC(2024, 2, 10) }]
+    }));
+
+    const trends = await client.getEfficiencyTrends('VIN123');
+    const converted = convertUnits(trends, resolveUnits({ units: 'metric' }));
+
+    expect(converted).toEqual({
+      drives: 1,
+      eff_kwh_per_100km: 18.64,
+      tot_km: 16.09,
+      tot_kw: 3,
+      daily: [{ d: '03-10', eff_kwh_per_100km: 18.64, km: 16.09 }]
+    });
+  });
+
+  test('should keep imperial efficiency trends in miles with the requested efficiency unit', async () => {
+    const client = new TessieClient('test-token');
+    client.getDrives = jest.fn(async () => ({
+      results: [{ distance_miles: 10, energy_used_kwh: 3, started_at: Date.UTC(2024, 2, 10) }]
+    }));
+
+    const converted = convertUnits(await client.getEfficiencyTrends('VIN123'), resolveUnits({}));
+
+    expect(converted).toMatchObject({ eff_mi_per_kwh: 3.33, tot_miles: 10, daily: [{ miles: 10 }] });
+  });
+
+  test('should use the configured efficiency unit only with the configured unit system', () => {
+    process.env.TESSIE_EFFICIENCY_UNIT = 'mi/kWh';
+    try {
+      expect(resolveUnits({})).toEqual({ system: 'imperial', efficiency: 'mi/kWh' });
+      expect(resolveUnits({ units: 'metric' })).toEqual({ system: 'metric', efficiency: 'kWh/100km' });
+      expect(resolveUnits({ units: 'metric', efficiency_unit: 'Wh/km' })).toEqual({ system: 'metric', efficiency: 'Wh/km' });
+    } finally {
+      delete process.env.TESSIE_EFFICIENCY_UNIT;
+    }
+  });
+});
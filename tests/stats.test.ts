@@ -0,0 +1,14 @@
+import { median, round } from '../src/stats';
+
+describe('stats', () => {
+  test('should round to two decimals unless told otherwise', () => {
+    expect(round(1.23456)).toBe(1.23);
+    expect(round(1.23456, 3)).toBe(1.235);
+    expect(round(1.5, 0)).toBe(2);
+  });
+
+  test('should take the middle value, or the mean of the middle two', () => {
+    expect(median([3, 1, 2])).toBe(2);
+    expect(median([4, 1, 3, 2])).toBe(2.5);
+  });
+});
@@ -0,0 +1,141 @@
+import { chargingStrategy, cheapestWindows, priceCharges, Tariff, tariffFor, tierMonthBefore } from '../src/tariffs';
+import { TessieCharge } from '../src/tessie-client';
+
+const at = (iso: string) => Date.parse(iso) / 1000;
+
+const charge = (id: number, start: string, end: string, overrides: Partial<TessieCharge> = {}): TessieCharge => ({
+  id,
+  started_at: at(start),
+  ended_at: at(end),
+  location: '1 Home St',
+  saved_location: 'Home',
+  energy_added: 55,
+  energy_used: 60,
+  starting_battery: 20,
+  ending_battery: 80,
+  ...overrides
+});
+
+const timeOfUse: Tariff = {
+  name: 'Home TOU',
+  type: 'time_of_use',
+  price_per_kwh: 0.25,
+  seasons: [
+    { name: 'Summer', start: '06-01', end: '09-30', periods: [{ name: 'peak', start: '16:00', end: '21:00', price_per_kwh: 0.5 }] },
+    {
+      name: 'Winter',
+      periods: [
+        { name: 'peak', start: '16:00', end: '21:00', price_per_kwh: 0.4 },
+        { name: 'off-peak', start: '00:00', end: '06:00', price_per_kwh: 0.12 }
+      ]
+    }
+  ]
+};
+
+describe('tariffs', () => {
+  test('should pick the tariff for where a session charged', () => {
+    const tariffs: Tariff[] = [
+      { name: 'Default', type: 'flat', price_per_kwh: 0.3 },
+      { name: 'Office', type: 'flat', price_per_kwh: 0.2, locations: ['office'] }
+    ];
+
+    expect(tariffFor(charge(1, '2024-03-04T20:00:00Z', '2024-03-04T21:00:00Z', { saved_location: 'Office' }), tariffs)?.name).toBe('Office');
+    expect(tariffFor(charge(2, '2024-03-04T20:00:00Z', '2024-03-04T21:00:00Z'), tariffs)?.name).toBe('Default');
+    expect(tariffFor(charge(3, '2024-03-04T20:00:00Z', '2024-03-04T21:00:00Z', { is_supercharger: true }), tariffs)).toBeUndefined();
+  });
+
+  test('should share energy across time-of-use periods in proportion to time', () => {
+    // 10 kWh an hour from 20:00 to 02:00: one peak hour, three base hours and two off-peak hours
+    const costs = priceCharges([charge(1, '2024-03-04T20:00:00Z', '2024-03-05T02:00:00Z')], [timeOfUse], 'UTC');
+
+    expect(costs.get(1)).toEqual({
+      tariff: 'Home TOU',
+      cost: 13.9,
+      by_period: [
+        { period: 'peak', energy_kwh: 10, cost: 4 },
+        { period: 'base', energy_kwh: 30, cost: 7.5 },
+        { period: 'off-peak', energy_kwh: 20, cost: 2.4 }
+      ]
+    });
+  });
+
+  test('should use the season in force and local time', () => {
+    // 17:00 to 19:00 in Los Angeles on a July evening
+    const costs = priceCharges([charge(1, '2024-07-02T00:00:00Z', '2024-07-02T02:00:00Z', { energy_used: 20 })], [timeOfUse], 'America/Los_Angeles');
+
+    expect(costs.get(1)?.by_period).toEqual([{ period: 'peak', energy_kwh: 20, cost: 10 }]);
+  });
+
+  test('should fill block rates by the energy charged earlier in the month', () => {
+    const tiered: Tariff = { name: 'Blocks', type: 'tiered', tiers: [{ up_to_kwh: 100, price_per_kwh: 0.1 }, { price_per_kwh: 0.2 }] };
+    const costs = priceCharges([
+      charge(2, '2024-03-20T01:00:00Z', '2024-03-20T07:00:00Z'),
+      charge(1, '2024-03-04T01:00:00Z', '2024-03-04T07:00:00Z'),
+      charge(3, '2024-04-01T01:00:00Z', '2024-04-01T07:00:00Z')
+    ], [tiered], 'UTC');
+
+    expect(costs.get(1)?.cost).toBe(6);
+    expect(costs.get(2)?.by_period).toEqual([
+      { period: 'tier 1', energy_kwh: 40, cost: 4 },
+      { period: 'tier 2', energy_kwh: 20, cost: 4 }
+    ]);
+    expect(costs.get(3)?.cost).toBe(6);
+  });
+
+  test('should count sessions earlier in the month toward the blocks without returning them', () => {
+    const tiered: Tariff = { name: 'Blocks', type: 'tiered', tiers: [{ up_to_kwh: 100, price_per_kwh: 0.1 }, { price_per_kwh: 0.2 }] };
+    const later = [charge(2, '2024-03-20T01:00:00Z', '2024-03-20T07:00:00Z')];
+
+    expect(tierMonthBefore(later, [tiered], 'UTC')).toEqual({ start: '2024-03-01T00:00:00.000Z', end: '2024-03-20T00:59:59.000Z' });
+    expect(tierMonthBefore(later, [timeOfUse], 'UTC')).toBeNull();
+
+    const costs = priceCharges(later, [tiered], 'UTC', [charge(1, '2024-03-04T01:00:00Z', '2024-03-04T07:00:00Z')]);
+    expect([...costs.keys()]).toEqual([2]);
+    expect(costs.get(2)?.cost).toBe(8);
+  });
+
+  test('should find the cheapest windows per season and weekday, across midnight', () => {
+    const tariff: Tariff = {
+      name: 'Weekend saver',
+      type: 'time_of_use',
+      price_per_kwh: 0.3,
+      seasons: [{
+        periods: [
+          { name: 'night', start: '22:00', end: '06:00', price_per_kwh: 0.1 },
+          { name: 'weekend', start: '10:00', end: '14:00', days: ['sat', 'sun'], price_per_kwh: 0.1 }
+        ]
+      }]
+    };
+
+    expect(cheapestWindows(tariff)).toEqual([
+      { season: null, days: ['sun', 'sat'], start: '22:00', end: '06:00', hours: 8, price_per_kwh: 0.1 },
+      { season: null, days: ['sun', 'sat'], start: '10:00', end: '14:00', hours: 4, price_per_kwh: 0.1 },
+      { season: null, days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '22:00', end: '06:00', hours: 8, price_per_kwh: 0.1 }
+    ]);
+  });
+
+  test('should estimate what charging in the cheapest windows would have saved', () => {
+    const charges = [charge(1, '2024-03-04T20:00:00Z', '2024-03-05T02:00:00Z'), charge(2, '2024-03-06T20:00:00Z', '2024-03-06T21:00:00Z', { is_supercharger: true })];
+    const strategy = chargingStrategy(timeOfUse, charges, priceCharges(charges, [timeOfUse], 'UTC'), 'UTC');
+
+    expect(strategy).toMatchObject({
+      sessions: 1,
+      energy_kwh: 60,
+      cost: 13.9,
+      average_price_per_kwh: 0.232,
+      typical_session: { energy_kwh: 60, power_kw: 10, hours: 6 },
+      cost_in_cheapest_windows: 7.2,
+      savings: 6.7
+    });
+    expect(strategy.by_period[0]).toEqual({ period: 'base', energy_kwh: 30, cost: 7.5, share_percent: 50 });
+    expect(strategy.windows).toContainEqual({
+      season: 'Winter',
+      days: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'],
+      start: '00:00',
+      end: '06:00',
+      hours: 6,
+      price_per_kwh: 0.12,
+      fits_typical_session: true
+    });
+  });
+});
@@ -0,0 +1,271 @@
+import http from 'http';
+import { AddressInfo } from 'net';
+import { RequestBudget, TessieClient, TessieClientOptions } from '../src/tessie-client';
+import {
+  DriveNotFoundError,
+  MalformedResponseError,
+  RateLimitError,
+  TessieAuthError,
+  VehicleAsleepError,
+  VehicleNotFoundError,
+} from '../src/errors';
+
+type StubResponse = { status: number; body?: unknown; headers?: Record<string, string> };
+
+describe('TessieClient', () => {
+  let server: http.Server;
+  let baseURL: string;
+  let responses: StubResponse[];
+  let requests: string[];
+  let handler: ((url: URL) => StubResponse) | undefined;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      requests.push(req.url || '');
+      const next = handler
+        ? handler(new URL(req.url || '/', baseURL))
+        : responses.length > 1 ? responses.shift()! : responses[0];
+      res.writeHead(next.status, { 'Content-Type': 'application/json', ...next.headers });
+      res.end(JSON.stringify(next.body ?? {}));
+    });
+    await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise<void>(resolve => server.close(() => resolve()));
+  });
+
+  beforeEach(() => {
+    responses = [];
+    requests = [];
+    handler = undefined;
+  });
+
+  const createClient = (options: TessieClientOptions = {}) =>
+    new TessieClient('test-token', { baseURL, retryBaseDelayMs: 1, retryMaxDelayMs: 50, ...options });
+
+  describe('retries', () => {
+    test('should retry transient upstream failures and return the eventual success', async () => {
+      responses = [
+        { status: 502 },
+        { status: 503 },
+        { status: 200, body: { results: [{ vin: 'VIN123', display_name: 'Model Y' }] } },
+      ];
+
+      const vehicles = await createClient().getVehicles();
+
+      expect(vehicles).toEqual([{ vin: 'VIN123', display_name: 'Model Y' }]);
+      expect(requests).toHaveLength(3);
+    });
+
+    test('should honor Retry-After on 429 responses', async () => {
+      responses = [
+        { status: 429, headers: { 'Retry-After': '1' } },
+        { status: 200, body: [] },
+      ];
+
+      const started = Date.now();
+      await createClient({ retryMaxDelayMs: 5000 }).getDrives('VIN123');
+
+      expect(requests).toHaveLength(2);
+      expect(Date.now() - started).toBeGreaterThanOrEqual(900);
+    });
+
+    test('should give up after maxRetries attempts', async () => {
+      responses = [{ status: 502 }];
+
+      await expect(createClient({ maxRetries: 2 }).getVehicleState('VIN123')).rejects.toThrow();
+      expect(requests).toHaveLength(3);
+    });
+
+    test('should not retry client errors', async () => {
+      responses = [{ status: 404 }];
+
+      await expect(createClient().getVehicleLocation('VIN123')).rejects.toThrow();
+      expect(requests).toHaveLength(1);
+    });
+  });
+
+  describe('typed errors', () => {
+    test('should raise TessieAuthError for rejected tokens', async () => {
+      responses = [{ status: 401, body: { error: 'Unauthorized' } }];
+
+      const error = await createClient().getVehicles().catch(e => e);
+
+      expect(error).toBeInstanceOf(TessieAuthError);
+      expect(error.code).toBe('AUTH_INVALID');
+    });
+
+    test('should raise VehicleNotFoundError for unknown VINs', async () => {
+      responses = [{ status: 404, body: { error: 'Not found' } }];
+
+      const error = await createClient().getVehicleState('UNKNOWNVIN').catch(e => e);
+
+      expect(error).toBeInstanceOf(VehicleNotFoundError);
+      expect(error.vin).toBe('UNKNOWNVIN');
+      expect(error.message).not.toContain('AxiosError');
+    });
+
+    test('should raise VehicleAsleepError when the vehicle cannot be reached', async () => {
+      responses = [{ status: 408, body: { error: 'vehicle is asleep' } }];
+
+      const error = await createClient({ maxRetries: 0 }).getVehicleState('VIN123', false).catch(e => e);
+
+      expect(error).toBeInstanceOf(VehicleAsleepError);
+    });
+
+    test('should raise RateLimitError once retries are exhausted', async () => {
+      responses = [{ status: 429, headers: { 'Retry-After': '0' } }];
+
+      const error = await createClient({ maxRetries: 1 }).getDrives('VIN123').catch(e => e);
+
+      expect(error).toBeInstanceOf(RateLimitError);
+      expect(error.retryAfterSeconds).toBe(0);
+    });
+
+    test('should raise MalformedResponseError for unexpected payloads', async () => {
+      responses = [{ status: 200, body: { results: 'not-a-list' } }];
+
+      const error = await createClient().getDrives('VIN123').catch(e => e);
+
+      expect(error).toBeInstanceOf(MalformedResponseError);
+      expect(error.code).toBe('MALFORMED_RESPONSE');
+    });
+  });
+
+  describe('pagination', () => {
+    // 7 drives, one per hour; the stub honors end and limit and returns newest first
+    const allDrives = Array.from({ length: 7 }, (_, i) => ({
+      id: i + 1,
+      started_at: 1700000000 + i * 3600,
+      ended_at: 1700000000 + i * 3600 + 1800,
+      odometer_distance: 10,
+    }));
+
+    beforeEach(() => {
+      handler = url => {
+        const end = url.searchParams.get('end');
+        const limit = Number(url.searchParams.get('limit'));
+        const endTs = end ? Date.parse(end) / 1000 : Infinity;
+        const results = allDrives
+          .filter(drive => drive.started_at <= endTs)
+          .sort((a, b) => b.started_at - a.started_at)
+          .slice(0, limit);
+        return { status: 200, body: { results } };
+      };
+    });
+
+    test('should return a cursor while more drives remain', async () => {
+      const client = createClient();
+
+      const first = await client.getDrivesPage('VIN123', { limit: 3 });
+      expect(first.drives.map(d => d.id)).toEqual([7, 6, 5]);
+      expect(first.next_cursor).not.toBeNull();
+
+      const second = await client.getDrivesPage('VIN123', { limit: 3, cursor: first.next_cursor! });
+      expect(second.drives.map(d => d.id)).toEqual([4, 3, 2]);
+
+      const third = await client.getDrivesPage('VIN123', { limit: 3, cursor: second.next_cursor! });
+      expect(third.drives.map(d => d.id)).toEqual([1]);
+      expect(third.next_cursor).toBeNull();
+    });
+
+    test('should iterate every drive across pages without duplicates', async () => {
+      const ids: number[] = [];
+      for await (const drive of createClient().iterateDrives('VIN123', undefined, undefined, 2)) {
+        ids.push(drive.id);
+      }
+
+      expect(ids).toEqual([7, 6, 5, 4, 3, 2, 1]);
+      expect(requests).toHaveLength(4);
+    });
+
+    test('should find a single drive by ID', async () => {
+      const drive = await createClient().findDrive('VIN123', 2);
+
+      expect(drive.id).toBe(2);
+    });
+
+    test('should raise DriveNotFoundError for unknown drive IDs', async () => {
+      const error = await createClient().findDrive('VIN123', 999).catch(e => e);
+
+      expect(error).toBeInstanceOf(DriveNotFoundError);
+      expect(error.code).toBe('DRIVE_NOT_FOUND');
+    });
+
+    test('should collect the complete set with getAllDrives', async () => {
+      const drives = await createClient().getAllDrives('VIN123');
+
+      expect(drives).toHaveLength(7);
+      expect(drives.reduce((sum, d) => sum + d.odometer_distance, 0)).toBe(70);
+    });
+
+    test('should page through charging sessions the same way', async () => {
+      handler = url => {
+        const end = url.searchParams.get('end');
+        const limit = Number(url.searchParams.get('limit'));
+        const endTs = end ? Date.parse(end) / 1000 : Infinity;
+        const results = allDrives
+          .map(drive => ({ id: drive.id, started_at: drive.started_at, ended_at: drive.ended_at, energy_added: 5 }))
+          .filter(charge => charge.started_at <= endTs)
+          .sort((a, b) => b.started_at - a.started_at)
+          .slice(0, limit);
+        return { status: 200, body: { results } };
+      };
+      const client = createClient();
+
+      const first = await client.getCharges('VIN123', { limit: 4 });
+      expect(first.charges.map(c => c.id)).toEqual([7, 6, 5, 4]);
+      expect(requests[0]).toMatch(/^\/VIN123\/charges\?/);
+
+      const charges = await client.getAllCharges('VIN123', undefined, undefined, 3);
+      expect(charges.map(c => c.id)).toEqual([7, 6, 5, 4, 3, 2, 1]);
+    });
+  });
+
+  describe('commands', () => {
+    test('should POST commands and wait for completion', async () => {
+      responses = [{ status: 200, body: { result: true } }];
+
+      const result = await createClient().sendCommand('VIN123', 'set_charge_limit', { percent: 80 });
+
+      expect(result.result).toBe(true);
+      expect(requests).toEqual(['/VIN123/command/set_charge_limit?wait_for_completion=true&percent=80']);
+    });
+
+    test('should never retry commands', async () => {
+      responses = [{ status: 502 }];
+
+      await expect(createClient().sendCommand('VIN123', 'lock')).rejects.toThrow();
+      expect(requests).toHaveLength(1);
+    });
+  });
+
+  describe('request budget', () => {
+    test('should delay requests that exceed the budget until the window frees up', async () => {
+      responses = [{ status: 200, body: [] }];
+      const client = createClient({ maxRequestsPerMinute: 2, requestWindowMs: 200 });
+
+      const started = Date.now();
+      await Promise.all([
+        client.getDrives('VIN123'),
+        client.getDrives('VIN123'),
+        client.getDrives('VIN123'),
+      ]);
+
+      expect(requests).toHaveLength(3);
+      expect(Date.now() - started).toBeGreaterThanOrEqual(180);
+    });
+
+    test('should pause all callers while a rate limit is in effect', async () => {
+      const budget = new RequestBudget(10, 1000);
+      budget.pauseFor(100);
+
+      const started = Date.now();
+      await budget.acquire();
+
+      expect(Date.now() - started).toBeGreaterThanOrEqual(90);
+    });
+  });
+});
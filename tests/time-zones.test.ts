@@ -0,0 +1,145 @@
+import {
+  addDays,
+  endOfZonedDay,
+  formatZonedIso,
+  formatZonedTime,
+  isValidTimeZone,
+  localDateKey,
+  parseZonedDate,
+  startOfZonedDay,
+  timeZoneForLocation,
+  zonedTimeToUtc
+} from '../src/time-zones';
+
+const HOUR = 3600 * 1000;
+
+describe('time zones', () => {
+  describe('isValidTimeZone', () => {
+    test('should accept IANA zones and reject unknown names', () => {
+      expect(isValidTimeZone('America/Los_Angeles')).toBe(true);
+      expect(isValidTimeZone('UTC')).toBe(true);
+      expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+    });
+  });
+
+  describe('day boundaries across DST transitions', () => {
+    test('should give the spring-forward day 23 hours in Los Angeles', () => {
+      const day = { year: 2024, month: 3, day: 10 };
+      const start = startOfZonedDay(day, 'America/Los_Angeles');
+      const end = endOfZonedDay(day, 'America/Los_Angeles');
+
+      expect(start.toISOString()).toBe('2024-03-10T08:00:00.000Z');
+      expect(end.toISOString()).toBe('2024-03-11T06:59:59.999Z');
+      expect(end.getTime() + 1 - start.getTime()).toBe(23 * HOUR);
+    });
+
+    test('should give the fall-back day 25 hours in Los Angeles', () => {
+      const day = { year: 2024, month: 11, day: 3 };
+      const start = startOfZonedDay(day, 'America/Los_Angeles');
+      const end = endOfZonedDay(day, 'America/Los_Angeles');
+
+      expect(start.toISOString()).toBe('2024-11-03T07:00:00.000Z');
+      expect(end.getTime() + 1 - start.getTime()).toBe(25 * HOUR);
+    });
+
+    test('should handle the European transition dates', () => {
+      const spring = { year: 2024, month: 3, day: 31 };
+      const autumn = { year: 2024, month: 10, day: 27 };
+
+      expect(startOfZonedDay(spring, 'Europe/Berlin').toISOString()).toBe('2024-03-30T23:00:00.000Z');
+      expect(endOfZonedDay(spring, 'Europe/Berlin').getTime() + 1 - startOfZonedDay(spring, 'Europe/Berlin').getTime())
+        .toBe(23 * HOUR);
+      expect(startOfZonedDay(autumn, 'Europe/Berlin').toISOString()).toBe('2024-10-26T22:00:00.000Z');
+      expect(endOfZonedDay(autumn, 'Europe/Berlin').getTime() + 1 - startOfZonedDay(autumn, 'Europe/Berlin').getTime())
+        .toBe(25 * HOUR);
+    });
+
+    test('should resolve a wall time skipped by DST to just after the gap', () => {
+      const instant = zonedTimeToUtc({ year: 2024, month: 3, day: 10 }, 'America/Los_Angeles', { hour: 2, minute: 30 });
+
+      expect(formatZonedIso(instant, 'America/Los_Angeles')).toBe('2024-03-10T03:30:00-07:00');
+    });
+  });
+
+  describe('formatting', () => {
+    test('should bucket an evening drive on the local day rather than the UTC day', () => {
+      const drive = new Date('2024-03-11T04:05:00Z'); // 9:05pm PDT on March 10
+
+      expect(localDateKey(drive, 'America/Los_Angeles')).toBe('2024-03-10');
+      expect(localDateKey(drive, 'UTC')).toBe('2024-03-11');
+      expect(formatZonedTime(drive, 'America/Los_Angeles')).toBe('21:05');
+      expect(formatZonedIso(drive, 'America/Los_Angeles')).toBe('2024-03-10T21:05:00-07:00');
+    });
+
+    test('should use the offset in effect at each instant', () => {
+      expect(formatZonedIso(new Date('2024-01-15T12:00:00Z'), 'Europe/Berlin')).toBe('2024-01-15T13:00:00+01:00');
+      expect(formatZonedIso(new Date('2024-07-15T12:00:00Z'), 'Europe/Berlin')).toBe('2024-07-15T14:00:00+02:00');
+      expect(formatZonedIso(new Date('2024-07-15T12:00:00Z'), 'Asia/Kolkata')).toBe('2024-07-15T17:30:00+05:30');
+    });
+  });
+
+  describe('parseZonedDate', () => {
+    test('should read date-only values as local day bounds', () => {
+      expect(parseZonedDate('2024-11-03', 'America/Los_Angeles')).toBe('2024-11-03T07:00:00.000Z');
+      expect(parseZonedDate('2024-11-03', 'America/Los_Angeles', true)).toBe('2024-11-04T07:59:59.999Z');
+    });
+
+    test('should pass full timestamps through unchanged', () => {
+      expect(parseZonedDate('2024-11-03T12:00:00Z', 'America/Los_Angeles', true)).toBe('2024-11-03T12:00:00Z');
+    });
+  });
+
+  test('addDays should roll over month and year ends', () => {
+    expect(addDays({ year: 2024, month: 3, day: 1 }, -1)).toEqual({ year: 2024, month: 2, day: 29 });
+    expect(addDays({ year: 2024, month: 12, day: 31 }, 1)).toEqual({ year: 2025, month: 1, day: 1 });
+  });
+
+  describe('timeZoneForLocation', () => {
+    test('should infer zones for known regions', () => {
+      expect(timeZoneForLocation(37.77, -122.42)).toBe('America/Los_Angeles');
+      expect(timeZoneForLocation(33.45, -112.07)).toBe('America/Phoenix');
+      expect(timeZoneForLocation(40.71, -74.01)).toBe('America/New_York');
+      expect(timeZoneForLocation(52.52, 13.4)).toBe('Europe/Berlin');
+      expect(timeZoneForLocation(51.51, -0.13)).toBe('Europe/London');
+    });
+
+    test('should keep neighbouring zones apart near region borders', () => {
+      expect(timeZoneForLocation(28.61, 77.21)).toBe('Asia/Kolkata');
+      expect(timeZoneForLocation(22.57, 88.36)).toBe('Asia/Kolkata');
+      expect(timeZoneForLocation(27.72, 85.32)).toBe('Asia/Kathmandu');
+      expect(timeZoneForLocation(23.81, 90.41)).toBe('Asia/Dhaka');
+      expect(timeZoneForLocation(16.87, 96.2)).toBe('Asia/Yangon');
+      expect(timeZoneForLocation(13.76, 100.5)).toBe('Asia/Bangkok');
+      expect(timeZoneForLocation(29.65, 91.1)).toBe('Asia/Shanghai');
+      expect(timeZoneForLocation(25.04, 102.7)).toBe('Asia/Shanghai');
+      expect(timeZoneForLocation(-27.47, 153.03)).toBe('Australia/Brisbane');
+      expect(timeZoneForLocation(-27.56, 151.95)).toBe('Australia/Brisbane');
+      expect(timeZoneForLocation(-28.64, 153.61)).toBe('Australia/Sydney');
+      expect(timeZoneForLocation(53.35, -6.26)).toBe('Europe/Dublin');
+    });
+
+    test('should carve out zones that differ from the surrounding region', () => {
+      expect(timeZoneForLocation(43.6, -116.2)).toBe('America/Boise');
+      expect(timeZoneForLocation(47.66, -117.43)).toBe('America/Los_Angeles');
+      expect(timeZoneForLocation(49.89, -119.5)).toBe('America/Vancouver');
+      expect(timeZoneForLocation(36.16, -86.78)).toBe('America/Chicago');
+      expect(timeZoneForLocation(35.05, -85.31)).toBe('America/New_York');
+      expect(timeZoneForLocation(65.6, 22.2)).toBe('Europe/Stockholm');
+      expect(timeZoneForLocation(65.01, 25.47)).toBe('Europe/Helsinki');
+      expect(timeZoneForLocation(63.84, 23.13)).toBe('Europe/Helsinki');
+      expect(timeZoneForLocation(49.9, 1.1)).toBe('Europe/Berlin');
+      expect(timeZoneForLocation(50.72, 1.61)).toBe('Europe/Berlin');
+      expect(timeZoneForLocation(51.13, 1.31)).toBe('Europe/London');
+      expect(timeZoneForLocation(50.82, -0.14)).toBe('Europe/London');
+      expect(timeZoneForLocation(38.88, -6.97)).toBe('Europe/Madrid');
+      expect(timeZoneForLocation(41.15, -8.61)).toBe('Europe/Lisbon');
+      expect(timeZoneForLocation(45.75, 126.63)).toBe('Asia/Shanghai');
+      expect(timeZoneForLocation(37.57, 126.98)).toBe('Asia/Seoul');
+    });
+
+    test('should return undefined without a usable location', () => {
+      expect(timeZoneForLocation(undefined, undefined)).toBeUndefined();
+      expect(timeZoneForLocation(0, -140)).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,88 @@
+import { DriveAnalyzer, MergedDrive } from '../src/drive-analyzer';
+import { TessieDrive } from '../src/tessie-client';
+import { filterTrips, sortTrips } from '../src/trips';
+
+describe('trips', () => {
+  const drive = (id: number, startedAt: number, overrides: Partial<TessieDrive> = {}): TessieDrive => ({
+    id,
+    started_at: startedAt,
+    ended_at: startedAt + 3600,
+    created_at: startedAt,
+    starting_location: 'Home',
+    ending_location: 'Office',
+    starting_latitude: 0,
+    starting_longitude: 0,
+    starting_odometer: 0,
+    ending_latitude: 0,
+    ending_longitude: 0,
+    ending_odometer: 0,
+    starting_battery: 80,
+    ending_battery: 70,
+    odometer_distance: 30,
+    ...overrides
+  });
+
+  // Three trips a day apart, built the same way get_trips builds them
+  const trips: MergedDrive[] = new DriveAnalyzer().mergeDrives([
+    drive(1, 0),
+    drive(2, 86400, { ending_location: 'South Lake Tahoe, CA', odometer_distance: 180, starting_battery: 70, ending_battery: 20, tag: 'Tahoe' }),
+    drive(3, 2 * 86400, { starting_location: 'Office', ending_location: 'Home', odometer_distance: 12, starting_battery: 20, ending_battery: 18 })
+  ]);
+
+  describe('filterTrips', () => {
+    test('should keep every trip without filters', () => {
+      expect(filterTrips(trips, {})).toHaveLength(3);
+    });
+
+    test('should filter by minimum distance', () => {
+      expect(filterTrips(trips, { min_distance_miles: 25 }).map(trip => trip.originalDriveIds[0])).toEqual([1, 2]);
+    });
+
+    test('should match locations as case-insensitive substrings', () => {
+      expect(filterTrips(trips, { end_location: 'tahoe' }).map(trip => trip.originalDriveIds[0])).toEqual([2]);
+      expect(filterTrips(trips, { start_location: 'office', end_location: 'home' }).map(trip => trip.originalDriveIds[0])).toEqual([3]);
+    });
+
+    test('should filter by tag', () => {
+      expect(filterTrips(trips, { tag: 'tahoe' }).map(trip => trip.tags)).toEqual([['Tahoe']]);
+      expect(filterTrips(trips, { tag: 'Business' })).toHaveLength(0);
+    });
+  });
+
+  describe('sortTrips', () => {
+    const ids = (sorted: MergedDrive[]) => sorted.map(trip => trip.originalDriveIds[0]);
+
+    test('should default to newest first', () => {
+      expect(ids(sortTrips(trips))).toEqual([3, 2, 1]);
+    });
+
+    test('should sort by distance in either order', () => {
+      expect(ids(sortTrips(trips, 'distance', 'asc'))).toEqual([3, 1, 2]);
+      expect(ids(sortTrips(trips, 'distance', 'desc'))).toEqual([2, 1, 3]);
+    });
+
+    test('should rank efficiency by distance per kWh', () => {
+      // With the default 75 kWh pack: 30 mi / 7.5 kWh = 4, 180 mi / 37.5 kWh = 4.8, 12 mi / 1.5 kWh = 8
+      expect(ids(sortTrips(trips, 'efficiency', 'desc'))).toEqual([3, 2, 1]);
+    });
+
+    test('should prefer measured energy for efficiency', () => {
+      const measured = new DriveAnalyzer().mergeDrives([drive(4, 3 * 86400, { odometer_distance: 30, energy_used: 3 })]);
+
+      expect(ids(sortTrips([...measured, ...trips], 'efficiency', 'desc'))).toEqual([4, 3, 2, 1]);
+    });
+
+    test('should put trips without a value last', () => {
+      const charged = new DriveAnalyzer().mergeDrives([drive(4, 3 * 86400, { ending_battery: 85 })]);
+
+      expect(ids(sortTrips([...charged, ...trips], 'efficiency', 'asc'))[3]).toBe(4);
+      expect(ids(sortTrips([...charged, ...trips], 'efficiency', 'desc'))[3]).toBe(4);
+    });
+
+    test('should not modify the input', () => {
+      const copy = [...trips];
+      sortTrips(trips, 'distance');
+      expect(trips).toEqual(copy);
+    });
+  });
+});
@@ -0,0 +1,68 @@
+import { UnitConverter, resolveUnits } from '../src/units';
+
+describe('units', () => {
+  describe('resolveUnits', () => {
+    test('should default to imperial with mi/kWh', () => {
+      expect(resolveUnits()).toEqual({ system: 'imperial', efficiency: 'mi/kWh' });
+    });
+
+    test('should pick the usual efficiency unit for the system unless one is given', () => {
+      expect(resolveUnits('metric')).toEqual({ system: 'metric', efficiency: 'kWh/100km' });
+      expect(resolveUnits('metric', 'Wh/km')).toEqual({ system: 'metric', efficiency: 'Wh/km' });
+    });
+  });
+
+  describe('UnitConverter', () => {
+    const imperial = new UnitConverter(resolveUnits('imperial'));
+    const metric = new UnitConverter(resolveUnits('metric'));
+
+    test('should keep Tessie distances and speeds in imperial', () => {
+      expect(imperial.distance(10)).toBe(10);
+      expect(imperial.speed(65)).toBe(65);
+      expect(imperial.labels).toMatchObject({ distance: 'miles', speed: 'mph', temperature: '°F' });
+    });
+
+    test('should convert distances and speeds to metric', () => {
+      expect(metric.distance(10)).toBe(16.09);
+      expect(metric.speed(65)).toBe(104.61);
+      expect(metric.labels).toMatchObject({ distance: 'km', speed: 'km/h', temperature: '°C' });
+    });
+
+    test('should read distances in the preferred unit back as miles', () => {
+      expect(metric.toMiles(16.09344)).toBeCloseTo(10, 6);
+      expect(imperial.toMiles(10)).toBe(10);
+    });
+
+    test('should convert Celsius temperatures for imperial only', () => {
+      expect(imperial.temperature(20)).toBe(68);
+      expect(metric.temperature(20)).toBe(20);
+    });
+
+    test('should read temperatures in the preferred unit back as Celsius', () => {
+      expect(imperial.toCelsius(41)).toBe(5);
+      expect(metric.toCelsius(5)).toBe(5);
+    });
+
+    test('should pass missing values through', () => {
+      expect(metric.distance(undefined)).toBeUndefined();
+      expect(imperial.temperature(null)).toBeUndefined();
+    });
+
+    test.each([
+      ['mi/kWh', 4],
+      ['Wh/mi', 250],
+      ['Wh/km', 155.34],
+      ['kWh/100km', 15.53]
+    ] as const)('should express efficiency in %s', (unit, expected) => {
+      const converter = new UnitConverter(resolveUnits('imperial', unit));
+
+      // 100 miles on 25 kWh
+      expect(converter.efficiency(100, 25)).toBe(expected);
+    });
+
+    test('should not report efficiency without distance or energy', () => {
+      expect(imperial.efficiency(0, 10)).toBeUndefined();
+      expect(imperial.efficiency(10, 0)).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,117 @@
+import { VehicleCommandService } from '../src/vehicle-commands';
+import { CommandsDisabledError, ConfirmationRequiredError } from '../src/errors';
+import { TessieClient } from '../src/tessie-client';
+
+describe('VehicleCommandService', () => {
+  let sendCommand: jest.Mock;
+  let getVehicleState: jest.Mock;
+  let client: TessieClient;
+
+  beforeEach(() => {
+    sendCommand = jest.fn(async () => ({ result: true, woke: false }));
+    getVehicleState = jest.fn(async () => ({
+      display_name: 'Model Y',
+      vin: 'VIN123',
+      locked: false,
+      charge_limit_soc: 80
+    }));
+    client = { sendCommand, getVehicleState } as unknown as TessieClient;
+  });
+
+  describe('confirmation', () => {
+    test('should refuse to send a command without confirmation', async () => {
+      const service = new VehicleCommandService(client, { enabled: true });
+
+      await expect(service.execute('VIN123', 'lock')).rejects.toBeInstanceOf(ConfirmationRequiredError);
+      expect(sendCommand).not.toHaveBeenCalled();
+    });
+
+    test('should send the command when confirm is true', async () => {
+      const service = new VehicleCommandService(client, { enabled: true });
+
+      const outcome = await service.execute('VIN123', 'lock', { confirm: true });
+
+      expect(sendCommand).toHaveBeenCalledWith('VIN123', 'lock', {});
+      expect(outcome.executed).toBe(true);
+      expect(outcome.success).toBe(true);
+    });
+
+    test('should describe a dry run without sending anything', async () => {
+      const service = new VehicleCommandService(client, { enabled: true });
+
+      const outcome = await service.execute('VIN123', 'set_charge_limit', { params: { percent: 90 }, dry_run: true });
+
+      expect(sendCommand).not.toHaveBeenCalled();
+      expect(outcome.executed).toBe(false);
+      expect(outcome.description).toBe('Set the charge limit of Model Y to 90% (currently limit: 80)');
+      expect(outcome.confirmation_token).toBeDefined();
+    });
+
+    test('should accept a dry-run token once, for the same command and parameters', async () => {
+      const service = new VehicleCommandService(client, { enabled: true });
+      const preview = await service.execute('VIN123', 'set_charge_limit', { params: { percent: 90 }, dry_run: true });
+      const token = preview.confirmation_token;
+
+      await expect(
+        service.execute('VIN123', 'set_charge_limit', { params: { percent: 100 }, confirmation_token: token })
+      ).rejects.toBeInstanceOf(ConfirmationRequiredError);
+
+      const second = await service.execute('VIN123', 'set_charge_limit', { params: { percent: 90 }, dry_run: true });
+      const outcome = await service.execute('VIN123', 'set_charge_limit', {
+        params: { percent: 90 },
+        confirmation_token: second.confirmation_token
+      });
+      expect(outcome.executed).toBe(true);
+
+      await expect(
+        service.execute('VIN123', 'set_charge_limit', { params: { percent: 90 }, confirmation_token: second.confirmation_token })
+      ).rejects.toBeInstanceOf(ConfirmationRequiredError);
+    });
+
+    test('should reject expired tokens', async () => {
+      const service = new VehicleCommandService(client, { enabled: true, confirmationTtlMs: -1 });
+      const preview = await service.execute('VIN123', 'flash', { dry_run: true });
+
+      await expect(
+        service.execute('VIN123', 'flash', { confirmation_token: preview.confirmation_token })
+      ).rejects.toBeInstanceOf(ConfirmationRequiredError);
+    });
+  });
+
+  describe('configuration', () => {
+    test('should block every command unless commands are enabled', async () => {
+      const service = new VehicleCommandService(client);
+
+      expect(service.isAllowed('lock')).toBe(false);
+      await expect(service.execute('VIN123', 'lock', { confirm: true })).rejects.toBeInstanceOf(CommandsDisabledError);
+      expect(sendCommand).not.toHaveBeenCalled();
+    });
+
+    test('should gate safety-critical commands behind a separate opt-in', async () => {
+      const service = new VehicleCommandService(client, { enabled: true });
+
+      expect(service.isAllowed('lock')).toBe(true);
+      expect(service.isAllowed('unlock')).toBe(false);
+      expect(service.isAllowed('remote_start')).toBe(false);
+      await expect(service.execute('VIN123', 'unlock', { confirm: true })).rejects.toBeInstanceOf(CommandsDisabledError);
+    });
+
+    test('should allow safety-critical commands once opted in', async () => {
+      const service = new VehicleCommandService(client, { enabled: true, allowSafetyCritical: true });
+
+      const outcome = await service.execute('VIN123', 'activate_rear_trunk', { confirm: true });
+
+      expect(outcome.safety_critical).toBe(true);
+      expect(sendCommand).toHaveBeenCalledWith('VIN123', 'activate_rear_trunk', {});
+    });
+  });
+
+  test('should still describe the command when the state lookup fails', async () => {
+    getVehicleState.mockRejectedValueOnce(new Error('offline'));
+    const service = new VehicleCommandService(client, { enabled: true });
+
+    const outcome = await service.execute('VIN123', 'lock', { dry_run: true });
+
+    expect(outcome.description).toBe('Lock the vehicle');
+  });
+});
@@ -0,0 +1,68 @@
+import { VehicleWatcher } from '../src/vehicle-watcher';
+import { TessieClient } from '../src/tessie-client';
+
+describe('VehicleWatcher', () => {
+  const modelY = { vin: 'VIN_Y', display_name: 'Model Y' };
+  const model3 = { vin: 'VIN_3', display_name: 'Model 3' };
+
+  let getVehicles: jest.Mock;
+  let onChange: jest.Mock;
+  let watcher: VehicleWatcher;
+
+  beforeEach(() => {
+    getVehicles = jest.fn();
+    onChange = jest.fn();
+    watcher = new VehicleWatcher({ getVehicles } as unknown as TessieClient, onChange);
+  });
+
+  afterEach(() => {
+    watcher.stop();
+  });
+
+  test('should not notify on the first refresh', async () => {
+    getVehicles.mockResolvedValue([modelY]);
+
+    const vehicles = await watcher.refresh();
+
+    expect(vehicles).toEqual([modelY]);
+    expect(onChange).not.toHaveBeenCalled();
+  });
+
+  test('should notify when a new vehicle appears', async () => {
+    getVehicles.mockResolvedValueOnce([modelY]).mockResolvedValueOnce([modelY, model3]);
+
+    await watcher.refresh();
+    await watcher.refresh();
+
+    expect(onChange).toHaveBeenCalledWith([modelY, model3]);
+  });
+
+  test('should notify when a vehicle is removed', async () => {
+    watcher.observe([modelY, model3]);
+    watcher.observe([modelY]);
+
+    expect(onChange).toHaveBeenCalledTimes(1);
+  });
+
+  test('should stay quiet while the account is unchanged', async () => {
+    watcher.observe([modelY, model3]);
+    watcher.observe([model3, modelY]);
+
+    expect(onChange).not.toHaveBeenCalled();
+  });
+
+  test('should poll on an interval once started', async () => {
+    getVehicles.mockResolvedValueOnce([modelY]).mockResolvedValue([modelY, model3]);
+
+    jest.useFakeTimers();
+    try {
+      watcher.start(10);
+      await jest.advanceTimersByTimeAsync(20);
+    } finally {
+      jest.useRealTimers();
+    }
+
+    expect(getVehicles).toHaveBeenCalledTimes(2);
+    expect(onChange).toHaveBeenCalledWith([modelY, model3]);
+  });
+});